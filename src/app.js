@@ -6,6 +6,7 @@ import apiLogger from './utils/apiLogger.js';
 import corsConfig from './utils/cors.js';
 import globalErrorHandler from './utils/globalErrorHandler.js';
 import http from 'http';
+import { startJobs } from './services/jobs/index.js';
 // import initializeSocket from './utils/socket.js';
 
 const app = express();
@@ -46,6 +47,11 @@ connectDB()
   .then(async () => {
     console.log(`✔️  Database connected!! ${process.env.DATABASE_USER || ''}`);
 
+    // Serverless deployments run jobs from the crons in vercel.json (GET /api/jobs/:name/run)
+    if (!process.env.VERCEL && process.env.SCHEDULER_DISABLED !== 'true') {
+      startJobs();
+    }
+
     server.listen(port, () =>
       console.log(
         `✔️  PoultryRecord backend server is listening on ::: ${BASE_URL}`
@@ -0,0 +1,147 @@
+import Setting from '../models/Setting.js';
+import YearEndClose from '../models/YearEndClose.js';
+import YearOpeningBalance from '../models/YearOpeningBalance.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import {
+    PERIOD_LOCK_SETTING,
+    PERIOD_LOCK_MODULES_SETTING,
+    PERIOD_LOCK_MODULES,
+    getPeriodLock,
+    dayKey,
+    toLocalDate
+} from '../utils/periodLock.js';
+import { parseFinancialYear, getFinancialYear, previewYearEndClose, closeFinancialYear } from '../services/yearEndClose.js';
+
+// '' or null clears a lock date
+const parseLockDate = (value, label) => {
+    if (value === null || value === '') return null;
+    const date = toLocalDate(value);
+    if (!date) {
+        throw new AppError(`Invalid ${label} lock date`, 400);
+    }
+    return dayKey(date);
+};
+
+const formatLock = ({ lockDate, modules }) => ({
+    lockDate: lockDate ? dayKey(lockDate) : null,
+    modules: Object.fromEntries(Object.entries(modules).map(([module, date]) => [module, date ? dayKey(date) : null])),
+    effective: Object.fromEntries(Object.entries(modules).map(([module, date]) => {
+        const applied = date || lockDate;
+        return [module, applied ? dayKey(applied) : null];
+    }))
+});
+
+export const getPeriodLockSettings = async (req, res, next) => {
+    try {
+        const lock = await getPeriodLock();
+        successResponse(res, "Period lock retrieved successfully", 200, formatLock(lock));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body: { lockDate, modules: { trip: 'YYYY-MM-DD' | null, ... } }
+export const updatePeriodLockSettings = async (req, res, next) => {
+    try {
+        const { lockDate, modules } = req.body;
+
+        if (lockDate !== undefined) {
+            const value = parseLockDate(lockDate, 'global');
+            await Setting.findOneAndUpdate(
+                { key: PERIOD_LOCK_SETTING },
+                { value: value || '', updatedBy: req.user._id },
+                { upsert: true, new: true }
+            );
+        }
+
+        if (modules !== undefined) {
+            if (!modules || typeof modules !== 'object' || Array.isArray(modules)) {
+                throw new AppError('modules must be an object of module lock dates', 400);
+            }
+            const unknown = Object.keys(modules).filter(module => !PERIOD_LOCK_MODULES.includes(module));
+            if (unknown.length > 0) {
+                throw new AppError(`Unknown modules: ${unknown.join(', ')}. Allowed: ${PERIOD_LOCK_MODULES.join(', ')}`, 400);
+            }
+
+            const current = (await Setting.findOne({ key: PERIOD_LOCK_MODULES_SETTING }).lean())?.value || {};
+            const value = { ...current };
+            Object.entries(modules).forEach(([module, date]) => {
+                value[module] = parseLockDate(date, module);
+            });
+            await Setting.findOneAndUpdate(
+                { key: PERIOD_LOCK_MODULES_SETTING },
+                { value, updatedBy: req.user._id },
+                { upsert: true, new: true }
+            );
+        }
+
+        const lock = await getPeriodLock();
+        successResponse(res, "Period lock updated successfully", 200, formatLock(lock));
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getYearEndClosePreview = async (req, res, next) => {
+    try {
+        const startYear = parseFinancialYear(req.query.financialYear);
+        const preview = await previewYearEndClose(startYear);
+        successResponse(res, "Year-end close preview generated successfully", 200, preview);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body: { financialYear, notes }
+export const closeYear = async (req, res, next) => {
+    try {
+        const startYear = parseFinancialYear(req.body.financialYear);
+        const result = await closeFinancialYear({ startYear, notes: req.body.notes, userId: req.user._id });
+        successResponse(res, `Financial year ${result.close.financialYear} closed successfully`, 201, result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getYearEndCloses = async (req, res, next) => {
+    try {
+        const closes = await YearEndClose.find({})
+            .populate('closedBy', 'name')
+            .sort({ periodStart: -1 });
+        successResponse(res, "Year-end closes retrieved successfully", 200, closes);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getYearOpeningBalances = async (req, res, next) => {
+    try {
+        const { financialYear, partyType, page = 1, limit = 50 } = req.query;
+        const year = getFinancialYear(parseFinancialYear(financialYear));
+
+        const query = { financialYear: year.label };
+        if (partyType) query.partyType = partyType;
+
+        const [balances, total] = await Promise.all([
+            YearOpeningBalance.find(query)
+                .sort({ partyType: 1, name: 1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            YearOpeningBalance.countDocuments(query)
+        ]);
+
+        successResponse(res, "Opening balances retrieved successfully", 200, {
+            financialYear: year.label,
+            balances,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
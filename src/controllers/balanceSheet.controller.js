@@ -9,8 +9,11 @@ import DieselStation from "../models/DieselStation.js";
 import IndirectSale from "../models/IndirectSale.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
-import { toSignedValue } from "../utils/balanceUtils.js";
-import mongoose from "mongoose";
+import { toSignedValue, getFinancialYearStartDate } from "../utils/balanceUtils.js";
+import { sendWorkbook } from "../utils/excelExport.js";
+import { dayKey } from "../utils/periodLock.js";
+import { rebuildBalances, PARTY_TYPES } from "../services/balanceRebuild.js";
+import { getCarriedForwardBalances, carriedOpeningSigned } from "../services/yearEndClose.js";
 
 // Build hierarchical tree structure
 const buildTree = (groups) => {
@@ -70,23 +73,33 @@ const buildTree = (groups) => {
   return rootGroups;
 };
 
+const accountKey = (accountType, id) => `${accountType}:${id}`;
+
+// Balance map keys of every account, by id and by the names older entries use (ledgers first, like voucher entries)
+const buildAccountKeys = ({ ledgers, customers, vendors, dieselStations }) => {
+  const byId = new Map();
+  const byName = new Map();
+  const add = (accountType, doc, names) => {
+    const key = accountKey(accountType, doc._id);
+    byId.set(doc._id.toString(), key);
+    names.filter(Boolean).forEach(name => {
+      const normalized = name.toString().trim().toLowerCase();
+      if (!byName.has(normalized)) byName.set(normalized, key);
+    });
+  };
+  ledgers.forEach(l => add('ledger', l, [l.slug, l.name]));
+  customers.forEach(c => add('customer', c, [c.shopName, c.ownerName]));
+  vendors.forEach(v => add('vendor', v, [v.vendorName]));
+  dieselStations.forEach(d => add('dieselStation', d, [d.name]));
+  return { byId, byName };
+};
+
 // Build unified balance map from Vouchers, Trips, and Inventory Stocks
-const buildUnifiedBalanceMap = (allVouchers, allTrips, allStocks, allIndirectSales, idToNameMap) => {
-  const map = new Map(); // Key: normalized name (lowercase string)
-
-  const updateMap = (nameOrId, debit, credit) => {
-    if (!nameOrId) return;
-
-    // Resolve name if it's an ID
-    let name = nameOrId;
-    if (mongoose.Types.ObjectId.isValid(nameOrId)) {
-      name = idToNameMap.get(nameOrId.toString()) || nameOrId.toString();
-    } else if (typeof nameOrId === 'object' && nameOrId._id) {
-      // Handle populated objects
-      name = idToNameMap.get(nameOrId._id.toString()) || nameOrId.name || nameOrId.vendorName || nameOrId.shopName || nameOrId.toString();
-    }
+const buildUnifiedBalanceMap = (allVouchers, allTrips, allStocks, allIndirectSales, accountKeys) => {
+  const map = new Map(); // Key: accountKey(accountType, id)
 
-    const key = name.toString().trim().toLowerCase();
+  const addToKey = (key, debit, credit) => {
+    if (!key) return;
     const current = map.get(key) || { debitTotal: 0, creditTotal: 0 };
     map.set(key, {
       debitTotal: current.debitTotal + (Number(debit) || 0),
@@ -94,6 +107,13 @@ const buildUnifiedBalanceMap = (allVouchers, allTrips, allStocks, allIndirectSal
     });
   };
 
+  // Id (or populated document), falling back to the name for entries that only carry one
+  const updateMap = (ref, debit, credit) => {
+    if (!ref) return;
+    const value = (ref._id || ref).toString();
+    addToKey(accountKeys.byId.get(value) || accountKeys.byName.get(value.trim().toLowerCase()), debit, credit);
+  };
+
   // 1. Process Vouchers
   allVouchers.forEach(v => {
     if (!v.isActive) return;
@@ -122,7 +142,9 @@ const buildUnifiedBalanceMap = (allVouchers, allTrips, allStocks, allIndirectSal
       });
     } else {
       (v.entries || []).forEach(e => {
-        updateMap(e.account, e.debitAmount, e.creditAmount);
+        // Entries carry the account type and id; older ones only have the name
+        if (e.partyId) addToKey(accountKey(e.partyType, e.partyId), e.debitAmount, e.creditAmount);
+        else updateMap(e.account, e.debitAmount, e.creditAmount);
       });
     }
   });
@@ -202,9 +224,7 @@ const calculateLedgerBalance = (ledger, unifiedBalanceMap) => {
   try {
     const openingSigned = toSignedValue(ledger.openingBalance || 0, ledger.openingBalanceType || 'debit');
 
-    // Look up entries by ledger name
-    const normalizedName = (ledger.name || '').toString().trim().toLowerCase();
-    const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(normalizedName) : null;
+    const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(accountKey('ledger', ledger._id)) : null;
     const debitTotal = entryData ? entryData.debitTotal : 0;
     const creditTotal = entryData ? entryData.creditTotal : 0;
 
@@ -226,8 +246,7 @@ const calculateLedgerBalance = (ledger, unifiedBalanceMap) => {
 const calculateCustomerBalance = (customer, unifiedBalanceMap) => {
   const openingSigned = toSignedValue(customer.openingBalance || 0, customer.openingBalanceType || 'debit');
 
-  const normalizedName = (customer.shopName || '').toString().trim().toLowerCase();
-  const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(normalizedName) : null;
+  const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(accountKey('customer', customer._id)) : null;
   const debitTotal = entryData ? entryData.debitTotal : 0;
   const creditTotal = entryData ? entryData.creditTotal : 0;
 
@@ -238,8 +257,7 @@ const calculateCustomerBalance = (customer, unifiedBalanceMap) => {
 const calculateVendorBalance = (vendor, unifiedBalanceMap) => {
   const openingSigned = toSignedValue(vendor.openingBalance || 0, vendor.openingBalanceType || 'credit');
 
-  const normalizedName = (vendor.vendorName || '').toString().trim().toLowerCase();
-  const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(normalizedName) : null;
+  const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(accountKey('vendor', vendor._id)) : null;
   const debitTotal = entryData ? entryData.debitTotal : 0;
   const creditTotal = entryData ? entryData.creditTotal : 0;
 
@@ -250,8 +268,7 @@ const calculateVendorBalance = (vendor, unifiedBalanceMap) => {
 const calculateDieselStationBalance = (station, unifiedBalanceMap) => {
   const openingSigned = toSignedValue(station.openingBalance || 0, station.openingBalanceType || 'credit');
 
-  const normalizedName = (station.name || '').toString().trim().toLowerCase();
-  const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(normalizedName) : null;
+  const entryData = unifiedBalanceMap ? unifiedBalanceMap.get(accountKey('dieselStation', station._id)) : null;
   const debitTotal = entryData ? entryData.debitTotal : 0;
   const creditTotal = entryData ? entryData.creditTotal : 0;
 
@@ -564,15 +581,11 @@ export const getBalanceSheet = async (req, res, next) => {
     const assetsTree = buildTree(assetsGroups);
     const liabilityTree = buildTree(liabilityGroups);
 
-    // Build ID to Name Maps for ID resolution in Trips and Stocks
-    const idToNameMap = new Map();
-    allLedgers.forEach(l => idToNameMap.set(l._id.toString(), l.name));
-    allVendors.forEach(v => idToNameMap.set(v._id.toString(), v.vendorName));
-    allCustomers.forEach(c => idToNameMap.set(c._id.toString(), c.shopName));
-    allDieselStations.forEach(d => idToNameMap.set(d._id.toString(), d.name));
+    // Resolve ids (and names on older entries) in Vouchers, Trips and Stocks to accounts
+    const accountKeys = buildAccountKeys({ ledgers: allLedgers, customers: allCustomers, vendors: allVendors, dieselStations: allDieselStations });
 
     // Build unified balance map
-    const unifiedBalanceMap = buildUnifiedBalanceMap(allVouchers, allTrips, allStocks, allIndirectSales, idToNameMap);
+    const unifiedBalanceMap = buildUnifiedBalanceMap(allVouchers, allTrips, allStocks, allIndirectSales, accountKeys);
 
     // Build combinedStocks
     const tripStocks = [];
@@ -743,3 +756,270 @@ export const getBalanceSheet = async (req, res, next) => {
   }
 };
 
+
+// Recompute stored outstanding balances from source transactions (dry-run by default)
+export const rebuildOutstandingBalances = async (req, res, next) => {
+  try {
+    const { apply = false, partyTypes } = req.body || {};
+
+    let selectedTypes = PARTY_TYPES;
+    if (partyTypes !== undefined) {
+      if (!Array.isArray(partyTypes) || partyTypes.length === 0) {
+        throw new AppError(`partyTypes must be a non-empty array of: ${PARTY_TYPES.join(', ')}`, 400);
+      }
+      const invalid = partyTypes.filter(type => !PARTY_TYPES.includes(type));
+      if (invalid.length > 0) {
+        throw new AppError(`Invalid party type(s): ${invalid.join(', ')}`, 400);
+      }
+      selectedTypes = partyTypes;
+    }
+
+    const result = await rebuildBalances({
+      apply: apply === true || apply === 'true',
+      partyTypes: selectedTypes,
+      userId: req.user._id
+    });
+
+    const message = result.mode === 'apply'
+      ? `Rebuilt ${result.updated} outstanding balance(s)`
+      : `Found ${result.discrepancies.length} outstanding balance discrepancy(s)`;
+
+    successResponse(res, message, 200, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Opening balance side defaults match the calculate*Balance helpers above
+const TRIAL_BALANCE_ACCOUNT_TYPES = [
+  { accountType: 'ledger', nameField: 'name', defaultType: 'debit' },
+  { accountType: 'customer', nameField: 'shopName', defaultType: 'debit' },
+  { accountType: 'vendor', nameField: 'vendorName', defaultType: 'credit' },
+  { accountType: 'dieselStation', nameField: 'name', defaultType: 'credit' }
+];
+
+const splitSigned = (signed) => ({
+  debit: signed > 0 ? round2(signed) : 0,
+  credit: signed < 0 ? round2(-signed) : 0
+});
+
+const emptyTotals = () => ({ openingSigned: 0, debit: 0, credit: 0, closingSigned: 0 });
+
+const addToTotals = (totals, row) => {
+  totals.openingSigned += row.openingSigned;
+  totals.debit += row.debit;
+  totals.credit += row.credit;
+  totals.closingSigned += row.closingSigned;
+};
+
+const formatTrialBalanceRow = ({ openingSigned, debit, credit, closingSigned }) => {
+  const opening = splitSigned(openingSigned);
+  const closing = splitSigned(closingSigned);
+  return {
+    openingDebit: opening.debit,
+    openingCredit: opening.credit,
+    debit: round2(debit),
+    credit: round2(credit),
+    closingDebit: closing.debit,
+    closingCredit: closing.credit
+  };
+};
+
+// Signed subtotals kept on each group node for the roll-up; symbol keys stay out of the JSON response
+const GROUP_TOTALS = Symbol('groupTotals');
+
+// Group tree with accounts attached and subtotals rolled up from children
+const buildTrialBalanceTree = (nodes, accountsByGroup) => nodes.map(node => {
+  const accounts = accountsByGroup.get(node.id) || [];
+  const children = buildTrialBalanceTree(node.children || [], accountsByGroup);
+
+  const totals = emptyTotals();
+  accounts.forEach(account => addToTotals(totals, account));
+  children.forEach(child => addToTotals(totals, child[GROUP_TOTALS]));
+
+  return {
+    [GROUP_TOTALS]: totals,
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    ...formatTrialBalanceRow(totals),
+    accounts: accounts.map(account => account.row),
+    children
+  };
+});
+
+const trialBalanceSheets = (report) => {
+  const toRow = (level, name, kind, values) => ({
+    'Particulars': `${'    '.repeat(level)}${name}`,
+    'Kind': kind,
+    'Opening Dr': values.openingDebit,
+    'Opening Cr': values.openingCredit,
+    'Debit': values.debit,
+    'Credit': values.credit,
+    'Closing Dr': values.closingDebit,
+    'Closing Cr': values.closingCredit
+  });
+
+  const rows = [];
+  if (report.view === 'grouped') {
+    const walk = (groups, level) => groups.forEach(group => {
+      rows.push(toRow(level, group.name, `Group (${group.type})`, group));
+      group.accounts.forEach(account => rows.push(toRow(level + 1, account.name, account.accountType, account)));
+      walk(group.children, level + 1);
+    });
+    walk(report.groups, 0);
+  } else {
+    report.accounts.forEach(account => rows.push({ 'Group': account.groupName, ...toRow(0, account.name, account.accountType, account) }));
+  }
+  rows.push(toRow(0, 'TOTAL', '', report.totals));
+
+  return [{ name: 'Trial Balance', rows }];
+};
+
+// Trial balance for a period (?from&to, ?view=grouped|flat, ?hideZero=true, ?format=excel)
+export const getTrialBalance = async (req, res, next) => {
+  try {
+    const { from, to, view = 'grouped', hideZero, format } = req.query;
+    if (!['grouped', 'flat'].includes(view)) {
+      throw new AppError('view must be grouped or flat', 400);
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    if (isNaN(toDate.getTime())) {
+      throw new AppError('Invalid to date', 400);
+    }
+    toDate.setHours(23, 59, 59, 999);
+    const fromDate = from ? new Date(from) : getFinancialYearStartDate(toDate);
+    if (isNaN(fromDate.getTime())) {
+      throw new AppError('Invalid from date', 400);
+    }
+    fromDate.setHours(0, 0, 0, 0);
+    if (fromDate > toDate) {
+      throw new AppError('from date must be on or before to date', 400);
+    }
+
+    // Same sources and date fields as the balance sheet (trips by createdAt)
+    const dateQuery = { date: { $lte: toDate } };
+    const [allLedgers, allVendors, allCustomers, allDieselStations, allGroups, allVouchers, allTrips, allStocks, allIndirectSales] = await Promise.all([
+      Ledger.find({ isActive: true }).lean(),
+      Vendor.find({ isActive: true }).lean(),
+      Customer.find({ isActive: true }).lean(),
+      DieselStation.find({ isActive: true }).lean(),
+      Group.find({ isActive: true }).sort({ name: 1 }).lean(),
+      Voucher.find({ isActive: true, ...dateQuery }).lean(),
+      Trip.find({ createdAt: { $lte: toDate } }).lean(),
+      InventoryStock.find(dateQuery).lean(),
+      IndirectSale.find(dateQuery).lean()
+    ]);
+
+    const accountKeys = buildAccountKeys({ ledgers: allLedgers, customers: allCustomers, vendors: allVendors, dieselStations: allDieselStations });
+
+    // Openings start from the balances carried forward by the latest year-end close
+    const carried = await getCarriedForwardBalances(fromDate);
+    const isBefore = (date) => new Date(date) < fromDate;
+    const isInOpening = (date) => isBefore(date) && !(carried && new Date(date) < carried.yearStart);
+    const openingMap = buildUnifiedBalanceMap(
+      allVouchers.filter(v => isInOpening(v.date)),
+      allTrips.filter(t => isInOpening(t.createdAt)),
+      allStocks.filter(s => isInOpening(s.date)),
+      allIndirectSales.filter(s => isInOpening(s.date)),
+      accountKeys
+    );
+    const periodMap = buildUnifiedBalanceMap(
+      allVouchers.filter(v => !isBefore(v.date)),
+      allTrips.filter(t => !isBefore(t.createdAt)),
+      allStocks.filter(s => !isBefore(s.date)),
+      allIndirectSales.filter(s => !isBefore(s.date)),
+      accountKeys
+    );
+
+    const groupNames = new Map(allGroups.map(g => [g._id.toString(), g.name]));
+    const partiesByType = { ledger: allLedgers, customer: allCustomers, vendor: allVendors, dieselStation: allDieselStations };
+    const skipZero = hideZero === 'true';
+
+    const accounts = [];
+    TRIAL_BALANCE_ACCOUNT_TYPES.forEach(({ accountType, nameField, defaultType }) => {
+      partiesByType[accountType].forEach(party => {
+        const key = accountKey(accountType, party._id);
+        const before = openingMap.get(key) || { debitTotal: 0, creditTotal: 0 };
+        const during = periodMap.get(key) || { debitTotal: 0, creditTotal: 0 };
+
+        const openingSigned = carriedOpeningSigned(carried, accountType, party, defaultType)
+          + before.debitTotal - before.creditTotal;
+        const closingSigned = openingSigned + during.debitTotal - during.creditTotal;
+        const values = { openingSigned, debit: during.debitTotal, credit: during.creditTotal, closingSigned };
+
+        if (skipZero && Math.abs(openingSigned) < 0.01 && Math.abs(closingSigned) < 0.01 && !during.debitTotal && !during.creditTotal) return;
+
+        const groupId = party.group ? party.group.toString() : null;
+        accounts.push({
+          ...values,
+          groupId: groupId && groupNames.has(groupId) ? groupId : null,
+          row: {
+            id: party._id,
+            name: party[nameField],
+            accountType,
+            groupName: (groupId && groupNames.get(groupId)) || 'Ungrouped',
+            ...formatTrialBalanceRow(values)
+          }
+        });
+      });
+    });
+
+    const totals = emptyTotals();
+    let openingDebit = 0;
+    let openingCredit = 0;
+    let closingDebit = 0;
+    let closingCredit = 0;
+    accounts.forEach(account => {
+      addToTotals(totals, account);
+      openingDebit += account.row.openingDebit;
+      openingCredit += account.row.openingCredit;
+      closingDebit += account.row.closingDebit;
+      closingCredit += account.row.closingCredit;
+    });
+    const reportTotals = {
+      openingDebit: round2(openingDebit),
+      openingCredit: round2(openingCredit),
+      debit: round2(totals.debit),
+      credit: round2(totals.credit),
+      closingDebit: round2(closingDebit),
+      closingCredit: round2(closingCredit)
+    };
+    const check = {
+      periodDifference: round2(reportTotals.debit - reportTotals.credit),
+      closingDifference: round2(reportTotals.closingDebit - reportTotals.closingCredit)
+    };
+    check.isBalanced = Math.abs(check.periodDifference) < 0.01 && Math.abs(check.closingDifference) < 0.01;
+
+    const report = { from: fromDate, to: toDate, view, totals: reportTotals, check };
+
+    if (view === 'grouped') {
+      const accountsByGroup = new Map();
+      accounts.forEach(account => {
+        const key = account.groupId || 'ungrouped';
+        if (!accountsByGroup.has(key)) accountsByGroup.set(key, []);
+        accountsByGroup.get(key).push(account);
+      });
+      const tree = buildTree(allGroups);
+      if (accountsByGroup.has('ungrouped')) {
+        tree.push({ id: 'ungrouped', name: 'Ungrouped', type: 'Others', children: [] });
+      }
+      report.groups = buildTrialBalanceTree(tree, accountsByGroup);
+    } else {
+      report.accounts = accounts
+        .map(account => account.row)
+        .sort((a, b) => a.groupName.localeCompare(b.groupName) || (a.name || '').localeCompare(b.name || ''));
+    }
+
+    if (format === 'excel') {
+      const suffix = `${dayKey(fromDate)}_${dayKey(toDate)}`;
+      return sendWorkbook(res, trialBalanceSheets(report), `trial_balance_${suffix}.xlsx`);
+    }
+    successResponse(res, "Trial balance generated successfully", 200, report);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import Ledger from '../models/Ledger.js';
+import BankStatement from '../models/BankStatement.js';
+import BankStatementLine from '../models/BankStatementLine.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { parseStatementPeriod } from '../services/customerStatement.js';
+import {
+    DEFAULT_STATEMENT_MAPPING,
+    importBankStatement,
+    rematchLedger,
+    matchLineManually,
+    unmatchLine,
+    ignoreLine,
+    getReconciliationSummary
+} from '../services/bankReconciliation/index.js';
+import { getUnreconciledBookEntries } from '../services/bankReconciliation/bookEntries.js';
+
+const MAPPING_FIELDS = Object.keys(DEFAULT_STATEMENT_MAPPING);
+
+const parseDateWindow = (value) => {
+    if (value === undefined || value === '') return 3;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0 || days > 30) {
+        throw new AppError('dateWindowDays must be a whole number between 0 and 30', 400);
+    }
+    return days;
+};
+
+// Column mapping used for a bank ledger's statements (defaults when none is saved)
+export const getStatementMapping = async (req, res, next) => {
+    try {
+        const ledger = await Ledger.findOne({ _id: req.params.ledgerId, isActive: true }).select('name statementMapping');
+        if (!ledger) {
+            throw new AppError('Ledger not found', 404);
+        }
+
+        successResponse(res, "Statement mapping retrieved successfully", 200, {
+            ledger: { id: ledger._id, name: ledger.name },
+            mapping: ledger.statementMapping || DEFAULT_STATEMENT_MAPPING,
+            isDefault: !ledger.statementMapping
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const updateStatementMapping = async (req, res, next) => {
+    try {
+        const ledger = await Ledger.findOne({ _id: req.params.ledgerId, isActive: true });
+        if (!ledger) {
+            throw new AppError('Ledger not found', 404);
+        }
+
+        const mapping = { ...(ledger.statementMapping?.toObject() || DEFAULT_STATEMENT_MAPPING) };
+        MAPPING_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) mapping[field] = req.body[field];
+        });
+        if (!mapping.amountColumn && (!mapping.debitColumn || !mapping.creditColumn)) {
+            throw new AppError('Map either an amount column or both debit and credit columns', 400);
+        }
+
+        ledger.statementMapping = mapping;
+        ledger.updatedBy = req.user._id;
+        await ledger.save();
+
+        successResponse(res, "Statement mapping updated successfully", 200, ledger.statementMapping);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Upload a CSV/XLSX statement (multipart field "file"); an optional "mapping" JSON overrides the saved one
+export const uploadStatement = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            throw new AppError('Statement file is required (field "file")', 400);
+        }
+
+        let mapping;
+        if (req.body.mapping) {
+            try {
+                mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+            } catch {
+                throw new AppError('mapping must be valid JSON', 400);
+            }
+        }
+
+        const { statement, lines } = await importBankStatement({
+            ledgerId: req.params.ledgerId,
+            buffer: req.file.buffer,
+            fileName: req.file.originalname,
+            mapping,
+            dateWindowDays: parseDateWindow(req.body.dateWindowDays),
+            userId: req.user._id
+        });
+
+        successResponse(res, "Bank statement imported successfully", 201, {
+            statement,
+            unreconciled: lines.filter(line => line.status === 'unreconciled')
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getStatements = async (req, res, next) => {
+    try {
+        const { ledger, page = 1, limit = 20 } = req.query;
+        const query = {};
+        if (ledger) query.ledger = ledger;
+
+        const statements = await BankStatement.find(query)
+            .populate('ledger', 'name')
+            .populate('uploadedBy', 'name')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+        const total = await BankStatement.countDocuments(query);
+
+        successResponse(res, "Bank statements retrieved successfully", 200, {
+            statements,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getStatementById = async (req, res, next) => {
+    try {
+        const statement = await BankStatement.findById(req.params.id)
+            .populate('ledger', 'name')
+            .populate('uploadedBy', 'name');
+        if (!statement) {
+            throw new AppError('Bank statement not found', 404);
+        }
+        const lines = await BankStatementLine.find({ statement: statement._id }).sort({ date: 1, _id: 1 });
+
+        successResponse(res, "Bank statement retrieved successfully", 200, { statement, lines });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Statement lines by status; ?status=unreconciled is the manual matching queue
+export const getStatementLines = async (req, res, next) => {
+    try {
+        const { ledger, status, startDate, endDate, page = 1, limit = 50 } = req.query;
+        const query = {};
+        if (ledger) query.ledger = ledger;
+        if (status) query.status = status;
+        if (startDate || endDate) {
+            const { from, to } = parseStatementPeriod(startDate, endDate);
+            query.date = { $gte: from, $lte: to };
+        }
+
+        const lines = await BankStatementLine.find(query)
+            .populate('ledger', 'name')
+            .populate('match.matchedBy', 'name')
+            .sort({ date: 1, _id: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+        const total = await BankStatementLine.countDocuments(query);
+
+        successResponse(res, "Statement lines retrieved successfully", 200, {
+            lines,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const matchStatementLine = async (req, res, next) => {
+    try {
+        const { sourceType, sourceId, entryId, notes } = req.body;
+        if (!sourceType || !mongoose.Types.ObjectId.isValid(sourceId) || (entryId && !mongoose.Types.ObjectId.isValid(entryId))) {
+            throw new AppError('sourceType and a valid sourceId are required', 400);
+        }
+
+        const line = await matchLineManually({
+            lineId: req.params.lineId,
+            sourceType,
+            sourceId,
+            entryId,
+            notes,
+            userId: req.user._id
+        });
+        successResponse(res, "Statement line reconciled", 200, line);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const unmatchStatementLine = async (req, res, next) => {
+    try {
+        const line = await unmatchLine({ lineId: req.params.lineId });
+        successResponse(res, "Statement line moved back to unreconciled", 200, line);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const ignoreStatementLine = async (req, res, next) => {
+    try {
+        const line = await ignoreLine({ lineId: req.params.lineId, notes: req.body.notes });
+        successResponse(res, "Statement line ignored", 200, line);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Retry auto matching for the ledger's unreconciled lines (e.g. after missing receipts were entered)
+export const autoMatchLedger = async (req, res, next) => {
+    try {
+        const result = await rematchLedger({
+            ledgerId: req.params.ledgerId,
+            dateWindowDays: parseDateWindow(req.body.dateWindowDays),
+            userId: req.user._id
+        });
+        successResponse(res, "Auto match completed", 200, result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Book entries on the ledger not yet reconciled, to pick from when matching by hand
+export const getUnreconciledEntries = async (req, res, next) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const period = parseStatementPeriod(startDate, endDate);
+        const entries = await getUnreconciledBookEntries(req.params.ledgerId, period);
+
+        successResponse(res, "Unreconciled book entries retrieved successfully", 200, { period, entries });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getLedgerReconciliationSummary = async (req, res, next) => {
+    try {
+        const { startDate, endDate } = req.query;
+        const { from, to } = parseStatementPeriod(startDate, endDate);
+        const summary = await getReconciliationSummary({ ledgerId: req.params.ledgerId, from, to });
+
+        successResponse(res, "Reconciliation summary retrieved successfully", 200, summary);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import CashHandover from '../models/CashHandover.js';
+import User from '../models/User.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { sendWorkbook } from '../utils/excelExport.js';
+import { dayKey, toLocalDate } from '../utils/periodLock.js';
+import {
+    recordHandover,
+    getSupervisorCashBalance,
+    buildSupervisorCashStatement,
+    buildCashHandoverReport,
+    cashHandoverReportSheets
+} from '../services/supervisorCash.js';
+
+// startDate/endDate as YYYY-MM-DD (default: the last 30 days up to today); both days are included
+const parseRange = (startDate, endDate) => {
+    const end = endDate ? toLocalDate(endDate) : new Date();
+    const start = startDate ? toLocalDate(startDate) : end && new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+    if (!start || !end) {
+        throw new AppError('Invalid startDate/endDate', 400);
+    }
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    if (start > end) {
+        throw new AppError('startDate must be on or before endDate', 400);
+    }
+    return { start, end };
+};
+
+// Body: { supervisor, amount, date, trip, cashLedger, notes }
+export const createHandover = async (req, res, next) => {
+    try {
+        const handover = await recordHandover(req.body, { userId: req.user._id });
+
+        const populated = await CashHandover.findById(handover._id)
+            .populate('supervisor', 'name mobileNumber')
+            .populate('trip', 'tripId date')
+            .populate('cashLedger', 'name')
+            .populate('receivedBy', 'name');
+
+        successResponse(res, "Cash handover recorded successfully", 201, populated);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getHandovers = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, supervisor, trip, startDate, endDate } = req.query;
+
+        const query = { isActive: true };
+        if (req.user.role === 'supervisor') {
+            query.supervisor = req.user._id;
+        } else if (supervisor) {
+            query.supervisor = supervisor;
+        }
+        if (trip) query.trip = trip;
+        if (startDate || endDate) {
+            const { start, end } = parseRange(startDate || endDate, endDate || startDate);
+            query.date = { $gte: start, $lte: end };
+        }
+
+        const handovers = await CashHandover.find(query)
+            .populate('supervisor', 'name mobileNumber')
+            .populate('trip', 'tripId date')
+            .populate('cashLedger', 'name')
+            .populate('receivedBy', 'name')
+            .sort({ date: -1, createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await CashHandover.countDocuments(query);
+
+        successResponse(res, "Cash handovers retrieved successfully", 200, {
+            handovers,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const deleteHandover = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            throw new AppError('Invalid handover id', 400);
+        }
+        const handover = await CashHandover.findOne({ _id: req.params.id, isActive: true });
+        if (!handover) throw new AppError('Cash handover not found', 404);
+
+        handover.isActive = false;
+        handover.updatedBy = req.user._id;
+        await handover.save();
+
+        successResponse(res, "Cash handover deleted successfully", 200, handover);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Cash each active supervisor holds right now
+export const getSupervisorBalances = async (req, res, next) => {
+    try {
+        const supervisors = await User.find({ role: 'supervisor', isActive: true }).select('name mobileNumber').sort({ name: 1 }).lean();
+
+        const balances = [];
+        for (const supervisor of supervisors) {
+            balances.push({
+                supervisor: supervisor._id,
+                name: supervisor.name,
+                mobileNumber: supervisor.mobileNumber,
+                cashInHand: await getSupervisorCashBalance(supervisor._id)
+            });
+        }
+
+        successResponse(res, "Supervisor cash balances retrieved successfully", 200, {
+            balances,
+            totalCashInHand: Math.round(balances.reduce((sum, b) => sum + b.cashInHand, 0) * 100) / 100
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Supervisor cash account with running balance (?startDate, ?endDate); supervisors see their own
+export const getSupervisorCashStatement = async (req, res, next) => {
+    try {
+        const { supervisorId } = req.params;
+        if (req.user.role === 'supervisor' && supervisorId !== req.user._id.toString()) {
+            throw new AppError('You can only view your own cash account', 403);
+        }
+        const { start, end } = parseRange(req.query.startDate, req.query.endDate);
+
+        const statement = await buildSupervisorCashStatement(supervisorId, { startDate: start, endDate: end });
+        successResponse(res, "Supervisor cash statement generated successfully", 200, statement);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Day-end shortage/excess per supervisor (?startDate, ?endDate, ?supervisor, ?format=excel)
+export const getHandoverReport = async (req, res, next) => {
+    try {
+        const { supervisor, format } = req.query;
+        const { start, end } = parseRange(req.query.startDate, req.query.endDate);
+
+        const report = await buildCashHandoverReport({ startDate: start, endDate: end, supervisor: supervisor || null });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, cashHandoverReportSheets(report), `cash_handover_${dayKey(start)}_${dayKey(end)}.xlsx`);
+        }
+        successResponse(res, "Cash handover report generated successfully", 200, report);
+    } catch (error) {
+        next(error);
+    }
+};
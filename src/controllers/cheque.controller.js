@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import Cheque from '../models/Cheque.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import {
+    CHEQUE_PARTY_TYPES,
+    PENDING_CHEQUE_STATUSES,
+    resolveChequeParty,
+    resolveBankLedger,
+    depositCheque as depositChequeService,
+    clearCheque as clearChequeService,
+    bounceCheque as bounceChequeService
+} from '../services/cheques.js';
+
+const EDITABLE_FIELDS = ['chequeNumber', 'bankName', 'chequeDate', 'receivedDate', 'issueDate', 'amount', 'partyType', 'partyId', 'account', 'narration'];
+
+// Aggregations do not cast query values, so ids are converted up front
+const toObjectId = (value, label) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new AppError(`Invalid ${label}`, 400);
+    }
+    return new mongoose.Types.ObjectId(value);
+};
+
+const populateCheque = (query) => query
+    .populate('account', 'name')
+    .populate('voucher', 'voucherNumber voucherType date')
+    .populate('reversalVoucher', 'voucherNumber voucherType date')
+    .populate('chargesVoucher', 'voucherNumber voucherType date')
+    .populate('createdBy', 'name')
+    .populate('updatedBy', 'name');
+
+export const getCheques = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10, direction, status, partyType, partyId, account, startDate, endDate, pending, search } = req.query;
+
+        const query = { isActive: true };
+        if (direction) query.direction = direction;
+        if (status) query.status = status;
+        if (pending === 'true') query.status = { $in: PENDING_CHEQUE_STATUSES };
+        if (partyType) query.partyType = partyType;
+        if (partyId) query.partyId = toObjectId(partyId, 'party id');
+        if (account) query.account = toObjectId(account, 'account id');
+
+        // Filters on the date written on the cheque, so post-dated cheques falling due can be listed
+        if (startDate || endDate) {
+            query.chequeDate = {};
+            if (startDate) query.chequeDate.$gte = new Date(startDate);
+            if (endDate) query.chequeDate.$lte = new Date(endDate);
+        }
+
+        if (search) {
+            query.$or = [
+                { chequeNumber: { $regex: search, $options: 'i' } },
+                { partyName: { $regex: search, $options: 'i' } },
+                { bankName: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const cheques = await populateCheque(Cheque.find(query))
+            .sort({ chequeDate: 1, createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Cheque.countDocuments(query);
+        const [totals] = await Cheque.aggregate([
+            { $match: query },
+            { $group: { _id: null, totalAmount: { $sum: '$amount' } } }
+        ]);
+
+        successResponse(res, "Cheques retrieved successfully", 200, {
+            cheques,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            },
+            totals: {
+                totalAmount: totals?.totalAmount || 0
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getChequeById = async (req, res, next) => {
+    try {
+        const cheque = await populateCheque(Cheque.findOne({ _id: req.params.id, isActive: true }))
+            .populate('statusHistory.changedBy', 'name');
+        if (!cheque) {
+            throw new AppError('Cheque not found', 404);
+        }
+
+        successResponse(res, "Cheque retrieved successfully", 200, cheque);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const createCheque = async (req, res, next) => {
+    try {
+        const { direction, chequeNumber, bankName, chequeDate, receivedDate, issueDate, amount, partyType, partyId, account, narration } = req.body;
+
+        if (!['received', 'issued'].includes(direction)) {
+            throw new AppError('Direction must be received or issued', 400);
+        }
+        if (!CHEQUE_PARTY_TYPES.includes(partyType)) {
+            throw new AppError(`Party type must be one of: ${CHEQUE_PARTY_TYPES.join(', ')}`, 400);
+        }
+        const { name } = await resolveChequeParty(partyType, partyId);
+
+        // An issued cheque is drawn on one of our bank accounts from the start
+        if (direction === 'issued' && !account) {
+            throw new AppError('Bank account ledger is required for an issued cheque', 400);
+        }
+        if (account) await resolveBankLedger(account);
+
+        const date = direction === 'received' ? (receivedDate || new Date()) : (issueDate || new Date());
+        const cheque = await Cheque.create({
+            direction,
+            chequeNumber,
+            bankName,
+            chequeDate,
+            receivedDate: direction === 'received' ? date : undefined,
+            issueDate: direction === 'issued' ? date : undefined,
+            amount,
+            partyType,
+            partyId,
+            partyName: name,
+            account: account || undefined,
+            status: direction,
+            narration,
+            statusHistory: [{ status: direction, date, changedBy: req.user._id }],
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        successResponse(res, "Cheque recorded successfully", 201, cheque);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Details can be corrected until the cheque clears; after that the voucher is the record
+export const updateCheque = async (req, res, next) => {
+    try {
+        const cheque = await Cheque.findOne({ _id: req.params.id, isActive: true });
+        if (!cheque) {
+            throw new AppError('Cheque not found', 404);
+        }
+        if (!PENDING_CHEQUE_STATUSES.includes(cheque.status)) {
+            throw new AppError(`A ${cheque.status} cheque cannot be edited`, 400);
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) cheque[field] = req.body[field];
+        });
+
+        if (req.body.partyType !== undefined || req.body.partyId !== undefined) {
+            const { name } = await resolveChequeParty(cheque.partyType, cheque.partyId);
+            cheque.partyName = name;
+        }
+        if (req.body.account) await resolveBankLedger(req.body.account);
+        if (cheque.direction === 'issued' && !cheque.account) {
+            throw new AppError('Bank account ledger is required for an issued cheque', 400);
+        }
+
+        cheque.updatedBy = req.user._id;
+        await cheque.save();
+
+        successResponse(res, "Cheque updated successfully", 200, cheque);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const deleteCheque = async (req, res, next) => {
+    try {
+        const cheque = await Cheque.findOne({ _id: req.params.id, isActive: true });
+        if (!cheque) {
+            throw new AppError('Cheque not found', 404);
+        }
+        if (cheque.voucher) {
+            throw new AppError('A cheque with vouchers cannot be deleted', 400);
+        }
+
+        cheque.isActive = false;
+        cheque.updatedBy = req.user._id;
+        await cheque.save();
+
+        successResponse(res, "Cheque deleted successfully", 200, cheque);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const depositCheque = async (req, res, next) => {
+    try {
+        const { date, account, note } = req.body;
+        const cheque = await depositChequeService(req.params.id, { date, account, note, userId: req.user._id });
+        successResponse(res, "Cheque marked as deposited", 200, cheque);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const clearCheque = async (req, res, next) => {
+    try {
+        const { date, note } = req.body;
+        const cheque = await clearChequeService(req.params.id, { date, note, userId: req.user._id });
+        const populated = await populateCheque(Cheque.findById(cheque._id));
+        successResponse(res, "Cheque cleared and voucher created", 200, populated);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body: { date, reason, bankCharges, chargesLedger, recoverFromParty }
+export const bounceCheque = async (req, res, next) => {
+    try {
+        const { date, reason, bankCharges, chargesLedger, recoverFromParty } = req.body;
+        const cheque = await bounceChequeService(req.params.id, {
+            date, reason, bankCharges, chargesLedger, recoverFromParty, userId: req.user._id
+        });
+        const populated = await populateCheque(Cheque.findById(cheque._id));
+        successResponse(res, "Cheque marked as bounced", 200, populated);
+    } catch (error) {
+        next(error);
+    }
+};
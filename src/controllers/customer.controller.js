@@ -10,6 +10,11 @@ import bcrypt from 'bcrypt';
 import validator from 'validator';
 import mongoose from "mongoose";
 import { syncOutstandingBalance, toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { getBusinessProfile } from "../utils/businessProfile.js";
+import { dayKey } from "../utils/periodLock.js";
+import { buildCustomerStatement, parseStatementPeriod } from "../services/customerStatement.js";
+import { renderCustomerStatementPdf } from "../services/pdf/customerStatementPdf.js";
+import { isPartyEntry, partyEntryClauses } from "../services/voucherPosting.js";
 
 export const addCustomer = async (req, res, next) => {
     try {
@@ -468,8 +473,8 @@ export const getCustomerDashboardStats = async (req, res, next) => {
                         }
                     }
                 },
-                // For Journal: match via account name if needed (ledger logic uses name)
-                { "entries.account": customer.shopName }
+                // For Journal: match the entry's account id (older entries by name)
+                ...partyEntryClauses('customer', customerId, [customer.shopName])
             ]
         }).lean();
 
@@ -520,7 +525,7 @@ export const getCustomerDashboardStats = async (req, res, next) => {
             } else {
                 particulars = 'JOURNAL';
                 // Calculate journal amount for this customer
-                const entry = voucher.entries?.find(e => e.account === customer.shopName);
+                const entry = voucher.entries?.find(e => isPartyEntry(e, 'customer', customerId, [customer.shopName]));
                 if (entry) {
                     amount = entry.debitAmount !== 0 ? entry.debitAmount : entry.creditAmount;
                 }
@@ -612,10 +617,8 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
                     }
                 },
 
-                // 2. Match via entries.account field (Journal case)
-                customerName ? {
-                    "entries.account": customerName
-                } : {}
+                // 2. Match via entries account id, or name for older entries (Journal case)
+                ...partyEntryClauses('customer', customerId, [customerName])
             ]
         }).populate('account', 'name')
             .sort({ date: 1, createdAt: 1 });
@@ -970,7 +973,7 @@ export const getCustomerPurchaseLedger = async (req, res, next) => {
             const particulars = voucher.voucherType === 'Payment' ? 'RECEIPT' : voucher.voucherType === 'Receipt' ? 'PAYMENT' : 'JOURNAL';
 
             // For Journal Voucher entry: Find matching entry for the logged-in customer
-            const entryJrVchr = voucher.entries.find(e => e.account === customerName);
+            const entryJrVchr = voucher.entries.find(e => isPartyEntry(e, 'customer', customerId, [customerName]));
             // For Journal Voucher entry: Extract non-zero amount
             const amountJrVchr = entryJrVchr
                 ? (entryJrVchr.debitAmount !== 0 ? entryJrVchr.debitAmount : entryJrVchr.creditAmount)
@@ -1328,6 +1331,60 @@ export const getCustomerOutstandingBalance = async (req, res, next) => {
     }
 };
 
+// Send a customer's account statement as a PDF (default) or JSON (?format=json)
+const sendCustomerStatement = async (req, res, customer) => {
+    const { startDate, endDate, format = 'pdf' } = req.query;
+    const period = parseStatementPeriod(startDate, endDate);
+    const statement = await buildCustomerStatement(customer, period);
+
+    if (format === 'json') {
+        return successResponse(res, "Customer statement generated successfully", 200, statement);
+    }
+
+    const business = await getBusinessProfile();
+    const pdf = await renderCustomerStatementPdf(statement, business);
+    const safeName = (customer.shopName || 'customer').replace(/[^a-z0-9]+/gi, '_');
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="statement_${safeName}_${dayKey(period.from)}_${dayKey(period.to)}.pdf"`,
+        'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+};
+
+// Statement by Customer ID (admin)
+export const getCustomerStatement = async (req, res, next) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            throw new AppError('Customer not found', 404);
+        }
+        await sendCustomerStatement(req, res, customer);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Statement by User ID (customer panel); customers can only download their own
+export const getCustomerPanelStatement = async (req, res, next) => {
+    try {
+        const { id } = req.params; // User ID
+
+        if (req.user.role === 'customer' && req.user._id.toString() !== id) {
+            throw new AppError('You can only download your own statement', 403);
+        }
+
+        const customer = await Customer.findOne({ user: id, isActive: true });
+        if (!customer) {
+            throw new AppError('Customer profile not found', 404);
+        }
+        await sendCustomerStatement(req, res, customer);
+    } catch (error) {
+        next(error);
+    }
+};
+
 export const updateCustomerOutstandingBalance = async (req, res, next) => {
     try {
         const { customerId } = req.params;
@@ -121,6 +121,7 @@ export const deleteDieselStation = async (req, res, next) => {
 import Voucher from "../models/Voucher.js";
 import Trip from "../models/Trip.js";
 import { toSignedValue, fromSignedValue, addToBalance } from "../utils/balanceUtils.js";
+import { isPartyEntry, partyEntryClauses } from "../services/voucherPosting.js";
 
 export const getDieselStationDetails = async (req, res, next) => {
   try {
@@ -153,7 +154,7 @@ export const getDieselStationDetails = async (req, res, next) => {
       isActive: true,
       $or: [
         { "parties.partyId": id },
-        { "entries.account": station.name } // Heuristic for journals
+        ...partyEntryClauses('dieselStation', id, [station.name]) // Journals, older ones by name
       ]
     }).lean();
 
@@ -202,7 +203,7 @@ export const getDieselStationDetails = async (req, res, next) => {
           particulars = `Payment Voucher #${voucher.voucherNumber}`;
         }
       } else if (voucher.voucherType === 'Journal') {
-        const entry = voucher.entries?.find(e => e.account === station.name);
+        const entry = voucher.entries?.find(e => isPartyEntry(e, 'dieselStation', id, [station.name]));
         if (entry) {
           if (entry.creditAmount > 0) credit += entry.creditAmount;
           if (entry.debitAmount > 0) debit += entry.debitAmount;
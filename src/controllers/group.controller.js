@@ -10,6 +10,7 @@ import DieselStation from "../models/DieselStation.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
 import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { isPartyEntry } from "../services/voucherPosting.js";
 
 // Helper function to check for circular references
 const checkCircularReference = async (groupId, parentGroupId) => {
@@ -317,7 +318,7 @@ const calculateLedgerBalance = (ledgerDoc, startDate = null, endDate = null, pre
                     // Journal/Contra
                     if (v.entries) {
                         v.entries.forEach(e => {
-                            if (e.account && e.account.toString().trim().toLowerCase() === ledgerName.trim().toLowerCase()) {
+                            if (isPartyEntry(e, 'ledger', ledgerId, [ledgerName])) {
                                 debit += e.debitAmount || 0;
                                 credit += e.creditAmount || 0;
                                 isMatch = true;
@@ -463,7 +464,7 @@ const calculateCustomerBalance = (customerDoc, startDate = null, endDate = null,
                     }
                 } else {
                     // Journal
-                    const entry = v.entries?.find(e => e.account === customerName);
+                    const entry = v.entries?.find(e => isPartyEntry(e, 'customer', customerId, [customerName]));
                     if (entry) {
                         amount = entry.debitAmount || entry.creditAmount;
                         type = entry.debitAmount > 0 ? 'debit' : 'credit';
@@ -622,7 +623,7 @@ const calculateVendorBalance = (vendorDoc, startDate = null, endDate = null, pre
                 let isMatch = false;
 
                 if (v.voucherType === 'Journal') {
-                    const entry = v.entries?.find(e => e.account === vendorName);
+                    const entry = v.entries?.find(e => isPartyEntry(e, 'vendor', vendorId, [vendorName]));
                     if (entry) {
                         if (entry.creditAmount > 0) {
                             amount = entry.creditAmount;
@@ -667,6 +668,8 @@ const calculateVendorBalance = (vendorDoc, startDate = null, endDate = null, pre
             });
         }
 
+        // TDS is posted as Journal vouchers (vendor Dr) and counted with the vouchers above
+
         // 2. Trips (Purchases)
         if (Array.isArray(preFetchedTrips)) {
             preFetchedTrips.forEach(trip => {
@@ -677,16 +680,10 @@ const calculateVendorBalance = (vendorDoc, startDate = null, endDate = null, pre
                 trip.purchases.forEach(purchase => {
                     if (purchase.supplier && purchase.supplier.toString() === vendorId.toString()) {
                         let purchaseAmount = purchase.amount || 0;
-                        let tdsAmount = 0;
-                        if (vendorDoc.tdsApplicable && (vendorDoc.tdsUpdatedAt && new Date(trip.date) > new Date(vendorDoc.tdsUpdatedAt))) {
-                            tdsAmount = purchaseAmount * 0.001;
-                        }
 
                         allCredit += purchaseAmount;
-                        allDebit += tdsAmount;
 
                         if (isInPeriod) {
-                            if (tdsAmount > 0) periodDebit += tdsAmount;
                             periodCredit += purchaseAmount;
                             birdsTotal += purchase.birds || 0;
                             weightTotal += purchase.weight || 0;
@@ -705,16 +702,10 @@ const calculateVendorBalance = (vendorDoc, startDate = null, endDate = null, pre
 
                 if (sale.vendor && sale.vendor.toString() === vendorId.toString()) {
                     const purchaseAmt = sale.summary?.totalPurchaseAmount || 0;
-                    let tdsAmount = 0;
-                    if (vendorDoc.tdsApplicable && (vendorDoc.tdsUpdatedAt && new Date(sale.date) > new Date(vendorDoc.tdsUpdatedAt))) {
-                        tdsAmount = purchaseAmt * 0.001;
-                    }
 
                     allCredit += purchaseAmt;
-                    allDebit += tdsAmount;
 
                     if (isInPeriod) {
-                        if (tdsAmount > 0) periodDebit += tdsAmount;
                         periodCredit += purchaseAmt;
                         birdsTotal += sale.summary?.totalPurchaseBirds || 0;
                         weightTotal += sale.summary?.totalPurchaseWeight || 0;
@@ -734,16 +725,10 @@ const calculateVendorBalance = (vendorDoc, startDate = null, endDate = null, pre
                 if (stockVendorId && stockVendorId.toString() === vendorId.toString()) {
                     if (stock.type === 'purchase' || stock.type === 'opening') {
                         let stockAmount = stock.amount || 0;
-                        let tdsAmount = 0;
-                        if (vendorDoc.tdsApplicable && (vendorDoc.tdsUpdatedAt && new Date(stock.date) > new Date(vendorDoc.tdsUpdatedAt))) {
-                            tdsAmount = stockAmount * 0.001;
-                        }
 
                         allCredit += stockAmount;
-                        allDebit += tdsAmount;
 
                         if (isInPeriod) {
-                            if (tdsAmount > 0) periodDebit += tdsAmount;
                             periodCredit += stockAmount;
                             birdsTotal += stock.birds || 0;
                             weightTotal += stock.weight || 0;
@@ -861,7 +846,7 @@ const calculateDieselStationBalance = (stationDoc, startDate = null, endDate = n
                     }
                 } else if (v.voucherType === 'Journal') {
                     // Journal check entries
-                    const entry = v.entries?.find(e => e.account === stationName); // Assuming account name match for journal
+                    const entry = v.entries?.find(e => isPartyEntry(e, 'dieselStation', stationId, [stationName]));
                     if (entry) {
                         if (entry.creditAmount > 0) {
                             amount = entry.creditAmount;
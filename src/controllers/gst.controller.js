@@ -0,0 +1,144 @@
+import Setting from '../models/Setting.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { sendWorkbook } from '../utils/excelExport.js';
+import { GST_SETTING, getGstConfig, mergeGstConfig } from '../utils/gst.js';
+import {
+    buildGstRegister,
+    buildGstr1,
+    buildGstr3b,
+    gstRegisterSheets,
+    gstr1Sheets,
+    gstr3bSheets
+} from '../services/gstRegisters.js';
+
+// Local calendar day for file names (ranges start at local midnight)
+const dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// from/to as YYYY-MM-DD, defaulting to the current month
+const parseRange = (from, to) => {
+    const now = new Date();
+    const start = from ? new Date(from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = to ? new Date(to) : new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new AppError('Invalid from/to date', 400);
+    }
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    if (start > end) {
+        throw new AppError('from date must be on or before to date', 400);
+    }
+    return { from: start, to: end };
+};
+
+// Returns are filed per month: ?period=YYYY-MM
+const parseReturnPeriod = (period) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(period ?? '').trim());
+    const month = match ? Number(match[2]) : 0;
+    if (!match || month < 1 || month > 12) {
+        throw new AppError('period must look like 2024-04', 400);
+    }
+    const year = Number(match[1]);
+    return {
+        from: new Date(year, month - 1, 1, 0, 0, 0, 0),
+        to: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+};
+
+const sendJsonFile = (res, data, filename) => {
+    res.set({
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(JSON.stringify(data, null, 2));
+};
+
+export const getGstSettings = async (req, res, next) => {
+    try {
+        const config = await getGstConfig();
+        successResponse(res, "GST settings retrieved successfully", 200, config);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body: { bird: { hsn, rate, description }, feed: { ... } }
+export const updateGstSettings = async (req, res, next) => {
+    try {
+        const config = mergeGstConfig(await getGstConfig(), req.body);
+        await Setting.findOneAndUpdate(
+            { key: GST_SETTING },
+            { value: config, updatedBy: req.user._id },
+            { upsert: true, new: true }
+        );
+        successResponse(res, "GST settings updated successfully", 200, config);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const getRegister = (kind) => async (req, res, next) => {
+    try {
+        const { from, to, format } = req.query;
+        const range = parseRange(from, to);
+
+        const register = await buildGstRegister(kind, range);
+
+        if (format === 'excel') {
+            return sendWorkbook(res, gstRegisterSheets(register), `${kind}_register_${dayKey(range.from)}_${dayKey(range.to)}.xlsx`);
+        }
+        successResponse(res, `${kind === 'sales' ? 'Sales' : 'Purchase'} register generated successfully`, 200, register);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Sales register with taxable/tax/exempt split (?from, ?to, ?format=excel)
+export const getSalesRegister = getRegister('sales');
+
+// Purchase register with taxable/tax/exempt split (?from, ?to, ?format=excel)
+export const getPurchaseRegister = getRegister('purchase');
+
+// GSTR-1 for a month (?period=YYYY-MM, ?format=json|excel)
+export const getGstr1 = async (req, res, next) => {
+    try {
+        const { period, format } = req.query;
+        const range = parseReturnPeriod(period);
+
+        const gstr1 = buildGstr1(await buildGstRegister('sales', range));
+
+        if (format === 'json') {
+            return sendJsonFile(res, gstr1, `GSTR1_${gstr1.fp}.json`);
+        }
+        if (format === 'excel') {
+            return sendWorkbook(res, gstr1Sheets(gstr1), `GSTR1_${gstr1.fp}.xlsx`);
+        }
+        successResponse(res, "GSTR-1 generated successfully", 200, gstr1);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// GSTR-3B for a month (?period=YYYY-MM, ?format=json|excel)
+export const getGstr3b = async (req, res, next) => {
+    try {
+        const { period, format } = req.query;
+        const range = parseReturnPeriod(period);
+
+        const [sales, purchases] = await Promise.all([
+            buildGstRegister('sales', range),
+            buildGstRegister('purchase', range)
+        ]);
+        const gstr3b = buildGstr3b(sales, purchases);
+
+        if (format === 'json') {
+            return sendJsonFile(res, gstr3b, `GSTR3B_${gstr3b.ret_period}.json`);
+        }
+        if (format === 'excel') {
+            return sendWorkbook(res, gstr3bSheets(gstr3b), `GSTR3B_${gstr3b.ret_period}.xlsx`);
+        }
+        successResponse(res, "GSTR-3B generated successfully", 200, gstr3b);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -5,6 +5,8 @@ import AppError from '../utils/AppError.js';
 import { successResponse } from '../utils/responseHandler.js';
 import mongoose from 'mongoose';
 import { toSignedValue, fromSignedValue, addToBalance, subtractFromBalance } from '../utils/balanceUtils.js';
+import { syncVendorTds } from '../services/tds.js';
+import { runInTransaction } from '../utils/transaction.js';
 
 const roundNumber = (value, decimals = 2) => {
     if (Number.isNaN(value) || !Number.isFinite(value)) return 0;
@@ -219,6 +221,7 @@ export const updateIndirectSaleDetails = async (req, res, next) => {
         if (!record || !record.isActive) {
             throw new AppError('Indirect record not found', 404);
         }
+        const previous = { vendor: record.vendor, date: record.date };
 
         if (customer && customer.toString() !== record.customer.toString()) {
             const customerExists = await Customer.findById(customer);
@@ -247,7 +250,11 @@ export const updateIndirectSaleDetails = async (req, res, next) => {
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        // The record and its TDS are saved together
+        await runInTransaction(async (session) => {
+            await record.save({ session });
+            await syncVendorTds([previous, { vendor: record.vendor, date: record.date }], { session, userId: req.user._id });
+        }, 'update indirect sale');
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place' },
             { path: 'vendor', select: 'vendorName companyName' },
@@ -293,7 +300,11 @@ export const addPurchase = async (req, res, next) => {
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        // The record and its TDS are saved together
+        await runInTransaction(async (session) => {
+            await record.save({ session });
+            await syncVendorTds([{ vendor: record.vendor, date: record.date }], { session, userId: req.user._id });
+        }, 'add indirect purchase');
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -334,7 +345,11 @@ export const updatePurchase = async (req, res, next) => {
 
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        // The record and its TDS are saved together
+        await runInTransaction(async (session) => {
+            await record.save({ session });
+            await syncVendorTds([{ vendor: record.vendor, date: record.date }], { session, userId: req.user._id });
+        }, 'update indirect purchase');
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -365,7 +380,11 @@ export const deletePurchase = async (req, res, next) => {
         );
         record.updatedBy = req.user._id;
         record.recalculateSummary();
-        await record.save();
+        // The record and its TDS are saved together
+        await runInTransaction(async (session) => {
+            await record.save({ session });
+            await syncVendorTds([{ vendor: record.vendor, date: record.date }], { session, userId: req.user._id });
+        }, 'delete indirect purchase');
         await record.populate([
             { path: 'customer', select: 'shopName ownerName place' },
             { path: 'vendor', select: 'vendorName companyName' }
@@ -668,7 +687,11 @@ export const deleteIndirectSale = async (req, res, next) => {
         // Soft delete the record
         record.isActive = false;
         record.updatedBy = req.user._id;
-        await record.save();
+        // The record and its TDS are saved together
+        await runInTransaction(async (session) => {
+            await record.save({ session });
+            await syncVendorTds([{ vendor: record.vendor, date: record.date }], { session, userId: req.user._id });
+        }, 'delete indirect sale');
 
         // Revert customer outstanding balance
         if (record.customer && record.sales && record.sales.amount > 0) {
@@ -8,7 +8,11 @@ import Trip from "../models/Trip.js";
 import AppError from "../utils/AppError.js";
 import { successResponse } from "../utils/responseHandler.js";
 import { addToBalance, subtractFromBalance, toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
-import sendSMS from "../services/sendSMS.js";
+import { queueCustomerEvent } from "../services/notifications/events.js";
+import { buildStockSaleInvoice, renderSaleInvoice } from "../services/saleInvoice.js";
+import { getBusinessProfile } from "../utils/businessProfile.js";
+import { syncVendorTds } from "../services/tds.js";
+import { runInTransaction } from "../utils/transaction.js";
 
 // Add Purchase to Inventory
 export const addPurchase = async (req, res, next) => {
@@ -58,44 +62,49 @@ export const addPurchase = async (req, res, next) => {
             }
         }
 
-        // --- Vendor/Ledger Balance Update Logic ---
-        if (purchaseData.inventoryType === 'feed' && purchaseData.ledgerId) {
-            const ledger = await Ledger.findById(purchaseData.ledgerId);
-            if (ledger) {
-                const newBalance = addToBalance(
-                    ledger.outstandingBalance || 0,
-                    ledger.outstandingBalanceType || 'credit',
-                    Number(purchaseData.amount),
-                    'credit'
-                );
-
-                ledger.outstandingBalance = newBalance.amount;
-                ledger.outstandingBalanceType = newBalance.type;
-                ledger.updatedBy = req.user._id;
-                await ledger.save();
-            }
-        } else if (purchaseData.vendorId) {
-            const vendor = await Vendor.findById(purchaseData.vendorId);
-            if (vendor) {
-                // A purchase increases the amount we owe to the vendor (Credit)
-                // Using addToBalance with transactionType 'credit'
-                const newBalance = addToBalance(
-                    vendor.outstandingBalance || 0,
-                    vendor.outstandingBalanceType || 'credit',
-                    Number(purchaseData.amount),
-                    'credit'
-                );
-
-                vendor.outstandingBalance = newBalance.amount;
-                vendor.outstandingBalanceType = newBalance.type;
-                vendor.updatedBy = req.user._id;
-                await vendor.save();
+        // Balances, the purchase and its TDS are saved together
+        const stock = await runInTransaction(async (session) => {
+            // --- Vendor/Ledger Balance Update Logic ---
+            if (purchaseData.inventoryType === 'feed' && purchaseData.ledgerId) {
+                const ledger = await Ledger.findById(purchaseData.ledgerId).session(session);
+                if (ledger) {
+                    const newBalance = addToBalance(
+                        ledger.outstandingBalance || 0,
+                        ledger.outstandingBalanceType || 'credit',
+                        Number(purchaseData.amount),
+                        'credit'
+                    );
+
+                    ledger.outstandingBalance = newBalance.amount;
+                    ledger.outstandingBalanceType = newBalance.type;
+                    ledger.updatedBy = req.user._id;
+                    await ledger.save({ session });
+                }
+            } else if (purchaseData.vendorId) {
+                const vendor = await Vendor.findById(purchaseData.vendorId).session(session);
+                if (vendor) {
+                    // A purchase increases the amount we owe to the vendor (Credit)
+                    // Using addToBalance with transactionType 'credit'
+                    const newBalance = addToBalance(
+                        vendor.outstandingBalance || 0,
+                        vendor.outstandingBalanceType || 'credit',
+                        Number(purchaseData.amount),
+                        'credit'
+                    );
+
+                    vendor.outstandingBalance = newBalance.amount;
+                    vendor.outstandingBalanceType = newBalance.type;
+                    vendor.updatedBy = req.user._id;
+                    await vendor.save({ session });
+                }
             }
-        }
-        // -----------------------------------
+            // -----------------------------------
 
-        const stock = new InventoryStock(purchaseData);
-        await stock.save();
+            const stock = new InventoryStock(purchaseData);
+            await stock.save({ session });
+            await syncVendorTds([{ vendor: stock.vendorId, date: stock.date }], { session, userId: req.user._id });
+            return stock;
+        }, 'add stock purchase');
 
         const populatedStock = await InventoryStock.findById(stock._id)
             .populate("vendorId", "vendorName")
@@ -345,6 +354,7 @@ export const addSale = async (req, res, next) => {
                     const finalBalanceObj = fromSignedValue(finalBalanceSigned);
 
                     saleData.balance = Number(finalBalanceObj.amount.toFixed(2));
+                    saleData.balanceType = finalBalanceObj.type;
 
                     // Update customer
                     customer.outstandingBalance = finalBalanceObj.amount;
@@ -432,17 +442,12 @@ export const addSale = async (req, res, next) => {
             .populate("supervisorId", "name");
 
         if (sendSms && populatedStock.customerId) {
-            const customerName = populatedStock.customerId.shopName || populatedStock.customerId.ownerName || 'Customer';
-            const mobileNumber = populatedStock.customerId.contact;
-            try {
-                await sendSMS(
-                    'add_sales',
-                    [customerName, populatedStock.billNumber || ''],
-                    mobileNumber
-                );
-            } catch (smsError) {
-                console.error('Failed to send Sale SMS:', smsError);
-            }
+            await queueCustomerEvent('sale.created', {
+                customerId: populatedStock.customerId._id,
+                data: populatedStock.toObject(),
+                reference: { model: 'InventoryStock', id: populatedStock._id },
+                userId: req.user._id
+            });
         }
 
         successResponse(res, "Sale added successfully", 201, populatedStock);
@@ -455,7 +460,7 @@ export const addSale = async (req, res, next) => {
 export const addReceipt = async (req, res, next) => {
     try {
         let receiptData = req.body;
-        // const sendSms = req.body.sendSms; // Extract SMS flag (Not used yet for receipts)
+        const sendSms = req.body.sendSms;
 
         receiptData = {
             ...receiptData,
@@ -507,6 +512,7 @@ export const addReceipt = async (req, res, next) => {
                     const finalBalanceObj = fromSignedValue(finalBalanceSigned);
 
                     receiptData.balance = Number(finalBalanceObj.amount.toFixed(2));
+                    receiptData.balanceType = finalBalanceObj.type;
 
                     customer.outstandingBalance = finalBalanceObj.amount;
                     customer.outstandingBalanceType = finalBalanceObj.type;
@@ -575,6 +581,15 @@ export const addReceipt = async (req, res, next) => {
             }
         }
 
+        if (sendSms && stock.customerId) {
+            await queueCustomerEvent('receipt.created', {
+                customerId: stock.customerId,
+                data: stock.toObject(),
+                reference: { model: 'InventoryStock', id: stock._id },
+                userId: req.user._id
+            });
+        }
+
         successResponse(res, "Receipt added successfully", 201, stock);
 
     } catch (error) {
@@ -582,6 +597,32 @@ export const addReceipt = async (req, res, next) => {
     }
 };
 
+// Print a stock sale/receipt as a bill (?format=pdf|html|text, ?paperWidth=58|80)
+export const getSaleInvoice = async (req, res, next) => {
+    try {
+        const { format = 'pdf', paperWidth } = req.query;
+
+        const stock = await InventoryStock.findById(req.params.id)
+            .populate("customerId", "shopName ownerName contact place")
+            .populate("vehicleId", "vehicleNumber");
+        if (!stock) {
+            throw new AppError("Stock record not found", 404);
+        }
+
+        const invoice = buildStockSaleInvoice(stock);
+        const business = await getBusinessProfile();
+        const { contentType, body, filename } = await renderSaleInvoice(invoice, business, { format, paperWidth });
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `inline; filename="${filename}"`
+        });
+        res.status(200).send(body);
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Get All Stocks (Includes Trip Stocks)
 export const getStocks = async (req, res, next) => {
     try {
@@ -756,272 +797,279 @@ export const updateStock = async (req, res, next) => {
 
         const type = oldStock.type;
 
-        // ---------------------------------------------------------
-        // PURCHASE UPDATE LOGIC (Vendor)
-        // ---------------------------------------------------------
-        if (type === 'purchase' || type === 'opening') {
-            const newAmount = Number(updates.amount);
-            const oldAmount = Number(oldStock.amount);
-            const usesFeedLedger = oldStock.inventoryType === 'feed' && (oldStock.ledgerId || updates.ledgerId || updates.vendorId);
-
-            if (usesFeedLedger) {
-                const oldLedgerId = oldStock.ledgerId?.toString();
-                const newLedgerId = (updates.ledgerId || updates.vendorId || oldLedgerId)?.toString();
-
-                const isLedgerChanged = newLedgerId && newLedgerId !== oldLedgerId;
-                const isAmountChanged = newAmount !== oldAmount;
-
-                if (isLedgerChanged || isAmountChanged) {
-                    if (oldLedgerId) {
-                        const oldLedger = await Ledger.findById(oldLedgerId);
-                        if (oldLedger) {
-                            const revertedBalance = addToBalance(
-                                oldLedger.outstandingBalance || 0,
-                                oldLedger.outstandingBalanceType || 'credit',
-                                oldAmount,
-                                'debit'
-                            );
-                            oldLedger.outstandingBalance = revertedBalance.amount;
-                            oldLedger.outstandingBalanceType = revertedBalance.type;
-                            await oldLedger.save();
+        // Balances, the record and its TDS are updated together
+        const updatedStock = await runInTransaction(async (session) => {
+            // ---------------------------------------------------------
+            // PURCHASE UPDATE LOGIC (Vendor)
+            // ---------------------------------------------------------
+            if (type === 'purchase' || type === 'opening') {
+                const newAmount = Number(updates.amount);
+                const oldAmount = Number(oldStock.amount);
+                const usesFeedLedger = oldStock.inventoryType === 'feed' && (oldStock.ledgerId || updates.ledgerId || updates.vendorId);
+
+                if (usesFeedLedger) {
+                    const oldLedgerId = oldStock.ledgerId?.toString();
+                    const newLedgerId = (updates.ledgerId || updates.vendorId || oldLedgerId)?.toString();
+
+                    const isLedgerChanged = newLedgerId && newLedgerId !== oldLedgerId;
+                    const isAmountChanged = newAmount !== oldAmount;
+
+                    if (isLedgerChanged || isAmountChanged) {
+                        if (oldLedgerId) {
+                            const oldLedger = await Ledger.findById(oldLedgerId).session(session);
+                            if (oldLedger) {
+                                const revertedBalance = addToBalance(
+                                    oldLedger.outstandingBalance || 0,
+                                    oldLedger.outstandingBalanceType || 'credit',
+                                    oldAmount,
+                                    'debit'
+                                );
+                                oldLedger.outstandingBalance = revertedBalance.amount;
+                                oldLedger.outstandingBalanceType = revertedBalance.type;
+                                await oldLedger.save({ session });
+                            }
                         }
-                    }
 
-                    if (newLedgerId) {
-                        const newLedger = await Ledger.findById(newLedgerId);
-                        if (newLedger) {
-                            const updatedBalance = addToBalance(
-                                newLedger.outstandingBalance || 0,
-                                newLedger.outstandingBalanceType || 'credit',
-                                newAmount,
-                                'credit'
-                            );
-                            newLedger.outstandingBalance = updatedBalance.amount;
-                            newLedger.outstandingBalanceType = updatedBalance.type;
-                            await newLedger.save();
+                        if (newLedgerId) {
+                            const newLedger = await Ledger.findById(newLedgerId).session(session);
+                            if (newLedger) {
+                                const updatedBalance = addToBalance(
+                                    newLedger.outstandingBalance || 0,
+                                    newLedger.outstandingBalanceType || 'credit',
+                                    newAmount,
+                                    'credit'
+                                );
+                                newLedger.outstandingBalance = updatedBalance.amount;
+                                newLedger.outstandingBalanceType = updatedBalance.type;
+                                await newLedger.save({ session });
+                            }
                         }
                     }
-                }
 
-                updates.ledgerId = newLedgerId;
-                updates.vendorId = undefined;
-            } else {
-                const oldVendorId = oldStock.vendorId?.toString();
-                const newVendorId = updates.vendorId?.toString();
-
-                const isVendorChanged = newVendorId && newVendorId !== oldVendorId;
-                const isAmountChanged = newAmount !== oldAmount;
-
-                if (isVendorChanged || isAmountChanged) {
-                    // A. Revert Old Vendor Balance
-                    if (oldVendorId) {
-                        const oldVendor = await Vendor.findById(oldVendorId);
-                        if (oldVendor) {
-                            const revertedBalance = addToBalance(
-                                oldVendor.outstandingBalance || 0,
-                                oldVendor.outstandingBalanceType || 'credit',
-                                oldAmount,
-                                'debit'
-                            );
-                            oldVendor.outstandingBalance = revertedBalance.amount;
-                            oldVendor.outstandingBalanceType = revertedBalance.type;
-                            await oldVendor.save();
+                    updates.ledgerId = newLedgerId;
+                    updates.vendorId = undefined;
+                } else {
+                    const oldVendorId = oldStock.vendorId?.toString();
+                    const newVendorId = updates.vendorId?.toString();
+
+                    const isVendorChanged = newVendorId && newVendorId !== oldVendorId;
+                    const isAmountChanged = newAmount !== oldAmount;
+
+                    if (isVendorChanged || isAmountChanged) {
+                        // A. Revert Old Vendor Balance
+                        if (oldVendorId) {
+                            const oldVendor = await Vendor.findById(oldVendorId).session(session);
+                            if (oldVendor) {
+                                const revertedBalance = addToBalance(
+                                    oldVendor.outstandingBalance || 0,
+                                    oldVendor.outstandingBalanceType || 'credit',
+                                    oldAmount,
+                                    'debit'
+                                );
+                                oldVendor.outstandingBalance = revertedBalance.amount;
+                                oldVendor.outstandingBalanceType = revertedBalance.type;
+                                await oldVendor.save({ session });
+                            }
                         }
-                    }
 
-                    // B. Apply New Vendor Balance
-                    if (newVendorId) {
-                        const newVendor = await Vendor.findById(newVendorId);
-                        if (newVendor) {
-                            const updatedBalance = addToBalance(
-                                newVendor.outstandingBalance || 0,
-                                newVendor.outstandingBalanceType || 'credit',
-                                newAmount,
-                                'credit'
-                            );
-                            newVendor.outstandingBalance = updatedBalance.amount;
-                            newVendor.outstandingBalanceType = updatedBalance.type;
-                            await newVendor.save();
+                        // B. Apply New Vendor Balance
+                        if (newVendorId) {
+                            const newVendor = await Vendor.findById(newVendorId).session(session);
+                            if (newVendor) {
+                                const updatedBalance = addToBalance(
+                                    newVendor.outstandingBalance || 0,
+                                    newVendor.outstandingBalanceType || 'credit',
+                                    newAmount,
+                                    'credit'
+                                );
+                                newVendor.outstandingBalance = updatedBalance.amount;
+                                newVendor.outstandingBalanceType = updatedBalance.type;
+                                await newVendor.save({ session });
+                            }
                         }
                     }
                 }
             }
-        }
 
-        // ---------------------------------------------------------
-        // SALE & RECEIPT UPDATE LOGIC (Customer & Ledgers)
-        // ---------------------------------------------------------
-        if (type === 'sale' || type === 'receipt') {
-            const isSale = type === 'sale';
-
-            // --- 1. Customer Balance Update ---
-            // Revert Old Customer Balance
-            const oldCustomerId = oldStock.customerId?.toString();
-            // Calculate old net impact on Customer Balance
-            // Sale: +Amount -Paid -Discount
-            // Receipt: -Paid -Discount
-            let oldImpact = 0;
-            if (isSale) oldImpact += (Number(oldStock.amount) || 0);
-            oldImpact -= ((Number(oldStock.cashPaid) || 0) + (Number(oldStock.onlinePaid) || 0) + (Number(oldStock.discount) || 0));
-
-            if (oldCustomerId) {
-                const oldCustomer = await Customer.findById(oldCustomerId);
-                if (oldCustomer) {
-                    // To revert, subtract the old impact
-                    // If impact was positive (increased debt), we subtract it.
-                    // If impact was negative (decreased debt), subtracting a negative adds it back.
-                    const revertedBalance = addToBalance(
-                        oldCustomer.outstandingBalance || 0,
-                        oldCustomer.outstandingBalanceType || 'debit',
-                        Math.abs(oldImpact), // Amount
-                        oldImpact > 0 ? 'credit' : 'debit' // Type: Opposite of impact
-                    );
-                    oldCustomer.outstandingBalance = revertedBalance.amount;
-                    oldCustomer.outstandingBalanceType = revertedBalance.type;
-                    await oldCustomer.save();
+            // ---------------------------------------------------------
+            // SALE & RECEIPT UPDATE LOGIC (Customer & Ledgers)
+            // ---------------------------------------------------------
+            if (type === 'sale' || type === 'receipt') {
+                const isSale = type === 'sale';
+
+                // --- 1. Customer Balance Update ---
+                // Revert Old Customer Balance
+                const oldCustomerId = oldStock.customerId?.toString();
+                // Calculate old net impact on Customer Balance
+                // Sale: +Amount -Paid -Discount
+                // Receipt: -Paid -Discount
+                let oldImpact = 0;
+                if (isSale) oldImpact += (Number(oldStock.amount) || 0);
+                oldImpact -= ((Number(oldStock.cashPaid) || 0) + (Number(oldStock.onlinePaid) || 0) + (Number(oldStock.discount) || 0));
+
+                if (oldCustomerId) {
+                    const oldCustomer = await Customer.findById(oldCustomerId).session(session);
+                    if (oldCustomer) {
+                        // To revert, subtract the old impact
+                        // If impact was positive (increased debt), we subtract it.
+                        // If impact was negative (decreased debt), subtracting a negative adds it back.
+                        const revertedBalance = addToBalance(
+                            oldCustomer.outstandingBalance || 0,
+                            oldCustomer.outstandingBalanceType || 'debit',
+                            Math.abs(oldImpact), // Amount
+                            oldImpact > 0 ? 'credit' : 'debit' // Type: Opposite of impact
+                        );
+                        oldCustomer.outstandingBalance = revertedBalance.amount;
+                        oldCustomer.outstandingBalanceType = revertedBalance.type;
+                        await oldCustomer.save({ session });
+                    }
                 }
-            }
 
-            // Apply New Customer Balance
-            const newCustomerId = updates.customerId?.toString() || oldCustomerId; // Use old if not updated
-            let newImpact = 0;
-            const newAmount = isSale ? (Number(updates.amount) !== undefined ? Number(updates.amount) : Number(oldStock.amount)) : 0;
-            const newCashPaid = Number(updates.cashPaid) !== undefined ? Number(updates.cashPaid) : Number(oldStock.cashPaid);
-            const newOnlinePaid = Number(updates.onlinePaid) !== undefined ? Number(updates.onlinePaid) : Number(oldStock.onlinePaid);
-            const newDiscount = Number(updates.discount) !== undefined ? Number(updates.discount) : Number(oldStock.discount);
-
-            if (isSale) newImpact += newAmount;
-            newImpact -= (newCashPaid + newOnlinePaid + newDiscount);
-
-            if (newCustomerId) {
-                const newCustomer = await Customer.findById(newCustomerId);
-                if (newCustomer) {
-                    const updatedBalance = addToBalance(
-                        newCustomer.outstandingBalance || 0,
-                        newCustomer.outstandingBalanceType || 'debit',
-                        Math.abs(newImpact),
-                        newImpact > 0 ? 'debit' : 'credit' // Type: Same as impact
-                    );
-                    newCustomer.outstandingBalance = updatedBalance.amount;
-                    newCustomer.outstandingBalanceType = updatedBalance.type;
-                    await newCustomer.save();
+                // Apply New Customer Balance
+                const newCustomerId = updates.customerId?.toString() || oldCustomerId; // Use old if not updated
+                let newImpact = 0;
+                const newAmount = isSale ? (Number(updates.amount) !== undefined ? Number(updates.amount) : Number(oldStock.amount)) : 0;
+                const newCashPaid = Number(updates.cashPaid) !== undefined ? Number(updates.cashPaid) : Number(oldStock.cashPaid);
+                const newOnlinePaid = Number(updates.onlinePaid) !== undefined ? Number(updates.onlinePaid) : Number(oldStock.onlinePaid);
+                const newDiscount = Number(updates.discount) !== undefined ? Number(updates.discount) : Number(oldStock.discount);
+
+                if (isSale) newImpact += newAmount;
+                newImpact -= (newCashPaid + newOnlinePaid + newDiscount);
+
+                if (newCustomerId) {
+                    const newCustomer = await Customer.findById(newCustomerId).session(session);
+                    if (newCustomer) {
+                        const updatedBalance = addToBalance(
+                            newCustomer.outstandingBalance || 0,
+                            newCustomer.outstandingBalanceType || 'debit',
+                            Math.abs(newImpact),
+                            newImpact > 0 ? 'debit' : 'credit' // Type: Same as impact
+                        );
+                        newCustomer.outstandingBalance = updatedBalance.amount;
+                        newCustomer.outstandingBalanceType = updatedBalance.type;
+                        await newCustomer.save({ session });
+                    }
                 }
-            }
 
-            // --- 2. Ledger Update (Cash) ---
-            const oldCashLedgerId = oldStock.cashLedgerId?.toString();
-            const newCashLedgerId = updates.cashLedgerId ? updates.cashLedgerId.toString() : oldCashLedgerId;
-            const oldCashPaid = Number(oldStock.cashPaid) || 0;
-            const updatedCashPaid = Number(updates.cashPaid) !== undefined ? Number(updates.cashPaid) : oldCashPaid;
-
-            // Revert Old Cash
-            if (oldCashLedgerId && oldCashPaid > 0) {
-                const oldCashLedger = await Ledger.findById(oldCashLedgerId);
-                if (oldCashLedger) {
-                    // Receipt/Sale into Cash = Debit. Revert = Credit.
-                    const reverted = addToBalance(oldCashLedger.outstandingBalance, oldCashLedger.outstandingBalanceType, oldCashPaid, 'credit');
-                    oldCashLedger.outstandingBalance = reverted.amount;
-                    oldCashLedger.outstandingBalanceType = reverted.type;
-                    await oldCashLedger.save();
+                // --- 2. Ledger Update (Cash) ---
+                const oldCashLedgerId = oldStock.cashLedgerId?.toString();
+                const newCashLedgerId = updates.cashLedgerId ? updates.cashLedgerId.toString() : oldCashLedgerId;
+                const oldCashPaid = Number(oldStock.cashPaid) || 0;
+                const updatedCashPaid = Number(updates.cashPaid) !== undefined ? Number(updates.cashPaid) : oldCashPaid;
+
+                // Revert Old Cash
+                if (oldCashLedgerId && oldCashPaid > 0) {
+                    const oldCashLedger = await Ledger.findById(oldCashLedgerId).session(session);
+                    if (oldCashLedger) {
+                        // Receipt/Sale into Cash = Debit. Revert = Credit.
+                        const reverted = addToBalance(oldCashLedger.outstandingBalance, oldCashLedger.outstandingBalanceType, oldCashPaid, 'credit');
+                        oldCashLedger.outstandingBalance = reverted.amount;
+                        oldCashLedger.outstandingBalanceType = reverted.type;
+                        await oldCashLedger.save({ session });
+                    }
                 }
-            }
-            // Apply New Cash
-            if (newCashLedgerId && updatedCashPaid > 0) {
-                const newCashLedger = await Ledger.findById(newCashLedgerId);
-                if (newCashLedger) {
-                    // Sale/Receipt into Cash = Debit
-                    const updated = addToBalance(newCashLedger.outstandingBalance, newCashLedger.outstandingBalanceType, updatedCashPaid, 'debit');
-                    newCashLedger.outstandingBalance = updated.amount;
-                    newCashLedger.outstandingBalanceType = updated.type;
-                    await newCashLedger.save();
+                // Apply New Cash
+                if (newCashLedgerId && updatedCashPaid > 0) {
+                    const newCashLedger = await Ledger.findById(newCashLedgerId).session(session);
+                    if (newCashLedger) {
+                        // Sale/Receipt into Cash = Debit
+                        const updated = addToBalance(newCashLedger.outstandingBalance, newCashLedger.outstandingBalanceType, updatedCashPaid, 'debit');
+                        newCashLedger.outstandingBalance = updated.amount;
+                        newCashLedger.outstandingBalanceType = updated.type;
+                        await newCashLedger.save({ session });
+                    }
                 }
-            }
 
-            // --- 3. Ledger Update (Online) ---
-            const oldOnlineLedgerId = oldStock.onlineLedgerId?.toString();
-            const newOnlineLedgerId = updates.onlineLedgerId ? updates.onlineLedgerId.toString() : oldOnlineLedgerId;
-            const oldOnlinePaid = Number(oldStock.onlinePaid) || 0;
-            const updatedOnlinePaid = Number(updates.onlinePaid) !== undefined ? Number(updates.onlinePaid) : oldOnlinePaid;
-
-            // Revert Old Online
-            if (oldOnlineLedgerId && oldOnlinePaid > 0) {
-                const oldOnlineLedger = await Ledger.findById(oldOnlineLedgerId);
-                if (oldOnlineLedger) {
-                    const reverted = addToBalance(oldOnlineLedger.outstandingBalance, oldOnlineLedger.outstandingBalanceType, oldOnlinePaid, 'credit');
-                    oldOnlineLedger.outstandingBalance = reverted.amount;
-                    oldOnlineLedger.outstandingBalanceType = reverted.type;
-                    await oldOnlineLedger.save();
+                // --- 3. Ledger Update (Online) ---
+                const oldOnlineLedgerId = oldStock.onlineLedgerId?.toString();
+                const newOnlineLedgerId = updates.onlineLedgerId ? updates.onlineLedgerId.toString() : oldOnlineLedgerId;
+                const oldOnlinePaid = Number(oldStock.onlinePaid) || 0;
+                const updatedOnlinePaid = Number(updates.onlinePaid) !== undefined ? Number(updates.onlinePaid) : oldOnlinePaid;
+
+                // Revert Old Online
+                if (oldOnlineLedgerId && oldOnlinePaid > 0) {
+                    const oldOnlineLedger = await Ledger.findById(oldOnlineLedgerId).session(session);
+                    if (oldOnlineLedger) {
+                        const reverted = addToBalance(oldOnlineLedger.outstandingBalance, oldOnlineLedger.outstandingBalanceType, oldOnlinePaid, 'credit');
+                        oldOnlineLedger.outstandingBalance = reverted.amount;
+                        oldOnlineLedger.outstandingBalanceType = reverted.type;
+                        await oldOnlineLedger.save({ session });
+                    }
                 }
-            }
-            // Apply New Online
-            if (newOnlineLedgerId && updatedOnlinePaid > 0) {
-                const newOnlineLedger = await Ledger.findById(newOnlineLedgerId);
-                if (newOnlineLedger) {
-                    const updated = addToBalance(newOnlineLedger.outstandingBalance, newOnlineLedger.outstandingBalanceType, updatedOnlinePaid, 'debit');
-                    newOnlineLedger.outstandingBalance = updated.amount;
-                    newOnlineLedger.outstandingBalanceType = updated.type;
-                    await newOnlineLedger.save();
+                // Apply New Online
+                if (newOnlineLedgerId && updatedOnlinePaid > 0) {
+                    const newOnlineLedger = await Ledger.findById(newOnlineLedgerId).session(session);
+                    if (newOnlineLedger) {
+                        const updated = addToBalance(newOnlineLedger.outstandingBalance, newOnlineLedger.outstandingBalanceType, updatedOnlinePaid, 'debit');
+                        newOnlineLedger.outstandingBalance = updated.amount;
+                        newOnlineLedger.outstandingBalanceType = updated.type;
+                        await newOnlineLedger.save({ session });
+                    }
                 }
             }
-        }
 
-        // ---------------------------------------------------------
-        // CONSUME UPDATE LOGIC (Feed Consume)
-        // ---------------------------------------------------------
-        if (type === 'consume') {
-            const oldAmount = Number(oldStock.amount) || 0;
-            const newAmount = updates.amount !== undefined ? Number(updates.amount) : oldAmount;
-
-            const oldLedgerId = oldStock.expenseLedgerId?.toString();
-            // Assuming frontend might not send expenseLedgerId on update if it's hidden, so use old one if not provided
-            // Or better, we always want to target the same ledger unless we support moving ledgers.
-            // For now, assume ledger doesn't change unless we specifically want to support it. 
-            // If we did want to support ledger change, we'd look for updates.expenseLedgerId.
-            const targetLedgerId = oldLedgerId; // Simplify: user can't change ledger in frontend
-
-            if (targetLedgerId && newAmount !== oldAmount) {
-                const ledger = await Ledger.findById(targetLedgerId);
-                if (ledger) {
-                    // Revert Old (Credit)
-                    // Apply New (Debit)
-                    // Net difference: (New - Old) -> Add to Balance (Debit)
-                    // If New > Old, expense increases (Debit increases)
-                    // If New < Old, expense decreases (Debit decreases -> Credit)
-
-                    // Let's use clean Revert/Apply pattern
-                    const reverted = addToBalance(ledger.outstandingBalance, ledger.outstandingBalanceType, oldAmount, 'credit');
-                    const reapplied = addToBalance(reverted.amount, reverted.type, newAmount, 'debit');
-
-                    ledger.outstandingBalance = reapplied.amount;
-                    ledger.outstandingBalanceType = reapplied.type;
-                    await ledger.save();
+            // ---------------------------------------------------------
+            // CONSUME UPDATE LOGIC (Feed Consume)
+            // ---------------------------------------------------------
+            if (type === 'consume') {
+                const oldAmount = Number(oldStock.amount) || 0;
+                const newAmount = updates.amount !== undefined ? Number(updates.amount) : oldAmount;
+
+                const oldLedgerId = oldStock.expenseLedgerId?.toString();
+                // Assuming frontend might not send expenseLedgerId on update if it's hidden, so use old one if not provided
+                // Or better, we always want to target the same ledger unless we support moving ledgers.
+                // For now, assume ledger doesn't change unless we specifically want to support it. 
+                // If we did want to support ledger change, we'd look for updates.expenseLedgerId.
+                const targetLedgerId = oldLedgerId; // Simplify: user can't change ledger in frontend
+
+                if (targetLedgerId && newAmount !== oldAmount) {
+                    const ledger = await Ledger.findById(targetLedgerId).session(session);
+                    if (ledger) {
+                        // Revert Old (Credit)
+                        // Apply New (Debit)
+                        // Net difference: (New - Old) -> Add to Balance (Debit)
+                        // If New > Old, expense increases (Debit increases)
+                        // If New < Old, expense decreases (Debit decreases -> Credit)
+
+                        // Let's use clean Revert/Apply pattern
+                        const reverted = addToBalance(ledger.outstandingBalance, ledger.outstandingBalanceType, oldAmount, 'credit');
+                        const reapplied = addToBalance(reverted.amount, reverted.type, newAmount, 'debit');
+
+                        ledger.outstandingBalance = reapplied.amount;
+                        ledger.outstandingBalanceType = reapplied.type;
+                        await ledger.save({ session });
+                    }
                 }
             }
-        }
 
-        // 4. Update Stock Record
-        const updatedStock = await InventoryStock.findByIdAndUpdate(id, {
-            ...updates,
-            updatedBy: req.user._id
-        }, { new: true })
-            .populate("vendorId", "vendorName")
-            .populate("ledgerId", "name")
-            .populate("customerId", "shopName ownerName contact")
-            .populate("vehicleId", "vehicleNumber")
-            .populate("supervisorId", "name");
+            // 4. Update Stock Record
+            const updatedStock = await InventoryStock.findByIdAndUpdate(id, {
+                ...updates,
+                updatedBy: req.user._id
+            }, { new: true, session })
+                .populate("vendorId", "vendorName")
+                .populate("ledgerId", "name")
+                .populate("customerId", "shopName ownerName contact")
+                .populate("vehicleId", "vehicleNumber")
+                .populate("supervisorId", "name");
+
+            if (type === 'purchase') {
+                await syncVendorTds([
+                    { vendor: oldStock.vendorId, date: oldStock.date },
+                    { vendor: updatedStock.vendorId, date: updatedStock.date }
+                ], { session, userId: req.user._id });
+            }
+
+            return updatedStock;
+        }, 'update stock');
 
         if (sendSms && updatedStock.customerId && (updatedStock.type === 'sale')) {
-            const customerName = updatedStock.customerId.shopName || updatedStock.customerId.ownerName || 'Customer';
-            const mobileNumber = updatedStock.customerId.contact;
-            try {
-                await sendSMS(
-                    'update_sales',
-                    [customerName, updatedStock.billNumber || ''],
-                    mobileNumber
-                );
-            } catch (smsError) {
-                console.error('Failed to send Update Sale SMS:', smsError);
-            }
+            await queueCustomerEvent('sale.updated', {
+                customerId: updatedStock.customerId._id,
+                data: updatedStock.toObject(),
+                reference: { model: 'InventoryStock', id: updatedStock._id },
+                userId: req.user._id
+            });
         }
 
         successResponse(res, "Stock updated successfully", 200, updatedStock);
@@ -1326,115 +1374,121 @@ export const deleteStock = async (req, res, next) => {
 
         const type = oldStock.type;
 
-        // ---------------------------------------------------------
-        // PURCHASE & OPENING REVERSION
-        // ---------------------------------------------------------
-        if (type === 'purchase' || type === 'opening') {
-            const oldAmount = Number(oldStock.amount) || 0;
-            const oldLedgerId = oldStock.inventoryType === 'feed' ? oldStock.ledgerId?.toString() : null;
-            const oldVendorId = oldStock.vendorId?.toString();
-            if (oldLedgerId && oldAmount > 0) {
-                const oldLedger = await Ledger.findById(oldLedgerId);
-                if (oldLedger) {
-                    const revertedBalance = addToBalance(
-                        oldLedger.outstandingBalance || 0,
-                        oldLedger.outstandingBalanceType || 'credit',
-                        oldAmount,
-                        'debit'
-                    );
-                    oldLedger.outstandingBalance = revertedBalance.amount;
-                    oldLedger.outstandingBalanceType = revertedBalance.type;
-                    await oldLedger.save();
-                }
-            } else if (oldVendorId && oldAmount > 0) {
-                const oldVendor = await Vendor.findById(oldVendorId);
-                if (oldVendor) {
-                    const revertedBalance = addToBalance(
-                        oldVendor.outstandingBalance || 0,
-                        oldVendor.outstandingBalanceType || 'credit',
-                        oldAmount,
-                        'debit'
-                    );
-                    oldVendor.outstandingBalance = revertedBalance.amount;
-                    oldVendor.outstandingBalanceType = revertedBalance.type;
-                    await oldVendor.save();
+        // Balances, the record and its TDS are reverted together
+        await runInTransaction(async (session) => {
+            // ---------------------------------------------------------
+            // PURCHASE & OPENING REVERSION
+            // ---------------------------------------------------------
+            if (type === 'purchase' || type === 'opening') {
+                const oldAmount = Number(oldStock.amount) || 0;
+                const oldLedgerId = oldStock.inventoryType === 'feed' ? oldStock.ledgerId?.toString() : null;
+                const oldVendorId = oldStock.vendorId?.toString();
+                if (oldLedgerId && oldAmount > 0) {
+                    const oldLedger = await Ledger.findById(oldLedgerId).session(session);
+                    if (oldLedger) {
+                        const revertedBalance = addToBalance(
+                            oldLedger.outstandingBalance || 0,
+                            oldLedger.outstandingBalanceType || 'credit',
+                            oldAmount,
+                            'debit'
+                        );
+                        oldLedger.outstandingBalance = revertedBalance.amount;
+                        oldLedger.outstandingBalanceType = revertedBalance.type;
+                        await oldLedger.save({ session });
+                    }
+                } else if (oldVendorId && oldAmount > 0) {
+                    const oldVendor = await Vendor.findById(oldVendorId).session(session);
+                    if (oldVendor) {
+                        const revertedBalance = addToBalance(
+                            oldVendor.outstandingBalance || 0,
+                            oldVendor.outstandingBalanceType || 'credit',
+                            oldAmount,
+                            'debit'
+                        );
+                        oldVendor.outstandingBalance = revertedBalance.amount;
+                        oldVendor.outstandingBalanceType = revertedBalance.type;
+                        await oldVendor.save({ session });
+                    }
                 }
             }
-        }
 
-        // ---------------------------------------------------------
-        // SALE & RECEIPT REVERSION
-        // ---------------------------------------------------------
-        if (type === 'sale' || type === 'receipt') {
-            const isSale = type === 'sale';
-            const oldCustomerId = oldStock.customerId?.toString();
-            let oldImpact = 0;
-            if (isSale) oldImpact += (Number(oldStock.amount) || 0);
-            oldImpact -= ((Number(oldStock.cashPaid) || 0) + (Number(oldStock.onlinePaid) || 0) + (Number(oldStock.discount) || 0));
-
-            if (oldCustomerId && oldImpact !== 0) {
-                const oldCustomer = await Customer.findById(oldCustomerId);
-                if (oldCustomer) {
-                    const revertedBalance = addToBalance(
-                        oldCustomer.outstandingBalance || 0,
-                        oldCustomer.outstandingBalanceType || 'debit',
-                        Math.abs(oldImpact),
-                        oldImpact > 0 ? 'credit' : 'debit'
-                    );
-                    oldCustomer.outstandingBalance = revertedBalance.amount;
-                    oldCustomer.outstandingBalanceType = revertedBalance.type;
-                    await oldCustomer.save();
+            // ---------------------------------------------------------
+            // SALE & RECEIPT REVERSION
+            // ---------------------------------------------------------
+            if (type === 'sale' || type === 'receipt') {
+                const isSale = type === 'sale';
+                const oldCustomerId = oldStock.customerId?.toString();
+                let oldImpact = 0;
+                if (isSale) oldImpact += (Number(oldStock.amount) || 0);
+                oldImpact -= ((Number(oldStock.cashPaid) || 0) + (Number(oldStock.onlinePaid) || 0) + (Number(oldStock.discount) || 0));
+
+                if (oldCustomerId && oldImpact !== 0) {
+                    const oldCustomer = await Customer.findById(oldCustomerId).session(session);
+                    if (oldCustomer) {
+                        const revertedBalance = addToBalance(
+                            oldCustomer.outstandingBalance || 0,
+                            oldCustomer.outstandingBalanceType || 'debit',
+                            Math.abs(oldImpact),
+                            oldImpact > 0 ? 'credit' : 'debit'
+                        );
+                        oldCustomer.outstandingBalance = revertedBalance.amount;
+                        oldCustomer.outstandingBalanceType = revertedBalance.type;
+                        await oldCustomer.save({ session });
+                    }
                 }
-            }
 
-            // Cash Ledger Update
-            const oldCashLedgerId = oldStock.cashLedgerId?.toString();
-            const oldCashPaid = Number(oldStock.cashPaid) || 0;
-            if (oldCashLedgerId && oldCashPaid > 0) {
-                const oldCashLedger = await Ledger.findById(oldCashLedgerId);
-                if (oldCashLedger) {
-                    const reverted = addToBalance(oldCashLedger.outstandingBalance, oldCashLedger.outstandingBalanceType, oldCashPaid, 'credit');
-                    oldCashLedger.outstandingBalance = reverted.amount;
-                    oldCashLedger.outstandingBalanceType = reverted.type;
-                    await oldCashLedger.save();
+                // Cash Ledger Update
+                const oldCashLedgerId = oldStock.cashLedgerId?.toString();
+                const oldCashPaid = Number(oldStock.cashPaid) || 0;
+                if (oldCashLedgerId && oldCashPaid > 0) {
+                    const oldCashLedger = await Ledger.findById(oldCashLedgerId).session(session);
+                    if (oldCashLedger) {
+                        const reverted = addToBalance(oldCashLedger.outstandingBalance, oldCashLedger.outstandingBalanceType, oldCashPaid, 'credit');
+                        oldCashLedger.outstandingBalance = reverted.amount;
+                        oldCashLedger.outstandingBalanceType = reverted.type;
+                        await oldCashLedger.save({ session });
+                    }
                 }
-            }
 
-            // Online Ledger Update
-            const oldOnlineLedgerId = oldStock.onlineLedgerId?.toString();
-            const oldOnlinePaid = Number(oldStock.onlinePaid) || 0;
-            if (oldOnlineLedgerId && oldOnlinePaid > 0) {
-                const oldOnlineLedger = await Ledger.findById(oldOnlineLedgerId);
-                if (oldOnlineLedger) {
-                    const reverted = addToBalance(oldOnlineLedger.outstandingBalance, oldOnlineLedger.outstandingBalanceType, oldOnlinePaid, 'credit');
-                    oldOnlineLedger.outstandingBalance = reverted.amount;
-                    oldOnlineLedger.outstandingBalanceType = reverted.type;
-                    await oldOnlineLedger.save();
+                // Online Ledger Update
+                const oldOnlineLedgerId = oldStock.onlineLedgerId?.toString();
+                const oldOnlinePaid = Number(oldStock.onlinePaid) || 0;
+                if (oldOnlineLedgerId && oldOnlinePaid > 0) {
+                    const oldOnlineLedger = await Ledger.findById(oldOnlineLedgerId).session(session);
+                    if (oldOnlineLedger) {
+                        const reverted = addToBalance(oldOnlineLedger.outstandingBalance, oldOnlineLedger.outstandingBalanceType, oldOnlinePaid, 'credit');
+                        oldOnlineLedger.outstandingBalance = reverted.amount;
+                        oldOnlineLedger.outstandingBalanceType = reverted.type;
+                        await oldOnlineLedger.save({ session });
+                    }
                 }
             }
-        }
 
-        // ---------------------------------------------------------
-        // CONSUME REVERSION
-        // ---------------------------------------------------------
-        if (type === 'consume') {
-            const oldAmount = Number(oldStock.amount) || 0;
-            const oldLedgerId = oldStock.expenseLedgerId?.toString();
-            if (oldLedgerId && oldAmount > 0) {
-                const ledger = await Ledger.findById(oldLedgerId);
-                if (ledger) {
-                    const reverted = addToBalance(ledger.outstandingBalance, ledger.outstandingBalanceType, oldAmount, 'credit');
-                    ledger.outstandingBalance = reverted.amount;
-                    ledger.outstandingBalanceType = reverted.type;
-                    await ledger.save();
+            // ---------------------------------------------------------
+            // CONSUME REVERSION
+            // ---------------------------------------------------------
+            if (type === 'consume') {
+                const oldAmount = Number(oldStock.amount) || 0;
+                const oldLedgerId = oldStock.expenseLedgerId?.toString();
+                if (oldLedgerId && oldAmount > 0) {
+                    const ledger = await Ledger.findById(oldLedgerId).session(session);
+                    if (ledger) {
+                        const reverted = addToBalance(ledger.outstandingBalance, ledger.outstandingBalanceType, oldAmount, 'credit');
+                        ledger.outstandingBalance = reverted.amount;
+                        ledger.outstandingBalanceType = reverted.type;
+                        await ledger.save({ session });
+                    }
                 }
             }
-        }
 
-        // ---------------------------------------------------------
-        // DELETE RECORD
-        // ---------------------------------------------------------
-        await InventoryStock.findByIdAndDelete(id);
+            // ---------------------------------------------------------
+            // DELETE RECORD
+            // ---------------------------------------------------------
+            await InventoryStock.findByIdAndDelete(id, { session });
+            if (type === 'purchase') {
+                await syncVendorTds([{ vendor: oldStock.vendorId, date: oldStock.date }], { session, userId: req.user._id });
+            }
+        }, 'delete stock');
 
         successResponse(res, "Stock deleted successfully", 200, oldStock);
     } catch (error) {
@@ -0,0 +1,13 @@
+import { successResponse } from '../utils/responseHandler.js';
+import { runJob } from '../services/jobs/index.js';
+
+// Run a registered job from the hosting cron (serverless deployments have no in-process scheduler)
+export const runScheduledJob = async (req, res, next) => {
+    try {
+        const result = await runJob(req.params.name, { trigger: 'scheduled' });
+
+        successResponse(res, result.skipped ? result.reason : "Job completed", 200, result.summary || result);
+    } catch (error) {
+        next(error);
+    }
+};
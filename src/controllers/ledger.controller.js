@@ -7,16 +7,11 @@ import Voucher from "../models/Voucher.js";
 import InventoryStock from "../models/InventoryStock.js";
 import IndirectSale from "../models/IndirectSale.js";
 import DieselStation from "../models/DieselStation.js";
-import { toSignedValue, fromSignedValue, syncOutstandingBalance, getFinancialYearStartDate, populateVoucherParties } from "../utils/balanceUtils.js";
+import { toSignedValue, fromSignedValue, syncOutstandingBalance, getFinancialYearStartDate } from "../utils/balanceUtils.js";
+import { buildLedgerTransactions } from "../services/ledgerTransactions.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
 
-const getObjectIdStr = (val) => {
-    if (!val) return '';
-    if (val._id) return val._id.toString();
-    return val.toString();
-};
-
 export const addLedger = async (req, res, next) => {
     try {
         const { name, group, openingBalance, openingBalanceType, outstandingBalance, outstandingBalanceType } = req.body;
@@ -353,17 +348,6 @@ export const getMonthlySummary = async (req, res, next) => {
             subjectType === 'vendor' ? subject.vendorName : subject.name;
         const subjectNameStr = subjectName ? subjectName.trim().toLowerCase() : '';
 
-        // Helper: mirrors vendor.controller.js isTdsApplicableForDate exactly
-        const isTdsApplicableForDate = (date) => {
-            if (!subject.tdsApplicable) return false;
-            if (!subject.tdsUpdatedAt) return true; // no activation date → applies to all
-            const txDate = new Date(date);
-            txDate.setHours(0, 0, 0, 0);
-            const activationDate = new Date(subject.tdsUpdatedAt);
-            activationDate.setHours(0, 0, 0, 0);
-            return txDate >= activationDate;
-        };
-
         // Helper
         let gapDebit = 0;
         let gapCredit = 0;
@@ -498,11 +482,6 @@ export const getMonthlySummary = async (req, res, next) => {
                     t.purchases.forEach(p => {
                         if (p.supplier && p.supplier.toString() === id.toString()) {
                             credit += p.amount || 0;
-                            let tdsAmount = 0;
-                            if (isTdsApplicableForDate(t.date || t.createdAt)) {
-                                tdsAmount = (p.amount || 0) * 0.001;
-                            }
-                            debit += tdsAmount;
                             birds += p.birds || 0;
                             weight += p.weight || 0;
                             isMatch = true;
@@ -557,11 +536,6 @@ export const getMonthlySummary = async (req, res, next) => {
                 if (sVendorId && sVendorId.toString() === id.toString()) {
                     if (s.type === 'purchase' || s.type === 'opening') {
                         credit += s.amount || 0;
-                        let tdsAmount = 0;
-                        if (isTdsApplicableForDate(s.date)) {
-                            tdsAmount = (s.amount || 0) * 0.001;
-                        }
-                        debit += tdsAmount;
                         birds += s.birds || 0;
                         weight += s.weight || 0;
                         isMatch = true;
@@ -589,11 +563,6 @@ export const getMonthlySummary = async (req, res, next) => {
             } else if (subjectType === 'vendor') {
                 const amt = s.summary?.totalPurchaseAmount || 0;
                 credit += amt;
-                let tdsAmount = 0;
-                if (isTdsApplicableForDate(s.date)) {
-                    tdsAmount = amt * 0.001;
-                }
-                debit += tdsAmount;
                 birds += s.summary?.totalPurchaseBirds || 0;
                 weight += s.summary?.totalPurchaseWeight || 0;
                 isMatch = true;
@@ -771,17 +740,6 @@ export const getDailySummary = async (req, res, next) => {
             subjectType === 'vendor' ? subject.vendorName : subject.name;
         const subjectNameStr = subjectName ? subjectName.trim().toLowerCase() : '';
 
-        // Helper: mirrors vendor.controller.js isTdsApplicableForDate exactly
-        const isTdsApplicableForDate = (date) => {
-            if (!subject.tdsApplicable) return false;
-            if (!subject.tdsUpdatedAt) return true; // no activation date → applies to all
-            const txDate = new Date(date);
-            txDate.setHours(0, 0, 0, 0);
-            const activationDate = new Date(subject.tdsUpdatedAt);
-            activationDate.setHours(0, 0, 0, 0);
-            return txDate >= activationDate;
-        };
-
         // Process Vouchers
         vouchers.forEach(v => {
             let debit = 0;
@@ -804,7 +762,7 @@ export const getDailySummary = async (req, res, next) => {
                     const entryAcc = e.account ? e.account.toString().trim() : '';
                     let entryMatch = entryAcc === subjectIdStr;
                     // Name fallback for legacy data
-                    if (!entryMatch && e.name && e.name.trim().toLowerCase() === subjectNameStr) {
+                    if (!entryMatch && subjectNameStr && entryAcc.toLowerCase() === subjectNameStr) {
                         entryMatch = true;
                     }
                     if (entryMatch) {
@@ -883,11 +841,6 @@ export const getDailySummary = async (req, res, next) => {
                 t.purchases.forEach(p => {
                     if (p.supplier && p.supplier.toString() === id.toString()) {
                         credit += p.amount || 0;
-                        let tdsAmount = 0;
-                        if (isTdsApplicableForDate(t.date || t.createdAt)) {
-                            tdsAmount = (p.amount || 0) * 0.001;
-                        }
-                        debit += tdsAmount;
                         isMatch = true;
                     }
                 });
@@ -950,11 +903,6 @@ export const getDailySummary = async (req, res, next) => {
                 if (sVendorId && sVendorId.toString() === id.toString()) {
                     if (s.type === 'purchase' || s.type === 'opening') {
                         credit += s.amount || 0;
-                        let tdsAmount = 0;
-                        if (isTdsApplicableForDate(s.date)) {
-                            tdsAmount = (s.amount || 0) * 0.001;
-                        }
-                        debit += tdsAmount;
                         isMatch = true;
                     }
                 }
@@ -989,11 +937,6 @@ export const getDailySummary = async (req, res, next) => {
             } else if (subjectType === 'vendor') {
                 const amt = s.summary?.totalPurchaseAmount || 0;
                 credit += amt;
-                let tdsAmount = 0;
-                if (isTdsApplicableForDate(s.date)) {
-                    tdsAmount = amt * 0.001;
-                }
-                debit += tdsAmount;
                 isMatch = true;
             }
 
@@ -1037,419 +980,8 @@ export const getLedgerTransactions = async (req, res, next) => {
             throw new AppError('Ledger not found', 404);
         }
 
-        const queryStartDate = startDate ? new Date(startDate) : null;
-        let queryEndDate = endDate ? new Date(endDate) : null;
-
-        // Adjust endDate to end of day if provided
-        if (queryEndDate) {
-            queryEndDate.setHours(23, 59, 59, 999);
-        }
-
-        // Vouchers Query
-        const voucherQuery = {
-            isActive: true,
-            $or: [
-                { 'entries.account': ledger.name }, // For Journal/Contra (using Name string)
-                { account: id },                    // For Payment/Receipt Header (using ObjectId)
-                { 'parties.partyId': id }           // For Payment/Receipt Line Items (using ObjectId)
-            ]
-        };
-
-        if (queryStartDate || queryEndDate) {
-            voucherQuery.date = {};
-            if (queryStartDate) voucherQuery.date.$gte = queryStartDate;
-            if (queryEndDate) voucherQuery.date.$lte = queryEndDate;
-        }
-
-        // Trips Query (for Cash/Bank ledgers used in Sales)
-        const tripQuery = {
-            $or: [
-                { 'sales.cashLedger': id },
-                { 'sales.onlineLedger': id }
-            ]
-        };
-        // Date filter for trips usually uses 'date'
-        if (queryStartDate || queryEndDate) {
-            tripQuery.date = {};
-            if (queryStartDate) tripQuery.date.$gte = queryStartDate;
-            if (queryEndDate) tripQuery.date.$lte = queryEndDate;
-        }
-
-        // Inventory Stock Query
-        const stockQuery = {
-            $or: [
-                { 'cashLedgerId': id },
-                { 'onlineLedgerId': id },
-                { 'expenseLedgerId': id }
-            ]
-        };
-        if (queryStartDate || queryEndDate) {
-            stockQuery.date = {};
-            if (queryStartDate) stockQuery.date.$gte = queryStartDate;
-            if (queryEndDate) stockQuery.date.$lte = queryEndDate;
-        }
-
-        const [vouchers, trips, stocks] = await Promise.all([
-            Voucher.find(voucherQuery).lean()
-                .populate('party', 'shopName vendorName')
-                .populate('account', 'name'), // Populate header Account to get its name
-            Trip.find(tripQuery).lean()
-                .populate('vehicle', 'registrationNumber')
-                .populate('supervisor', 'name')
-                .populate('sales.client', 'shopName ownerName'),
-            InventoryStock.find(stockQuery).lean().populate('customerId', 'shopName ownerName')
-        ]);
-
-        await populateVoucherParties(vouchers);
-
-        let transactions = [];
-
-        // Process Vouchers
-        vouchers.forEach(v => {
-            let debit = 0;
-            let credit = 0;
-            let description = v.narration || v.voucherType;
-            let refNo = v.voucherNumber;
-
-            // Determine Debit/Credit for this ledger
-            if (v.voucherType === 'Payment' || v.voucherType === 'Receipt') {
-                // If ledger is the ACCOUNT (Header)
-                // e.g. Payment made FROM Cash (this ledger) TO Vendor
-                if (v.account && getObjectIdStr(v.account) === id.toString()) {
-                    const totalAmount = v.parties.reduce((sum, p) => sum + (p.amount || 0), 0);
-                    if (v.voucherType === 'Payment') {
-                        credit += totalAmount;
-                    } else {
-                        debit += totalAmount;
-                    }
-
-                    // For Cash/Bank Ledger (Account), the "Particulars" should be the Party Name (Vendor/Expense)
-                    if (v.parties && v.parties.length > 0) {
-                        const firstParty = v.parties[0].partyId; // This is populated object
-                        if (v.parties.length === 1 && firstParty) {
-                            // Use shopName for customer, vendorName for vendor, name for ledger
-                            description = firstParty.shopName || firstParty.vendorName || firstParty.name || 'Unknown Party';
-                        } else {
-                            description = `Multiple Accounts (${v.parties.length})`;
-                        }
-                    } else {
-                        description = v.voucherType; // Fallback
-                    }
-                }
-
-                // If ledger is in PARTIES (Line Items)
-                // e.g. Payment made TO Vendor (this ledger) FROM Cash
-                if (v.parties) {
-                    v.parties.forEach(p => {
-                        if (p.partyId && getObjectIdStr(p.partyId) === id.toString()) {
-                            if (v.voucherType === 'Payment') {
-                                debit += p.amount || 0;
-                            } else {
-                                credit += p.amount || 0;
-                            }
-
-                            // For Vendor/Expense Ledger (Party), the "Particulars" should be the Source Account (Cash/Bank)
-                            if (!v.account || getObjectIdStr(v.account) !== id.toString()) {
-                                // Use header account name as description
-                                // v.account is now populated
-                                description = v.account ? v.account.name : 'Unknown Account';
-                            }
-                        }
-                    });
-                }
-
-                // Fallback: If neither account nor parties matched via ObjectId, try matching via entries (name-based)
-                // This handles Payment/Receipt vouchers matched to this ledger via entries.account string
-                if (debit === 0 && credit === 0 && v.entries && v.entries.length > 0) {
-                    v.entries.forEach(e => {
-                        if (e.account && e.account.toLowerCase() === ledger.name.toLowerCase()) {
-                            debit += e.debitAmount || 0;
-                            credit += e.creditAmount || 0;
-
-                            // Show the opposite account as the description
-                            let oppositeAccountName = '';
-                            if (e.debitAmount > 0) {
-                                const crEntry = v.entries.find(entry => entry.creditAmount > 0 && entry.account && entry.account.toLowerCase() !== ledger.name.toLowerCase());
-                                if (crEntry) oppositeAccountName = crEntry.account;
-                            } else if (e.creditAmount > 0) {
-                                const drEntry = v.entries.find(entry => entry.debitAmount > 0 && entry.account && entry.account.toLowerCase() !== ledger.name.toLowerCase());
-                                if (drEntry) oppositeAccountName = drEntry.account;
-                            }
-                            if (oppositeAccountName) {
-                                description = oppositeAccountName;
-                            }
-                        }
-                    });
-                }
-            } else {
-                // Contra / Journal
-                v.entries.forEach(e => {
-                    if (e.account && e.account.toLowerCase() === ledger.name.toLowerCase()) {
-                        debit += e.debitAmount || 0;
-                        credit += e.creditAmount || 0;
-
-                        // For both Contra and Journal: show the opposite account name in Particulars
-                        if (v.voucherType === 'Journal' || v.voucherType === 'Contra') {
-                            let oppositeAccountName = '';
-                            if (e.debitAmount > 0) {
-                                // This entry is debit: find the credit entry (opposite)
-                                const crEntry = v.entries.find(entry => entry.creditAmount > 0 && entry.account && entry.account.toLowerCase() !== ledger.name.toLowerCase());
-                                if (crEntry) oppositeAccountName = crEntry.account;
-                            } else if (e.creditAmount > 0) {
-                                // This entry is credit: find the debit entry (opposite)
-                                const drEntry = v.entries.find(entry => entry.debitAmount > 0 && entry.account && entry.account.toLowerCase() !== ledger.name.toLowerCase());
-                                if (drEntry) oppositeAccountName = drEntry.account;
-                            }
-
-                            if (oppositeAccountName) {
-                                description = oppositeAccountName;
-                            }
-                        }
-                    }
-                });
-            }            if (debit > 0 || credit > 0) {
-                transactions.push({
-                    _id: v._id,
-                    date: v.date,
-                    createdAt: v.createdAt,
-                    type: v.voucherType,
-                    refNo: `VCH-${refNo}`,
-                    description,
-                    debit,
-                    credit,
-                    source: 'voucher',
-                    narration: v.narration || ''
-                });
-            }
-        });
-
-        // Process Trips
-        trips.forEach(t => {
-            if (t.sales) {
-                t.sales.forEach(s => {
-                    let debit = 0;
-                    let credit = 0;
-                    let isRelevant = false;
-
-                    if (s.cashLedger && s.cashLedger.toString() === id.toString()) {
-                        debit += s.cashPaid || 0;
-                        isRelevant = true;
-                    }
-                    if (s.onlineLedger && s.onlineLedger.toString() === id.toString()) {
-                        debit += s.onlinePaid || 0;
-                        isRelevant = true;
-                    }
-
-                    if (isRelevant && (debit > 0)) {
-                        transactions.push({
-                            _id: t._id,
-                            date: t.date || t.createdAt,
-                            createdAt: t.createdAt,
-                            type: 'Receipt',
-                            refNo: t.tripId,
-                            description: `Trip Bill: ${s.billNumber} (${s.birds} birds) - ${s.client?.shopName || s.client?.ownerName || s.product || 'Bird Sale'}`,
-                            debit,
-                            credit,
-                            source: 'trip'
-                        });
-                    }
-                });
-            }
-
-        });
-
-        // Process Inventory Stocks (Sales/Receipts)
-        stocks.forEach(s => {
-            let debit = 0;
-            let credit = 0;
-            let isRelevant = false;
-
-            // Cash Payment
-            if (s.cashLedgerId && s.cashLedgerId.toString() === id.toString()) {
-                debit += s.cashPaid || 0;
-                isRelevant = true;
-            }
-
-            // Online Payment
-            if (s.onlineLedgerId && s.onlineLedgerId.toString() === id.toString()) {
-                debit += s.onlinePaid || 0;
-                isRelevant = true;
-            }
-
-            // Expense (Feed Consume, etc.)
-            if (s.expenseLedgerId && s.expenseLedgerId.toString() === id.toString()) {
-                debit += s.amount || 0; // Usage is an expense (Debit)
-                isRelevant = true;
-            }
-
-            if (isRelevant && (debit > 0)) {
-                transactions.push({
-                    _id: s._id,
-                    date: s.date || s.createdAt,
-                    createdAt: s.createdAt,
-                    type: s.type === 'receipt' ? 'Receipt' : s.type === 'sale' ? 'Receipt' : 'Stock Sale',
-                    refNo: s.billNumber || s.refNo || '-',
-                    description: s.type === 'receipt'
-                        ? `STOCK_RECEIPT_BILL - ${s.customerId?.shopName || s.customerId?.ownerName || 'Customer'}`
-                        : s.type === 'consume'
-                            ? `FEED CONSUMPTION`
-                            : `STOCK_BILL - ${s.customerId?.shopName || s.customerId?.ownerName || 'Customer'} (${s.birds || 0} birds)`,
-                    debit,
-                    credit,
-                    source: 'stock'
-                });
-            }
-        });
-
-        // Calculate Opening Balance if StartDate is present
-        // Use Ledger's opening balance + sum of all previous transactions
-
-        let openingBalance = ledger.openingBalance || 0;
-        let openingType = ledger.openingBalanceType || 'debit';
-        let signedOpening = toSignedValue(openingBalance, openingType);
-
-        if (queryStartDate) {
-            // Find transactions BEFORE queryStartDate
-            const preVoucherQuery = {
-                isActive: true,
-                date: { $lt: queryStartDate },
-                $or: [
-                    { 'entries.account': ledger.name },
-                    { account: id },
-                    { 'parties.partyId': id }
-                ]
-            };
-
-            const preTripQuery = {
-                date: { $lt: queryStartDate },
-                $or: [
-                    { 'sales.cashLedger': id },
-                    { 'sales.onlineLedger': id }
-                ]
-            };
-
-            const stackQuery = {
-                date: { $lt: queryStartDate },
-                $or: [
-                    { 'cashLedgerId': id },
-                    { 'onlineLedgerId': id },
-                    { 'expenseLedgerId': id }
-                ]
-            };
-
-            const [preVouchers, preTrips, preStocks] = await Promise.all([
-                Voucher.find(preVoucherQuery).lean().select('voucherType date account parties entries'),
-                Trip.find(preTripQuery).lean().select('sales date'),
-                InventoryStock.find(stackQuery).lean().select('cashLedgerId onlineLedgerId cashPaid onlinePaid type')
-            ]);
-
-            preVouchers.forEach(v => {
-                let debit = 0;
-                let credit = 0;
-                if (v.voucherType === 'Payment' || v.voucherType === 'Receipt') {
-                    if (v.account && getObjectIdStr(v.account) === id.toString()) {
-                        const total = v.parties.reduce((s, p) => s + (p.amount || 0), 0);
-                        if (v.voucherType === 'Payment') credit += total;
-                        else debit += total;
-                    }
-                    if (v.parties) {
-                        v.parties.forEach(p => {
-                            if (p.partyId && getObjectIdStr(p.partyId) === id.toString()) {
-                                if (v.voucherType === 'Payment') debit += p.amount || 0;
-                                else credit += p.amount || 0;
-                            }
-                        });
-                    }
-                    // Fallback: match via entries name if ObjectId match missed
-                    if (debit === 0 && credit === 0 && v.entries && v.entries.length > 0) {
-                        v.entries.forEach(e => {
-                            if (e.account && e.account.toLowerCase() === ledger.name.toLowerCase()) {
-                                debit += e.debitAmount || 0;
-                                credit += e.creditAmount || 0;
-                            }
-                        });
-                    }
-                } else {
-                    v.entries.forEach(e => {
-                        if (e.account && e.account.toLowerCase() === ledger.name.toLowerCase()) {
-                            debit += e.debitAmount || 0;
-                            credit += e.creditAmount || 0;
-                        }
-                    });
-                }
-                signedOpening += (debit - credit);
-            });
-
-            preTrips.forEach(t => {
-                if (t.sales) {
-                    t.sales.forEach(s => {
-                        let debit = 0;
-                        if (s.cashLedger && s.cashLedger.toString() === id.toString()) debit += s.cashPaid || 0;
-                        if (s.onlineLedger && s.onlineLedger.toString() === id.toString()) debit += s.onlinePaid || 0;
-                        signedOpening += debit;
-                    });
-                }
-            });
-
-            preStocks.forEach(s => {
-                let debit = 0;
-                if (s.cashLedgerId && s.cashLedgerId.toString() === id.toString()) debit += s.cashPaid || 0;
-                if (s.onlineLedgerId && s.onlineLedgerId.toString() === id.toString()) debit += s.onlinePaid || 0;
-                if (s.expenseLedgerId && s.expenseLedgerId.toString() === id.toString()) debit += s.amount || 0; // Expense is Debit
-                signedOpening += debit; // Sales/Receipts receiving money into Cash/Bank are debits. Expenses are Debits.
-            });
-        }
-
-        // Sort transactions chronologically by Date and entry creation time
-        transactions.sort((a, b) => {
-            const timeA = new Date(a.date || a.createdAt || 0).getTime();
-            const timeB = new Date(b.date || b.createdAt || 0).getTime();
-            if (timeA !== timeB) return timeA - timeB;
-            const createA = new Date(a.createdAt || 0).getTime();
-            const createB = new Date(b.createdAt || 0).getTime();
-            return createA - createB;
-        });
-
-        // Calculate Running Balance
-        let currentBalance = signedOpening;
-        transactions = transactions.map(t => {
-            currentBalance += (t.debit - t.credit);
-            const formatted = fromSignedValue(currentBalance);
-            return {
-                ...t,
-                runningBalance: formatted.amount,
-                runningBalanceType: formatted.type
-            };
-        });
-
-        // Final Opening Balance for Display (at queryStartDate)
-        const displayOpening = fromSignedValue(signedOpening);
-
-        // Add Opening Balance Entry
-        transactions.unshift({
-            _id: 'op_bal',
-            date: queryStartDate || getFinancialYearStartDate(ledger.createdAt),
-            type: 'OPENING',
-            refNo: '-',
-            description: 'OP',
-            debit: 0,
-            credit: 0,
-            runningBalance: displayOpening.amount,
-            runningBalanceType: displayOpening.type
-        });
-
-        successResponse(res, "Ledger transactions retrieved", 200, {
-            ledger: {
-                _id: ledger._id,
-                name: ledger.name,
-                group: ledger.group
-            },
-            openingBalance: displayOpening.amount,
-            openingBalanceType: displayOpening.type,
-            transactions,
-            closingBalance: transactions.length > 0 ? transactions[transactions.length - 1].runningBalance : displayOpening.amount,
-            closingBalanceType: transactions.length > 0 ? transactions[transactions.length - 1].runningBalanceType : displayOpening.type
-        });
+        const result = await buildLedgerTransactions(ledger, { startDate, endDate });
+        successResponse(res, "Ledger transactions retrieved", 200, result);
 
     } catch (error) {
         next(error);
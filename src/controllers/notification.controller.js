@@ -0,0 +1,72 @@
+import Notification from '../models/Notification.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { processOutbox } from '../services/notifications/outbox.js';
+
+// List outbox messages with delivery status
+export const getNotifications = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, channel, event, customer } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (channel) query.channel = channel;
+        if (event) query.event = event;
+        if (customer) query.customer = customer;
+
+        const notifications = await Notification.find(query)
+            .populate('customer', 'shopName ownerName contact')
+            .populate('createdBy', 'name')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await Notification.countDocuments(query);
+
+        successResponse(res, "Notifications retrieved successfully", 200, {
+            notifications,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Deliver due messages now (also the entry point for an external cron on serverless hosts)
+export const processNotifications = async (req, res, next) => {
+    try {
+        const limit = Math.min(Number(req.body?.limit) || 50, 500);
+        const summary = await processOutbox({ limit });
+        successResponse(res, "Notification outbox processed", 200, summary);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Put a failed or skipped message back in the queue
+export const retryNotification = async (req, res, next) => {
+    try {
+        const notification = await Notification.findById(req.params.id);
+        if (!notification) {
+            throw new AppError('Notification not found', 404);
+        }
+        if (!['failed', 'skipped'].includes(notification.status)) {
+            throw new AppError(`Only failed or skipped notifications can be retried (current status: ${notification.status})`, 400);
+        }
+
+        notification.status = 'pending';
+        notification.attempts = 0;
+        notification.nextAttemptAt = new Date();
+        notification.lastError = undefined;
+        await notification.save();
+
+        successResponse(res, "Notification queued for retry", 200, notification);
+    } catch (error) {
+        next(error);
+    }
+};
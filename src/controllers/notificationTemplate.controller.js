@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import NotificationTemplate from '../models/NotificationTemplate.js';
+import Trip from '../models/Trip.js';
+import InventoryStock from '../models/InventoryStock.js';
+import Customer from '../models/Customer.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import {
+    TEMPLATE_KEYS,
+    TEMPLATE_PLACEHOLDERS,
+    getDefaultTemplate,
+    validateTemplateText,
+    renderTemplate,
+    buildMessageData
+} from '../services/notifications/templates.js';
+import { CHANNELS } from '../services/notifications/adapters/index.js';
+
+const assertTemplateFields = ({ key, channel, subject, body, dltTemplateId }) => {
+    if (!TEMPLATE_KEYS.includes(key)) {
+        throw new AppError(`Template key must be one of: ${TEMPLATE_KEYS.join(', ')}`, 400);
+    }
+    if (!CHANNELS.includes(channel)) {
+        throw new AppError(`Channel must be one of: ${CHANNELS.join(', ')}`, 400);
+    }
+    if (!body || !String(body).trim()) {
+        throw new AppError('Template body is required', 400);
+    }
+    if (dltTemplateId && channel !== 'sms') {
+        throw new AppError('DLT template id only applies to the sms channel', 400);
+    }
+    validateTemplateText(subject, body);
+};
+
+// List saved templates, plus the built-in wording for every event/channel without one
+export const getTemplates = async (req, res, next) => {
+    try {
+        const { key, channel } = req.query;
+        const query = { isActive: true };
+        if (key) query.key = key;
+        if (channel) query.channel = channel;
+
+        const templates = await NotificationTemplate.find(query)
+            .populate('updatedBy', 'name')
+            .sort({ key: 1, channel: 1 });
+
+        const savedPairs = new Set(templates.map(t => `${t.key}:${t.channel}`));
+        const defaults = TEMPLATE_KEYS
+            .filter(k => !key || k === key)
+            .flatMap(k => CHANNELS.filter(c => !channel || c === channel).map(c => getDefaultTemplate(k, c)))
+            .filter(t => !savedPairs.has(`${t.key}:${t.channel}`));
+
+        successResponse(res, "Notification templates retrieved successfully", 200, {
+            templates,
+            defaults,
+            keys: TEMPLATE_KEYS,
+            placeholders: TEMPLATE_PLACEHOLDERS
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getTemplateById = async (req, res, next) => {
+    try {
+        const template = await NotificationTemplate.findOne({ _id: req.params.id, isActive: true })
+            .populate('createdBy', 'name')
+            .populate('updatedBy', 'name');
+        if (!template) {
+            throw new AppError('Notification template not found', 404);
+        }
+
+        successResponse(res, "Notification template retrieved successfully", 200, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const createTemplate = async (req, res, next) => {
+    try {
+        const { channel, name, subject, body, dltTemplateId } = req.body;
+        const key = String(req.body.key ?? '').trim().toLowerCase();
+        assertTemplateFields({ key, channel, subject, body, dltTemplateId });
+
+        const existing = await NotificationTemplate.findOne({ key, channel, isActive: true });
+        if (existing) {
+            throw new AppError(`A ${channel} template for ${key} already exists`, 409);
+        }
+
+        const template = await NotificationTemplate.create({
+            key,
+            channel,
+            name,
+            subject,
+            body,
+            dltTemplateId,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        successResponse(res, "Notification template created successfully", 201, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Key and channel are fixed once created; delete and recreate to move a template
+export const updateTemplate = async (req, res, next) => {
+    try {
+        const template = await NotificationTemplate.findOne({ _id: req.params.id, isActive: true });
+        if (!template) {
+            throw new AppError('Notification template not found', 404);
+        }
+
+        ['name', 'subject', 'body', 'dltTemplateId'].forEach(field => {
+            if (req.body[field] !== undefined) template[field] = req.body[field];
+        });
+        assertTemplateFields(template);
+
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        successResponse(res, "Notification template updated successfully", 200, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Soft delete; the event falls back to the built-in wording
+export const deleteTemplate = async (req, res, next) => {
+    try {
+        const template = await NotificationTemplate.findOneAndUpdate(
+            { _id: req.params.id, isActive: true },
+            { isActive: false, updatedBy: req.user._id },
+            { new: true }
+        );
+        if (!template) {
+            throw new AppError('Notification template not found', 404);
+        }
+
+        successResponse(res, "Notification template deleted successfully", 200, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Load the customer and placeholder data of a real trip sale (?tripId&entryId) or stock sale/receipt (?stockId)
+const loadPreviewSource = async ({ tripId, entryId, stockId }) => {
+    if (tripId) {
+        if (!mongoose.Types.ObjectId.isValid(tripId) || !mongoose.Types.ObjectId.isValid(entryId)) {
+            throw new AppError('Valid tripId and entryId are required', 400);
+        }
+        const trip = await Trip.findById(tripId).select('sales');
+        const sale = trip?.sales.id(entryId);
+        if (!sale) {
+            throw new AppError('Sale not found on this trip', 404);
+        }
+        return { customerId: sale.client, data: { ...sale.toObject(), date: sale.timestamp } };
+    }
+    if (stockId) {
+        const stock = await InventoryStock.findById(stockId);
+        if (!stock || !['sale', 'receipt'].includes(stock.type)) {
+            throw new AppError('Stock sale or receipt not found', 404);
+        }
+        return { customerId: stock.customerId, data: stock.toObject() };
+    }
+    throw new AppError('Pass tripId and entryId, or stockId, to preview against', 400);
+};
+
+// Render a template against a real sale or receipt without sending anything
+export const previewTemplate = async (req, res, next) => {
+    try {
+        const template = await NotificationTemplate.findOne({ _id: req.params.id, isActive: true });
+        if (!template) {
+            throw new AppError('Notification template not found', 404);
+        }
+
+        const { customerId, data } = await loadPreviewSource(req.query);
+        const customer = customerId ? await Customer.findById(customerId).lean() : null;
+        if (!customer) {
+            throw new AppError('The selected entry has no customer', 400);
+        }
+
+        const values = await buildMessageData(customer, data);
+        successResponse(res, "Notification template preview", 200, {
+            template,
+            values,
+            rendered: renderTemplate(template, values)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -5,6 +5,7 @@ import AppError from '../utils/AppError.js';
 import { successResponse } from '../utils/responseHandler.js';
 import { addToBalance, subtractFromBalance } from '../utils/balanceUtils.js';
 import mongoose from 'mongoose';
+import { queueCustomerEvent } from '../services/notifications/events.js';
 
 // Customer panel - Submit payment
 export const submitPayment = async (req, res, next) => {
@@ -271,6 +272,15 @@ export const verifyPayment = async (req, res, next) => {
 
         await payment.populate(populateFields);
 
+        if (status === 'verified') {
+            await queueCustomerEvent('payment.verified', {
+                customerId: payment.customer._id,
+                data: { paid: payment.amount, date: payment.verifiedAt, billNumber: payment.verificationDetails?.transactionId },
+                reference: { model: 'Payment', id: payment._id },
+                userId: adminId
+            });
+        }
+
         successResponse(res, `Payment ${status} successfully`, 200, payment);
     } catch (error) {
         next(error);
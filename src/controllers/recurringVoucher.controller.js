@@ -0,0 +1,289 @@
+import mongoose from 'mongoose';
+import RecurringVoucher from '../models/RecurringVoucher.js';
+import RecurringVoucherInstance from '../models/RecurringVoucherInstance.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { runJob, JOBS } from '../services/jobs/index.js';
+import {
+    prepareTemplate,
+    upcomingOccurrences,
+    templateAmount,
+    approveInstance as approveInstanceService,
+    rejectInstance as rejectInstanceService
+} from '../services/recurringVouchers.js';
+
+const populateTemplate = (query) => query
+    .populate('account', 'name')
+    .populate('createdBy', 'name')
+    .populate('updatedBy', 'name');
+
+const loadTemplate = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Invalid recurring voucher id', 400);
+    }
+    const template = await RecurringVoucher.findOne({ _id: id, isActive: true });
+    if (!template) {
+        throw new AppError('Recurring voucher not found', 404);
+    }
+    return template;
+};
+
+export const getRecurringVouchers = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10, status, voucherType, mode, search } = req.query;
+
+        const query = { isActive: true };
+        if (status) query.status = status;
+        if (voucherType) query.voucherType = voucherType;
+        if (mode) query.mode = mode;
+        if (search) {
+            query.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { partyName: { $regex: search, $options: 'i' } },
+                { narration: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const templates = await populateTemplate(RecurringVoucher.find(query))
+            .sort({ nextRunDate: 1, createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await RecurringVoucher.countDocuments(query);
+
+        successResponse(res, "Recurring vouchers retrieved successfully", 200, {
+            recurringVouchers: templates,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Template with its next few dates and latest generated occurrences
+export const getRecurringVoucherById = async (req, res, next) => {
+    try {
+        const template = await loadTemplate(req.params.id);
+        await template.populate([
+            { path: 'account', select: 'name' },
+            { path: 'createdBy', select: 'name' },
+            { path: 'updatedBy', select: 'name' }
+        ]);
+
+        const oneYearAhead = new Date();
+        oneYearAhead.setFullYear(oneYearAhead.getFullYear() + 1);
+        const upcoming = template.status === 'active' ? upcomingOccurrences(template, { until: oneYearAhead, limit: 5 }) : [];
+
+        const instances = await RecurringVoucherInstance.find({ template: template._id })
+            .populate('voucher', 'voucherNumber voucherType date totalDebit')
+            .populate('reviewedBy', 'name')
+            .sort({ scheduledDate: -1 })
+            .limit(10);
+
+        successResponse(res, "Recurring voucher retrieved successfully", 200, { recurringVoucher: template, upcoming, instances });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const createRecurringVoucher = async (req, res, next) => {
+    try {
+        const fields = await prepareTemplate(req.body);
+        const template = await RecurringVoucher.create({
+            ...fields,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        successResponse(res, "Recurring voucher created successfully", 201, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Changes apply to occurrences generated from now on; posted vouchers are not touched
+export const updateRecurringVoucher = async (req, res, next) => {
+    try {
+        const template = await loadTemplate(req.params.id);
+        const fields = await prepareTemplate(req.body, template);
+
+        template.set({ ...fields, updatedBy: req.user._id });
+        await template.save();
+
+        successResponse(res, "Recurring voucher updated successfully", 200, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const deleteRecurringVoucher = async (req, res, next) => {
+    try {
+        const template = await loadTemplate(req.params.id);
+        template.isActive = false;
+        template.status = 'ended';
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        successResponse(res, "Recurring voucher deleted successfully", 200, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const pauseRecurringVoucher = async (req, res, next) => {
+    try {
+        const template = await loadTemplate(req.params.id);
+        if (template.status !== 'active') {
+            throw new AppError(`Only an active recurring voucher can be paused; this one is ${template.status}`, 400);
+        }
+        template.status = 'paused';
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        successResponse(res, "Recurring voucher paused", 200, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Occurrences that fell due while paused are generated on the next run (subject to the catch-up limit)
+export const resumeRecurringVoucher = async (req, res, next) => {
+    try {
+        const template = await loadTemplate(req.params.id);
+        if (template.status !== 'paused') {
+            throw new AppError(`Only a paused recurring voucher can be resumed; this one is ${template.status}`, 400);
+        }
+        template.status = template.nextRunDate ? 'active' : 'ended';
+        template.updatedBy = req.user._id;
+        await template.save();
+
+        successResponse(res, "Recurring voucher resumed", 200, template);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Occurrences due in the next ?days (default 30) across active templates
+export const getUpcomingVouchers = async (req, res, next) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+        const until = new Date();
+        until.setDate(until.getDate() + days);
+        until.setHours(23, 59, 59, 999);
+
+        const templates = await RecurringVoucher.find({ isActive: true, status: 'active', nextRunDate: { $ne: null, $lte: until } })
+            .populate('account', 'name')
+            .lean();
+
+        const upcoming = templates
+            .flatMap(template => upcomingOccurrences(template, { until }).map(date => ({
+                template: template._id,
+                name: template.name,
+                voucherType: template.voucherType,
+                partyName: template.partyName,
+                account: template.account?.name || null,
+                mode: template.mode,
+                date,
+                amount: templateAmount(template)
+            })))
+            .sort((a, b) => a.date - b.date);
+
+        successResponse(res, "Upcoming recurring vouchers retrieved successfully", 200, {
+            days,
+            upcoming,
+            totalAmount: upcoming.reduce((sum, item) => sum + item.amount, 0)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Generated occurrences (?status=draft lists those waiting for approval)
+export const getInstances = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, template, startDate, endDate } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (template) {
+            if (!mongoose.Types.ObjectId.isValid(template)) {
+                throw new AppError('Invalid recurring voucher id', 400);
+            }
+            query.template = template;
+        }
+        if (startDate || endDate) {
+            query.scheduledDate = {};
+            if (startDate) query.scheduledDate.$gte = new Date(startDate);
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                query.scheduledDate.$lte = end;
+            }
+        }
+
+        const instances = await RecurringVoucherInstance.find(query)
+            .populate('template', 'name voucherType partyName mode parties entries')
+            .populate('voucher', 'voucherNumber voucherType date totalDebit')
+            .populate('reviewedBy', 'name')
+            .sort({ scheduledDate: -1, createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await RecurringVoucherInstance.countDocuments(query);
+
+        successResponse(res, "Recurring voucher occurrences retrieved successfully", 200, {
+            instances,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body (all optional): { date, parties, account, entries, narration } for this occurrence only
+export const approveInstance = async (req, res, next) => {
+    try {
+        const { instance, voucher } = await approveInstanceService(req.params.instanceId, {
+            overrides: req.body || {},
+            userId: req.user._id
+        });
+
+        successResponse(res, "Recurring voucher posted", 200, { instance, voucher });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const rejectInstance = async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+        if (!reason || !reason.trim()) {
+            throw new AppError('Rejection reason is required', 400);
+        }
+
+        const instance = await rejectInstanceService(req.params.instanceId, { reason: reason.trim(), userId: req.user._id });
+        successResponse(res, "Recurring voucher occurrence rejected", 200, instance);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Generate everything due now instead of waiting for the scheduler
+export const runRecurringVouchers = async (req, res, next) => {
+    try {
+        const result = await runJob(JOBS.RECURRING_VOUCHERS, { trigger: 'manual', userId: req.user._id });
+        successResponse(res, result.skipped ? result.reason : "Recurring vouchers processed", 200, result.summary || result);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,62 @@
+import CustomerReminder from '../models/CustomerReminder.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { runJob, JOBS } from '../services/jobs/index.js';
+import { getReminderSettings } from '../services/overdueReminders.js';
+
+// Who was reminded and when
+export const getReminders = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, customer, startDate, endDate } = req.query;
+
+        const query = {};
+        if (customer) query.customer = customer;
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                query.createdAt.$lte = end;
+            }
+        }
+
+        const reminders = await CustomerReminder.find(query)
+            .populate('customer', 'shopName ownerName contact reminderOptOut')
+            .populate('notifications', 'channel status sentAt lastError')
+            .populate('createdBy', 'name')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await CustomerReminder.countDocuments(query);
+
+        successResponse(res, "Reminders retrieved successfully", 200, {
+            reminders,
+            settings: await getReminderSettings(),
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Run the reminder job now; { dryRun: true } lists who is due without sending
+export const runOverdueReminders = async (req, res, next) => {
+    try {
+        const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true';
+        const result = await runJob(JOBS.OVERDUE_REMINDERS, {
+            trigger: 'manual',
+            dryRun,
+            userId: req.user._id
+        });
+
+        successResponse(res, result.skipped ? result.reason : "Overdue reminders processed", 200, result.summary || result);
+    } catch (error) {
+        next(error);
+    }
+};
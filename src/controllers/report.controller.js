@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { sendWorkbook } from '../utils/excelExport.js';
+import { parseAsOfDate } from '../utils/ageing.js';
+import { dayKey } from '../utils/periodLock.js';
+import { buildReceivablesAgeing, receivablesAgeingSheets } from '../services/receivablesAgeing.js';
+import {
+    PAYABLE_PARTY_TYPES,
+    buildPayablesAgeing,
+    buildPayablesDue,
+    payablesAgeingSheets,
+    payablesDueSheets
+} from '../services/payablesAgeing.js';
+import { buildDayBook, dayBookSheets } from '../services/dayBook.js';
+import { buildCashBook, buildCashBookSummary, cashBookSheets } from '../services/cashBook.js';
+
+const assertObjectIds = (values) => {
+    Object.entries(values).forEach(([name, value]) => {
+        if (value && !mongoose.Types.ObjectId.isValid(value)) {
+            throw new AppError(`Invalid ${name}`, 400);
+        }
+    });
+};
+
+// Customer receivables ageing (?asOf, ?group, ?place, ?customer, ?includeItems, ?format=excel)
+export const getReceivablesAgeing = async (req, res, next) => {
+    try {
+        const { asOf, group, place, customer, includeItems, includeZero, format } = req.query;
+        assertObjectIds({ group, customer });
+
+        const asOfDate = parseAsOfDate(asOf);
+        if (!asOfDate) {
+            throw new AppError('Invalid asOf date', 400);
+        }
+
+        const report = await buildReceivablesAgeing({
+            asOf: asOfDate,
+            group,
+            place,
+            customer,
+            includeItems: includeItems === 'true' || Boolean(customer),
+            includeZero: includeZero === 'true'
+        });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, receivablesAgeingSheets(report), `receivables_ageing_${dayKey(asOfDate)}.xlsx`);
+        }
+        successResponse(res, "Receivables ageing generated successfully", 200, report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+const assertPartyType = (partyType) => {
+    if (partyType && !PAYABLE_PARTY_TYPES.includes(partyType)) {
+        throw new AppError(`partyType must be one of: ${PAYABLE_PARTY_TYPES.join(', ')}`, 400);
+    }
+};
+
+// Vendor and diesel station payables ageing (?asOf, ?partyType, ?party, ?includeItems, ?format=excel)
+export const getPayablesAgeing = async (req, res, next) => {
+    try {
+        const { asOf, partyType, party, includeItems, includeZero, format } = req.query;
+        assertPartyType(partyType);
+        assertObjectIds({ party });
+
+        const asOfDate = parseAsOfDate(asOf);
+        if (!asOfDate) {
+            throw new AppError('Invalid asOf date', 400);
+        }
+
+        const report = await buildPayablesAgeing({
+            asOf: asOfDate,
+            partyType,
+            party,
+            includeItems: includeItems === 'true' || Boolean(party),
+            includeZero: includeZero === 'true'
+        });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, payablesAgeingSheets(report), `payables_ageing_${dayKey(asOfDate)}.xlsx`);
+        }
+        successResponse(res, "Payables ageing generated successfully", 200, report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Bills due for payment up to ?until (default: end of this week, Sunday), overdue ones included
+export const getPayablesDue = async (req, res, next) => {
+    try {
+        const { until, partyType, party, format } = req.query;
+        assertPartyType(partyType);
+        assertObjectIds({ party });
+
+        const from = new Date();
+        from.setHours(0, 0, 0, 0);
+        let untilDate;
+        if (until) {
+            untilDate = parseAsOfDate(until);
+            if (!untilDate) {
+                throw new AppError('Invalid until date', 400);
+            }
+        } else {
+            untilDate = new Date(from);
+            untilDate.setDate(untilDate.getDate() + ((7 - untilDate.getDay()) % 7));
+            untilDate.setHours(23, 59, 59, 999);
+        }
+
+        const report = await buildPayablesDue({ from, until: untilDate, partyType, party });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, payablesDueSheets(report), `payables_due_${dayKey(untilDate)}.xlsx`);
+        }
+        successResponse(res, "Payables due generated successfully", 200, report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// from/to as YYYY-MM-DD (both default to today); the whole of both days is included
+const parsePeriod = (from, to) => {
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : new Date(start);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new AppError('Invalid from/to date', 400);
+    }
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+    if (start > end) {
+        throw new AppError('from date must be on or before to date', 400);
+    }
+    return { start, end };
+};
+
+// Every trip, stock, indirect sale and voucher entry in date order (?from, ?to, ?voucherType, ?format=excel)
+export const getDayBook = async (req, res, next) => {
+    try {
+        const { from, to, voucherType, format } = req.query;
+        const { start, end } = parsePeriod(from, to);
+
+        const report = await buildDayBook({ from: start, to: end, voucherType });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, dayBookSheets(report), `day_book_${dayKey(start)}_${dayKey(end)}.xlsx`);
+        }
+        successResponse(res, "Day book generated successfully", 200, report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Cash-in-Hand and Bank Accounts ledgers with receipts and payments for the period (?from, ?to, ?book=cash|bank)
+export const getCashBookSummary = async (req, res, next) => {
+    try {
+        const { from, to, book } = req.query;
+        if (book && !['cash', 'bank'].includes(book)) {
+            throw new AppError('book must be cash or bank', 400);
+        }
+        const { start, end } = parsePeriod(from, to);
+
+        const report = await buildCashBookSummary({ startDate: start, endDate: end, book });
+        successResponse(res, "Cash book summary generated successfully", 200, { from: start, to: end, ...report });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Cash/bank book with running balance for one ledger (?from, ?to, ?format=excel)
+export const getCashBook = async (req, res, next) => {
+    try {
+        const { from, to, format } = req.query;
+        const { start, end } = parsePeriod(from, to);
+
+        const report = await buildCashBook(req.params.ledgerId, { startDate: start, endDate: end });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, cashBookSheets(report), `${report.book}_book_${dayKey(start)}_${dayKey(end)}.xlsx`);
+        }
+        successResponse(res, `${report.book === 'bank' ? 'Bank' : 'Cash'} book generated successfully`, 200, report);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,4 +1,5 @@
 import Setting from '../models/Setting.js';
+import { validateReminderSetting } from '../services/overdueReminders.js';
 
 // Get all settings or a specific one by key query
 export const getSettings = async (req, res) => {
@@ -35,6 +36,14 @@ export const updateSetting = async (req, res) => {
             });
         }
 
+        const invalid = validateReminderSetting(key.toUpperCase(), value);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
         const setting = await Setting.findOneAndUpdate(
             { key: key.toUpperCase() },
             {
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import Setting from '../models/Setting.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { sendWorkbook } from '../utils/excelExport.js';
+import { TDS_SETTING, getTdsConfig, mergeTdsConfig } from '../utils/tds.js';
+import { parseFinancialYear } from '../services/yearEndClose.js';
+import {
+    recalculateTds,
+    buildTdsRegister,
+    buildTdsQuarterlySummary,
+    tdsRegisterSheets,
+    tdsQuarterlySheets
+} from '../services/tds.js';
+import { getFinancialYearStartDate } from '../utils/balanceUtils.js';
+
+const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+// Defaults to the current financial year
+const resolveStartYear = (financialYear) => (financialYear
+    ? parseFinancialYear(financialYear)
+    : getFinancialYearStartDate().getFullYear());
+
+const assertQuarter = (quarter, required = false) => {
+    if ((required || quarter) && !QUARTERS.includes(quarter)) {
+        throw new AppError(`quarter must be one of: ${QUARTERS.join(', ')}`, 400);
+    }
+};
+
+const assertVendorId = (vendor) => {
+    if (vendor && !mongoose.Types.ObjectId.isValid(vendor)) {
+        throw new AppError('Invalid vendor', 400);
+    }
+};
+
+export const getTdsSettings = async (req, res, next) => {
+    try {
+        const config = await getTdsConfig();
+        successResponse(res, "TDS settings retrieved successfully", 200, config);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body: { '194Q': { rate, rateWithoutPan, threshold, thresholdMode, ledger, enabled, description } }
+// Existing deductions are not touched; run a recalculation to apply new rates.
+export const updateTdsSettings = async (req, res, next) => {
+    try {
+        const config = mergeTdsConfig(await getTdsConfig(), req.body);
+        await Setting.findOneAndUpdate(
+            { key: TDS_SETTING },
+            { value: config, updatedBy: req.user._id },
+            { upsert: true, new: true }
+        );
+        successResponse(res, "TDS settings updated successfully", 200, config);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body: { financialYear, vendor } (vendor optional: every TDS vendor when omitted)
+export const recalculate = async (req, res, next) => {
+    try {
+        const { financialYear, vendor } = req.body;
+        assertVendorId(vendor);
+        const result = await recalculateTds({ startYear: resolveStartYear(financialYear), vendor, userId: req.user._id });
+        successResponse(res, `TDS recalculated for ${result.financialYear}`, 200, result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Deductions for a year (?financialYear, ?quarter, ?vendor, ?includeReversed, ?format=excel)
+export const getTdsRegister = async (req, res, next) => {
+    try {
+        const { financialYear, quarter, vendor, includeReversed, format } = req.query;
+        assertQuarter(quarter);
+        assertVendorId(vendor);
+
+        const register = await buildTdsRegister({
+            startYear: resolveStartYear(financialYear),
+            quarter,
+            vendor,
+            includeReversed: includeReversed === 'true'
+        });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, tdsRegisterSheets(register), `tds_register_${register.financialYear}${quarter ? `_${quarter}` : ''}.xlsx`);
+        }
+        successResponse(res, "TDS register generated successfully", 200, register);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Quarterly return summary (?financialYear, ?quarter, ?format=excel)
+export const getTdsQuarterlySummary = async (req, res, next) => {
+    try {
+        const { financialYear, quarter, format } = req.query;
+        assertQuarter(quarter, true);
+
+        const summary = await buildTdsQuarterlySummary({ startYear: resolveStartYear(financialYear), quarter });
+
+        if (format === 'excel') {
+            return sendWorkbook(res, tdsQuarterlySheets(summary), `tds_${summary.financialYear}_${quarter}.xlsx`);
+        }
+        successResponse(res, "TDS quarterly summary generated successfully", 200, summary);
+    } catch (error) {
+        next(error);
+    }
+};
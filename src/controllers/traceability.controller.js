@@ -0,0 +1,25 @@
+import { successResponse } from '../utils/responseHandler.js';
+import { traceLotForward, traceBill } from '../services/lotTraceability.js';
+
+// Customers and bills that received birds from a vendor's DC (?vendor, ?dcNumber)
+export const traceLot = async (req, res, next) => {
+    try {
+        const { vendor, dcNumber } = req.query;
+        const lots = await traceLotForward({ vendor, dcNumber });
+
+        successResponse(res, "Lot trace fetched successfully", 200, { lots });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Vendors, DCs and farms a bill's birds came from
+export const traceBillSources = async (req, res, next) => {
+    try {
+        const sales = await traceBill(req.params.billNumber);
+
+        successResponse(res, "Bill trace fetched successfully", 200, { sales });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,14 +1,116 @@
 import Trip from "../models/Trip.js";
+import TripTransferRequest from "../models/TripTransferRequest.js";
 import Vehicle from "../models/Vehicle.js";
-import User from "../models/User.js";
 import Customer from "../models/Customer.js";
 import Ledger from "../models/Ledger.js";
 import DieselStation from "../models/DieselStation.js";
 import AppError from "../utils/AppError.js";
 import { successResponse } from "../utils/responseHandler.js";
-import { addToBalance, subtractFromBalance, toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
-import { addSaleWhatsappMessage } from "../utils/addSaleWhatsappMessage.js";
-import sendSMS from "../services/sendSMS.js";
+import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { queueCustomerEvent } from "../services/notifications/events.js";
+import { buildTripSaleInvoice, renderSaleInvoice } from "../services/saleInvoice.js";
+import { getBusinessProfile } from "../utils/businessProfile.js";
+import { syncVendorTds } from "../services/tds.js";
+import { applyTripClosing, buildSettlementPreview, applySettlement } from "../services/tripSettlement.js";
+import { recompleteTrip } from "../services/tripReopen.js";
+import { executeTransfer, requestTransfer, buildTransferLineage } from "../services/tripTransfers.js";
+import { readLotSelection, allocateTripLotsForRead, lotVendorNames, lotsProductName } from "../services/tripLots.js";
+import { summarizeTripLots } from "../services/lotTraceability.js";
+
+// TDS sync targets for trip purchases (purchase date falls back to the trip date)
+const purchaseTdsTargets = (trip, purchases) => purchases
+    .filter(purchase => purchase?.supplier)
+    .map(purchase => ({ vendor: purchase.supplier, date: purchase.timestamp || trip.date }));
+
+/**
+ * Apply a signed change to a party's outstanding balance inside the given session
+ * Debit = positive, Credit = negative (same convention as toSignedValue)
+ * Throws when the party is missing so the surrounding transaction rolls back.
+ */
+const adjustOutstandingBalance = async (Model, partyId, signedChange, { session, userId, label, defaultType = 'debit' }) => {
+    if (!partyId || !signedChange) return null;
+
+    const party = await Model.findById(partyId).session(session);
+    if (!party) throw new AppError(`${label} not found`, 404);
+
+    const currentSigned = toSignedValue(
+        party.outstandingBalance || 0,
+        party.outstandingBalanceType || defaultType
+    );
+    const newBalance = fromSignedValue(currentSigned + signedChange);
+
+    party.outstandingBalance = newBalance.amount;
+    party.outstandingBalanceType = newBalance.type;
+    if (userId) party.updatedBy = userId;
+    await party.save({ session });
+
+    return party;
+};
+
+// Signed effect of a trip sale/receipt on the customer's balance (sale amount minus payments and discount)
+const getSaleBalanceEffect = (sale) => {
+    const amount = Number(sale?.amount) || 0;
+    const isReceipt = (sale?.birds === 0 || !sale?.birds) &&
+        (sale?.weight === 0 || !sale?.weight) &&
+        (amount === 0 || !sale?.amount);
+
+    let effect = 0;
+    if (!isReceipt && amount > 0) effect += amount;
+    [sale?.cashPaid, sale?.onlinePaid, sale?.discount].forEach((value) => {
+        const paid = Number(value) || 0;
+        if (paid > 0) effect -= paid;
+    });
+    return effect;
+};
+
+/**
+ * Read the trip version the client last saw (If-Match header or `version` in the body)
+ * The body field is removed so it is never merged into a sub-entry.
+ * @returns {Number|null} - null when the client did not send a version
+ */
+const getExpectedVersion = (req) => {
+    const bodyVersion = req.body?.version;
+    if (req.body && 'version' in req.body) delete req.body.version;
+
+    const raw = req.get('If-Match') ?? bodyVersion;
+    if (raw === undefined || raw === null || raw === '') return null;
+
+    const version = Number(String(raw).replace(/^W\//, '').replace(/"/g, ''));
+    if (!Number.isInteger(version)) throw new AppError('Invalid trip version', 400);
+    return version;
+};
+
+// Reject edits made against an older copy of the trip
+const assertTripVersion = (trip, expectedVersion) => {
+    if (expectedVersion === null || expectedVersion === undefined) return;
+    if (trip.__v !== expectedVersion) {
+        throw new AppError('This trip was changed by someone else. Reload it and try again.', 409);
+    }
+};
+
+/**
+ * Resolve a sub-entry reference to its position in the array
+ * `entryId` is the subdocument _id. A plain number is still accepted as a
+ * position for the deprecated index routes.
+ * @param {Array} entries - Trip sub-document array (purchases, sales, ...)
+ * @param {String} entryId - Route parameter
+ * @param {String} label - Entry name used in error messages (e.g. 'purchase')
+ * @returns {Number} - Array position of the entry
+ */
+const resolveEntryIndex = (entries, entryId, label) => {
+    const list = entries || [];
+
+    if (/^\d+$/.test(String(entryId))) {
+        const position = parseInt(entryId);
+        if (position >= list.length) throw new AppError(`Invalid ${label} index`, 400);
+        return position;
+    }
+
+    const position = list.findIndex(entry => entry._id && entry._id.toString() === String(entryId));
+    if (position === -1) throw new AppError(`The ${label} entry was not found on this trip`, 404);
+    return position;
+};
 
 const buildTransferPopulate = (depth = 3) => {
     if (depth <= 0) return null;
@@ -219,6 +321,37 @@ export const getTripById = async (req, res, next) => {
     }
 }
 
+// Print a single trip sale as a bill (?format=pdf|html|text, ?paperWidth=58|80)
+export const getSaleInvoice = async (req, res, next) => {
+    try {
+        const { id, entryId } = req.params;
+        const { format = 'pdf', paperWidth } = req.query;
+
+        let query = { _id: id };
+        if (req.user.role === 'supervisor') {
+            query.supervisor = req.user._id;
+        }
+
+        const trip = await Trip.findOne(query)
+            .populate('vehicle', 'vehicleNumber')
+            .populate('sales.client', 'shopName ownerName contact place');
+        if (!trip) throw new AppError('Trip not found', 404);
+
+        const saleIndex = resolveEntryIndex(trip.sales, entryId, 'sale');
+        const invoice = buildTripSaleInvoice(trip, trip.sales[saleIndex]);
+        const business = await getBusinessProfile();
+        const { contentType, body, filename } = await renderSaleInvoice(invoice, business, { format, paperWidth });
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `inline; filename="${filename}"`
+        });
+        res.status(200).send(body);
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Update trip (Admin only)
 export const updateTrip = async (req, res, next) => {
     try {
@@ -226,22 +359,28 @@ export const updateTrip = async (req, res, next) => {
             throw new AppError('Only admin can update trip details', 403);
         }
 
+        const expectedVersion = getExpectedVersion(req);
         const { id } = req.params;
         const updateData = {
             ...req.body,
             updatedBy: req.user._id
         };
+        // Settlement, reopen and lot allocation are only changed through their own flows
+        ['settlement', 'reopenRequest', 'lots'].forEach(field => delete updateData[field]);
 
-        const trip = await Trip.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('vehicle', 'vehicleNumber type')
-            .populate('supervisor', 'name mobileNumber');
-
+        const trip = await Trip.findById(id);
         if (!trip) throw new AppError('Trip not found', 404);
+        assertTripVersion(trip, expectedVersion);
+
+        // Saved through the document so the summary, lots and settlement guard are kept in step
+        trip.set(updateData);
+        await trip.save();
 
-        successResponse(res, "Trip updated successfully", 200, trip);
+        const updatedTrip = await Trip.findById(trip._id)
+            .populate('vehicle', 'vehicleNumber type')
+            .populate('supervisor', 'name mobileNumber');
+
+        successResponse(res, "Trip updated successfully", 200, updatedTrip);
     } catch (error) {
         next(error);
     }
@@ -259,15 +398,18 @@ export const deleteTrip = async (req, res, next) => {
 
         if (!trip) throw new AppError('Trip not found', 404);
 
-        // Update vehicle status back to idle
-        if (trip.vehicle) {
-            await Vehicle.findByIdAndUpdate(trip.vehicle, {
-                currentStatus: 'idle',
-                updatedBy: req.user._id
-            });
-        }
+        await runInTransaction(async (session) => {
+            // Update vehicle status back to idle
+            if (trip.vehicle) {
+                await Vehicle.findByIdAndUpdate(trip.vehicle, {
+                    currentStatus: 'idle',
+                    updatedBy: req.user._id
+                }, { session });
+            }
 
-        await Trip.findByIdAndDelete(id);
+            await Trip.findByIdAndDelete(id, { session });
+            await syncVendorTds(purchaseTdsTargets(trip, trip.purchases), { session, userId: req.user._id });
+        }, 'delete trip');
 
         successResponse(res, "Trip deleted successfully", 200);
     } catch (error) {
@@ -278,6 +420,7 @@ export const deleteTrip = async (req, res, next) => {
 // Add purchase to trip (Supervisor)
 export const addPurchase = async (req, res, next) => {
     try {
+        const expectedVersion = getExpectedVersion(req);
         const { id } = req.params;
         const purchaseData = req.body;
 
@@ -286,44 +429,50 @@ export const addPurchase = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        // Prevent adding purchases to transferred trips
-        if (trip.type === 'transferred') {
-            throw new AppError('Cannot add purchases to transferred trips. This trip contains transferred stock.', 403);
-        }
+            // Prevent adding purchases to transferred trips
+            if (trip.type === 'transferred') {
+                throw new AppError('Cannot add purchases to transferred trips. This trip contains transferred stock.', 403);
+            }
 
-        // Check for duplicate purchase in the last 5 seconds or same dcNumber in the trip
-        const fiveSecondsAgo = new Date(Date.now() - 5000);
-        const isDuplicatePurchase = trip.purchases.some(purchase => {
-            const purchaseTime = new Date(purchase.timestamp);
-            const isMatchingDetails = purchaseTime >= fiveSecondsAgo &&
-                String(purchase.supplier || '') === String(purchaseData.supplier || '') &&
-                (purchase.birds || 0) === (purchaseData.birds || 0) &&
-                (purchase.weight || 0) === (purchaseData.weight || 0) &&
-                (purchase.rate || 0) === (purchaseData.rate || 0) &&
-                (purchase.amount || 0) === (purchaseData.amount || 0);
+            // Check for duplicate purchase in the last 5 seconds or same dcNumber in the trip
+            const fiveSecondsAgo = new Date(Date.now() - 5000);
+            const isDuplicatePurchase = trip.purchases.some(purchase => {
+                const purchaseTime = new Date(purchase.timestamp);
+                const isMatchingDetails = purchaseTime >= fiveSecondsAgo &&
+                    String(purchase.supplier || '') === String(purchaseData.supplier || '') &&
+                    (purchase.birds || 0) === (purchaseData.birds || 0) &&
+                    (purchase.weight || 0) === (purchaseData.weight || 0) &&
+                    (purchase.rate || 0) === (purchaseData.rate || 0) &&
+                    (purchase.amount || 0) === (purchaseData.amount || 0);
 
-            const isSameDc = purchaseData.dcNumber && purchase.dcNumber === purchaseData.dcNumber;
+                const isSameDc = purchaseData.dcNumber && purchase.dcNumber === purchaseData.dcNumber;
 
-            return isMatchingDetails || isSameDc;
-        });
+                return isMatchingDetails || isSameDc;
+            });
 
-        if (isDuplicatePurchase) {
-            throw new AppError("Duplicate purchase detected. Please wait a moment.", 409);
-        }
+            if (isDuplicatePurchase) {
+                throw new AppError("Duplicate purchase detected. Please wait a moment.", 409);
+            }
 
-        // Add purchase
-        trip.purchases.push(purchaseData);
+            // Add purchase
+            trip.purchases.push(purchaseData);
 
-        // Update summary
-        trip.summary.totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
-        trip.summary.totalBirdsPurchased = trip.purchases.reduce((sum, p) => sum + (p.birds || 0), 0);
-        trip.summary.totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
+            // Update summary
+            trip.summary.totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
+            trip.summary.totalBirdsPurchased = trip.purchases.reduce((sum, p) => sum + (p.birds || 0), 0);
+            trip.summary.totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
 
-        trip.updatedBy = req.user._id;
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            await trip.save({ session });
+            await syncVendorTds(purchaseTdsTargets(trip, [trip.purchases[trip.purchases.length - 1]]), { session, userId: req.user._id });
+
+            return trip;
+        }, 'add purchase');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -340,6 +489,7 @@ export const addPurchase = async (req, res, next) => {
 // Add sale to trip (Supervisor)
 export const addSale = async (req, res, next) => {
     try {
+        const expectedVersion = getExpectedVersion(req);
         const { id } = req.params;
         let saleData = req.body;
         const sendSms = req.body.sendSms; // Extract SMS flag
@@ -348,6 +498,8 @@ export const addSale = async (req, res, next) => {
             ...saleData,
             amount: Number(saleData.amount),
             avgWeight: Number(saleData.avgWeight),
+            // Lots the birds come from (FIFO when not picked)
+            ...readLotSelection(saleData.lots)
         }
 
         // Clean up optional ObjectId fields - remove empty strings
@@ -366,139 +518,112 @@ export const addSale = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found', 404);
-
-        // Check for duplicate sale in the last 5 seconds or same billNumber in the trip
-        const fiveSecondsAgo = new Date(Date.now() - 5000);
-        const isDuplicateSale = trip.sales.some(sale => {
-            const saleTime = new Date(sale.timestamp);
-            const isMatchingDetails = saleTime >= fiveSecondsAgo &&
-                String(sale.client || '') === String(saleData.client || '') &&
-                (sale.birds || 0) === (saleData.birds || 0) &&
-                (sale.weight || 0) === (saleData.weight || 0) &&
-                (sale.rate || 0) === (saleData.rate || 0) &&
-                (sale.amount || 0) === (saleData.amount || 0);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found', 404);
+            assertTripVersion(trip, expectedVersion);
 
-            const isSameBill = saleData.billNumber && sale.billNumber === saleData.billNumber;
+            // Check for duplicate sale in the last 5 seconds or same billNumber in the trip
+            const fiveSecondsAgo = new Date(Date.now() - 5000);
+            const isDuplicateSale = trip.sales.some(sale => {
+                const saleTime = new Date(sale.timestamp);
+                const isMatchingDetails = saleTime >= fiveSecondsAgo &&
+                    String(sale.client || '') === String(saleData.client || '') &&
+                    (sale.birds || 0) === (saleData.birds || 0) &&
+                    (sale.weight || 0) === (saleData.weight || 0) &&
+                    (sale.rate || 0) === (saleData.rate || 0) &&
+                    (sale.amount || 0) === (saleData.amount || 0);
 
-            return isMatchingDetails || isSameBill;
-        });
+                const isSameBill = saleData.billNumber && sale.billNumber === saleData.billNumber;
 
-        if (isDuplicateSale) {
-            throw new AppError("Duplicate sale detected. Please wait a moment.", 409);
-        }
+                return isMatchingDetails || isSameBill;
+            });
 
-        // Get vendor name from first purchase if purchases exist
-        if (trip.purchases && trip.purchases.length > 0) {
-            // Populate supplier if not already populated
-            await trip.populate('purchases.supplier', 'vendorName name');
-            const firstPurchase = trip.purchases[0];
-            if (firstPurchase.supplier) {
-                saleData.product = firstPurchase.supplier.vendorName || firstPurchase.supplier.name || '';
+            if (isDuplicateSale) {
+                throw new AppError("Duplicate sale detected. Please wait a moment.", 409);
             }
-        }
-
-        // Calculate balance for the sale if customer is provided
-        if (saleData.client) {
-            try {
-                const customer = await Customer.findById(saleData.client);
-                if (customer) {
-                    // Store the customer's current outstanding balance at the time of sale creation
-                    const customerBalanceSigned = toSignedValue(
-                        customer.outstandingBalance || 0,
-                        customer.outstandingBalanceType || 'debit'
-                    );
-                    saleData.saleOutBalance = customerBalanceSigned; // Store as signed value for calculations
-                    saleData.saleOutBalanceType = customer.outstandingBalanceType || 'debit';
-
-                    const globalOutstandingBalance = customerBalanceSigned; // Use signed value for calculations
-                    const totalPaid = (saleData.onlinePaid || 0) + (saleData.cashPaid || 0);
-                    const discount = saleData.discount || 0;
 
-                    // Check if this is a receipt entry (birds = 0, weight = 0, amount typically 0)
-                    const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
-                        (saleData.weight === 0 || !saleData.weight) &&
-                        (saleData.amount === 0 || !saleData.amount);
+            // Calculate balance for the sale if customer is provided
+            if (saleData.client) {
+                const customer = await Customer.findById(saleData.client).session(session);
+                if (!customer) throw new AppError('Customer not found', 404);
 
-                    // Persist the isReceipt flag so it is saved in the database
-                    saleData.isReceipt = isReceipt;
+                // Store the customer's current outstanding balance at the time of sale creation
+                const customerBalanceSigned = toSignedValue(
+                    customer.outstandingBalance || 0,
+                    customer.outstandingBalanceType || 'debit'
+                );
+                saleData.saleOutBalance = customerBalanceSigned; // Store as signed value for calculations
+                saleData.saleOutBalanceType = customer.outstandingBalanceType || 'debit';
 
-                    // Calculate sequential balances for each particular
-                    // Starting balance (before sale/receipt) - use absolute value for display
-                    const startingBalance = Math.abs(globalOutstandingBalance);
+                const globalOutstandingBalance = customerBalanceSigned; // Use signed value for calculations
+                const discount = saleData.discount || 0;
 
-                    if (isReceipt) {
-                        // For receipts: No amount is added, only payments are subtracted
-                        // Step 1: RECEIPT particular balance (starting balance, no change since amount=0)
-                        saleData.balanceForSale = Number(startingBalance.toFixed(2));
+                // Check if this is a receipt entry (birds = 0, weight = 0, amount typically 0)
+                const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
+                    (saleData.weight === 0 || !saleData.weight) &&
+                    (saleData.amount === 0 || !saleData.amount);
 
-                        // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
-                        const balanceForCashPaid = startingBalance - (saleData.cashPaid || 0);
-                        saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
+                // Persist the isReceipt flag so it is saved in the database
+                saleData.isReceipt = isReceipt;
 
-                        // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
-                        const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
-                        saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
+                // Calculate sequential balances for each particular
+                // Starting balance (before sale/receipt) - use absolute value for display
+                const startingBalance = Math.abs(globalOutstandingBalance);
 
-                        // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
-                        const balanceForDiscount = balanceForOnlinePaid - discount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    } else {
-                        // For regular sales: Add sale amount, then subtract payments
-                        // Step 1: Add sale amount → Balance for SALE particular
-                        const balanceForSale = startingBalance + saleData.amount;
-                        saleData.balanceForSale = Number(balanceForSale.toFixed(2));
-
-                        // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
-                        const balanceForCashPaid = balanceForSale - (saleData.cashPaid || 0);
-                        saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
-
-                        // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
-                        const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
-                        saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
-
-                        // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
-                        const balanceForDiscount = balanceForOnlinePaid - discount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    }
-
-                    // Calculate the final balance after this sale/receipt
-                    // Work with signed values for accurate calculation
-                    let finalBalanceSigned = globalOutstandingBalance;
+                if (isReceipt) {
+                    // For receipts: No amount is added, only payments are subtracted
+                    // Step 1: RECEIPT particular balance (starting balance, no change since amount=0)
+                    saleData.balanceForSale = Number(startingBalance.toFixed(2));
 
-                    if (!isReceipt && saleData.amount > 0) {
-                        finalBalanceSigned = finalBalanceSigned + saleData.amount;
-                    }
+                    // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
+                    const balanceForCashPaid = startingBalance - (saleData.cashPaid || 0);
+                    saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
 
-                    if (saleData.cashPaid > 0) {
-                        finalBalanceSigned = finalBalanceSigned - saleData.cashPaid;
-                    }
+                    // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
+                    const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
+                    saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
 
-                    if (saleData.onlinePaid > 0) {
-                        finalBalanceSigned = finalBalanceSigned - saleData.onlinePaid;
-                    }
+                    // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
+                    const balanceForDiscount = balanceForOnlinePaid - discount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                } else {
+                    // For regular sales: Add sale amount, then subtract payments
+                    // Step 1: Add sale amount → Balance for SALE particular
+                    const balanceForSale = startingBalance + saleData.amount;
+                    saleData.balanceForSale = Number(balanceForSale.toFixed(2));
+
+                    // Step 2: Subtract cashPaid → Balance for BY CASH RECEIPT particular
+                    const balanceForCashPaid = balanceForSale - (saleData.cashPaid || 0);
+                    saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
+
+                    // Step 3: Subtract onlinePaid → Balance for BY BANK RECEIPT particular
+                    const balanceForOnlinePaid = balanceForCashPaid - (saleData.onlinePaid || 0);
+                    saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
+
+                    // Step 4: Subtract discount → Balance for DISCOUNT particular (final balance)
+                    const balanceForDiscount = balanceForOnlinePaid - discount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                }
 
-                    if (discount > 0) {
-                        finalBalanceSigned = finalBalanceSigned - discount;
-                    }
+                // Calculate the final balance after this sale/receipt
+                // Work with signed values for accurate calculation
+                const finalBalanceSigned = globalOutstandingBalance + getSaleBalanceEffect(saleData);
 
-                    // Convert to balance format for storage
-                    const finalBalanceObj = fromSignedValue(finalBalanceSigned);
-                    const finalBalanceDisplay = finalBalanceObj.amount; // For display (always positive)
+                // Convert to balance format for storage
+                const finalBalanceObj = fromSignedValue(finalBalanceSigned);
+                const finalBalanceDisplay = finalBalanceObj.amount; // For display (always positive)
 
-                    // Add balance to sale data (use display value)
-                    saleData.balance = Number(finalBalanceDisplay.toFixed(2));
-                    saleData.outstandingBalance = finalBalanceDisplay; // Store balance AFTER this transaction
+                // Add balance to sale data (use display value)
+                saleData.balance = Number(finalBalanceDisplay.toFixed(2));
+                saleData.outstandingBalance = finalBalanceDisplay; // Store balance AFTER this transaction
 
-                    // Update customer's outstanding balance with the final balance
-                    customer.outstandingBalance = finalBalanceObj.amount;
-                    customer.outstandingBalanceType = finalBalanceObj.type;
-                    customer.updatedBy = req.user._id;
-                    await customer.save();
-                }
-            } catch (error) {
-                console.error('Error calculating sale balance:', error);
+                // Update customer's outstanding balance with the final balance
+                customer.outstandingBalance = finalBalanceObj.amount;
+                customer.outstandingBalanceType = finalBalanceObj.type;
+                customer.updatedBy = req.user._id;
+                await customer.save({ session });
+            } else {
                 saleData.balance = 0;
                 saleData.outstandingBalance = 0;
                 saleData.saleOutBalance = 0;
@@ -507,143 +632,56 @@ export const addSale = async (req, res, next) => {
                 saleData.balanceForCashPaid = 0;
                 saleData.balanceForOnlinePaid = 0;
                 saleData.balanceForDiscount = 0;
+                // Persist isReceipt flag even when no client is provided
+                saleData.isReceipt = (saleData.birds === 0 || !saleData.birds) &&
+                    (saleData.weight === 0 || !saleData.weight) &&
+                    (saleData.amount === 0 || !saleData.amount);
             }
-        } else {
-            saleData.balance = 0;
-            saleData.outstandingBalance = 0;
-            saleData.saleOutBalance = 0;
-            saleData.saleOutBalanceType = 'debit';
-            saleData.balanceForSale = 0;
-            saleData.balanceForCashPaid = 0;
-            saleData.balanceForOnlinePaid = 0;
-            saleData.balanceForDiscount = 0;
-            // Persist isReceipt flag even when no client is provided
-            saleData.isReceipt = (saleData.birds === 0 || !saleData.birds) &&
-                (saleData.weight === 0 || !saleData.weight) &&
-                (saleData.amount === 0 || !saleData.amount);
-        }
-
-        // Add sale
-        trip.sales.push(saleData);
-
-        // Summary will be recalculated by pre-save middleware including stock and transfers
-        trip.updatedBy = req.user._id;
-        await trip.save();
 
-        // Update ledger outstanding balances if payment amounts are provided
-        // Payments received are debits to the ledger (money coming in - increases balance)
-        const cashPaidAmount = Number(saleData.cashPaid) || 0;
-        const cashLedgerId = saleData.cashLedger;
+            // Add sale
+            trip.sales.push(saleData);
 
-        console.log('Sale data for ledger update:', {
-            cashLedgerId,
-            cashPaidAmount,
-            onlineLedgerId: saleData.onlineLedger,
-            onlinePaidAmount: Number(saleData.onlinePaid) || 0
-        });
+            // Summary will be recalculated by pre-save middleware including stock and transfers
+            trip.updatedBy = req.user._id;
+            await trip.save({ session });
 
-        if (cashLedgerId && cashPaidAmount > 0) {
-            try {
-                const cashLedger = await Ledger.findById(cashLedgerId);
-                if (cashLedger) {
-                    const currentBalance = Number(cashLedger.outstandingBalance) || 0;
-                    const currentType = cashLedger.outstandingBalanceType || 'debit';
-
-                    const newBalance = addToBalance(
-                        currentBalance,
-                        currentType,
-                        cashPaidAmount,
-                        'debit' // Payment received is a debit to the ledger (money coming in)
-                    );
-
-                    cashLedger.outstandingBalance = newBalance.amount;
-                    cashLedger.outstandingBalanceType = newBalance.type;
-                    cashLedger.updatedBy = req.user._id;
-                    await cashLedger.save();
-                } else {
-                    console.error('Cash ledger not found with ID:', cashLedgerId);
-                }
-            } catch (error) {
-                console.error('Error updating cash ledger:', error);
-                // Don't fail the sale if ledger update fails
+            // Update ledger outstanding balances if payment amounts are provided
+            // Payments received are debits to the ledger (money coming in - increases balance)
+            const cashPaidAmount = Number(saleData.cashPaid) || 0;
+            if (saleData.cashLedger && cashPaidAmount > 0) {
+                await adjustOutstandingBalance(Ledger, saleData.cashLedger, cashPaidAmount, {
+                    session, userId: req.user._id, label: 'Cash ledger'
+                });
             }
-        }
-
-        const onlinePaidAmount = Number(saleData.onlinePaid) || 0;
-        const onlineLedgerId = saleData.onlineLedger;
-
-        if (onlineLedgerId && onlinePaidAmount > 0) {
-            try {
-                const onlineLedger = await Ledger.findById(onlineLedgerId);
-                if (onlineLedger) {
-                    const currentBalance = Number(onlineLedger.outstandingBalance) || 0;
-                    const currentType = onlineLedger.outstandingBalanceType || 'debit';
-
-                    const newBalance = addToBalance(
-                        currentBalance,
-                        currentType,
-                        onlinePaidAmount,
-                        'debit' // Payment received is a debit to the ledger (money coming in)
-                    );
 
-                    onlineLedger.outstandingBalance = newBalance.amount;
-                    onlineLedger.outstandingBalanceType = newBalance.type;
-                    onlineLedger.updatedBy = req.user._id;
-                    await onlineLedger.save();
-                } else {
-                    console.error('Online ledger not found with ID:', onlineLedgerId);
-                }
-            } catch (error) {
-                console.error('Error updating online ledger:', error);
-                // Don't fail the sale if ledger update fails
+            const onlinePaidAmount = Number(saleData.onlinePaid) || 0;
+            if (saleData.onlineLedger && onlinePaidAmount > 0) {
+                await adjustOutstandingBalance(Ledger, saleData.onlineLedger, onlinePaidAmount, {
+                    session, userId: req.user._id, label: 'Online ledger'
+                });
             }
-        }
 
-        const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
+            return trip;
+        }, 'add sale');
 
-        // await addSaleWhatsappMessage(populatedTrip.sales[0].client.contact);
+        const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
 
-        // Send SMS if requested
+        // Queue the customer notification if requested
         if (sendSms && populatedTrip.sales.length > 0) {
             // Get the last added sale (since we used push)
             const newSale = populatedTrip.sales[populatedTrip.sales.length - 1];
 
-            if (newSale.client) { // Only send if client exists
-                const customerName = newSale.client.shopName || newSale.client.ownerName || 'Customer';
-                const mobileNumber = newSale.client.contact;
-
-                // Determine if it is a Receipt or Sale
-                const isReceipt = (newSale.birds === 0 || !newSale.birds) &&
+            if (newSale.client) {
+                const isReceipt = newSale.isReceipt || ((newSale.birds === 0 || !newSale.birds) &&
                     (newSale.weight === 0 || !newSale.weight) &&
-                    (newSale.amount === 0 || !newSale.amount);
-
-                if (isReceipt) {
-                    // For receipt, amount is the total paid
-                    // const totalPaid = (newSale.cashPaid || 0) + (newSale.onlinePaid || 0);
-                    // if (totalPaid > 0) {
-                    //     try {
-                    //         await sendSMS(
-                    //             'add_sales',
-                    //             [customerName, totalPaid, newSale.billNumber],
-                    //             mobileNumber
-                    //         );
-                    //     } catch (smsError) {
-                    //         console.error('Failed to send Receipt SMS:', smsError);
-                    //     }
-                    // }
-                } else {
-                    // For sale
-                    console.log("mobileNumber add sale", mobileNumber)
-                    try {
-                        await sendSMS(
-                            'add_sales',
-                            [customerName, newSale.billNumber],
-                            mobileNumber
-                        );
-                    } catch (smsError) {
-                        console.error('Failed to send Sale SMS:', smsError);
-                    }
-                }
+                    (newSale.amount === 0 || !newSale.amount));
+
+                await queueCustomerEvent(isReceipt ? 'receipt.created' : 'sale.created', {
+                    customerId: newSale.client._id,
+                    data: { ...newSale.toObject(), date: newSale.timestamp },
+                    reference: { model: 'Trip', id: populatedTrip._id, entryId: newSale._id },
+                    userId: req.user._id
+                });
             }
         }
 
@@ -656,7 +694,8 @@ export const addSale = async (req, res, next) => {
 // Edit purchase in trip (Supervisor)
 export const editPurchase = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
         const purchaseData = req.body;
 
         let query = { _id: id };
@@ -664,67 +703,70 @@ export const editPurchase = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        // Prevent editing purchases in transferred trips
-        if (trip.type === 'transferred') {
-            throw new AppError('Cannot edit purchases in transferred trips. This trip contains transferred stock.', 403);
-        }
+            // Prevent editing purchases in transferred trips
+            if (trip.type === 'transferred') {
+                throw new AppError('Cannot edit purchases in transferred trips. This trip contains transferred stock.', 403);
+            }
 
-        // Validate index
-        const purchaseIndex = parseInt(index);
-        if (purchaseIndex < 0 || purchaseIndex >= trip.purchases.length) {
-            throw new AppError('Invalid purchase index', 400);
-        }
+            const purchaseIndex = resolveEntryIndex(trip.purchases, entryId, 'purchase');
+            const previousPurchase = trip.purchases[purchaseIndex].toObject();
 
-        // Update purchase
-        trip.purchases[purchaseIndex] = { ...trip.purchases[purchaseIndex], ...purchaseData };
+            // Update purchase
+            trip.purchases[purchaseIndex] = { ...trip.purchases[purchaseIndex].toObject(), ...purchaseData, _id: trip.purchases[purchaseIndex]._id };
 
-        // Update summary
-        trip.summary.totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
-        trip.summary.totalBirdsPurchased = trip.purchases.reduce((sum, p) => sum + (p.birds || 0), 0);
-        trip.summary.totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
+            // Update summary
+            trip.summary.totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
+            trip.summary.totalBirdsPurchased = trip.purchases.reduce((sum, p) => sum + (p.birds || 0), 0);
+            trip.summary.totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
 
-        // Recalculate average purchase rate
-        const avgPurchaseRate = trip.summary.totalWeightPurchased > 0 ?
-            trip.summary.totalPurchaseAmount / trip.summary.totalWeightPurchased : 0;
-        trip.summary.avgPurchaseRate = Number(avgPurchaseRate.toFixed(2));
+            // Recalculate average purchase rate
+            const avgPurchaseRate = trip.summary.totalWeightPurchased > 0 ?
+                trip.summary.totalPurchaseAmount / trip.summary.totalWeightPurchased : 0;
+            trip.summary.avgPurchaseRate = Number(avgPurchaseRate.toFixed(2));
 
-        // Recalculate losses that depend on purchase rate
-        if (trip.losses && trip.losses.length > 0) {
-            trip.losses.forEach(loss => {
-                if (loss.quantity && loss.weight) {
-                    loss.avgWeight = Number((loss.weight / loss.quantity).toFixed(2));
-                }
-                // Ensure rate uses average purchase rate (formula: total purchase cost / total purchase weight)
-                if (avgPurchaseRate > 0) {
-                    loss.rate = Number(avgPurchaseRate.toFixed(2));
-                }
-                // Recalculate total loss using updated average purchase rate
-                loss.total = Number((loss.weight * avgPurchaseRate).toFixed(2));
-            });
-            // Update total losses summary
-            trip.summary.totalLosses = trip.losses.reduce((sum, loss) => sum + (loss.total || 0), 0);
-        }
+            // Recalculate losses that depend on purchase rate
+            if (trip.losses && trip.losses.length > 0) {
+                trip.losses.forEach(loss => {
+                    if (loss.quantity && loss.weight) {
+                        loss.avgWeight = Number((loss.weight / loss.quantity).toFixed(2));
+                    }
+                    // Ensure rate uses average purchase rate (formula: total purchase cost / total purchase weight)
+                    if (avgPurchaseRate > 0) {
+                        loss.rate = Number(avgPurchaseRate.toFixed(2));
+                    }
+                    // Recalculate total loss using updated average purchase rate
+                    loss.total = Number((loss.weight * avgPurchaseRate).toFixed(2));
+                });
+                // Update total losses summary
+                trip.summary.totalLosses = trip.losses.reduce((sum, loss) => sum + (loss.total || 0), 0);
+            }
 
-        // Recalculate stocks that depend on purchase rate
-        if (trip.stocks && trip.stocks.length > 0) {
-            trip.stocks.forEach(stock => {
-                if (stock.birds && stock.weight) {
-                    stock.avgWeight = Number((stock.weight / stock.birds).toFixed(2));
-                }
-                // Update stock rate to match current average purchase rate
-                stock.rate = Number(avgPurchaseRate.toFixed(2));
-                // Recalculate stock value using updated average purchase rate
-                stock.value = Number((stock.weight * avgPurchaseRate).toFixed(2));
-            });
-        }
+            // Recalculate stocks that depend on purchase rate
+            if (trip.stocks && trip.stocks.length > 0) {
+                trip.stocks.forEach(stock => {
+                    if (stock.birds && stock.weight) {
+                        stock.avgWeight = Number((stock.weight / stock.birds).toFixed(2));
+                    }
+                    // Update stock rate to match current average purchase rate
+                    stock.rate = Number(avgPurchaseRate.toFixed(2));
+                    // Recalculate stock value using updated average purchase rate
+                    stock.value = Number((stock.weight * avgPurchaseRate).toFixed(2));
+                });
+            }
 
-        // Summary will be recalculated by pre-save middleware including stock and transfers
-        // Sales profit margins will be recalculated in the middleware
-        trip.updatedBy = req.user._id;
-        await trip.save();
+            // Summary will be recalculated by pre-save middleware including stock and transfers
+            // Sales profit margins will be recalculated in the middleware
+            trip.updatedBy = req.user._id;
+            await trip.save({ session });
+            await syncVendorTds(purchaseTdsTargets(trip, [previousPurchase, trip.purchases[purchaseIndex]]), { session, userId: req.user._id });
+
+            return trip;
+        }, 'update purchase');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -741,7 +783,8 @@ export const editPurchase = async (req, res, next) => {
 // Edit sale in trip (Supervisor)
 export const editSale = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
         const saleData = req.body;
         const sendSms = req.body.sendSms; // Extract SMS flag
 
@@ -759,164 +802,118 @@ export const editSale = async (req, res, next) => {
         if (saleData.timestamp) {
             delete saleData.timestamp;
         }
+        // Lots are kept unless picked again (or reset to FIFO)
+        Object.assign(saleData, readLotSelection(saleData.lots));
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found', 404);
-
-        // Validate index
-        const saleIndex = parseInt(index);
-        if (saleIndex < 0 || saleIndex >= trip.sales.length) {
-            throw new AppError('Invalid sale index', 400);
-        }
-
-        // Get old sale data BEFORE updating
-        const oldSale = trip.sales[saleIndex];
-        const oldAmount = Number(oldSale?.amount) || 0;
-        const oldCashPaid = Number(oldSale?.cashPaid) || 0;
-        const oldOnlinePaid = Number(oldSale?.onlinePaid) || 0;
-        const oldDiscount = Number(oldSale?.discount) || 0;
-        const oldCashLedger = oldSale?.cashLedger;
-        const oldOnlineLedger = oldSale?.onlineLedger;
-        const oldClient = oldSale?.client;
-        const oldIsReceipt = (oldSale?.birds === 0 || !oldSale?.birds) &&
-            (oldSale?.weight === 0 || !oldSale?.weight) &&
-            (oldSale?.amount === 0 || !oldSale?.amount);
-
-        // Get vendor name from first purchase if purchases exist
-        if (trip.purchases && trip.purchases.length > 0) {
-            await trip.populate('purchases.supplier', 'vendorName name');
-            const firstPurchase = trip.purchases[0];
-            if (firstPurchase.supplier) {
-                saleData.product = firstPurchase.supplier.vendorName || firstPurchase.supplier.name || '';
+        let saleIndex;
+
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found', 404);
+            assertTripVersion(trip, expectedVersion);
+
+            saleIndex = resolveEntryIndex(trip.sales, entryId, 'sale');
+
+            // Get old sale data BEFORE updating
+            const oldSale = trip.sales[saleIndex];
+            const oldCashPaid = Number(oldSale?.cashPaid) || 0;
+            const oldOnlinePaid = Number(oldSale?.onlinePaid) || 0;
+            const oldCashLedger = oldSale?.cashLedger;
+            const oldOnlineLedger = oldSale?.onlineLedger;
+            const oldClient = oldSale?.client;
+            const clientChanged = Boolean(oldClient && saleData.client && oldClient.toString() !== saleData.client.toString());
+
+            // Sale moved to another customer: take the whole old sale off the old customer,
+            // the new customer gets the whole new sale on top of their current balance
+            if (clientChanged) {
+                await adjustOutstandingBalance(Customer, oldClient, -getSaleBalanceEffect(oldSale), {
+                    session,
+                    userId: req.user._id,
+                    label: 'Customer'
+                });
             }
-        }
 
-        // Process customer balance updates if customer is involved
-        let customer = null;
-        if (saleData.client || oldClient) {
-            try {
+            // Process customer balance updates if customer is involved
+            if (saleData.client || oldClient) {
                 const customerId = saleData.client || oldClient;
-                customer = await Customer.findById(customerId);
-
-                if (customer) {
-                    // Get the original customer balance at the time of sale creation (saleOutBalance)
-                    // If saleOutBalance doesn't exist (old sales), use current balance as fallback
-                    let saleOutBalanceSigned = oldSale?.saleOutBalance;
-                    if (saleOutBalanceSigned === undefined || saleOutBalanceSigned === null) {
-                        // Fallback: use current customer balance (for old sales without saleOutBalance)
-                        saleOutBalanceSigned = toSignedValue(
-                            customer.outstandingBalance || 0,
-                            customer.outstandingBalanceType || 'debit'
-                        );
-                    }
-
-                    // STEP 1: Reverse old sale's impact from the original saleOutBalance
-                    // Start from the original balance at sale creation time
-                    let currentBalanceSigned = saleOutBalanceSigned;
-
-                    // Reverse old sale amount (if it was a sale, not receipt)
-                    // Sale increases debt, so reversing means subtracting the amount
-                    if (!oldIsReceipt && oldAmount > 0) {
-                        currentBalanceSigned = currentBalanceSigned - oldAmount;
-                    }
-
-                    // Reverse old payments (add them back - they paid less, so debt was less reduced)
-                    if (oldCashPaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned + oldCashPaid;
-                    }
-
-                    if (oldOnlinePaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned + oldOnlinePaid;
-                    }
-
-                    // Reverse old discount (add it back - they got less discount, so debt was less reduced)
-                    if (oldDiscount > 0) {
-                        currentBalanceSigned = currentBalanceSigned + oldDiscount;
-                    }
+                const customer = await Customer.findById(customerId).session(session);
+                if (!customer) throw new AppError('Customer not found', 404);
+
+                // Get the original customer balance at the time of sale creation (saleOutBalance)
+                // If saleOutBalance doesn't exist (old sales) or belongs to the previous customer, use current balance
+                let saleOutBalanceSigned = clientChanged ? undefined : oldSale?.saleOutBalance;
+                if (saleOutBalanceSigned === undefined || saleOutBalanceSigned === null) {
+                    // Fallback: use current customer balance (for old sales without saleOutBalance)
+                    saleOutBalanceSigned = toSignedValue(
+                        customer.outstandingBalance || 0,
+                        customer.outstandingBalanceType || 'debit'
+                    );
+                }
 
-                    // STEP 2: Apply new sale's impact on customer balance
-                    const newAmount = Number(saleData.amount) || 0;
-                    const newCashPaid = Number(saleData.cashPaid) || 0;
-                    const newOnlinePaid = Number(saleData.onlinePaid) || 0;
-                    const newDiscount = Number(saleData.discount) || 0;
-                    const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
-                        (saleData.weight === 0 || !saleData.weight) &&
-                        (newAmount === 0 || !saleData.amount);
-
-                    // Persist the isReceipt flag so it is saved in the database
-                    saleData.isReceipt = isReceipt;
-
-                    // Apply new sale amount (if it's a sale, not receipt)
-                    // Sale increases debt, so add the amount
-                    if (!isReceipt && newAmount > 0) {
-                        currentBalanceSigned = currentBalanceSigned + newAmount;
-                    }
+                const newAmount = Number(saleData.amount) || 0;
+                const newCashPaid = Number(saleData.cashPaid) || 0;
+                const newOnlinePaid = Number(saleData.onlinePaid) || 0;
+                const newDiscount = Number(saleData.discount) || 0;
+                const isReceipt = (saleData.birds === 0 || !saleData.birds) &&
+                    (saleData.weight === 0 || !saleData.weight) &&
+                    (newAmount === 0 || !saleData.amount);
 
-                    // Apply new payments (subtract them - they paid more, so debt is more reduced)
-                    if (newCashPaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned - newCashPaid;
-                    }
+                // Persist the isReceipt flag so it is saved in the database
+                saleData.isReceipt = isReceipt;
 
-                    if (newOnlinePaid > 0) {
-                        currentBalanceSigned = currentBalanceSigned - newOnlinePaid;
-                    }
+                // STEP 1 & 2: Reverse old sale's impact from the original saleOutBalance, then apply the new sale
+                const currentBalanceSigned = saleOutBalanceSigned -
+                    (clientChanged ? 0 : getSaleBalanceEffect(oldSale)) +
+                    getSaleBalanceEffect(saleData);
 
-                    // Apply new discount (subtract it - they got more discount, so debt is more reduced)
-                    if (newDiscount > 0) {
-                        currentBalanceSigned = currentBalanceSigned - newDiscount;
-                    }
+                // STEP 3: Calculate sequential balances for display in ledger
+                // Use absolute value of signed balance for display calculations
+                const startingBalance = Math.abs(currentBalanceSigned);
 
-                    // STEP 3: Calculate sequential balances for display in ledger
-                    // Use absolute value of signed balance for display calculations
-                    const startingBalance = Math.abs(currentBalanceSigned);
-
-                    if (isReceipt) {
-                        // For receipts: No amount is added, only payments are subtracted
-                        saleData.balanceForSale = Number(startingBalance.toFixed(2));
-                        const balanceForCashPaid = startingBalance - newCashPaid;
-                        saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
-                        const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
-                        saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
-                        const balanceForDiscount = balanceForOnlinePaid - newDiscount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    } else {
-                        // For regular sales: Add sale amount, then subtract payments
-                        const balanceForSale = startingBalance + newAmount;
-                        saleData.balanceForSale = Number(balanceForSale.toFixed(2));
-                        const balanceForCashPaid = balanceForSale - newCashPaid;
-                        saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
-                        const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
-                        saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
-                        const balanceForDiscount = balanceForOnlinePaid - newDiscount;
-                        saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
-                    }
+                if (isReceipt) {
+                    // For receipts: No amount is added, only payments are subtracted
+                    saleData.balanceForSale = Number(startingBalance.toFixed(2));
+                    const balanceForCashPaid = startingBalance - newCashPaid;
+                    saleData.balanceForCashPaid = Number(Math.max(0, balanceForCashPaid).toFixed(2));
+                    const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
+                    saleData.balanceForOnlinePaid = Number(Math.max(0, balanceForOnlinePaid).toFixed(2));
+                    const balanceForDiscount = balanceForOnlinePaid - newDiscount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                } else {
+                    // For regular sales: Add sale amount, then subtract payments
+                    const balanceForSale = startingBalance + newAmount;
+                    saleData.balanceForSale = Number(balanceForSale.toFixed(2));
+                    const balanceForCashPaid = balanceForSale - newCashPaid;
+                    saleData.balanceForCashPaid = Number(balanceForCashPaid.toFixed(2));
+                    const balanceForOnlinePaid = balanceForCashPaid - newOnlinePaid;
+                    saleData.balanceForOnlinePaid = Number(balanceForOnlinePaid.toFixed(2));
+                    const balanceForDiscount = balanceForOnlinePaid - newDiscount;
+                    saleData.balanceForDiscount = Number(Math.max(0, balanceForDiscount).toFixed(2));
+                }
 
-                    // Final balance after this sale/receipt
-                    let finalBalance = saleData.balanceForDiscount;
-                    finalBalance = Math.max(0, finalBalance);
+                // Final balance after this sale/receipt
+                const finalBalance = Math.max(0, saleData.balanceForDiscount);
 
-                    saleData.balance = Number(finalBalance.toFixed(2));
-                    saleData.outstandingBalance = finalBalance;
+                saleData.balance = Number(finalBalance.toFixed(2));
+                saleData.outstandingBalance = finalBalance;
 
-                    // Store the original balance at sale creation time for future edits
-                    // Use the original saleOutBalance if it exists, otherwise use the starting balance
-                    saleData.saleOutBalance = saleOutBalanceSigned;
-                    saleData.saleOutBalanceType = oldSale?.saleOutBalanceType || customer.outstandingBalanceType || 'debit';
+                // Store the original balance at sale creation time for future edits
+                // Use the original saleOutBalance if it exists, otherwise use the starting balance
+                saleData.saleOutBalance = saleOutBalanceSigned;
+                saleData.saleOutBalanceType = (!clientChanged && oldSale?.saleOutBalanceType) || customer.outstandingBalanceType || 'debit';
 
-                    // STEP 4: Update customer's actual outstanding balance with the final balance
-                    const finalBalanceObj = fromSignedValue(currentBalanceSigned);
-                    customer.outstandingBalance = finalBalanceObj.amount;
-                    customer.outstandingBalanceType = finalBalanceObj.type;
-                    customer.updatedBy = req.user._id;
-                    await customer.save();
-                }
-            } catch (error) {
-                console.error('Error updating customer balance:', error);
+                // STEP 4: Update customer's actual outstanding balance with the final balance
+                const finalBalanceObj = fromSignedValue(currentBalanceSigned);
+                customer.outstandingBalance = finalBalanceObj.amount;
+                customer.outstandingBalanceType = finalBalanceObj.type;
+                customer.updatedBy = req.user._id;
+                await customer.save({ session });
+            } else {
                 saleData.balance = 0;
                 saleData.outstandingBalance = 0;
                 saleData.saleOutBalance = 0;
@@ -926,188 +923,58 @@ export const editSale = async (req, res, next) => {
                 saleData.balanceForOnlinePaid = 0;
                 saleData.balanceForDiscount = 0;
             }
-        } else {
-            saleData.balance = 0;
-            saleData.outstandingBalance = 0;
-            saleData.saleOutBalance = 0;
-            saleData.saleOutBalanceType = 'debit';
-            saleData.balanceForSale = 0;
-            saleData.balanceForCashPaid = 0;
-            saleData.balanceForOnlinePaid = 0;
-            saleData.balanceForDiscount = 0;
-        }
 
-        // STEP 5: Update sale in trip (preserve original timestamp/date)
-        trip.sales[saleIndex] = { ...trip.sales[saleIndex], ...saleData, timestamp: oldSale.timestamp };
-
-        // Summary will be recalculated by pre-save middleware including stock and transfers
-        trip.updatedBy = req.user._id;
-        await trip.save();
-
-        // STEP 6: Update Cash Account Ledger
-        // Formula: outstandingBalance = current outstandingBalance + newCashPaid - oldCashPaid
-        const newCashPaid = Number(saleData.cashPaid) || 0;
-        const newOnlinePaid = Number(saleData.onlinePaid) || 0;
-
-        // Handle Cash Ledger updates
-        if (saleData.cashLedger || oldCashLedger) {
-            try {
-                // If same ledger is used, apply the difference formula
-                if (saleData.cashLedger && oldCashLedger && saleData.cashLedger.toString() === oldCashLedger.toString()) {
-                    const cashLedger = await Ledger.findById(saleData.cashLedger);
-                    if (cashLedger) {
-                        // Formula: outstandingBalance = current + newCashPaid - oldCashPaid
-                        const difference = newCashPaid - oldCashPaid;
-                        if (difference !== 0) {
-                            const currentBalanceSigned = toSignedValue(
-                                cashLedger.outstandingBalance || 0,
-                                cashLedger.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + difference;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            cashLedger.outstandingBalance = newBalance.amount;
-                            cashLedger.outstandingBalanceType = newBalance.type;
-                            cashLedger.updatedBy = req.user._id;
-                            await cashLedger.save();
-                        }
-                    }
+            // STEP 5: Update sale in trip (preserve original timestamp/date)
+            trip.sales[saleIndex] = { ...trip.sales[saleIndex].toObject(), ...saleData, _id: oldSale._id, timestamp: oldSale.timestamp };
+
+            // Summary will be recalculated by pre-save middleware including stock and transfers
+            trip.updatedBy = req.user._id;
+            await trip.save({ session });
+
+            // STEP 6 & 7: Update Cash and Bank Account Ledgers
+            // Same ledger: outstandingBalance = current + newPaid - oldPaid
+            // Different ledgers: reverse old, apply new
+            const newCashPaid = Number(saleData.cashPaid) || 0;
+            const newOnlinePaid = Number(saleData.onlinePaid) || 0;
+            const ledgerChanges = [
+                { label: 'Cash ledger', oldLedger: oldCashLedger, newLedger: saleData.cashLedger, oldPaid: oldCashPaid, newPaid: newCashPaid },
+                { label: 'Online ledger', oldLedger: oldOnlineLedger, newLedger: saleData.onlineLedger, oldPaid: oldOnlinePaid, newPaid: newOnlinePaid }
+            ];
+
+            for (const { label, oldLedger, newLedger, oldPaid, newPaid } of ledgerChanges) {
+                const options = { session, userId: req.user._id, label };
+                if (newLedger && oldLedger && newLedger.toString() === oldLedger.toString()) {
+                    await adjustOutstandingBalance(Ledger, newLedger, newPaid - oldPaid, options);
                 } else {
-                    // Different ledgers: reverse old, apply new
-                    if (oldCashLedger && oldCashPaid > 0) {
-                        const oldCashLedgerDoc = await Ledger.findById(oldCashLedger);
-                        if (oldCashLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                oldCashLedgerDoc.outstandingBalance || 0,
-                                oldCashLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned - oldCashPaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            oldCashLedgerDoc.outstandingBalance = newBalance.amount;
-                            oldCashLedgerDoc.outstandingBalanceType = newBalance.type;
-                            oldCashLedgerDoc.updatedBy = req.user._id;
-                            await oldCashLedgerDoc.save();
-                        }
+                    if (oldLedger && oldPaid > 0) {
+                        await adjustOutstandingBalance(Ledger, oldLedger, -oldPaid, options);
                     }
-                    if (saleData.cashLedger && newCashPaid > 0) {
-                        const newCashLedgerDoc = await Ledger.findById(saleData.cashLedger);
-                        if (newCashLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                newCashLedgerDoc.outstandingBalance || 0,
-                                newCashLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + newCashPaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            newCashLedgerDoc.outstandingBalance = newBalance.amount;
-                            newCashLedgerDoc.outstandingBalanceType = newBalance.type;
-                            newCashLedgerDoc.updatedBy = req.user._id;
-                            await newCashLedgerDoc.save();
-                        }
+                    if (newLedger && newPaid > 0) {
+                        await adjustOutstandingBalance(Ledger, newLedger, newPaid, options);
                     }
                 }
-            } catch (error) {
-                console.error('Error updating cash ledger:', error);
             }
-        }
 
-        // STEP 7: Update Bank Account Ledger
-        // Formula: outstandingBalance = current outstandingBalance + newOnlinePaid - oldOnlinePaid
-        if (saleData.onlineLedger || oldOnlineLedger) {
-            try {
-                // If same ledger is used, apply the difference formula
-                if (saleData.onlineLedger && oldOnlineLedger && saleData.onlineLedger.toString() === oldOnlineLedger.toString()) {
-                    const onlineLedger = await Ledger.findById(saleData.onlineLedger);
-                    if (onlineLedger) {
-                        // Formula: outstandingBalance = current + newOnlinePaid - oldOnlinePaid
-                        const difference = newOnlinePaid - oldOnlinePaid;
-                        if (difference !== 0) {
-                            const currentBalanceSigned = toSignedValue(
-                                onlineLedger.outstandingBalance || 0,
-                                onlineLedger.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + difference;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            onlineLedger.outstandingBalance = newBalance.amount;
-                            onlineLedger.outstandingBalanceType = newBalance.type;
-                            onlineLedger.updatedBy = req.user._id;
-                            await onlineLedger.save();
-                        }
-                    }
-                } else {
-                    // Different ledgers: reverse old, apply new
-                    if (oldOnlineLedger && oldOnlinePaid > 0) {
-                        const oldOnlineLedgerDoc = await Ledger.findById(oldOnlineLedger);
-                        if (oldOnlineLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                oldOnlineLedgerDoc.outstandingBalance || 0,
-                                oldOnlineLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned - oldOnlinePaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            oldOnlineLedgerDoc.outstandingBalance = newBalance.amount;
-                            oldOnlineLedgerDoc.outstandingBalanceType = newBalance.type;
-                            oldOnlineLedgerDoc.updatedBy = req.user._id;
-                            await oldOnlineLedgerDoc.save();
-                        }
-                    }
-                    if (saleData.onlineLedger && newOnlinePaid > 0) {
-                        const newOnlineLedgerDoc = await Ledger.findById(saleData.onlineLedger);
-                        if (newOnlineLedgerDoc) {
-                            const currentBalanceSigned = toSignedValue(
-                                newOnlineLedgerDoc.outstandingBalance || 0,
-                                newOnlineLedgerDoc.outstandingBalanceType || 'debit'
-                            );
-                            const newBalanceSigned = currentBalanceSigned + newOnlinePaid;
-                            const newBalance = fromSignedValue(newBalanceSigned);
-                            newOnlineLedgerDoc.outstandingBalance = newBalance.amount;
-                            newOnlineLedgerDoc.outstandingBalanceType = newBalance.type;
-                            newOnlineLedgerDoc.updatedBy = req.user._id;
-                            await newOnlineLedgerDoc.save();
-                        }
-                    }
-                }
-            } catch (error) {
-                console.error('Error updating online ledger:', error);
-            }
-        }
+            return trip;
+        }, 'update sale');
 
         const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
 
-        // Send SMS if requested
+        // Queue the customer notification if requested
         if (sendSms && saleIndex >= 0 && populatedTrip.sales[saleIndex]) {
             const updatedSale = populatedTrip.sales[saleIndex];
 
-            if (updatedSale.client) {
-                const customerName = updatedSale.client.shopName || updatedSale.client.ownerName || 'Customer';
-                const mobileNumber = updatedSale.client.contact;
-
-                const isReceipt = (updatedSale.birds === 0 || !updatedSale.birds) &&
-                    (updatedSale.weight === 0 || !updatedSale.weight) &&
-                    (updatedSale.amount === 0 || !updatedSale.amount);
-
-                if (isReceipt) {
-                    // const totalPaid = (updatedSale.cashPaid || 0) + (updatedSale.onlinePaid || 0);
-                    // if (totalPaid > 0) {
-                    //     try {
-                    //         await sendSMS(
-                    //             'add_sales',
-                    //             [customerName, updatedSale.billNumber],
-                    //             mobileNumber
-                    //         );
-                    //     } catch (smsError) {
-                    //         console.error('Failed to send Receipt SMS (Edit):', smsError);
-                    //     }
-                    // }
-                } else {
-                    try {
-                        await sendSMS(
-                            'update_sales',
-                            [customerName, updatedSale.billNumber],
-                            mobileNumber
-                        );
-                    } catch (smsError) {
-                        console.error('Failed to send Sale SMS (Edit):', smsError);
-                    }
-                }
+            const isReceipt = updatedSale.isReceipt || ((updatedSale.birds === 0 || !updatedSale.birds) &&
+                (updatedSale.weight === 0 || !updatedSale.weight) &&
+                (updatedSale.amount === 0 || !updatedSale.amount));
+
+            if (updatedSale.client && !isReceipt) {
+                await queueCustomerEvent('sale.updated', {
+                    customerId: updatedSale.client._id,
+                    data: { ...updatedSale.toObject(), date: updatedSale.timestamp },
+                    reference: { model: 'Trip', id: populatedTrip._id, entryId: updatedSale._id },
+                    userId: req.user._id
+                });
             }
         }
 
@@ -1120,7 +987,9 @@ export const editSale = async (req, res, next) => {
 // Add death birds to trip (Supervisor)
 export const addDeathBirds = async (req, res, next) => {
     try {
-        const { quantity, weight, reason, date } = req.body;
+        const expectedVersion = getExpectedVersion(req);
+        const { quantity, weight, reason, date, lots } = req.body;
+        const lotSelection = readLotSelection(lots);
 
         // Validate required fields (rate is no longer required, will be calculated)
         if (!quantity || !weight || !date) {
@@ -1136,57 +1005,63 @@ export const addDeathBirds = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) {
-            throw new AppError("Trip not found or access denied", 404);
-        }
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) {
+                throw new AppError("Trip not found or access denied", 404);
+            }
+            assertTripVersion(trip, expectedVersion);
 
-        // Calculate purchase totals to determine avgPurchaseRate
-        const totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
-        const totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
+            // Calculate purchase totals to determine avgPurchaseRate
+            const totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
+            const totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
 
-        // Calculate average purchase rate using formula: total purchase cost / total purchase weight
-        const avgPurchaseRate = totalWeightPurchased > 0 ?
-            totalPurchaseAmount / totalWeightPurchased : 0;
+            // Calculate average purchase rate using formula: total purchase cost / total purchase weight
+            const avgPurchaseRate = totalWeightPurchased > 0 ?
+                totalPurchaseAmount / totalWeightPurchased : 0;
 
-        if (avgPurchaseRate <= 0) {
-            throw new AppError("Cannot add death birds: No purchases found or invalid purchase data", 400);
-        }
+            if (avgPurchaseRate <= 0) {
+                throw new AppError("Cannot add death birds: No purchases found or invalid purchase data", 400);
+            }
 
-        // Calculate derived fields using avgPurchaseRate
-        const avgWeight = Number((weight / quantity).toFixed(2));
-        const total = Number((weight * avgPurchaseRate).toFixed(2));
+            // Calculate derived fields using avgPurchaseRate
+            const avgWeight = Number((weight / quantity).toFixed(2));
+            const total = Number((weight * avgPurchaseRate).toFixed(2));
 
-        const deathBirdData = {
-            quantity,
-            weight,
-            avgWeight,
-            rate: Number(avgPurchaseRate.toFixed(2)), // Use calculated avgPurchaseRate
-            total,
-            reason: reason || '',
-            date: new Date(date)
-        };
+            const deathBirdData = {
+                quantity,
+                weight,
+                avgWeight,
+                rate: Number(avgPurchaseRate.toFixed(2)), // Use calculated avgPurchaseRate
+                total,
+                reason: reason || '',
+                date: new Date(date),
+                ...lotSelection
+            };
 
-        // Add death bird to losses array
-        trip.losses.push(deathBirdData);
-
-        // Recalculate summary
-        trip.summary.totalLosses = trip.losses.reduce((sum, loss) => sum + (loss.total || 0), 0);
-        trip.summary.totalBirdsLost = trip.losses.reduce((sum, loss) => sum + (loss.quantity || 0), 0);
-        trip.summary.totalWeightLost = trip.losses.reduce((sum, loss) => sum + (loss.weight || 0), 0);
-        trip.summary.mortality = trip.summary.totalBirdsLost;
-
-        // Calculate bird weight loss: purchased - sold - stock - lost - transferred
-        const totalStockWeight = trip.stocks.reduce((sum, stock) => sum + (stock.weight || 0), 0);
-        const totalTransferredWeight = trip.transferHistory.reduce((sum, transfer) => sum + (transfer.transferredStock?.weight || 0), 0);
-        trip.summary.birdWeightLoss = (trip.summary.totalWeightPurchased || 0) -
-            (trip.summary.totalWeightSold || 0) -
-            totalStockWeight -
-            (trip.summary.totalWeightLost || 0) -
-            totalTransferredWeight;
-
-        // Summary will be recalculated by pre-save middleware including stock and transfers
-        await trip.save();
+            // Add death bird to losses array
+            trip.losses.push(deathBirdData);
+
+            // Recalculate summary
+            trip.summary.totalLosses = trip.losses.reduce((sum, loss) => sum + (loss.total || 0), 0);
+            trip.summary.totalBirdsLost = trip.losses.reduce((sum, loss) => sum + (loss.quantity || 0), 0);
+            trip.summary.totalWeightLost = trip.losses.reduce((sum, loss) => sum + (loss.weight || 0), 0);
+            trip.summary.mortality = trip.summary.totalBirdsLost;
+
+            // Calculate bird weight loss: purchased - sold - stock - lost - transferred
+            const totalStockWeight = trip.stocks.reduce((sum, stock) => sum + (stock.weight || 0), 0);
+            const totalTransferredWeight = trip.transferHistory.reduce((sum, transfer) => sum + (transfer.transferredStock?.weight || 0), 0);
+            trip.summary.birdWeightLoss = (trip.summary.totalWeightPurchased || 0) -
+                (trip.summary.totalWeightSold || 0) -
+                totalStockWeight -
+                (trip.summary.totalWeightLost || 0) -
+                totalTransferredWeight;
+
+            // Summary will be recalculated by pre-save middleware including stock and transfers
+            await trip.save({ session });
+
+            return trip;
+        }, 'add death birds');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('supervisor', 'name email')
@@ -1204,6 +1079,7 @@ export const addDeathBirds = async (req, res, next) => {
 // Update trip diesel (Supervisor)
 export const updateTripDiesel = async (req, res, next) => {
     try {
+        const expectedVersion = getExpectedVersion(req);
         const { stations } = req.body;
 
         let query = { _id: req.params.id };
@@ -1211,67 +1087,46 @@ export const updateTripDiesel = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
 
-        if (!trip) throw new AppError('Trip not found!', 404);
+            if (!trip) throw new AppError('Trip not found!', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        // 1. Revert Old Entries
-        for (const oldStation of trip.diesel.stations) {
-            // Case B: Predefined Diesel Station
-            if (oldStation.dieselStation && oldStation.amount > 0) {
-                try {
-                    const station = await DieselStation.findById(oldStation.dieselStation);
-                    if (station) {
-                        // Reversing a Purchase (Credit) -> Debit (Decrease Liability/Balance)
-                        // Diesel Stations are usually Credit balance (Vendor).
-                        // Purchase increases Cr. Revert decreases Cr (Debit).
-                        const currentBalance = Number(station.outstandingBalance) || 0;
-                        const currentType = station.outstandingBalanceType || 'credit'; // Default to credit for vendors
-                        const newBalance = addToBalance(currentBalance, currentType, oldStation.amount, 'debit');
-
-                        station.outstandingBalance = newBalance.amount;
-                        station.outstandingBalanceType = newBalance.type;
-                        await station.save();
-                    }
-                } catch (err) {
-                    console.error('Error reverting old diesel station balance:', err);
+            const stationOptions = { session, userId: req.user._id, label: 'Diesel station', defaultType: 'credit' };
+
+            // 1. Revert Old Entries
+            for (const oldStation of trip.diesel.stations) {
+                // Case B: Predefined Diesel Station
+                if (oldStation.dieselStation && oldStation.amount > 0) {
+                    // Reversing a Purchase (Credit) -> Debit (Decrease Liability/Balance)
+                    // Diesel Stations are usually Credit balance (Vendor).
+                    // Purchase increases Cr. Revert decreases Cr (Debit).
+                    await adjustOutstandingBalance(DieselStation, oldStation.dieselStation, oldStation.amount, stationOptions);
                 }
             }
-        }
 
-        // 2. Apply New Entries
-        for (const newStation of stations) {
-            // Case B: Predefined Diesel Station
-            if (newStation.dieselStation && newStation.amount > 0) {
-                try {
-                    const station = await DieselStation.findById(newStation.dieselStation);
-                    if (station) {
-                        // Applying a Purchase (Credit) -> Credit (Increase Liability/Balance)
-                        const currentBalance = Number(station.outstandingBalance) || 0;
-                        // Use existing type or default to 'credit' if it was 0/undefined, but usually it has a type
-                        const currentType = station.outstandingBalanceType || 'credit';
-
-                        const newBalance = addToBalance(currentBalance, currentType, newStation.amount, 'credit');
-
-                        station.outstandingBalance = newBalance.amount;
-                        station.outstandingBalanceType = newBalance.type;
-                        await station.save();
-                    }
-                } catch (err) {
-                    console.error('Error applying new diesel station balance:', err);
+            // 2. Apply New Entries
+            for (const newStation of stations) {
+                // Case B: Predefined Diesel Station
+                if (newStation.dieselStation && newStation.amount > 0) {
+                    // Applying a Purchase (Credit) -> Credit (Increase Liability/Balance)
+                    await adjustOutstandingBalance(DieselStation, newStation.dieselStation, -newStation.amount, stationOptions);
                 }
             }
-        }
 
-        trip.diesel.stations = stations;
-        trip.diesel.totalVolume = stations.reduce((sum, station) => sum + (station.volume || 0), 0);
-        trip.diesel.totalAmount = stations.reduce((sum, station) => sum + (station.amount || 0), 0);
-        trip.summary.totalDieselAmount = trip.diesel.totalAmount;
+            trip.diesel.stations = stations;
+            trip.diesel.totalVolume = stations.reduce((sum, station) => sum + (station.volume || 0), 0);
+            trip.diesel.totalAmount = stations.reduce((sum, station) => sum + (station.amount || 0), 0);
+            trip.summary.totalDieselAmount = trip.diesel.totalAmount;
 
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
 
-        await trip.save();
+            await trip.save({ session });
+
+            return trip;
+        }, 'update trip diesel');
 
         successResponse(res, 'Trip diesel updated!', 200, trip)
     } catch (error) {
@@ -1282,6 +1137,7 @@ export const updateTripDiesel = async (req, res, next) => {
 // Update trip expenses (Supervisor)
 export const updateTripExpenses = async (req, res, next) => {
     try {
+        const expectedVersion = getExpectedVersion(req);
         const { expenses } = req.body;
 
         let query = { _id: req.params.id };
@@ -1289,16 +1145,21 @@ export const updateTripExpenses = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
 
-        if (!trip) throw new AppError('Trip not found!', 404);
+            if (!trip) throw new AppError('Trip not found!', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        trip.expenses = expenses;
-        trip.summary.totalExpenses = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
+            trip.expenses = expenses;
+            trip.summary.totalExpenses = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
 
-        await trip.save();
+            await trip.save({ session });
+
+            return trip;
+        }, 'update trip expenses');
 
         successResponse(res, "Trip expenses updated!", 200, trip);
     } catch (error) {
@@ -1309,7 +1170,8 @@ export const updateTripExpenses = async (req, res, next) => {
 // Edit expense in trip (Supervisor)
 export const editExpense = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
         const expenseData = req.body;
 
         let query = { _id: id };
@@ -1317,23 +1179,24 @@ export const editExpense = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        // Validate index
-        const expenseIndex = parseInt(index);
-        if (expenseIndex < 0 || expenseIndex >= trip.expenses.length) {
-            throw new AppError('Invalid expense index', 400);
-        }
+            const expenseIndex = resolveEntryIndex(trip.expenses, entryId, 'expense');
 
-        // Update expense
-        trip.expenses[expenseIndex] = { ...trip.expenses[expenseIndex], ...expenseData };
+            // Update expense
+            trip.expenses[expenseIndex] = { ...trip.expenses[expenseIndex].toObject(), ...expenseData, _id: trip.expenses[expenseIndex]._id };
 
-        // Update summary
-        trip.summary.totalExpenses = trip.expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
+            // Update summary
+            trip.summary.totalExpenses = trip.expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
 
-        trip.updatedBy = req.user._id;
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            await trip.save({ session });
+
+            return trip;
+        }, 'update expense');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -1350,7 +1213,8 @@ export const editExpense = async (req, res, next) => {
 // Edit diesel station in trip (Supervisor)
 export const editDieselStation = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
         const stationData = req.body;
 
         let query = { _id: id };
@@ -1358,72 +1222,47 @@ export const editDieselStation = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        // Validate index
-        const stationIndex = parseInt(index);
-        if (stationIndex < 0 || stationIndex >= trip.diesel.stations.length) {
-            throw new AppError('Invalid diesel station index', 400);
-        }
-
-        const oldStation = trip.diesel.stations[stationIndex];
-        const oldStationObj = oldStation.toObject();
-
-        // 1. Revert Old Entries
-        // Case B: Predefined Diesel Station
-        if (oldStation.dieselStation && oldStation.amount > 0) {
-            try {
-                const station = await DieselStation.findById(oldStation.dieselStation);
-                if (station) {
-                    // Reversing Purchase (Credit) -> Debit
-                    const currentBalance = Number(station.outstandingBalance) || 0;
-                    const currentType = station.outstandingBalanceType || 'credit';
-                    const newBalance = addToBalance(currentBalance, currentType, oldStation.amount, 'debit');
-
-                    station.outstandingBalance = newBalance.amount;
-                    station.outstandingBalanceType = newBalance.type;
-                    await station.save();
-                }
-            } catch (err) {
-                console.error('Error reverting old diesel station balance:', err);
-            }
-        }
+            const stationIndex = resolveEntryIndex(trip.diesel.stations, entryId, 'diesel station');
 
-        // Update diesel station
-        // Merge old data with new data
-        trip.diesel.stations[stationIndex] = { ...oldStationObj, ...stationData };
+            const oldStation = trip.diesel.stations[stationIndex];
+            const oldStationObj = oldStation.toObject();
+            const stationOptions = { session, userId: req.user._id, label: 'Diesel station', defaultType: 'credit' };
 
-        const newStation = trip.diesel.stations[stationIndex];
+            // 1. Revert Old Entries
+            // Case B: Predefined Diesel Station
+            if (oldStation.dieselStation && oldStation.amount > 0) {
+                // Reversing Purchase (Credit) -> Debit
+                await adjustOutstandingBalance(DieselStation, oldStation.dieselStation, oldStation.amount, stationOptions);
+            }
 
-        // 2. Apply New Entries
-        // Case B: Predefined Diesel Station
-        if (newStation.dieselStation && newStation.amount > 0) {
-            try {
-                const station = await DieselStation.findById(newStation.dieselStation);
-                if (station) {
-                    // Applying Purchase (Credit) -> Credit
-                    const currentBalance = Number(station.outstandingBalance) || 0;
-                    const currentType = station.outstandingBalanceType || 'credit';
+            // Update diesel station
+            // Merge old data with new data
+            trip.diesel.stations[stationIndex] = { ...oldStationObj, ...stationData, _id: oldStation._id };
 
-                    const newBalance = addToBalance(currentBalance, currentType, newStation.amount, 'credit');
+            const newStation = trip.diesel.stations[stationIndex];
 
-                    station.outstandingBalance = newBalance.amount;
-                    station.outstandingBalanceType = newBalance.type;
-                    await station.save();
-                }
-            } catch (err) {
-                console.error('Error applying new diesel station balance:', err);
+            // 2. Apply New Entries
+            // Case B: Predefined Diesel Station
+            if (newStation.dieselStation && newStation.amount > 0) {
+                // Applying Purchase (Credit) -> Credit
+                await adjustOutstandingBalance(DieselStation, newStation.dieselStation, -newStation.amount, stationOptions);
             }
-        }
 
-        // Update diesel totals
-        trip.diesel.totalVolume = trip.diesel.stations.reduce((sum, station) => sum + (station.volume || 0), 0);
-        trip.diesel.totalAmount = trip.diesel.stations.reduce((sum, station) => sum + (station.amount || 0), 0);
-        trip.summary.totalDieselAmount = trip.diesel.totalAmount;
+            // Update diesel totals
+            trip.diesel.totalVolume = trip.diesel.stations.reduce((sum, station) => sum + (station.volume || 0), 0);
+            trip.diesel.totalAmount = trip.diesel.stations.reduce((sum, station) => sum + (station.amount || 0), 0);
+            trip.summary.totalDieselAmount = trip.diesel.totalAmount;
 
-        trip.updatedBy = req.user._id;
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            await trip.save({ session });
+
+            return trip;
+        }, 'update diesel station');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -1449,29 +1288,11 @@ export const completeTrip = async (req, res, next) => {
         const trip = await Trip.findOne({ _id: req.params.id });
 
         if (!trip) throw new AppError('Trip not found!', 404);
+        if (trip.settlement?.settledAt) throw new AppError('Trip is already settled', 400);
+        if (trip.reopenRequest) throw new AppError('Trip was reopened for corrections; re-complete it through its reopen request', 400);
 
-        // Validate and update vehicle readings
-        if (trip.vehicleReadings.opening && closingOdometer < trip.vehicleReadings.opening) {
-            throw new AppError('Closing odometer reading must be greater than opening reading', 400);
-        }
-
-        trip.vehicleReadings.closing = closingOdometer;
-        if (trip.vehicleReadings.opening) {
-            trip.vehicleReadings.totalDistance = closingOdometer - trip.vehicleReadings.opening;
-            // Set totalKm for financial calculations
-            trip.totalKm = trip.vehicleReadings.totalDistance;
-        }
-
-        // Calculate total diesel amount
-        trip.dieselAmount = trip.diesel.totalAmount || 0;
-
-        // Update completion details
-        trip.completionDetails = {
-            completedAt: new Date(),
-            closingOdometer,
-            finalRemarks,
-            supervisorSignature: req.user.name
-        };
+        // Vehicle readings, diesel amount, completion details and fuel efficiency
+        applyTripClosing(trip, { closingOdometer, finalRemarks, signature: req.user.name });
 
         // Add death birds record if mortality is provided
         if (mortality && mortality > 0) {
@@ -1533,11 +1354,6 @@ export const completeTrip = async (req, res, next) => {
             trip.summary.profitPerKg = Number((trip.summary.netProfit / trip.summary.totalWeightSold).toFixed(2));
         }
 
-        // Calculate fuel efficiency
-        if (trip.vehicleReadings.totalDistance && trip.diesel.totalVolume > 0) {
-            trip.summary.fuelEfficiency = Number((trip.vehicleReadings.totalDistance / trip.diesel.totalVolume).toFixed(2));
-        }
-
         trip.status = 'completed';
         trip.updatedBy = req.user._id;
         trip.updatedAt = new Date();
@@ -1564,40 +1380,114 @@ export const completeTrip = async (req, res, next) => {
     }
 };
 
+// Settlement preview for an open trip, or the stored settlement once settled
+// ?cashHandedOver= overrides the cash handovers recorded against the trip
+export const getTripSettlement = async (req, res, next) => {
+    try {
+        const trip = await Trip.findById(req.params.id).populate('settlement.settledBy', 'name');
+        if (!trip) throw new AppError('Trip not found!', 404);
+
+        if (trip.settlement?.settledAt) {
+            return successResponse(res, "Trip settlement fetched successfully", 200, {
+                settled: true,
+                settlement: trip.settlement
+            });
+        }
+
+        const { cashHandedOver } = req.query;
+        const handedOver = cashHandedOver === undefined || cashHandedOver === '' ? null : Number(cashHandedOver);
+        if (handedOver !== null && (!Number.isFinite(handedOver) || handedOver < 0)) {
+            throw new AppError('Cash handed over must be zero or more', 400);
+        }
+
+        const preview = await buildSettlementPreview(trip, { cashHandedOver: handedOver });
+
+        successResponse(res, "Trip settlement preview generated", 200, {
+            settled: false,
+            tripId: trip.tripId,
+            status: trip.status,
+            // Send back as If-Match when settling so the preview matches what gets settled
+            version: trip.__v,
+            ...preview
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Settle and complete a trip once every discrepancy is accepted or overridden (Admin)
+export const settleTrip = async (req, res, next) => {
+    try {
+        const expectedVersion = getExpectedVersion(req);
+
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findById(req.params.id).session(session);
+            if (!trip) throw new AppError('Trip not found!', 404);
+            assertTripVersion(trip, expectedVersion);
+
+            await applySettlement(trip, req.body, { user: req.user, session });
+            await trip.save({ session });
+
+            if (trip.vehicle) {
+                await Vehicle.findByIdAndUpdate(trip.vehicle, {
+                    currentStatus: 'idle',
+                    updatedBy: req.user._id
+                }, { session });
+            }
+
+            return trip;
+        }, 'settle trip');
+
+        const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
+
+        successResponse(res, "Trip settled successfully", 200, populatedTrip);
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Update stock (Supervisor)
 // Add new stock entry (Supervisor)
 export const addStock = async (req, res, next) => {
     try {
+        const expectedVersion = getExpectedVersion(req);
         const { id } = req.params;
         const stockData = req.body;
+        const lotSelection = readLotSelection(stockData.lots);
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found!', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found!', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        // Calculate avgWeight and value
-        const avgWeight = stockData.birds > 0 ? stockData.weight / stockData.birds : 0;
-        const value = stockData.weight * stockData.rate;
-
-        // Add new stock entry
-        const newStock = {
-            birds: stockData.birds,
-            weight: stockData.weight,
-            avgWeight: avgWeight,
-            value: value,
-            rate: stockData.rate,
-            addedAt: new Date(),
-            notes: stockData.notes || ''
-        };
+            // Calculate avgWeight and value
+            const avgWeight = stockData.birds > 0 ? stockData.weight / stockData.birds : 0;
+            const value = stockData.weight * stockData.rate;
+
+            // Add new stock entry
+            const newStock = {
+                birds: stockData.birds,
+                weight: stockData.weight,
+                avgWeight: avgWeight,
+                value: value,
+                rate: stockData.rate,
+                addedAt: new Date(),
+                notes: stockData.notes || '',
+                ...lotSelection
+            };
 
-        trip.stocks.push(newStock);
+            trip.stocks.push(newStock);
 
-        // Save the trip to trigger pre-save middleware for recalculations
-        await trip.save();
+            // Save the trip to trigger pre-save middleware for recalculations
+            await trip.save({ session });
+
+            return trip;
+        }, 'add stock');
 
         const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
 
@@ -1610,39 +1500,45 @@ export const addStock = async (req, res, next) => {
 // Update existing stock entry (Supervisor)
 export const updateStock = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
         const stockData = req.body;
+        const lotSelection = readLotSelection(stockData.lots);
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found!', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found!', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        const stockIndex = parseInt(index);
-        if (stockIndex < 0 || stockIndex >= trip.stocks.length) {
-            throw new AppError('Invalid stock index!', 400);
-        }
+            const stockIndex = resolveEntryIndex(trip.stocks, entryId, 'stock');
 
-        // Calculate avgWeight and value
-        const avgWeight = stockData.birds > 0 ? stockData.weight / stockData.birds : 0;
-        const value = stockData.weight * stockData.rate;
+            // Calculate avgWeight and value
+            const avgWeight = stockData.birds > 0 ? stockData.weight / stockData.birds : 0;
+            const value = stockData.weight * stockData.rate;
 
-        // Update stock entry
-        trip.stocks[stockIndex] = {
-            ...trip.stocks[stockIndex],
-            birds: stockData.birds,
-            weight: stockData.weight,
-            avgWeight: avgWeight,
-            value: value,
-            rate: stockData.rate,
-            notes: stockData.notes || ''
-        };
+            // Update stock entry
+            trip.stocks[stockIndex] = {
+                ...trip.stocks[stockIndex].toObject(),
+                _id: trip.stocks[stockIndex]._id,
+                birds: stockData.birds,
+                weight: stockData.weight,
+                avgWeight: avgWeight,
+                value: value,
+                rate: stockData.rate,
+                notes: stockData.notes || '',
+                ...lotSelection
+            };
 
-        // Save the trip to trigger pre-save middleware for recalculations
-        await trip.save();
+            // Save the trip to trigger pre-save middleware for recalculations
+            await trip.save({ session });
+
+            return trip;
+        }, 'update stock');
 
         const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
 
@@ -1655,26 +1551,29 @@ export const updateStock = async (req, res, next) => {
 // Delete stock entry (Supervisor)
 export const deleteStock = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found!', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found!', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        const stockIndex = parseInt(index);
-        if (stockIndex < 0 || stockIndex >= trip.stocks.length) {
-            throw new AppError('Invalid stock index!', 400);
-        }
+            const stockIndex = resolveEntryIndex(trip.stocks, entryId, 'stock');
 
-        // Remove stock entry
-        trip.stocks.splice(stockIndex, 1);
+            // Remove stock entry
+            trip.stocks.splice(stockIndex, 1);
 
-        // Save the trip to trigger pre-save middleware for recalculations
-        await trip.save();
+            // Save the trip to trigger pre-save middleware for recalculations
+            await trip.save({ session });
+
+            return trip;
+        }, 'delete stock');
 
         const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
 
@@ -1750,12 +1649,21 @@ export const updateTripStatus = async (req, res, next) => {
         const trip = await Trip.findOne(query);
         if (!trip) throw new AppError('Trip not found!', 404);
 
-        // Update trip status
-        trip.status = status;
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
+        if (trip.status === 'completed' && status !== 'completed') {
+            throw new AppError('Completed trips can only be reopened through a reopen request', 403);
+        }
 
-        await trip.save();
+        if (trip.reopenRequest && status === 'completed') {
+            // Completing a reopened trip closes its reopen request with the before/after summary
+            await runInTransaction((session) => recompleteTrip(trip, { userId: req.user._id, session }), 're-complete trip');
+        } else {
+            // Update trip status
+            trip.status = status;
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
+
+            await trip.save();
+        }
 
         const populatedTrip = await populateTripDetails(Trip.findById(trip._id));
 
@@ -1768,6 +1676,7 @@ export const updateTripStatus = async (req, res, next) => {
 // Transfer trip to another supervisor
 export const transferTrip = async (req, res, next) => {
     try {
+        const expectedVersion = getExpectedVersion(req);
         const { id } = req.params;
         const {
             supervisorId,
@@ -1782,132 +1691,37 @@ export const transferTrip = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const originalTrip = await Trip.findOne(query)
-            .populate('purchases.supplier', 'vendorName name');
-        if (!originalTrip) throw new AppError('Trip not found', 404);
-
-        // Get vendor name from first purchase of original trip
-        let vendorNameFromOriginalTrip = '';
-        if (originalTrip.purchases && originalTrip.purchases.length > 0) {
-            const firstPurchase = originalTrip.purchases[0];
-            if (firstPurchase.supplier) {
-                vendorNameFromOriginalTrip = firstPurchase.supplier?.vendorName || firstPurchase.supplier?.name || '';
-            }
-        }
-
-        // Calculate remaining birds available for transfer
-        const totalPurchased = originalTrip.summary?.totalBirdsPurchased || 0;
-        const customerSold = originalTrip.summary?.customerBirdsSold || 0;
-        const totalInStock = originalTrip.stocks?.reduce((sum, stock) => sum + (stock.birds || 0), 0) || 0;
-        const totalLost = originalTrip.summary?.totalBirdsLost || 0;
-        const totalTransferred = originalTrip.summary?.birdsTransferred || 0;
-        const remainingBirds = totalPurchased - customerSold - totalInStock - totalLost - totalTransferred;
-
-        // Validate transfer request
-        if (!transferBirds || !transferBirds.birds || !transferBirds.weight) {
-            throw new AppError('Transfer birds data (birds count and weight) is required', 400);
-        }
-
-        if (remainingBirds <= 0) {
-            throw new AppError('No remaining birds available to transfer', 400);
-        }
+        const { originalTrip, newTrip, transferRequest, remainingBirds } = await runInTransaction(async (session) => {
+            const originalTrip = await Trip.findOne(query)
+                .session(session)
+                .populate({ path: 'purchases.supplier', select: 'vendorName name', options: { session } });
+            if (!originalTrip) throw new AppError('Trip not found', 404);
+            assertTripVersion(originalTrip, expectedVersion);
 
-        if (transferBirds.birds > remainingBirds) {
-            throw new AppError(`Cannot transfer ${transferBirds.birds} birds. Only ${remainingBirds} birds are available for transfer`, 400);
-        }
+            const transfer = { supervisorId, vehicleId, transferBirds, reason, userId: req.user._id, session };
 
-        // Validate receiving supervisor exists and is approved
-        const receivingSupervisor = await User.findOne({
-            _id: supervisorId,
-            role: 'supervisor',
-            approvalStatus: 'approved',
-            isActive: true
-        });
-        if (!receivingSupervisor) {
-            throw new AppError('Invalid supervisor or supervisor not approved', 400);
-        }
+            // Another supervisor has to accept before the birds move
+            if (supervisorId && supervisorId.toString() !== originalTrip.supervisor.toString()) {
+                const { transferRequest, remainingBirds } = await requestTransfer(originalTrip, transfer);
+                return { originalTrip, transferRequest, remainingBirds };
+            }
 
-        // Validate vehicle exists and is available
-        const vehicle = await Vehicle.findById(vehicleId);
-        if (!vehicle) {
-            throw new AppError('Vehicle not found', 404);
-        }
-        if (vehicle.currentStatus !== 'idle') {
-            throw new AppError('Vehicle is not available for new trip', 400);
+            const { newTrip, remainingBirds } = await executeTransfer(originalTrip, transfer);
+            return { originalTrip, newTrip, remainingBirds };
+        }, 'transfer trip');
+
+        if (transferRequest) {
+            return successResponse(res, "Transfer sent to the receiving supervisor for acceptance", 201, {
+                transferRequest,
+                transferDetails: {
+                    birdsTransferred: 0,
+                    birdsAwaitingAcceptance: transferBirds.birds,
+                    weightAwaitingAcceptance: transferBirds.weight,
+                    remainingBirdsAfterTransfer: remainingBirds - transferBirds.birds
+                }
+            });
         }
 
-        // Calculate average weight and rate for transfer
-        const avgWeight = transferBirds.weight / transferBirds.birds;
-        const avgPurchaseRate = transferBirds.rate || originalTrip.summary?.avgPurchaseRate || 0;
-        const transferAmount = transferBirds.weight * avgPurchaseRate;
-
-        // Create new transferred trip - receiving supervisor will complete details
-        const newTripData = {
-            type: 'transferred',
-            date: new Date(),
-            place: '', // To be filled by receiving supervisor
-            route: { from: 'TBD', to: 'TBD' }, // To be filled by receiving supervisor
-            vehicle: vehicleId,
-            supervisor: supervisorId,
-            driver: 'TBD - To be assigned by receiving supervisor', // To be filled by receiving supervisor
-            labour: 'TBD', // To be filled by receiving supervisor
-            vehicleReadings: {
-                opening: 0 // To be filled by receiving supervisor
-            },
-            rentPerKm: vehicle.rentPerKm || 0,
-            transferredFrom: originalTrip._id,
-            // Add transferred birds as purchase record
-            purchases: [{
-                supplier: null, // No actual supplier - this is transferred stock
-                vendorName: vendorNameFromOriginalTrip, // Store vendor name from original trip's first purchase
-                dcNumber: `TRANSFER-${originalTrip.tripId}`,
-                birds: transferBirds.birds,
-                weight: transferBirds.weight,
-                avgWeight: avgWeight,
-                rate: avgPurchaseRate,
-                amount: transferAmount,
-                timestamp: new Date()
-            }],
-            createdBy: req.user._id,
-            updatedBy: req.user._id,
-            status: 'started' // Start as started - supervisor will manage from there
-        };
-
-        const newTrip = new Trip(newTripData);
-        await newTrip.save();
-
-        // Update vehicle status for new trip
-        await Vehicle.findByIdAndUpdate(vehicleId, {
-            currentStatus: 'in-transit',
-            updatedBy: req.user._id
-        });
-
-        // Update original trip summary to reflect transferred birds
-        // Note: We don't remove from actual purchases/sales/stock, just track the transfer
-        // The remaining birds calculation will automatically adjust
-
-        // Add transfer to original trip's history
-        originalTrip.transferHistory.push({
-            transferredTo: newTrip._id,
-            transferredToSupervisor: supervisorId,
-            transferredStock: {
-                birds: transferBirds.birds,
-                weight: transferBirds.weight,
-                avgWeight: avgWeight,
-                rate: avgPurchaseRate
-            },
-            reason: reason || 'Trip transfer',
-            transferredAt: new Date(),
-            transferredBy: req.user._id
-        });
-
-        // Add to transferredTo array
-        originalTrip.transferredTo.push(newTrip._id);
-        originalTrip.updatedBy = req.user._id;
-
-        // Save original trip
-        await originalTrip.save();
-
         // Populate both trips for response
         const populatedOriginalTrip = await Trip.findById(originalTrip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -1967,12 +1781,19 @@ export const getTripTransferHistory = async (req, res, next) => {
 
         if (!trip) throw new AppError('Trip not found', 404);
 
+        // Offered to another supervisor but not accepted yet
+        const pendingTransfers = await TripTransferRequest.find({ sourceTrip: trip._id, status: 'pending' })
+            .populate('toSupervisor', 'name mobileNumber')
+            .populate('vehicle', 'vehicleNumber')
+            .sort({ createdAt: -1 });
+
         const transferInfo = {
             tripId: trip.tripId,
             type: trip.type,
             transferredFrom: trip.transferredFrom,
             transferredTo: trip.transferredTo,
-            transferHistory: trip.transferHistory
+            transferHistory: trip.transferHistory,
+            pendingTransfers
         };
 
         successResponse(res, "Trip transfer history fetched successfully", 200, transferInfo);
@@ -1981,6 +1802,48 @@ export const getTripTransferHistory = async (req, res, next) => {
     }
 };
 
+// Full transfer chain (A -> B -> C ...) the trip belongs to, with cost carried per hop and chain profit
+export const getTripTransferLineage = async (req, res, next) => {
+    try {
+        const lineage = await buildTransferLineage(req.params.id);
+
+        // Supervisors see chains they took part in
+        if (req.user.role === 'supervisor' && !lineage.trips.some(trip => trip.supervisor.id?.toString() === req.user._id.toString())) {
+            throw new AppError('Trip not found', 404);
+        }
+
+        successResponse(res, "Trip transfer lineage fetched successfully", 200, lineage);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Purchase lots (DCs) on a trip with the birds drawn from each so far
+export const getTripLots = async (req, res, next) => {
+    try {
+        let query = { _id: req.params.id };
+        if (req.user.role === 'supervisor') {
+            query.supervisor = req.user._id;
+        }
+
+        const trip = await Trip.findOne(query).populate('purchases.supplier', 'vendorName contactNumber address city state');
+        if (!trip) throw new AppError('Trip not found', 404);
+
+        // Allocated in memory so trips saved before lots existed show them too;
+        // stalePicks: stored manual picks no longer fit and the lots are shown as FIFO
+        const { unallocated, stalePicks } = allocateTripLotsForRead(trip);
+
+        successResponse(res, "Trip lots fetched successfully", 200, {
+            tripId: trip.tripId,
+            lots: summarizeTripLots(trip),
+            unallocated,
+            stalePicks
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Complete initial trip details for transferred trips (Supervisor)
 export const completeTripDetails = async (req, res, next) => {
     try {
@@ -2156,40 +2019,44 @@ export const getDailyTripStats = async (req, res, next) => {
 // Delete purchase from trip
 export const deletePurchase = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found or access denied', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found or access denied', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        if (req.user.role === 'supervisor' && trip.status === 'completed') {
-            throw new AppError('Cannot delete purchase from a completed trip', 403);
-        }
+            if (req.user.role === 'supervisor' && trip.status === 'completed') {
+                throw new AppError('Cannot delete purchase from a completed trip', 403);
+            }
 
-        if (trip.type === 'transferred') {
-            throw new AppError('Cannot delete purchases in transferred trips.', 403);
-        }
+            if (trip.type === 'transferred') {
+                throw new AppError('Cannot delete purchases in transferred trips.', 403);
+            }
 
-        const purchaseIndex = parseInt(index);
-        if (purchaseIndex < 0 || purchaseIndex >= trip.purchases.length) {
-            throw new AppError('Invalid purchase index', 400);
-        }
+            const purchaseIndex = resolveEntryIndex(trip.purchases, entryId, 'purchase');
 
-        // Remove purchase
-        trip.purchases.splice(purchaseIndex, 1);
+            // Remove purchase
+            const [removedPurchase] = trip.purchases.splice(purchaseIndex, 1);
 
-        // Update summary
-        trip.summary.totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
-        trip.summary.totalBirdsPurchased = trip.purchases.reduce((sum, p) => sum + (p.birds || 0), 0);
-        trip.summary.totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
+            // Update summary
+            trip.summary.totalPurchaseAmount = trip.purchases.reduce((sum, p) => sum + (p.amount || 0), 0);
+            trip.summary.totalBirdsPurchased = trip.purchases.reduce((sum, p) => sum + (p.birds || 0), 0);
+            trip.summary.totalWeightPurchased = trip.purchases.reduce((sum, p) => sum + (p.weight || 0), 0);
 
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
+            await trip.save({ session });
+            await syncVendorTds(purchaseTdsTargets(trip, [removedPurchase]), { session, userId: req.user._id });
+
+            return trip;
+        }, 'delete purchase');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -2206,111 +2073,59 @@ export const deletePurchase = async (req, res, next) => {
 // Delete sale from trip
 export const deleteSale = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found or access denied', 404);
-
-        if (req.user.role === 'supervisor' && trip.status === 'completed') {
-            throw new AppError('Cannot delete sale/receipt from a completed trip', 403);
-        }
-
-        const saleIndex = parseInt(index);
-        if (saleIndex < 0 || saleIndex >= trip.sales.length) {
-            throw new AppError('Invalid sale index', 400);
-        }
-
-        const oldSale = trip.sales[saleIndex];
-        const oldAmount = Number(oldSale?.amount) || 0;
-        const oldCashPaid = Number(oldSale?.cashPaid) || 0;
-        const oldOnlinePaid = Number(oldSale?.onlinePaid) || 0;
-        const oldDiscount = Number(oldSale?.discount) || 0;
-        const oldCashLedger = oldSale?.cashLedger;
-        const oldOnlineLedger = oldSale?.onlineLedger;
-        const oldClient = oldSale?.client;
-        const isReceipt = (oldSale?.birds === 0 || !oldSale?.birds) &&
-            (oldSale?.weight === 0 || !oldSale?.weight) &&
-            (oldAmount === 0 || !oldSale?.amount);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found or access denied', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        // 1. Revert customer balance if client is set
-        if (oldClient) {
-            const customer = await Customer.findById(oldClient);
-            if (customer) {
-                let currentBalanceSigned = toSignedValue(
-                    customer.outstandingBalance || 0,
-                    customer.outstandingBalanceType || 'debit'
-                );
-
-                // Reverse sale (subtract amount)
-                if (!isReceipt && oldAmount > 0) {
-                    currentBalanceSigned = currentBalanceSigned - oldAmount;
-                }
+            if (req.user.role === 'supervisor' && trip.status === 'completed') {
+                throw new AppError('Cannot delete sale/receipt from a completed trip', 403);
+            }
 
-                // Reverse cash payment (add back)
-                if (oldCashPaid > 0) {
-                    currentBalanceSigned = currentBalanceSigned + oldCashPaid;
-                }
+            const saleIndex = resolveEntryIndex(trip.sales, entryId, 'sale');
 
-                // Reverse online payment (add back)
-                if (oldOnlinePaid > 0) {
-                    currentBalanceSigned = currentBalanceSigned + oldOnlinePaid;
-                }
+            const oldSale = trip.sales[saleIndex];
+            const oldCashPaid = Number(oldSale?.cashPaid) || 0;
+            const oldOnlinePaid = Number(oldSale?.onlinePaid) || 0;
 
-                // Reverse discount (add back)
-                if (oldDiscount > 0) {
-                    currentBalanceSigned = currentBalanceSigned + oldDiscount;
-                }
-
-                const updatedBalanceObj = fromSignedValue(currentBalanceSigned);
-                customer.outstandingBalance = updatedBalanceObj.amount;
-                customer.outstandingBalanceType = updatedBalanceObj.type;
-                await customer.save();
+            // 1. Revert customer balance if client is set (reverse sale amount, add back payments and discount)
+            if (oldSale?.client) {
+                await adjustOutstandingBalance(Customer, oldSale.client, -getSaleBalanceEffect(oldSale), {
+                    session, userId: req.user._id, label: 'Customer'
+                });
             }
-        }
 
-        // 2. Revert cash ledger if cashLedger is set and cashPaid > 0
-        if (oldCashLedger && oldCashPaid > 0) {
-            const cashLedger = await Ledger.findById(oldCashLedger);
-            if (cashLedger) {
-                const updatedLedgerBalance = subtractFromBalance(
-                    cashLedger.outstandingBalance || 0,
-                    cashLedger.outstandingBalanceType || 'debit',
-                    oldCashPaid,
-                    'debit'
-                );
-                cashLedger.outstandingBalance = updatedLedgerBalance.amount;
-                cashLedger.outstandingBalanceType = updatedLedgerBalance.type;
-                await cashLedger.save();
+            // 2. Revert cash ledger if cashLedger is set and cashPaid > 0
+            if (oldSale?.cashLedger && oldCashPaid > 0) {
+                await adjustOutstandingBalance(Ledger, oldSale.cashLedger, -oldCashPaid, {
+                    session, userId: req.user._id, label: 'Cash ledger'
+                });
             }
-        }
 
-        // 3. Revert online ledger if onlineLedger is set and onlinePaid > 0
-        if (oldOnlineLedger && oldOnlinePaid > 0) {
-            const onlineLedger = await Ledger.findById(oldOnlineLedger);
-            if (onlineLedger) {
-                const updatedLedgerBalance = subtractFromBalance(
-                    onlineLedger.outstandingBalance || 0,
-                    onlineLedger.outstandingBalanceType || 'debit',
-                    oldOnlinePaid,
-                    'debit'
-                );
-                onlineLedger.outstandingBalance = updatedLedgerBalance.amount;
-                onlineLedger.outstandingBalanceType = updatedLedgerBalance.type;
-                await onlineLedger.save();
+            // 3. Revert online ledger if onlineLedger is set and onlinePaid > 0
+            if (oldSale?.onlineLedger && oldOnlinePaid > 0) {
+                await adjustOutstandingBalance(Ledger, oldSale.onlineLedger, -oldOnlinePaid, {
+                    session, userId: req.user._id, label: 'Online ledger'
+                });
             }
-        }
 
-        // Remove sale
-        trip.sales.splice(saleIndex, 1);
+            // Remove sale
+            trip.sales.splice(saleIndex, 1);
 
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
+            await trip.save({ session });
+
+            return trip;
+        }, 'delete sale');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -2327,52 +2142,48 @@ export const deleteSale = async (req, res, next) => {
 // Delete diesel station from trip
 export const deleteTripDiesel = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found or access denied', 404);
-
-        if (req.user.role === 'supervisor' && trip.status === 'completed') {
-            throw new AppError('Cannot delete diesel from a completed trip', 403);
-        }
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found or access denied', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        const dieselIndex = parseInt(index);
-        if (dieselIndex < 0 || dieselIndex >= trip.diesel.stations.length) {
-            throw new AppError('Invalid diesel index', 400);
-        }
+            if (req.user.role === 'supervisor' && trip.status === 'completed') {
+                throw new AppError('Cannot delete diesel from a completed trip', 403);
+            }
 
-        const oldStation = trip.diesel.stations[dieselIndex];
+            const dieselIndex = resolveEntryIndex(trip.diesel.stations, entryId, 'diesel');
 
-        // Revert diesel station vendor balance if predefined station
-        if (oldStation.dieselStation && oldStation.amount > 0) {
-            const station = await DieselStation.findById(oldStation.dieselStation);
-            if (station) {
-                const currentBalance = Number(station.outstandingBalance) || 0;
-                const currentType = station.outstandingBalanceType || 'credit';
-                const newBalance = addToBalance(currentBalance, currentType, oldStation.amount, 'debit');
+            const oldStation = trip.diesel.stations[dieselIndex];
 
-                station.outstandingBalance = newBalance.amount;
-                station.outstandingBalanceType = newBalance.type;
-                await station.save();
+            // Revert diesel station vendor balance if predefined station
+            if (oldStation.dieselStation && oldStation.amount > 0) {
+                await adjustOutstandingBalance(DieselStation, oldStation.dieselStation, oldStation.amount, {
+                    session, userId: req.user._id, label: 'Diesel station', defaultType: 'credit'
+                });
             }
-        }
 
-        // Remove station record
-        trip.diesel.stations.splice(dieselIndex, 1);
+            // Remove station record
+            trip.diesel.stations.splice(dieselIndex, 1);
 
-        // Update diesel totals
-        trip.diesel.totalVolume = trip.diesel.stations.reduce((sum, s) => sum + (s.volume || 0), 0);
-        trip.diesel.totalAmount = trip.diesel.stations.reduce((sum, s) => sum + (s.amount || 0), 0);
-        trip.summary.totalDieselAmount = trip.diesel.totalAmount;
+            // Update diesel totals
+            trip.diesel.totalVolume = trip.diesel.stations.reduce((sum, s) => sum + (s.volume || 0), 0);
+            trip.diesel.totalAmount = trip.diesel.stations.reduce((sum, s) => sum + (s.amount || 0), 0);
+            trip.summary.totalDieselAmount = trip.diesel.totalAmount;
 
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
+            await trip.save({ session });
+
+            return trip;
+        }, 'delete diesel record');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -2389,34 +2200,37 @@ export const deleteTripDiesel = async (req, res, next) => {
 // Delete expense from trip
 export const deleteExpense = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found or access denied', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found or access denied', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        if (req.user.role === 'supervisor' && trip.status === 'completed') {
-            throw new AppError('Cannot delete expense from a completed trip', 403);
-        }
+            if (req.user.role === 'supervisor' && trip.status === 'completed') {
+                throw new AppError('Cannot delete expense from a completed trip', 403);
+            }
 
-        const expenseIndex = parseInt(index);
-        if (expenseIndex < 0 || expenseIndex >= trip.expenses.length) {
-            throw new AppError('Invalid expense index', 400);
-        }
+            const expenseIndex = resolveEntryIndex(trip.expenses, entryId, 'expense');
 
-        // Remove expense
-        trip.expenses.splice(expenseIndex, 1);
+            // Remove expense
+            trip.expenses.splice(expenseIndex, 1);
 
-        // Update summary
-        trip.summary.totalExpenses = trip.expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
+            // Update summary
+            trip.summary.totalExpenses = trip.expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
 
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
+            await trip.save({ session });
+
+            return trip;
+        }, 'delete expense');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -2433,37 +2247,40 @@ export const deleteExpense = async (req, res, next) => {
 // Delete loss from trip
 export const deleteLoss = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found or access denied', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found or access denied', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        if (req.user.role === 'supervisor' && trip.status === 'completed') {
-            throw new AppError('Cannot delete loss from a completed trip', 403);
-        }
+            if (req.user.role === 'supervisor' && trip.status === 'completed') {
+                throw new AppError('Cannot delete loss from a completed trip', 403);
+            }
 
-        const lossIndex = parseInt(index);
-        if (lossIndex < 0 || lossIndex >= trip.losses.length) {
-            throw new AppError('Invalid loss index', 400);
-        }
+            const lossIndex = resolveEntryIndex(trip.losses, entryId, 'loss');
 
-        // Remove loss
-        trip.losses.splice(lossIndex, 1);
+            // Remove loss
+            trip.losses.splice(lossIndex, 1);
 
-        // Recalculate summary totals
-        trip.summary.totalLosses = trip.losses.reduce((sum, loss) => sum + (loss.total || 0), 0);
-        trip.summary.totalBirdsLost = trip.losses.reduce((sum, loss) => sum + (loss.quantity || 0), 0);
-        trip.summary.totalWeightLost = trip.losses.reduce((sum, loss) => sum + (loss.weight || 0), 0);
-        trip.summary.mortality = trip.summary.totalBirdsLost;
+            // Recalculate summary totals
+            trip.summary.totalLosses = trip.losses.reduce((sum, loss) => sum + (loss.total || 0), 0);
+            trip.summary.totalBirdsLost = trip.losses.reduce((sum, loss) => sum + (loss.quantity || 0), 0);
+            trip.summary.totalWeightLost = trip.losses.reduce((sum, loss) => sum + (loss.weight || 0), 0);
+            trip.summary.mortality = trip.summary.totalBirdsLost;
 
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
+            await trip.save({ session });
+
+            return trip;
+        }, 'delete loss');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -2480,56 +2297,59 @@ export const deleteLoss = async (req, res, next) => {
 // Delete transfer from trip
 export const deleteTransfer = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
 
         let query = { _id: id };
         if (req.user.role === 'supervisor') {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found or access denied', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found or access denied', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        if (req.user.role === 'supervisor' && trip.status === 'completed') {
-            throw new AppError('Cannot delete transfer from a completed trip', 403);
-        }
+            if (req.user.role === 'supervisor' && trip.status === 'completed') {
+                throw new AppError('Cannot delete transfer from a completed trip', 403);
+            }
 
-        const transferIndex = parseInt(index);
-        if (transferIndex < 0 || transferIndex >= trip.transferHistory.length) {
-            throw new AppError('Invalid transfer index', 400);
-        }
+            const transferIndex = resolveEntryIndex(trip.transferHistory, entryId, 'transfer');
 
-        const transfer = trip.transferHistory[transferIndex];
-        const receiverTripId = transfer.transferredTo;
+            const transfer = trip.transferHistory[transferIndex];
+            const receiverTripId = transfer.transferredTo;
 
-        if (receiverTripId) {
-            const receiverTrip = await Trip.findById(receiverTripId);
-            if (receiverTrip) {
-                if (receiverTrip.status === 'completed') {
-                    throw new AppError('Cannot delete transfer: The receiving trip is already completed.', 400);
-                }
+            if (receiverTripId) {
+                const receiverTrip = await Trip.findById(receiverTripId).session(session);
+                if (receiverTrip) {
+                    if (receiverTrip.status === 'completed') {
+                        throw new AppError('Cannot delete transfer: The receiving trip is already completed.', 400);
+                    }
 
-                // Reset receiving vehicle status to idle
-                if (receiverTrip.vehicle) {
-                    await Vehicle.findByIdAndUpdate(receiverTrip.vehicle, { currentStatus: 'idle' });
-                }
+                    // Reset receiving vehicle status to idle
+                    if (receiverTrip.vehicle) {
+                        await Vehicle.findByIdAndUpdate(receiverTrip.vehicle, { currentStatus: 'idle' }, { session });
+                    }
 
-                // Delete receiving trip
-                await Trip.findByIdAndDelete(receiverTripId);
+                    // Delete receiving trip
+                    await Trip.findByIdAndDelete(receiverTripId, { session });
+                }
             }
-        }
 
-        // Remove transfer history entry
-        trip.transferHistory.splice(transferIndex, 1);
+            // Remove transfer history entry
+            trip.transferHistory.splice(transferIndex, 1);
 
-        // Remove receiver trip ID from transferredTo array
-        if (receiverTripId) {
-            trip.transferredTo = trip.transferredTo.filter(tid => tid.toString() !== receiverTripId.toString());
-        }
+            // Remove receiver trip ID from transferredTo array
+            if (receiverTripId) {
+                trip.transferredTo = trip.transferredTo.filter(tid => tid.toString() !== receiverTripId.toString());
+            }
 
-        trip.updatedBy = req.user._id;
-        trip.updatedAt = new Date();
-        await trip.save();
+            trip.updatedBy = req.user._id;
+            trip.updatedAt = new Date();
+            await trip.save({ session });
+
+            return trip;
+        }, 'delete transfer');
 
         const populatedTrip = await Trip.findById(trip._id)
             .populate('vehicle', 'vehicleNumber type')
@@ -2544,13 +2364,15 @@ export const deleteTransfer = async (req, res, next) => {
 };
 
 // ─── Update Transfer ────────────────────────────────────────────────────────
-// PUT /trip/:id/transfer/:index
+// PUT /trip/:id/transfer/:entryId
 // Updates birds, weight, rate, reason on a transfer entry and syncs those
 // changes to the receiving trip's purchase record.
 export const updateTransfer = async (req, res, next) => {
     try {
-        const { id, index } = req.params;
-        const { birds, weight, rate, reason } = req.body;
+        const expectedVersion = getExpectedVersion(req);
+        const { id, entryId } = req.params;
+        const { birds, weight, rate, reason, lots } = req.body;
+        const lotSelection = readLotSelection(lots);
 
         // Supervisors can only edit their own trips
         let query = { _id: id };
@@ -2558,90 +2380,97 @@ export const updateTransfer = async (req, res, next) => {
             query.supervisor = req.user._id;
         }
 
-        const trip = await Trip.findOne(query);
-        if (!trip) throw new AppError('Trip not found or access denied', 404);
+        const trip = await runInTransaction(async (session) => {
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip not found or access denied', 404);
+            assertTripVersion(trip, expectedVersion);
 
-        if (req.user.role === 'supervisor' && trip.status === 'completed') {
-            throw new AppError('Cannot edit a transfer on a completed trip', 403);
-        }
+            if (req.user.role === 'supervisor' && trip.status === 'completed') {
+                throw new AppError('Cannot edit a transfer on a completed trip', 403);
+            }
 
-        const transferIndex = parseInt(index);
-        if (isNaN(transferIndex) || transferIndex < 0 || transferIndex >= trip.transferHistory.length) {
-            throw new AppError('Invalid transfer index', 400);
-        }
+            const transferIndex = resolveEntryIndex(trip.transferHistory, entryId, 'transfer');
 
-        // Validate incoming values
-        const newBirds  = Number(birds);
-        const newWeight = Number(weight);
-        const newRate   = Number(rate);
+            // Validate incoming values
+            const newBirds  = Number(birds);
+            const newWeight = Number(weight);
+            const newRate   = Number(rate);
 
-        if (!newBirds  || newBirds  <= 0) throw new AppError('Birds must be greater than 0', 400);
-        if (!newWeight || newWeight <= 0) throw new AppError('Weight must be greater than 0', 400);
-        if (!newRate   || newRate   <= 0) throw new AppError('Rate must be greater than 0', 400);
+            if (!newBirds  || newBirds  <= 0) throw new AppError('Birds must be greater than 0', 400);
+            if (!newWeight || newWeight <= 0) throw new AppError('Weight must be greater than 0', 400);
+            if (!newRate   || newRate   <= 0) throw new AppError('Rate must be greater than 0', 400);
 
-        const currentTransfer = trip.transferHistory[transferIndex];
+            const currentTransfer = trip.transferHistory[transferIndex];
 
-        // Calculate remaining birds available for re-validation:
-        // Add the current transfer's birds back so we can compare against the new value.
-        const totalPurchased   = trip.summary?.totalBirdsPurchased || 0;
-        const customerSold     = trip.summary?.customerBirdsSold   || 0;
-        const totalInStock     = trip.stocks?.reduce((s, st) => s + (st.birds || 0), 0) || 0;
-        const totalLost        = trip.summary?.totalBirdsLost       || 0;
-        const totalTransferred = trip.summary?.birdsTransferred     || 0;
-        const currentTfrBirds  = currentTransfer.transferredStock?.birds || 0;
+            // Calculate remaining birds available for re-validation:
+            // Add the current transfer's birds back so we can compare against the new value.
+            const totalPurchased   = trip.summary?.totalBirdsPurchased || 0;
+            const customerSold     = trip.summary?.customerBirdsSold   || 0;
+            const totalInStock     = trip.stocks?.reduce((s, st) => s + (st.birds || 0), 0) || 0;
+            const totalLost        = trip.summary?.totalBirdsLost       || 0;
+            const totalTransferred = trip.summary?.birdsTransferred     || 0;
+            const currentTfrBirds  = currentTransfer.transferredStock?.birds || 0;
 
-        // Available = total remaining + what we're releasing from this transfer
-        const availableBirds = totalPurchased - customerSold - totalInStock - totalLost - totalTransferred + currentTfrBirds;
+            // Available = total remaining + what we're releasing from this transfer
+            const availableBirds = totalPurchased - customerSold - totalInStock - totalLost - totalTransferred + currentTfrBirds;
 
-        if (newBirds > availableBirds) {
-            throw new AppError(
-                `Cannot set ${newBirds} birds. Only ${availableBirds} birds available (including the ${currentTfrBirds} already in this transfer).`,
-                400
-            );
-        }
-
-        const newAvgWeight = Number((newWeight / newBirds).toFixed(2));
-        const newAmount    = Number((newWeight * newRate).toFixed(2));
+            if (newBirds > availableBirds) {
+                throw new AppError(
+                    `Cannot set ${newBirds} birds. Only ${availableBirds} birds available (including the ${currentTfrBirds} already in this transfer).`,
+                    400
+                );
+            }
 
-        // ── 1. Update the transfer history entry on the ORIGINAL trip ────────
-        trip.transferHistory[transferIndex].transferredStock = {
-            birds:     newBirds,
-            weight:    newWeight,
-            avgWeight: newAvgWeight,
-            rate:      newRate
-        };
-        if (reason && reason.trim()) {
-            trip.transferHistory[transferIndex].reason = reason.trim();
-        }
-        trip.updatedBy = req.user._id;
-        await trip.save(); // pre-save recalculates summary.birdsTransferred / weightTransferred
-
-        // ── 2. Sync changes to the RECEIVER trip ────────────────────────────
-        const receiverTripId = currentTransfer.transferredTo;
-        if (receiverTripId) {
-            const receiverTrip = await Trip.findById(receiverTripId);
-            if (receiverTrip) {
-                if (receiverTrip.status === 'completed' && req.user.role === 'supervisor') {
-                    // The receiver is already completed — surface a warning but don't fail.
-                    // Original trip is already updated; just skip receiver sync.
-                    console.warn(`updateTransfer: receiver trip ${receiverTripId} is completed — skipping purchase sync.`);
-                } else {
-                    // Find the transfer purchase entry (dcNumber starts with "TRANSFER-")
-                    const purchaseIndex = receiverTrip.purchases.findIndex(
-                        p => p.dcNumber && p.dcNumber.startsWith('TRANSFER-')
-                    );
-                    if (purchaseIndex >= 0) {
-                        receiverTrip.purchases[purchaseIndex].birds     = newBirds;
-                        receiverTrip.purchases[purchaseIndex].weight    = newWeight;
-                        receiverTrip.purchases[purchaseIndex].avgWeight = newAvgWeight;
-                        receiverTrip.purchases[purchaseIndex].rate      = newRate;
-                        receiverTrip.purchases[purchaseIndex].amount    = newAmount;
+            const newAvgWeight = Number((newWeight / newBirds).toFixed(2));
+            const newAmount    = Number((newWeight * newRate).toFixed(2));
+
+            // ── 1. Update the transfer history entry on the ORIGINAL trip ────────
+            trip.transferHistory[transferIndex].transferredStock = {
+                birds:     newBirds,
+                weight:    newWeight,
+                avgWeight: newAvgWeight,
+                rate:      newRate
+            };
+            if (reason && reason.trim()) {
+                trip.transferHistory[transferIndex].reason = reason.trim();
+            }
+            Object.assign(trip.transferHistory[transferIndex], lotSelection);
+            trip.updatedBy = req.user._id;
+            await trip.save({ session }); // pre-save recalculates summary.birdsTransferred / weightTransferred
+
+            // ── 2. Sync changes to the RECEIVER trip ────────────────────────────
+            const receiverTripId = currentTransfer.transferredTo;
+            if (receiverTripId) {
+                const receiverTrip = await Trip.findById(receiverTripId).session(session);
+                if (receiverTrip) {
+                    if (receiverTrip.status === 'completed' && req.user.role === 'supervisor') {
+                        // The receiver is already completed — surface a warning but don't fail.
+                        // Original trip is already updated; just skip receiver sync.
+                        console.warn(`updateTransfer: receiver trip ${receiverTripId} is completed — skipping purchase sync.`);
+                    } else {
+                        // Find the transfer purchase entry (dcNumber starts with "TRANSFER-")
+                        const purchaseIndex = receiverTrip.purchases.findIndex(
+                            p => p.dcNumber && p.dcNumber.startsWith('TRANSFER-')
+                        );
+                        if (purchaseIndex >= 0) {
+                            receiverTrip.purchases[purchaseIndex].birds     = newBirds;
+                            receiverTrip.purchases[purchaseIndex].weight    = newWeight;
+                            receiverTrip.purchases[purchaseIndex].avgWeight = newAvgWeight;
+                            receiverTrip.purchases[purchaseIndex].rate      = newRate;
+                            receiverTrip.purchases[purchaseIndex].amount    = newAmount;
+                            receiverTrip.purchases[purchaseIndex].vendorName = lotsProductName(
+                                trip.transferHistory[transferIndex].lots,
+                                await lotVendorNames(trip, session)
+                            ) || receiverTrip.purchases[purchaseIndex].vendorName;
+                        }
+                        receiverTrip.updatedBy = req.user._id;
+                        await receiverTrip.save({ session }); // pre-save recalculates receiver's full summary
                     }
-                    receiverTrip.updatedBy = req.user._id;
-                    await receiverTrip.save(); // pre-save recalculates receiver's full summary
                 }
             }
-        }
+
+            return trip;
+        }, 'update transfer');
 
         // ── 3. Return the fully-populated original trip ──────────────────────
         const populatedTrip = await Trip.findById(trip._id)
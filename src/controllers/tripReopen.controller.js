@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import TripReopenRequest from '../models/TripReopenRequest.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { runJob, JOBS } from '../services/jobs/index.js';
+import { requestReopen, approveReopen, rejectReopen, recompleteTrip } from '../services/tripReopen.js';
+
+const populateRequest = (query) => query
+    .populate('trip', 'tripId date status supervisor')
+    .populate('requestedBy', 'name role')
+    .populate('reviewedBy', 'name')
+    .populate('recompletedBy', 'name');
+
+// Reopen requests (?status, ?trip); supervisors see the requests for their own trips
+export const getReopenRequests = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, trip } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (trip) {
+            if (!mongoose.Types.ObjectId.isValid(trip)) throw new AppError('Invalid trip id', 400);
+            query.trip = trip;
+        }
+        if (req.user.role === 'supervisor') {
+            const trips = await Trip.find({ supervisor: req.user._id }).select('_id').lean();
+            query.trip = trip
+                ? (trips.some(t => t._id.toString() === trip) ? trip : null)
+                : { $in: trips.map(t => t._id) };
+        }
+
+        const requests = await populateRequest(TripReopenRequest.find(query))
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await TripReopenRequest.countDocuments(query);
+
+        successResponse(res, "Trip reopen requests retrieved successfully", 200, {
+            requests,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const getReopenRequestById = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            throw new AppError('Invalid reopen request id', 400);
+        }
+        const request = await populateRequest(TripReopenRequest.findById(req.params.id));
+        if (!request) throw new AppError('Reopen request not found', 404);
+        if (req.user.role === 'supervisor' && request.trip?.supervisor?.toString() !== req.user._id.toString()) {
+            throw new AppError('Reopen request not found', 404);
+        }
+
+        successResponse(res, "Trip reopen request retrieved successfully", 200, request);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Body: { trip, reason }
+export const createReopenRequest = async (req, res, next) => {
+    try {
+        const { trip, reason } = req.body;
+        const request = await requestReopen(trip, { reason, user: req.user });
+
+        successResponse(res, "Trip reopen requested", 201, request);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const approveReopenRequest = async (req, res, next) => {
+    try {
+        const request = await approveReopen(req.params.id, { note: req.body?.note, user: req.user });
+
+        successResponse(res, "Trip reopened for corrections", 200, await populateRequest(TripReopenRequest.findById(request._id)));
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const rejectReopenRequest = async (req, res, next) => {
+    try {
+        const request = await rejectReopen(req.params.id, { reason: req.body?.reason, user: req.user });
+
+        successResponse(res, "Trip reopen request rejected", 200, request);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Corrections done: complete the trip again without waiting for the scheduler
+export const recompleteReopenedTrip = async (req, res, next) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            throw new AppError('Invalid reopen request id', 400);
+        }
+
+        const request = await runInTransaction(async (session) => {
+            const request = await TripReopenRequest.findById(req.params.id).session(session);
+            if (!request) throw new AppError('Reopen request not found', 404);
+
+            const query = { _id: request.trip, reopenRequest: request._id };
+            if (req.user.role === 'supervisor') query.supervisor = req.user._id;
+            const trip = await Trip.findOne(query).session(session);
+            if (!trip) throw new AppError('Trip is not open under this request', 400);
+
+            return recompleteTrip(trip, { userId: req.user._id, via: 'manual', session });
+        }, 're-complete trip');
+
+        successResponse(res, "Trip re-completed successfully", 200, await populateRequest(TripReopenRequest.findById(request._id)));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Re-complete every idle reopened trip now
+export const runRecompleteJob = async (req, res, next) => {
+    try {
+        const result = await runJob(JOBS.TRIP_RECOMPLETE, { trigger: 'manual', userId: req.user._id });
+        successResponse(res, result.skipped ? result.reason : "Idle reopened trips processed", 200, result.summary || result);
+    } catch (error) {
+        next(error);
+    }
+};
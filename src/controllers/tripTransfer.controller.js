@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import TripTransferRequest from '../models/TripTransferRequest.js';
+import Trip from '../models/Trip.js';
+import AppError from '../utils/AppError.js';
+import { successResponse } from '../utils/responseHandler.js';
+import { acceptTransfer, closeTransferRequest } from '../services/tripTransfers.js';
+
+const populateRequest = (query) => query
+    .populate('sourceTrip', 'tripId date status')
+    .populate('fromSupervisor', 'name mobileNumber')
+    .populate('toSupervisor', 'name mobileNumber')
+    .populate('vehicle', 'vehicleNumber type')
+    .populate('requestedBy', 'name')
+    .populate('respondedBy', 'name')
+    .populate('receiverTrip', 'tripId status');
+
+// Transfer requests (?status, ?direction=incoming|outgoing for supervisors)
+export const getTransferRequests = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, direction, trip } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (trip) {
+            if (!mongoose.Types.ObjectId.isValid(trip)) throw new AppError('Invalid trip id', 400);
+            query.sourceTrip = trip;
+        }
+        if (req.user.role === 'supervisor') {
+            if (direction === 'incoming') query.toSupervisor = req.user._id;
+            else if (direction === 'outgoing') query.fromSupervisor = req.user._id;
+            else query.$or = [{ toSupervisor: req.user._id }, { fromSupervisor: req.user._id }];
+        }
+
+        const requests = await populateRequest(TripTransferRequest.find(query))
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await TripTransferRequest.countDocuments(query);
+
+        successResponse(res, "Transfer requests retrieved successfully", 200, {
+            requests,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const acceptTransferRequest = async (req, res, next) => {
+    try {
+        const { transferRequest, newTrip } = await acceptTransfer(req.params.id, { user: req.user, note: req.body?.note });
+
+        const populatedNewTrip = await Trip.findById(newTrip._id)
+            .populate('vehicle', 'vehicleNumber type')
+            .populate('supervisor', 'name mobileNumber')
+            .populate('transferredFrom', 'tripId');
+
+        successResponse(res, "Transfer accepted", 200, {
+            transferRequest: await populateRequest(TripTransferRequest.findById(transferRequest._id)),
+            newTrip: populatedNewTrip
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const rejectTransferRequest = async (req, res, next) => {
+    try {
+        const request = await closeTransferRequest(req.params.id, { user: req.user, note: req.body?.reason, action: 'reject' });
+        successResponse(res, "Transfer rejected", 200, request);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export const cancelTransferRequest = async (req, res, next) => {
+    try {
+        const request = await closeTransferRequest(req.params.id, { user: req.user, note: req.body?.reason, action: 'cancel' });
+        successResponse(res, "Transfer cancelled", 200, request);
+    } catch (error) {
+        next(error);
+    }
+};
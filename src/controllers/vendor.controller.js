@@ -5,11 +5,15 @@ import Voucher from "../models/Voucher.js";
 import IndirectSale from "../models/IndirectSale.js";
 import InventoryStock from "../models/InventoryStock.js";
 import Ledger from "../models/Ledger.js";
+import TdsDeduction from "../models/TdsDeduction.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
 
 
 import { syncOutstandingBalance } from "../utils/balanceUtils.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { syncVendorTds } from "../services/tds.js";
+import { isPartyEntry, partyEntryClauses } from "../services/voucherPosting.js";
 
 export const addVendor = async (req, res, next) => {
     try {
@@ -148,12 +152,21 @@ export const updateVendor = async (req, res, next) => {
             updateData.outstandingBalanceType = syncedBalance.type;
         }
 
-        const vendor = await Vendor.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        )
-            .populate('group', 'name type slug');
+        const vendor = await runInTransaction(async (session) => {
+            const vendor = await Vendor.findByIdAndUpdate(
+                id,
+                updateData,
+                { new: true, runValidators: true, session }
+            )
+                .populate('group', 'name type slug');
+
+            // Rate depends on section and PAN; re-run the current year so posted deductions follow
+            const tdsFields = ['tdsApplicable', 'tdsSection', 'panNumber', 'gstNumber'];
+            if (tdsFields.some(field => vendorData[field] !== undefined && vendorData[field] !== existingVendor[field])) {
+                await syncVendorTds([{ vendor: vendor._id, date: new Date() }], { session, userId: req.user._id });
+            }
+            return vendor;
+        }, 'update vendor');
 
         successResponse(res, "Vendor updated successfully", 200, vendor);
     } catch (error) {
@@ -199,20 +212,6 @@ export const getVendorLedger = async (req, res, next) => {
             throw new AppError('Vendor not found', 404);
         }
 
-        const isTdsApplicableForDate = (date) => {
-            if (!vendor.tdsApplicable) return false;
-            if (!vendor.tdsUpdatedAt) return true;
-            
-            // Compare only date parts to ensure transactions on the same day are included
-            const transactionDate = new Date(date);
-            transactionDate.setHours(0, 0, 0, 0);
-            
-            const activationDate = new Date(vendor.tdsUpdatedAt);
-            activationDate.setHours(0, 0, 0, 0);
-            
-            return transactionDate >= activationDate;
-        };
-
         // Build Date Query
         const dateQuery = {};
         if (startDate || endDate) {
@@ -250,9 +249,7 @@ export const getVendorLedger = async (req, res, next) => {
                         }
                     }
                 },
-                {
-                    'entries.account': vendor.vendorName
-                }
+                ...partyEntryClauses('vendor', id, [vendor.vendorName])
             ],
             isActive: true,
             ...dateQuery
@@ -287,6 +284,14 @@ export const getVendorLedger = async (req, res, next) => {
             .populate('supervisorId', 'name')
             .lean();
 
+        // Posted TDS per purchase, keyed by source (the Journal vouchers carry the balance impact)
+        const tdsDeductions = await TdsDeduction.find({
+            vendor: id,
+            status: 'posted',
+            sourceId: { $in: [...trips, ...indirectSales, ...inventoryStocks].map(doc => doc._id) }
+        }).select('sourceId sourceEntryId tdsAmount').lean();
+        const tdsBySource = new Map(tdsDeductions.map(d => [`${d.sourceId}:${d.sourceEntryId || ''}`, d.tdsAmount]));
+
         const getFYStartDate = (date) => {
             const d = new Date(date);
             const year = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
@@ -334,9 +339,7 @@ export const getVendorLedger = async (req, res, next) => {
                             }
                         }
                     },
-                    {
-                        'entries.account': vendor.vendorName
-                    }
+                    ...partyEntryClauses('vendor', id, [vendor.vendorName])
                 ],
                 isActive: true,
                 date: { $lt: new Date(startDate) }
@@ -364,7 +367,7 @@ export const getVendorLedger = async (req, res, next) => {
                 let type = 'debit'; // default to reducing payable
 
                 if (voucher.voucherType === 'Journal') {
-                    const entry = voucher.entries.find(e => e.account === vendor.vendorName);
+                    const entry = voucher.entries.find(e => isPartyEntry(e, 'vendor', id, [vendor.vendorName]));
                     if (entry) {
                         if (entry.creditAmount > 0) {
                             amount = entry.creditAmount;
@@ -419,11 +422,7 @@ export const getVendorLedger = async (req, res, next) => {
             const purchases = trip.purchases.filter(p => p.supplier && p.supplier._id.toString() === id);
 
             purchases.forEach((purchase, index) => {
-                // Calculate TDS for current period trips
-                let lessTDS = 0;
-                if (isTdsApplicableForDate(trip.date)) {
-                    lessTDS = (purchase.amount || 0) * 0.001; // 0.1% TDS
-                }
+                const lessTDS = tdsBySource.get(`${trip._id}:${purchase._id}`) || 0;
 
                 ledgerEntries.push({
                     _id: trip._id,
@@ -454,11 +453,8 @@ export const getVendorLedger = async (req, res, next) => {
         for (const sale of indirectSales) {
             console.log("Indirect sale", sale.customer);
             sale.purchases.forEach((purchase, index) => {
-                // Calculate TDS for current period indirect sales
-                let lessTDS = 0;
-                if (isTdsApplicableForDate(sale.date)) {
-                    lessTDS = (purchase.amount || 0) * 0.001; // 0.1% TDS
-                }
+                // TDS is deducted on the record as a whole; show it against the first item
+                const lessTDS = index === 0 ? (tdsBySource.get(`${sale._id}:`) || 0) : 0;
 
                 ledgerEntries.push({
                     _id: sale._id,
@@ -487,10 +483,7 @@ export const getVendorLedger = async (req, res, next) => {
 
         // Process Inventory Stocks
         for (const stock of inventoryStocks) {
-            let lessTDS = 0;
-            if (isTdsApplicableForDate(stock.date)) {
-                lessTDS = (stock.amount || 0) * 0.001;
-            }
+            const lessTDS = tdsBySource.get(`${stock._id}:`) || 0;
 
             ledgerEntries.push({
                 _id: stock._id,
@@ -527,12 +520,12 @@ export const getVendorLedger = async (req, res, next) => {
             }
 
             if (voucher.voucherType === 'Payment') {
-                const accountEntry = voucher.entries?.find(e => e.account !== vendor.vendorName && (e.creditAmount || 0) > 0);
+                const accountEntry = voucher.entries?.find(e => !isPartyEntry(e, 'vendor', id, [vendor.vendorName]) && (e.creditAmount || 0) > 0);
                 if (accountEntry?.account) return accountEntry.account;
             }
 
             if (voucher.voucherType === 'Receipt') {
-                const accountEntry = voucher.entries?.find(e => e.account !== vendor.vendorName && (e.debitAmount || 0) > 0);
+                const accountEntry = voucher.entries?.find(e => !isPartyEntry(e, 'vendor', id, [vendor.vendorName]) && (e.debitAmount || 0) > 0);
                 if (accountEntry?.account) return accountEntry.account;
             }
 
@@ -545,7 +538,7 @@ export const getVendorLedger = async (req, res, next) => {
             let amountType = 'debit'; // default
 
             if (voucher.voucherType === 'Journal') {
-                const entry = voucher.entries.find(e => e.account === vendor.vendorName);
+                const entry = voucher.entries.find(e => isPartyEntry(e, 'vendor', id, [vendor.vendorName]));
                 if (entry) {
                     if (entry.creditAmount > 0) {
                         amount = entry.creditAmount;
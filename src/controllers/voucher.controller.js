@@ -7,13 +7,16 @@ import Sequence from "../models/Sequence.js";
 import { successResponse } from "../utils/responseHandler.js";
 import AppError from "../utils/AppError.js";
 import mongoose from "mongoose";
-import { addToBalance, subtractFromBalance, populateVoucherParties } from "../utils/balanceUtils.js";
+import { populateVoucherParties } from "../utils/balanceUtils.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { applyVoucherBalances, assertVoucherEditable, resolveVoucherEntries, cancelVoucher as cancelVoucherService, deleteVoucherPosting } from "../services/voucherPosting.js";
 
 export const createVoucher = async (req, res, next) => {
     try {
         const { voucherType, date, party, partyName, parties, account, entries, narration } = req.body;
 
         const isPaymentOrReceipt = voucherType === 'Payment' || voucherType === 'Receipt';
+        let resolvedEntries = null;
 
         // Validate required fields based on voucher type
         if (isPaymentOrReceipt) {
@@ -40,20 +43,11 @@ export const createVoucher = async (req, res, next) => {
                 throw new AppError('Account ledger not found', 404);
             }
         } else {
-            // For other voucher types, validate entries
+            // For other voucher types, every entry must reference a real account
             if (!entries || entries.length === 0) {
                 throw new AppError('Voucher entries are required', 400);
             }
-
-            // Validate entries structure
-            for (let entry of entries) {
-                if (!entry.account) {
-                    throw new AppError('Account name is required for each entry', 400);
-                }
-                if (entry.debitAmount < 0 || entry.creditAmount < 0) {
-                    throw new AppError('Debit and credit amounts cannot be negative', 400);
-                }
-            }
+            resolvedEntries = await resolveVoucherEntries(voucherType, entries);
         }
 
         // If party is provided (for non-Payment/Receipt vouchers), validate it exists
@@ -65,8 +59,6 @@ export const createVoucher = async (req, res, next) => {
             }
         }
 
-        const nextVoucherNumber = await Sequence.getNextValue('voucherNumber');
-
         // Generate partyName for Payment/Receipt vouchers from parties array
         let generatedPartyName = null;
         if (isPaymentOrReceipt && parties && parties.length > 0) {
@@ -102,214 +94,28 @@ export const createVoucher = async (req, res, next) => {
         }
 
         const voucherData = {
-            voucherNumber: nextVoucherNumber,
             voucherType,
             date: date || new Date(),
             party: party || null,
             partyName: partyName || generatedPartyName || (partyData ? partyData.shopName || partyData.vendorName : null),
             parties: isPaymentOrReceipt ? parties : undefined,
             account: isPaymentOrReceipt ? account : undefined,
-            entries: entries || [],
+            entries: resolvedEntries || entries || [],
             narration,
             createdBy: req.user._id,
             updatedBy: req.user._id
         };
 
-        const voucher = new Voucher(voucherData);
-        const savedVoucher = await voucher.save();
-
-        // Update balances for Payment/Receipt vouchers (always update for these voucher types)
-        if (isPaymentOrReceipt) {
-            // Update party outstanding balances (customers, ledgers, or vendors)
-            for (let partyItem of parties) {
-                try {
-                    const partyType = partyItem.partyType || 'customer'; // Default to customer for backward compatibility
-
-                    if (partyType === 'customer') {
-                        const customer = await Customer.findById(partyItem.partyId);
-                        if (customer) {
-                            // Payment: customer balance increases (debit to customer - we owe them)
-                            // Receipt: customer balance decreases (credit to customer - they pay us)
-                            const transactionType = voucherType === 'Payment' ? 'debit' : 'credit';
-                            const newBalance = addToBalance(
-                                customer.outstandingBalance || 0,
-                                customer.outstandingBalanceType || 'debit',
-                                partyItem.amount,
-                                transactionType
-                            );
-
-                            customer.outstandingBalance = newBalance.amount;
-                            customer.outstandingBalanceType = newBalance.type;
-                            customer.updatedBy = req.user._id;
-                            await customer.save();
-                        }
-                    } else if (partyType === 'ledger') {
-                        const ledger = await Ledger.findById(partyItem.partyId);
-                        if (ledger) {
-                            // Payment: ledger balance decreases (credit to ledger)
-                            // Receipt: ledger balance increases (debit to ledger)
-                            const transactionType = voucherType === 'Payment' ? 'credit' : 'debit';
-                            const newBalance = addToBalance(
-                                ledger.outstandingBalance || 0,
-                                ledger.outstandingBalanceType || 'debit',
-                                partyItem.amount,
-                                transactionType
-                            );
-
-                            ledger.outstandingBalance = newBalance.amount;
-                            ledger.outstandingBalanceType = newBalance.type;
-                            ledger.updatedBy = req.user._id;
-                            await ledger.save();
-                        }
-                    } else if (partyType === 'vendor') {
-                        // Vendors might have ledgers, check if vendor has a ledger
-                        const vendorLedger = await Ledger.findOne({ vendor: partyItem.partyId });
-                        if (vendorLedger) {
-                            // Payment: vendor ledger balance decreases (credit to ledger)
-                            // Receipt: vendor ledger balance increases (debit to ledger)
-                            const transactionType = voucherType === 'Payment' ? 'credit' : 'debit';
-                            const newBalance = addToBalance(
-                                vendorLedger.outstandingBalance || 0,
-                                vendorLedger.outstandingBalanceType || 'debit',
-                                partyItem.amount,
-                                transactionType
-                            );
-
-                            vendorLedger.outstandingBalance = newBalance.amount;
-                            vendorLedger.outstandingBalanceType = newBalance.type;
-                            vendorLedger.updatedBy = req.user._id;
-                            await vendorLedger.save();
-                        }
-                    } else if (partyType === 'dieselStation') {
-                        const station = await DieselStation.findById(partyItem.partyId);
-                        if (station) {
-                            const transactionType = voucherType === 'Payment' ? 'debit' : 'credit';
-                            const newBalance = addToBalance(
-                                station.outstandingBalance || 0,
-                                station.outstandingBalanceType || 'debit',
-                                partyItem.amount,
-                                transactionType
-                            );
-
-                            station.outstandingBalance = newBalance.amount;
-                            station.outstandingBalanceType = newBalance.type;
-                            station.updatedBy = req.user._id;
-                            await station.save();
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error updating ${partyItem.partyType || 'party'} balance for party ${partyItem.partyId}:`, error);
-                    // Continue with other parties even if one fails
-                }
-            }
-
-            // Update account ledger balance
-            try {
-                const accountLedger = await Ledger.findById(account);
-                if (accountLedger) {
-                    // Payment: account balance decreases (credit to account)
-                    // Receipt: account balance increases (debit to account)
-                    const totalAmount = parties.reduce((sum, p) => sum + p.amount, 0);
-                    const transactionType = voucherType === 'Payment' ? 'credit' : 'debit';
-                    const newBalance = addToBalance(
-                        accountLedger.outstandingBalance || 0,
-                        accountLedger.outstandingBalanceType || 'debit',
-                        totalAmount,
-                        transactionType
-                    );
-
-                    accountLedger.outstandingBalance = newBalance.amount;
-                    accountLedger.outstandingBalanceType = newBalance.type;
-                    accountLedger.updatedBy = req.user._id;
-                    await accountLedger.save();
-                }
-            } catch (error) {
-                console.error('Error updating account ledger balance:', error);
-                // Don't fail the voucher creation if balance update fails
-            }
-        } else {
-            // Update balances for Contra/Journal vouchers
-            // These vouchers use 'entries' array with 'account' (ledger name), 'debitAmount', 'creditAmount'
-            if (entries && entries.length > 0) {
-                for (let entry of entries) {
-                    try {
-                        // Find account doc (Ledger, Customer, or Vendor)
-                        // Try Ledger by slug or name
-                        let accountDoc = await Ledger.findOne({
-                            $or: [
-                                { slug: entry.account },
-                                { name: entry.account }
-                            ]
-                        });
-                        let accountType = 'ledger';
-
-                        if (!accountDoc) {
-                            // Try Customer
-                            accountDoc = await Customer.findOne({
-                                $or: [
-                                    { shopName: entry.account },
-                                    { ownerName: entry.account }
-                                ]
-                            });
-                            accountType = 'customer';
-                        }
-
-                        if (!accountDoc) {
-                            // Try Vendor
-                            accountDoc = await Vendor.findOne({ vendorName: entry.account });
-                            accountType = 'vendor';
-                        }
-
-                        if (accountDoc) {
-                            const debitAmount = entry.debitAmount || 0;
-                            const creditAmount = entry.creditAmount || 0;
-
-                            if (debitAmount > 0) {
-                                // Debit transaction - Money IN / Receivables Increase
-                                const newBalance = addToBalance(
-                                    accountDoc.outstandingBalance || 0,
-                                    accountDoc.outstandingBalanceType || 'debit',
-                                    debitAmount,
-                                    'debit'
-                                );
-                                accountDoc.outstandingBalance = newBalance.amount;
-                                accountDoc.outstandingBalanceType = newBalance.type;
-                                accountDoc.updatedBy = req.user._id;
-                                await accountDoc.save();
-                            }
-
-                            if (creditAmount > 0) {
-                                // Credit transaction - Money OUT / Payables Increase
-                                // For Asset accounts/Receivables (Debit balance), Credit means DECREASE
-                                // For Liability accounts/Payables (Credit balance), Credit means INCREASE
-
-                                // We use subtractFromBalance with 'debit' transaction type to effectively REDUCE a debit balance
-                                // If the account is already 'credit' (liability), subtractFromBalance handles the math correctly 
-                                // (Credit - (-Debit) = Credit + Debit) -> Wait, logic check:
-                                // subtractFromBalance(amount, type, subtractAmount, subType)
-                                // If current is 100 Credit. We want to ADD 10 Credit.
-                                // subtract(100, Credit, 10, Debit) -> -100 - (10) = -110 -> 110 Credit. Correct.
-
-                                const newBalance = subtractFromBalance(
-                                    accountDoc.outstandingBalance || 0,
-                                    accountDoc.outstandingBalanceType || 'debit',
-                                    creditAmount,
-                                    'debit' // Treating the subtraction as removing 'debit' value
-                                );
-                                accountDoc.outstandingBalance = newBalance.amount;
-                                accountDoc.outstandingBalanceType = newBalance.type;
-                                accountDoc.updatedBy = req.user._id;
-                                await accountDoc.save();
-                            }
-                        } else {
-                            console.warn(`Account not found for name: ${entry.account}`);
-                        }
-                    } catch (error) {
-                        console.error(`Error updating ledger balance for entry account ${entry.account}:`, error);
-                    }
-                }
-            }
-        }
+        // The voucher and its posting to party and account balances are saved together
+        const savedVoucher = await runInTransaction(async (session) => {
+            const voucher = new Voucher({
+                ...voucherData,
+                voucherNumber: await Sequence.getNextValue('voucherNumber', session)
+            });
+            await voucher.save({ session });
+            await applyVoucherBalances(voucher, { session, userId: req.user._id });
+            return voucher;
+        }, 'create voucher');
 
         // Populate party data for response
         const populatedVoucher = await Voucher.findById(savedVoucher._id)
@@ -328,7 +134,7 @@ export const createVoucher = async (req, res, next) => {
 
 export const getVouchers = async (req, res, next) => {
     try {
-        const { page = 1, limit = 10, voucherType, startDate, endDate, search } = req.query;
+        const { page = 1, limit = 10, voucherType, status, startDate, endDate, search } = req.query;
 
         // Build query
         const query = { isActive: true };
@@ -337,6 +143,12 @@ export const getVouchers = async (req, res, next) => {
             query.voucherType = voucherType;
         }
 
+        if (status === 'cancelled') {
+            query.status = 'cancelled';
+        } else if (status === 'active') {
+            query.status = { $ne: 'cancelled' };
+        }
+
         if (startDate || endDate) {
             query.date = {};
             if (startDate) query.date.$gte = new Date(startDate);
@@ -395,6 +207,9 @@ export const getVoucherById = async (req, res, next) => {
         const voucher = await Voucher.findOne({ _id: id, isActive: true })
             .populate('party', 'shopName vendorName contact address')
             .populate('account', 'name')
+            .populate('cancellation.reversalVoucher', 'voucherNumber voucherType date')
+            .populate('cancellation.cancelledBy', 'name')
+            .populate('reversalOf', 'voucherNumber voucherType date')
             .populate('createdBy', 'name email')
             .populate('updatedBy', 'name email');
 
@@ -415,15 +230,20 @@ export const updateVoucher = async (req, res, next) => {
         const { id } = req.params;
         const { voucherType, date, party, partyName, parties, account, entries, narration } = req.body;
 
-        const voucher = await Voucher.findById(id);
-        if (!voucher) {
+        const existing = await Voucher.findById(id);
+        if (!existing) {
             throw new AppError('Voucher not found', 404);
         }
+        assertVoucherEditable(existing, 'edited');
 
         const isPaymentOrReceipt = voucherType === 'Payment' || voucherType === 'Receipt';
+        const effectiveType = voucherType || existing.voucherType;
 
-        // Validate entries if provided
-        if (entries && entries.length > 0) {
+        // Journal/Contra entries must reference real accounts
+        let resolvedEntries = null;
+        if (entries && entries.length > 0 && effectiveType !== 'Payment' && effectiveType !== 'Receipt') {
+            resolvedEntries = await resolveVoucherEntries(effectiveType, entries);
+        } else if (entries && entries.length > 0) {
             for (let entry of entries) {
                 if (!entry.account) {
                     throw new AppError('Account name is required for each entry', 400);
@@ -485,15 +305,31 @@ export const updateVoucher = async (req, res, next) => {
             ...(isPaymentOrReceipt && parties && { parties }),
             ...(isPaymentOrReceipt && account && { account }),
             ...(entries && { entries }),
+            ...(resolvedEntries && {
+                entries: resolvedEntries,
+                totalDebit: resolvedEntries.reduce((sum, entry) => sum + entry.debitAmount, 0),
+                totalCredit: resolvedEntries.reduce((sum, entry) => sum + entry.creditAmount, 0)
+            }),
             ...(narration !== undefined && { narration }),
             updatedBy: req.user._id
         };
 
-        const updatedVoucher = await Voucher.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('party', 'shopName vendorName')
+        // Take the old posting out, save the changes, then post the voucher as it now stands
+        await runInTransaction(async (session) => {
+            const voucher = await Voucher.findById(id).session(session);
+            if (!voucher) {
+                throw new AppError('Voucher not found', 404);
+            }
+            assertVoucherEditable(voucher, 'edited');
+
+            await applyVoucherBalances(voucher, { sign: -1, session, userId: req.user._id });
+            voucher.set(updateData);
+            await voucher.save({ session });
+            await applyVoucherBalances(voucher, { session, userId: req.user._id });
+        }, 'update voucher');
+
+        const updatedVoucher = await Voucher.findById(id)
+            .populate('party', 'shopName vendorName')
             .populate('createdBy', 'name')
             .populate('updatedBy', 'name');
 
@@ -512,21 +348,31 @@ export const getNextVoucherNumber = async (req, res, next) => {
     }
 };
 
+// Removes the voucher and its balance effect; superadmin only, and only in an open period
 export const deleteVoucher = async (req, res, next) => {
     try {
-        const { id } = req.params;
-
-        const voucher = await Voucher.findByIdAndUpdate(
-            id,
-            { isActive: false, updatedBy: req.user._id },
-            { new: true }
-        );
+        const voucher = await deleteVoucherPosting(req.params.id, { userId: req.user._id });
+        successResponse(res, "Voucher deleted successfully", 200, voucher);
+    } catch (error) {
+        next(error);
+    }
+};
 
-        if (!voucher) {
-            throw new AppError('Voucher not found', 404);
+// Body: { reason, date } - date of the reversing voucher, today when omitted
+export const cancelVoucher = async (req, res, next) => {
+    try {
+        const { reason, date } = req.body;
+        if (!reason || !reason.trim()) {
+            throw new AppError('Cancellation reason is required', 400);
         }
 
-        successResponse(res, "Voucher deleted successfully", 200, voucher);
+        const { voucher, reversal } = await cancelVoucherService(req.params.id, {
+            reason: reason.trim(),
+            date,
+            userId: req.user._id
+        });
+
+        successResponse(res, "Voucher cancelled and reversal posted", 200, { voucher, reversal });
     } catch (error) {
         next(error);
     }
@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+import AppError from '../utils/AppError.js';
+
+// Scheduled job calls from the hosting cron (Vercel sends "Authorization: Bearer <CRON_SECRET>")
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) throw new AppError('Cron secret is not configured', 503);
+
+  const authHeader = req.headers['authorization'] || '';
+  const token = Buffer.from(authHeader.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(secret);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    throw new AppError('Unauthorized cron call!!', 401);
+  }
+
+  next();
+};
+
+export default authenticateCron;
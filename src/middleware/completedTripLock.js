@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import Trip from '../models/Trip.js';
+import AppError from '../utils/AppError.js';
+
+/**
+ * Reject edits to completed trips
+ * Corrections go through a reopen request that a superadmin approves
+ * (see services/tripReopen.js); the trip is then ongoing until re-completed.
+ */
+const completedTripLock = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        if (id && mongoose.Types.ObjectId.isValid(id)) {
+            const trip = await Trip.findById(id).select('status').lean();
+            if (trip?.status === 'completed') {
+                throw new AppError('Trip is completed. Request a reopen to make corrections.', 403);
+            }
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default completedTripLock;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { assertPeriodUnlocked } from '../utils/periodLock.js';
+
+const ACTIONS = { POST: 'add', PUT: 'change', PATCH: 'change', DELETE: 'delete' };
+
+const entryList = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc) || [];
+
+// Route segment in front of the entry param, e.g. 'sale' for /:id/sale/:entryId
+const entrySegment = (req, entryParam) => {
+    const parts = (req.route?.path || '').split('/');
+    const position = parts.indexOf(`:${entryParam}`);
+    return position > 0 ? parts[position - 1] : null;
+};
+
+// Deprecated numeric ids are positions in the list the route addresses (as the trip controller resolves them)
+const findEntry = (doc, entryPaths, segment, entryId) => {
+    if (/^\d+$/.test(entryId)) {
+        const path = entryPaths[segment];
+        return path ? entryList(doc, path)[parseInt(entryId)] || null : null;
+    }
+    for (const path of Object.values(entryPaths)) {
+        const entry = entryList(doc, path).find(item => item._id?.toString() === entryId);
+        if (entry) return entry;
+    }
+    return null;
+};
+
+/**
+ * Reject mutations dated inside a locked accounting period
+ * Checks the date sent in the body, and on /:id routes the stored record's date
+ * plus the date of the sub-entry named by entryParam. New records without a
+ * date in the body are dated today.
+ * @param {String} module - One of PERIOD_LOCK_MODULES
+ * @param {Object} options - { model (model name), dateField, entryPaths, entryParam, entryDateFields }
+ *   entryPaths maps the route segment before entryParam to the document path of its entries.
+ */
+const enforcePeriodLock = (module, {
+    model = null,
+    dateField = 'date',
+    entryPaths = {},
+    entryParam = 'entryId',
+    entryDateFields = ['date', 'timestamp']
+} = {}) => async (req, res, next) => {
+    try {
+        const dates = [req.body?.[dateField]];
+        const id = req.params.id;
+
+        if (model && id && mongoose.Types.ObjectId.isValid(id)) {
+            const doc = await mongoose.model(model).findById(id).lean();
+            if (doc) {
+                dates.push(doc[dateField]);
+                const entryId = req.params[entryParam];
+                const entry = entryId ? findEntry(doc, entryPaths, entrySegment(req, entryParam), entryId) : null;
+                if (entry) entryDateFields.forEach(field => dates.push(entry[field]));
+            }
+        } else if (!req.body?.[dateField]) {
+            dates.push(new Date());
+        }
+
+        await assertPeriodUnlocked(dates, { module, action: `${ACTIONS[req.method] || 'change'} this entry` });
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default enforcePeriodLock;
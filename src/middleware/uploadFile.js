@@ -0,0 +1,36 @@
+import multer from 'multer';
+import AppError from '../utils/AppError.js';
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Accept a single file upload held in memory (req.file.buffer)
+ * @param {String} field - Form field name
+ * @param {RegExp} allowedExtensions - e.g. /\.(csv|xlsx|xls)$/i
+ */
+const uploadFile = (field, allowedExtensions) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (allowedExtensions && !allowedExtensions.test(file.originalname)) {
+                return cb(new AppError(`Unsupported file type: ${file.originalname}`, 400));
+            }
+            cb(null, true);
+        }
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                const message = error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is larger than ${MAX_FILE_SIZE / (1024 * 1024)} MB`
+                    : error.message;
+                return next(new AppError(message, 400));
+            }
+            next(error);
+        });
+    };
+};
+
+export default uploadFile;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// One uploaded bank statement file; its lines live in BankStatementLine
+const bankStatementSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: [true, "Bank ledger is required"]
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  periodFrom: {
+    type: Date
+  },
+  periodTo: {
+    type: Date
+  },
+  summary: {
+    totalLines: { type: Number, default: 0 },
+    importedLines: { type: Number, default: 0 },
+    duplicateLines: { type: Number, default: 0 },
+    autoMatched: { type: Number, default: 0 },
+    totalCredit: { type: Number, default: 0 },
+    totalDebit: { type: Number, default: 0 }
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+bankStatementSchema.index({ ledger: 1, createdAt: -1 });
+
+const BankStatement = mongoose.model("BankStatement", bankStatementSchema);
+
+export default BankStatement;
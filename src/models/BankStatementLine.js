@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+// A bank statement line and the book entry (receipt/payment) it was reconciled with
+const bankStatementLineSchema = new mongoose.Schema({
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: true
+  },
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Bank's view: credit = money in (our receipt), debit = money out (our payment)
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: {
+    type: Number
+  },
+  // Identifies the line across overlapping uploads so it is imported once
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['unreconciled', 'reconciled', 'ignored'],
+    default: 'unreconciled'
+  },
+  match: {
+    sourceType: { type: String, enum: ['trip', 'inventoryStock', 'payment', 'voucher'] },
+    sourceId: { type: mongoose.Schema.Types.ObjectId },
+    entryId: { type: mongoose.Schema.Types.ObjectId },
+    date: { type: Date },
+    amount: { type: Number },
+    reference: { type: String },
+    method: { type: String, enum: ['auto', 'manual'] },
+    matchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    matchedAt: { type: Date }
+  },
+  // Possible book entries kept for the manual matching queue when the auto match was ambiguous
+  suggestions: [{
+    _id: false,
+    sourceType: String,
+    sourceId: mongoose.Schema.Types.ObjectId,
+    entryId: mongoose.Schema.Types.ObjectId,
+    date: Date,
+    amount: Number,
+    reference: String,
+    description: String
+  }],
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+bankStatementLineSchema.index({ ledger: 1, fingerprint: 1 }, { unique: true });
+bankStatementLineSchema.index({ ledger: 1, status: 1, date: 1 });
+bankStatementLineSchema.index({ statement: 1 });
+bankStatementLineSchema.index({ 'match.sourceId': 1 });
+
+const BankStatementLine = mongoose.model("BankStatementLine", bankStatementLineSchema);
+
+export default BankStatementLine;
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// Cash a supervisor hands to the office. Custody only: the cash was already booked to the
+// sale's cash ledger, so no voucher is posted.
+const cashHandoverSchema = new mongoose.Schema({
+  supervisor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Trip the cash was collected on, when handed over for one trip
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  // Office cash ledger the money went into (informational)
+  cashLedger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger'
+  },
+  // Cash the supervisor held when the handover was recorded; later edits to trips are not reflected
+  expectedAmount: {
+    type: Number,
+    default: 0
+  },
+  // amount - expectedAmount (negative = shortage)
+  difference: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+cashHandoverSchema.index({ supervisor: 1, date: 1, isActive: 1 });
+cashHandoverSchema.index({ trip: 1, isActive: 1 });
+
+const CashHandover = mongoose.model("CashHandover", cashHandoverSchema);
+
+export default CashHandover;
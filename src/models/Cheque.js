@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+
+// Cheque register (including post-dated cheques); clearing raises the Receipt/Payment voucher
+const chequeSchema = new mongoose.Schema({
+  // received: from a customer/party, issued: by us to a vendor/party
+  direction: {
+    type: String,
+    enum: ['received', 'issued'],
+    required: [true, "Cheque direction is required"]
+  },
+  chequeNumber: {
+    type: String,
+    required: [true, "Cheque number is required"],
+    trim: true
+  },
+  bankName: {
+    type: String,
+    required: [true, "Bank name is required"],
+    trim: true
+  },
+  // Date written on the cheque; later than receivedDate/issueDate for a PDC
+  chequeDate: {
+    type: Date,
+    required: [true, "Cheque date is required"]
+  },
+  receivedDate: {
+    type: Date
+  },
+  issueDate: {
+    type: Date
+  },
+  amount: {
+    type: Number,
+    required: [true, "Amount is required"],
+    min: [0.01, "Amount must be greater than zero"]
+  },
+  // Same party scheme as Voucher.parties
+  partyType: {
+    type: String,
+    enum: ['customer', 'ledger', 'vendor', 'dieselStation'],
+    required: [true, "Party type is required"]
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, "Party is required"]
+  },
+  partyName: {
+    type: String,
+    trim: true
+  },
+  // Our bank ledger: deposited into (received) or drawn on (issued)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'issued', 'deposited', 'cleared', 'bounced'],
+    required: true
+  },
+  depositedDate: {
+    type: Date
+  },
+  clearedDate: {
+    type: Date
+  },
+  bouncedDate: {
+    type: Date
+  },
+  bounceReason: {
+    type: String,
+    trim: true
+  },
+  bankCharges: {
+    type: Number,
+    default: 0,
+    min: [0, "Bank charges cannot be negative"]
+  },
+  // Voucher raised on clearing, the one reversing it on a bounce, and the bank-charge journal
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  reversalVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  chargesVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  narration: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Narration cannot exceed 500 characters"]
+  },
+  statusHistory: [{
+    status: { type: String },
+    date: { type: Date },
+    note: { type: String, trim: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+chequeSchema.index({ status: 1, chequeDate: 1 });
+chequeSchema.index({ partyType: 1, partyId: 1 });
+chequeSchema.index({ chequeNumber: 1 });
+
+const Cheque = mongoose.model("Cheque", chequeSchema);
+
+export default Cheque;
@@ -93,6 +93,11 @@ const customerSchema = new mongoose.Schema({
   },
   tdsUpdatedAt: {
     type: Date
+  },
+  // Customer asked not to receive overdue-balance reminders
+  reminderOptOut: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// Overdue-balance reminder sent to a customer, with the figures it was based on
+const customerReminderSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  outstandingBalance: {
+    type: Number,
+    required: true
+  },
+  outstandingBalanceType: {
+    type: String,
+    enum: ['debit', 'credit'],
+    default: 'debit'
+  },
+  lastPaymentDate: {
+    type: Date
+  },
+  daysSinceLastPayment: {
+    type: Number
+  },
+  channels: [{
+    type: String
+  }],
+  notifications: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }],
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  jobRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRun'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+customerReminderSchema.index({ customer: 1, createdAt: -1 });
+customerReminderSchema.index({ createdAt: -1 });
+
+const CustomerReminder = mongoose.model("CustomerReminder", customerReminderSchema);
+
+export default CustomerReminder;
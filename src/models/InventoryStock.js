@@ -58,6 +58,7 @@ const inventoryStockSchema = new mongoose.Schema({
   onlinePaid: { type: Number, default: 0 },
   discount: { type: Number, default: 0 },
   balance: { type: Number, default: 0 }, // For Sale: Remaining balance of this transaction
+  balanceType: { type: String, enum: ['debit', 'credit'], default: 'debit' }, // Side of the customer's balance after this bill
 
   billNumber: String, // Similar to refNo but specific for sales
 
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// One execution of a scheduled job; a 'running' row doubles as the lock against overlapping runs
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ name: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+
+export default JobRun;
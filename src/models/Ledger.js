@@ -1,5 +1,23 @@
 import mongoose from "mongoose";
 
+// How this bank's statement files are laid out; column values are header names as they appear in the file
+const statementMappingSchema = new mongoose.Schema({
+    headerRow: { type: Number, default: 1, min: 1 },
+    dateColumn: { type: String, trim: true, default: 'Date' },
+    descriptionColumn: { type: String, trim: true, default: 'Description' },
+    referenceColumn: { type: String, trim: true, default: 'Reference' },
+    // Either separate debit/credit columns, or one signed amount column
+    debitColumn: { type: String, trim: true, default: 'Debit' },
+    creditColumn: { type: String, trim: true, default: 'Credit' },
+    amountColumn: { type: String, trim: true },
+    balanceColumn: { type: String, trim: true, default: 'Balance' },
+    dateFormat: {
+        type: String,
+        enum: ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MMM-YYYY'],
+        default: 'DD/MM/YYYY'
+    }
+}, { _id: false });
+
 const ledgerSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -74,6 +92,11 @@ const ledgerSchema = new mongoose.Schema({
         default: function () {
             return this.openingBalanceType || 'debit';
         }
+    },
+    // Bank ledgers only: column mapping used when importing statements
+    statementMapping: {
+        type: statementMappingSchema,
+        default: undefined
     }
 }, {
     timestamps: true,
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+// Outbox of customer notifications; the worker delivers pending ones through the channel adapters
+const notificationSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['sms', 'whatsapp', 'email', 'console'],
+    required: true
+  },
+  event: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  to: {
+    type: String,
+    required: [true, "Recipient is required"],
+    trim: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  // Provider-side template (DLT template id for Fast2SMS, template name for WhatsApp)
+  providerTemplate: {
+    id: { type: String, trim: true },
+    variables: [{ type: String }]
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  // Record that raised the notification (e.g. { model: 'Trip', id, entryId })
+  reference: {
+    model: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId },
+    entryId: { type: mongoose.Schema.Types.ObjectId }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  sentAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ customer: 1, createdAt: -1 });
+notificationSchema.index({ 'reference.id': 1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+// Message wording per notification event and channel, with {{placeholder}} values filled in at send time
+const notificationTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, "Template key is required"],
+    trim: true,
+    lowercase: true
+  },
+  channel: {
+    type: String,
+    enum: {
+      values: ['sms', 'whatsapp', 'email', 'console'],
+      message: 'Channel must be one of: sms, whatsapp, email, console'
+    },
+    required: [true, "Channel is required"]
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Template name cannot exceed 100 characters"]
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Subject cannot exceed 200 characters"]
+  },
+  body: {
+    type: String,
+    required: [true, "Template body is required"],
+    trim: true,
+    maxlength: [2000, "Template body cannot exceed 2000 characters"]
+  },
+  // Registered DLT template id (Indian SMS routes); placeholders are sent as its variables in order
+  dltTemplateId: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// One active template per event and channel; deleted ones are kept for history
+notificationTemplateSchema.index(
+  { key: 1, channel: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+const NotificationTemplate = mongoose.model("NotificationTemplate", notificationTemplateSchema);
+
+export default NotificationTemplate;
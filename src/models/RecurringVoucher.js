@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+
+// Template for a voucher that repeats on a schedule (rent, salaries, loan EMIs)
+const recurringVoucherSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"]
+  },
+  voucherType: {
+    type: String,
+    required: true,
+    enum: ['Payment', 'Receipt', 'Contra', 'Journal']
+  },
+  partyName: {
+    type: String,
+    trim: true
+  },
+  // Payment/Receipt: same shape as Voucher.parties and Voucher.account
+  parties: [{
+    partyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    partyType: {
+      type: String,
+      enum: ['customer', 'ledger', 'vendor', 'dieselStation'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"]
+    }
+  }],
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger'
+  },
+  // Journal/Contra: same shape as Voucher.entries
+  entries: [{
+    account: { type: String, required: true, trim: true },
+    partyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    partyType: {
+      type: String,
+      enum: ['customer', 'ledger', 'vendor', 'dieselStation'],
+      required: true
+    },
+    debitAmount: { type: Number, default: 0, min: [0, "Debit amount cannot be negative"] },
+    creditAmount: { type: Number, default: 0, min: [0, "Credit amount cannot be negative"] },
+    narration: { type: String, trim: true, maxlength: [500, "Narration cannot exceed 500 characters"] }
+  }],
+  narration: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Narration cannot exceed 500 characters"]
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'],
+      required: true
+    },
+    // Every N days/weeks/months/quarters/years
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, "Interval must be at least 1"]
+    },
+    // weekly: 0 (Sunday) - 6 (Saturday)
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6
+    },
+    // monthly/quarterly/yearly: 1 - 31, moved to the last day in shorter months
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, "Start date is required"]
+  },
+  endDate: {
+    type: Date
+  },
+  // auto: post the voucher when due; draft: hold it for approval
+  mode: {
+    type: String,
+    enum: ['auto', 'draft'],
+    default: 'draft'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'ended'],
+    default: 'active'
+  },
+  // Next occurrence not yet generated; null once the schedule has ended
+  nextRunDate: {
+    type: Date
+  },
+  lastRunDate: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+recurringVoucherSchema.index({ status: 1, isActive: 1, nextRunDate: 1 });
+
+const RecurringVoucher = mongoose.model("RecurringVoucher", recurringVoucherSchema);
+
+export default RecurringVoucher;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// One generated occurrence of a recurring voucher; drafts wait here until approved
+const recurringVoucherInstanceSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringVoucher',
+    required: true
+  },
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'posted', 'rejected', 'failed'],
+    required: true
+  },
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  // Why an automatic post failed (for example a locked period)
+  error: {
+    type: String,
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Reason cannot exceed 500 characters"]
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// An occurrence is generated once, even if two runs overlap
+recurringVoucherInstanceSchema.index({ template: 1, scheduledDate: 1 }, { unique: true });
+recurringVoucherInstanceSchema.index({ status: 1, scheduledDate: 1 });
+
+const RecurringVoucherInstance = mongoose.model("RecurringVoucherInstance", recurringVoucherInstanceSchema);
+
+export default RecurringVoucherInstance;
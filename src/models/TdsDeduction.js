@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+
+// TDS deducted on one vendor purchase, posted as a Journal (vendor Dr, TDS payable Cr).
+// Recalculation reverses a posted deduction and posts a new one instead of editing it.
+const tdsDeductionSchema = new mongoose.Schema({
+  section: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  vendorName: {
+    type: String,
+    trim: true
+  },
+  pan: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // e.g. '2025-26'
+  financialYear: {
+    type: String,
+    required: true
+  },
+  quarter: {
+    type: String,
+    enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: ['trip', 'inventoryStock', 'indirectSale'],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Purchase entry inside a trip; null when the whole document is the purchase
+  sourceEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  purchaseAmount: {
+    type: Number,
+    required: true
+  },
+  // Vendor's purchases earlier in the financial year
+  cumulativeBefore: {
+    type: Number,
+    default: 0
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  tdsAmount: {
+    type: Number,
+    required: true
+  },
+  voucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  status: {
+    type: String,
+    enum: ['posted', 'reversed'],
+    default: 'posted'
+  },
+  reversedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+tdsDeductionSchema.index({ vendor: 1, financialYear: 1, status: 1 });
+tdsDeductionSchema.index({ financialYear: 1, quarter: 1, status: 1 });
+tdsDeductionSchema.index(
+  { sourceType: 1, sourceId: 1, sourceEntryId: 1 },
+  { unique: true, partialFilterExpression: { status: 'posted' } }
+);
+
+const TdsDeduction = mongoose.model("TdsDeduction", tdsDeductionSchema);
+
+export default TdsDeduction;
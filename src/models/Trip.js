@@ -1,5 +1,20 @@
 import mongoose from "mongoose";
 import Sequence from "./Sequence.js";
+import { LOT_ALLOCATION_MODES, allocateTripLots, lotVendorNames, lotsProductName } from "../services/tripLots.js";
+
+// Purchase lot (DC) an entry's birds were drawn from; filled in by the pre-save hook
+const lotDrawSchema = new mongoose.Schema({
+    purchase: { type: mongoose.Schema.Types.ObjectId, required: true }, // purchases[]._id
+    dcNumber: { type: String, default: '' },
+    birds: { type: Number, required: true },
+    weight: { type: Number, default: 0 }
+}, { _id: false });
+
+// 'fifo' lets the hook pick the lots; 'manual' keeps the lots the user chose
+const lotFields = {
+    lotAllocation: { type: String, enum: LOT_ALLOCATION_MODES, default: 'fifo' },
+    lots: [lotDrawSchema]
+};
 
 const tripSchema = new mongoose.Schema({
     tripId: {
@@ -92,7 +107,7 @@ const tripSchema = new mongoose.Schema({
         avgWeight: { type: Number }, // Calculated field
         rate: { type: Number, required: true },
         amount: { type: Number, required: true },
-        product: { type: String, default: '' }, // Vendor name from first purchase
+        product: { type: String, default: '' }, // Vendor names of the lots the birds came from
         profitMargin: { type: Number, default: 0 }, // Calculated: (saleRate - avgPurchaseRate)
         profitAmount: { type: Number, default: 0 }, // Calculated: profitMargin * weight
         // paymentMode: { type: String, enum: ['cash', 'online', 'credit'], default: 'cash' },
@@ -114,6 +129,7 @@ const tripSchema = new mongoose.Schema({
         balanceForDiscount: { type: Number, default: 0 }, // Balance after subtracting discount
         narration: { type: String, default: '' },
         isReceipt: { type: Boolean, default: false }, // True if this entry is a receipt (payment collection), not a sale
+        ...lotFields,
         timestamp: { type: Date, default: Date.now }
     }],
 
@@ -126,6 +142,7 @@ const tripSchema = new mongoose.Schema({
         total: { type: Number, required: true }, // Calculated field
         reason: { type: String }, // Reason for death
         date: { type: Date, required: true },
+        ...lotFields,
         timestamp: { type: Date, default: Date.now }
     }],
 
@@ -137,7 +154,8 @@ const tripSchema = new mongoose.Schema({
         value: { type: Number, default: 0 }, // Not counted in profit
         rate: { type: Number, required: true }, // Purchase rate for this stock
         addedAt: { type: Date, default: Date.now },
-        notes: { type: String, default: '' }
+        notes: { type: String, default: '' },
+        ...lotFields
     }],
 
     // Trip Summary
@@ -204,7 +222,12 @@ const tripSchema = new mongoose.Schema({
         },
         reason: { type: String, required: true },
         transferredAt: { type: Date, default: Date.now },
-        transferredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+        transferredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        // Set when the transfer went to another supervisor and waited for acceptance
+        transferRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'TripTransferRequest' },
+        acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        acceptedAt: Date,
+        ...lotFields
     }],
 
     // Trip completion details
@@ -215,16 +238,68 @@ const tripSchema = new mongoose.Schema({
         supervisorSignature: String // Could be a signature image or text
     },
 
+    // Approved reopen request while the trip is open for corrections (cleared on re-completion)
+    reopenRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'TripReopenRequest', default: null },
+
+    // Reconciliation accepted at settlement (see services/tripSettlement.js); never changed once recorded
+    settlement: {
+        type: new mongoose.Schema({
+            settledAt: { type: Date, required: true },
+            settledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            closingOdometer: Number,
+            finalRemarks: String,
+            birds: {
+                purchased: Number,
+                sold: Number,
+                stock: Number,
+                transferred: Number,
+                died: Number,
+                unaccounted: Number
+            },
+            weight: {
+                purchased: Number,
+                sold: Number,
+                stock: Number,
+                transferred: Number,
+                died: Number,
+                unaccounted: Number
+            },
+            cash: {
+                collected: Number,
+                expenses: Number,
+                diesel: Number,
+                expected: Number,
+                handedOver: Number,
+                difference: Number // handed over - expected (negative = shortage)
+            },
+            discrepancies: [{
+                code: String, // birds, weight, cash or diesel:<stationId>
+                label: String,
+                expected: mongoose.Schema.Types.Mixed,
+                actual: mongoose.Schema.Types.Mixed,
+                difference: Number,
+                action: { type: String, enum: ['accept', 'override'] },
+                value: mongoose.Schema.Types.Mixed, // Figure used instead when overridden
+                note: String
+            }],
+            summary: mongoose.Schema.Types.Mixed // Trip summary as it stood after settlement
+        }, { _id: false }),
+        default: undefined
+    },
+
     // Audit fields
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
 
 }, {
     timestamps: true,
+    optimisticConcurrency: true,
     toJSON: {
         virtuals: true,
         transform(doc, ret) {
             ret.id = ret._id;
+            // Clients send this back (If-Match header or `version` field) so stale edits get a 409
+            ret.version = ret.__v;
             delete ret._id;
             delete ret.__v;
 
@@ -245,12 +320,23 @@ const tripSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
+// Remember whether the stored trip is settled so the snapshot cannot be rewritten
+function trackSettlement() {
+    this.$locals.settled = Boolean(this.settlement?.settledAt);
+}
+tripSchema.post('init', trackSettlement);
+tripSchema.post('save', trackSettlement);
+
 // Pre-save middleware to generate tripId if not provided
 tripSchema.pre('save', async function (next) {
+    if (this.$locals.settled && this.isModified('settlement')) {
+        return next(new Error('Trip settlement cannot be changed once recorded'));
+    }
+
     // Generate tripId if not provided (always generate for new trips)
     if (this.isNew && !this.tripId) {
         try {
-            const sequenceValue = await Sequence.getNextValue('tripId');
+            const sequenceValue = await Sequence.getNextValue('tripId', this.$session());
             // Generate 4-6 digit number (pad with zeros if needed, max 6 digits)
             const tripNumber = String(sequenceValue).padStart(4, '0').slice(0, 6);
             this.tripId = `TRP-${tripNumber}`;
@@ -302,34 +388,18 @@ tripSchema.pre('save', async function (next) {
         this.summary.totalPurchaseAmount / this.summary.totalWeightPurchased : 0;
     this.summary.avgPurchaseRate = Number(avgPurchaseRate.toFixed(2));
 
+    let vendorNames = new Map();
+    try {
+        vendorNames = await lotVendorNames(this, this.$session());
+    } catch (error) {
+        console.error('Error fetching vendors in pre-save middleware:', error);
+    }
+
     if (this.sales && this.sales.length > 0) {
-        // Get vendor name from first purchase (if purchases exist)
-        let firstVendorName = '';
-        if (this.purchases && this.purchases.length > 0) {
-            const firstPurchase = this.purchases[0];
-
-            // For transferred trips, check if vendorName is stored in purchase record
-            if (this.type === 'transferred' && firstPurchase.vendorName) {
-                firstVendorName = firstPurchase.vendorName;
-            } else if (firstPurchase.supplier) {
-                // Check if supplier is populated (object with vendorName property)
-                if (typeof firstPurchase.supplier === 'object' && firstPurchase.supplier.vendorName) {
-                    // Supplier is already populated
-                    firstVendorName = firstPurchase.supplier.vendorName || firstPurchase.supplier.name || '';
-                } else if (typeof firstPurchase.supplier === 'object' && firstPurchase.supplier.toString) {
-                    // Supplier is an ObjectId, need to fetch it
-                    try {
-                        const Vendor = mongoose.model('Vendor');
-                        const vendor = await Vendor.findById(firstPurchase.supplier);
-                        if (vendor) {
-                            firstVendorName = vendor.vendorName || vendor.name || '';
-                        }
-                    } catch (error) {
-                        console.error('Error fetching vendor in pre-save middleware:', error);
-                    }
-                }
-            }
-        }
+        // Vendor name of the first purchase, for entries without lots (receipts)
+        const firstVendorName = this.purchases && this.purchases.length > 0
+            ? vendorNames.get(this.purchases[0]._id.toString()) || ''
+            : '';
 
         // Process sales sequentially to ensure proper async handling
         for (let i = 0; i < this.sales.length; i++) {
@@ -339,7 +409,7 @@ tripSchema.pre('save', async function (next) {
                 sale.avgWeight = Number((sale.weight / sale.birds).toFixed(2));
             }
 
-            // Set product (vendor name) from first purchase if not already set
+            // Fall back to the first purchase's vendor; sales with lots are named after allocation
             if (!sale.product && firstVendorName) {
                 sale.product = firstVendorName;
             }
@@ -356,7 +426,7 @@ tripSchema.pre('save', async function (next) {
             if (sale.client) {
                 try {
                     const Customer = mongoose.model('Customer');
-                    const customer = await Customer.findById(sale.client);
+                    const customer = await Customer.findById(sale.client).session(this.$session());
                     if (customer) {
                         const globalOutstandingBalance = customer.outstandingBalance || 0;
                         const totalPaid = (sale.onlinePaid || 0) + (sale.cashPaid || 0);
@@ -524,7 +594,8 @@ tripSchema.pre('save', async function (next) {
         manualBirdsLost = this.losses.reduce((sum, loss) => sum + (loss.quantity || 0), 0);
     }
 
-    if (this.status === 'completed') {
+    // Settled trips book their losses explicitly at settlement
+    if (this.status === 'completed' && !this.settlement?.settledAt) {
         const unaccountedBirds = (this.summary.totalBirdsPurchased || 0) - (this.summary.totalBirdsSold || 0) - manualBirdsLost;
         if (unaccountedBirds > 0) {
             const avgPurchaseWeight = this.summary.totalBirdsPurchased > 0 ?
@@ -614,6 +685,21 @@ tripSchema.pre('save', async function (next) {
         this.vehicleReadings.totalDistance = this.vehicleReadings.closing - this.vehicleReadings.opening;
     }
 
+    // Draw sales, stock, transfers and deaths down from the purchase lots
+    try {
+        allocateTripLots(this);
+    } catch (error) {
+        return next(error);
+    }
+    this.sales.forEach(sale => {
+        const product = lotsProductName(sale.lots, vendorNames);
+        if (product) sale.product = product;
+    });
+
+    if (this.settlement?.settledAt && !this.$locals.settled) {
+        this.settlement.summary = this.toObject({ virtuals: false }).summary;
+    }
+
     next();
 });
 
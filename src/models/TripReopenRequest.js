@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// Request to reopen a completed trip for corrections. Approval moves the trip back to
+// ongoing; re-completion closes the request with the summary before and after the edits.
+const tripReopenRequestSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  tripId: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'recompleted'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true
+  },
+  reopenedAt: {
+    type: Date
+  },
+  recompletedAt: {
+    type: Date
+  },
+  // Empty when the scheduler re-completed the trip
+  recompletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recompletedVia: {
+    type: String,
+    enum: ['manual', 'auto']
+  },
+  summaryBefore: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  summaryAfter: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Key summary figures that moved between reopen and re-complete
+  changes: [{
+    _id: false,
+    field: String,
+    before: Number,
+    after: Number,
+    difference: Number
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+tripReopenRequestSchema.index({ trip: 1, createdAt: -1 });
+tripReopenRequestSchema.index({ status: 1, createdAt: -1 });
+
+const TripReopenRequest = mongoose.model("TripReopenRequest", tripReopenRequestSchema);
+
+export default TripReopenRequest;
@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+
+// Transfer of birds to another supervisor's vehicle, waiting for the receiving supervisor.
+// Nothing moves until it is accepted; acceptance creates the receiving trip.
+const tripTransferRequestSchema = new mongoose.Schema({
+  sourceTrip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  sourceTripId: {
+    type: String,
+    trim: true
+  },
+  fromSupervisor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toSupervisor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  birds: {
+    type: Number,
+    required: true
+  },
+  weight: {
+    type: Number,
+    required: true
+  },
+  // Empty means the source trip's average purchase rate at acceptance
+  rate: {
+    type: Number
+  },
+  // Source lots picked by the sender; empty means FIFO at acceptance
+  lots: [{
+    _id: false,
+    purchase: { type: mongoose.Schema.Types.ObjectId },
+    birds: { type: Number }
+  }],
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: {
+    type: Date
+  },
+  responseNote: {
+    type: String,
+    trim: true
+  },
+  receiverTrip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+tripTransferRequestSchema.index({ toSupervisor: 1, status: 1, createdAt: -1 });
+tripTransferRequestSchema.index({ sourceTrip: 1, status: 1 });
+
+const TripTransferRequest = mongoose.model("TripTransferRequest", tripTransferRequestSchema);
+
+export default TripTransferRequest;
@@ -111,6 +111,12 @@ const vendorSchema = new mongoose.Schema({
         maxlength: [100, "Country name too long"]
     },
     defaultPaymentMode: { type: String, default: 'cash' },
+    // Days after a purchase that its payment falls due
+    creditDays: {
+        type: Number,
+        default: 0,
+        min: [0, "Credit days cannot be negative"]
+    },
 
     isActive: {
         type: Boolean,
@@ -139,6 +145,19 @@ const vendorSchema = new mongoose.Schema({
     tdsUpdatedAt: {
         type: Date
     },
+    // TDS section for purchases from this vendor (see TDS settings)
+    tdsSection: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: '194Q'
+    },
+    panNumber: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, "Invalid PAN number"]
+    },
     group: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Group',
@@ -51,11 +51,21 @@ const voucherSchema = new mongoose.Schema({
     required: false
   },
   entries: [{
+    // Display name of the account; partyId/partyType identify it
     account: {
       type: String,
       required: true,
       trim: true
     },
+    partyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false
+    },
+    partyType: {
+      type: String,
+      enum: ['customer', 'ledger', 'vendor', 'dieselStation'],
+      required: false
+    },
     debitAmount: {
       type: Number,
       default: 0,
@@ -105,6 +115,42 @@ const voucherSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment',
     required: false
+  },
+  // Cancelled vouchers stay on the books alongside the reversal that offsets them
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancellation: {
+    reason: { type: String, trim: true, maxlength: [500, "Reason cannot exceed 500 characters"] },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reversalVoucher: { type: mongoose.Schema.Types.ObjectId, ref: 'Voucher' }
+  },
+  // Set on the automatic reversing voucher
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher',
+    required: false
+  },
+  // Raised by the cheque register (clearing, bounce reversal or bank charges)
+  cheque: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cheque',
+    required: false
+  },
+  // TDS journal raised automatically for a vendor purchase
+  tdsDeduction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TdsDeduction',
+    required: false
+  },
+  // Generated from a recurring voucher template
+  recurringVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringVoucher',
+    required: false
   }
 }, {
   timestamps: true,
@@ -158,6 +204,8 @@ voucherSchema.pre('save', async function(next) {
           // Payment: Debit party, Credit account
           this.entries.push({
             account: partyName,
+            partyId: party.partyId,
+            partyType: party.partyType,
             debitAmount: party.amount,
             creditAmount: 0
           });
@@ -165,6 +213,8 @@ voucherSchema.pre('save', async function(next) {
           // Receipt: Debit account, Credit party
           this.entries.push({
             account: partyName,
+            partyId: party.partyId,
+            partyType: party.partyType,
             debitAmount: 0,
             creditAmount: party.amount
           });
@@ -178,6 +228,8 @@ voucherSchema.pre('save', async function(next) {
       // Payment: Credit account (money going out)
       this.entries.push({
         account: accountName,
+        partyId: this.account,
+        partyType: 'ledger',
         debitAmount: 0,
         creditAmount: totalAmount
       });
@@ -185,6 +237,8 @@ voucherSchema.pre('save', async function(next) {
       // Receipt: Debit account (money coming in)
       this.entries.push({
         account: accountName,
+        partyId: this.account,
+        partyType: 'ledger',
         debitAmount: totalAmount,
         creditAmount: 0
       });
@@ -218,6 +272,7 @@ voucherSchema.index({ voucherNumber: 1 });
 voucherSchema.index({ voucherType: 1 });
 voucherSchema.index({ date: -1 });
 voucherSchema.index({ party: 1 });
+voucherSchema.index({ 'entries.partyId': 1 });
 
 const Voucher = mongoose.model("Voucher", voucherSchema);
 
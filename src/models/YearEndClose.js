@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+// One closed financial year; its closing balances are stored as YearOpeningBalance rows for the next year
+const yearEndCloseSchema = new mongoose.Schema({
+  // Label of the closed year, e.g. '2024-25'
+  financialYear: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Year the balances were carried into, e.g. '2025-26'
+  carriedTo: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  summary: [{
+    partyType: { type: String },
+    count: { type: Number, default: 0 },
+    totalDebit: { type: Number, default: 0 },
+    totalCredit: { type: Number, default: 0 }
+  }],
+  previousLockDate: {
+    type: Date
+  },
+  lockDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Notes cannot exceed 500 characters"]
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+const YearEndClose = mongoose.model("YearEndClose", yearEndCloseSchema);
+
+export default YearEndClose;
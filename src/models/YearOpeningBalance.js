@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Opening balance of a party for a financial year, carried forward by the year-end close.
+// The party's own openingBalance stays the balance at inception.
+const yearOpeningBalanceSchema = new mongoose.Schema({
+  // Label of the year these balances open, e.g. '2025-26'
+  financialYear: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  yearStart: {
+    type: Date,
+    required: true
+  },
+  partyType: {
+    type: String,
+    enum: ['customer', 'vendor', 'ledger', 'dieselStation'],
+    required: true
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  type: {
+    type: String,
+    enum: ['debit', 'credit'],
+    default: 'debit'
+  },
+  yearEndClose: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'YearEndClose',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+yearOpeningBalanceSchema.index({ financialYear: 1, partyType: 1, partyId: 1 }, { unique: true });
+
+const YearOpeningBalance = mongoose.model("YearOpeningBalance", yearOpeningBalanceSchema);
+
+export default YearOpeningBalance;
@@ -0,0 +1,20 @@
+import express from 'express';
+const router = express.Router();
+
+import * as accountingPeriodController from '../controllers/accountingPeriod.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+// Period lock: global date plus per-module overrides
+router.get('/lock', authorize(['admin', 'superadmin']), accountingPeriodController.getPeriodLockSettings);
+router.put('/lock', authorize(['superadmin']), accountingPeriodController.updatePeriodLockSettings);
+
+// Year-end close
+router.get('/year-end-close/preview', authorize(['admin', 'superadmin']), accountingPeriodController.getYearEndClosePreview);
+router.post('/year-end-close', authorize(['superadmin']), accountingPeriodController.closeYear);
+router.get('/year-end-closes', authorize(['admin', 'superadmin']), accountingPeriodController.getYearEndCloses);
+router.get('/opening-balances', authorize(['admin', 'superadmin']), accountingPeriodController.getYearOpeningBalances);
+
+export default router;
@@ -6,6 +6,8 @@ import authenticateToken from '../middleware/authenticateToken.js';
 import authorize from '../middleware/authorization.js';
 
 router.get('/', authenticateToken, authorize(["superadmin", "admin"]), balanceSheetController.getBalanceSheet);
+router.get('/trial-balance', authenticateToken, authorize(["superadmin", "admin"]), balanceSheetController.getTrialBalance);
+router.post('/rebuild', authenticateToken, authorize(["superadmin"]), balanceSheetController.rebuildOutstandingBalances);
 
 export default router;
 
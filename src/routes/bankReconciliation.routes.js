@@ -0,0 +1,27 @@
+import express from 'express';
+const router = express.Router();
+
+import * as reconciliationController from '../controllers/bankReconciliation.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+import uploadFile from '../middleware/uploadFile.js';
+
+router.use(authenticateToken, authorize(['admin', 'superadmin']));
+
+// Per bank ledger
+router.get('/ledgers/:ledgerId/mapping', reconciliationController.getStatementMapping);
+router.put('/ledgers/:ledgerId/mapping', reconciliationController.updateStatementMapping);
+router.post('/ledgers/:ledgerId/statements', uploadFile('file', /\.(csv|txt|xlsx|xls)$/i), reconciliationController.uploadStatement);
+router.post('/ledgers/:ledgerId/auto-match', reconciliationController.autoMatchLedger);
+router.get('/ledgers/:ledgerId/unreconciled-entries', reconciliationController.getUnreconciledEntries);
+router.get('/ledgers/:ledgerId/summary', reconciliationController.getLedgerReconciliationSummary);
+
+// Statements and their lines
+router.get('/statements', reconciliationController.getStatements);
+router.get('/statements/:id', reconciliationController.getStatementById);
+router.get('/lines', reconciliationController.getStatementLines);
+router.post('/lines/:lineId/match', reconciliationController.matchStatementLine);
+router.post('/lines/:lineId/unmatch', reconciliationController.unmatchStatementLine);
+router.post('/lines/:lineId/ignore', reconciliationController.ignoreStatementLine);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+const router = express.Router();
+
+import * as cashHandoverController from '../controllers/cashHandover.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+router.get('/balances', authorize(['admin', 'superadmin']), cashHandoverController.getSupervisorBalances);
+router.get('/report', authorize(['admin', 'superadmin']), cashHandoverController.getHandoverReport);
+router.get('/supervisors/:supervisorId/statement', authorize(['admin', 'superadmin', 'supervisor']), cashHandoverController.getSupervisorCashStatement);
+
+router.get('/', authorize(['admin', 'superadmin', 'supervisor']), cashHandoverController.getHandovers);
+router.post('/', authorize(['admin', 'superadmin']), cashHandoverController.createHandover);
+router.delete('/:id', authorize(['admin', 'superadmin']), cashHandoverController.deleteHandover);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+const router = express.Router();
+
+import * as chequeController from '../controllers/cheque.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken, authorize(['admin', 'superadmin']));
+
+router.get('/', chequeController.getCheques);
+router.post('/', chequeController.createCheque);
+router.get('/:id', chequeController.getChequeById);
+router.put('/:id', chequeController.updateCheque);
+router.delete('/:id', chequeController.deleteCheque);
+
+// Status changes: received -> deposited -> cleared/bounced, issued -> cleared/bounced
+router.post('/:id/deposit', chequeController.depositCheque);
+router.post('/:id/clear', chequeController.clearCheque);
+router.post('/:id/bounce', chequeController.bounceCheque);
+
+export default router;
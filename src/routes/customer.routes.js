@@ -11,6 +11,7 @@ router.get('/', authenticateToken, authorize(["admin", "superadmin", "supervisor
 router.get('/admin/:id', authenticateToken, authorize(["admin", "superadmin", "supervisor"]), customerController.getCustomerById);
 router.put('/admin/:id', authenticateToken, authorize(["admin", "superadmin"]), customerController.updateCustomer);
 router.delete('/admin/:id', authenticateToken, authorize(["admin", "superadmin"]), customerController.deleteCustomer);
+router.get('/admin/:id/statement', authenticateToken, authorize(["admin", "superadmin"]), customerController.getCustomerStatement);
 
 // Customer panel routes (using User ID)
 router.get('/panel/:id/sales', authenticateToken, authorize(["admin", "superadmin", "customer", "supervisor"]), customerController.getCustomerSales);
@@ -21,6 +22,7 @@ router.get('/panel/:id/purchase-ledger', authenticateToken, authorize(["admin",
 router.get('/panel/:id/payments', authenticateToken, authorize(["admin", "superadmin", "customer"]), customerController.getCustomerPayments);
 router.put('/panel/:id/password', authenticateToken, authorize(["admin", "superadmin", "customer"]), customerController.updateCustomerPassword);
 router.get('/panel/:id/outstanding-balance', authenticateToken, authorize(["admin", "superadmin", "customer", "supervisor"]), customerController.getCustomerOutstandingBalance);
+router.get('/panel/:id/statement', authenticateToken, authorize(["admin", "superadmin", "customer"]), customerController.getCustomerPanelStatement);
 router.put('/:customerId/outstanding-balance', authenticateToken, authorize(["admin", "superadmin", "supervisor"]), customerController.updateCustomerOutstandingBalance);
 
 export default router;
\ No newline at end of file
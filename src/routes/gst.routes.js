@@ -0,0 +1,20 @@
+import express from 'express';
+const router = express.Router();
+
+import * as gstController from '../controllers/gst.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+// HSN code and GST rate per product type
+router.get('/settings', authorize(['admin', 'superadmin']), gstController.getGstSettings);
+router.put('/settings', authorize(['superadmin']), gstController.updateGstSettings);
+
+// Registers and returns
+router.get('/sales-register', authorize(['admin', 'superadmin']), gstController.getSalesRegister);
+router.get('/purchase-register', authorize(['admin', 'superadmin']), gstController.getPurchaseRegister);
+router.get('/gstr1', authorize(['admin', 'superadmin']), gstController.getGstr1);
+router.get('/gstr3b', authorize(['admin', 'superadmin']), gstController.getGstr3b);
+
+export default router;
@@ -21,6 +21,20 @@ import tripExpensesRouter from './tripExpenses.routes.js';
 import birdsMortalityRouter from './birdsMortality.routes.js';
 import birdsWeightLossRouter from './birdsWeightLoss.routes.js';
 import dieselExpensesRouter from './dieselExpenses.routes.js';
+import notificationRouter from './notification.routes.js';
+import reminderRouter from './reminder.routes.js';
+import reportRouter from './report.routes.js';
+import bankReconciliationRouter from './bankReconciliation.routes.js';
+import chequeRouter from './cheque.routes.js';
+import accountingPeriodRouter from './accountingPeriod.routes.js';
+import gstRouter from './gst.routes.js';
+import tdsRouter from './tds.routes.js';
+import recurringVoucherRouter from './recurringVoucher.routes.js';
+import cashHandoverRouter from './cashHandover.routes.js';
+import tripReopenRouter from './tripReopen.routes.js';
+import tripTransferRouter from './tripTransfer.routes.js';
+import traceabilityRouter from './traceability.routes.js';
+import jobRouter from './job.routes.js';
 
 router.use('/auth', authRouter);
 router.use('/user', userRouter);
@@ -43,16 +57,19 @@ router.use('/trip-expenses', tripExpensesRouter);
 router.use('/birds-mortality', birdsMortalityRouter);
 router.use('/birds-weight-loss', birdsWeightLossRouter);
 router.use('/diesel-expenses', dieselExpensesRouter);
-//     sendAddSaleSMS("7414969691", {
-//         customerName: "Tauhid Shaikh",
-//         date: "2022-01-01",
-//         invoiceNo: "123456",
-//         birds: "100",
-//         weight: "100",
-//         amount: "100",
-//         balance: "100"
-//     });
-//     return res.json({ status: 'OK', timestamp: new Date().toISOString() });
-// });
+router.use('/notifications', notificationRouter);
+router.use('/reminders', reminderRouter);
+router.use('/reports', reportRouter);
+router.use('/bank-reconciliation', bankReconciliationRouter);
+router.use('/cheques', chequeRouter);
+router.use('/accounting-periods', accountingPeriodRouter);
+router.use('/gst', gstRouter);
+router.use('/tds', tdsRouter);
+router.use('/recurring-vouchers', recurringVoucherRouter);
+router.use('/cash-handovers', cashHandoverRouter);
+router.use('/trip-reopen-requests', tripReopenRouter);
+router.use('/trip-transfers', tripTransferRouter);
+router.use('/traceability', traceabilityRouter);
+router.use('/jobs', jobRouter);
 
 export default router;
@@ -2,14 +2,22 @@ import express from 'express';
 import authenticateToken from '../middleware/authenticateToken.js';
 import authorize from '../middleware/authorization.js';
 import * as indirectSaleController from '../controllers/indirectSale.controller.js';
+import enforcePeriodLock from '../middleware/periodLock.js';
 
 const router = express.Router();
 
 router.use(authenticateToken);
 
+const indirectSaleLock = enforcePeriodLock('indirectSale', {
+    model: 'IndirectSale',
+    entryPaths: { purchases: 'purchases' },
+    entryParam: 'purchaseId'
+});
+
 router.post(
     '/',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.createIndirectSale
 );
 
@@ -40,42 +48,49 @@ router.get(
 router.put(
     '/:id',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.updateIndirectSaleDetails
 );
 
 router.post(
     '/:id/purchases',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.addPurchase
 );
 
 router.put(
     '/:id/purchases/:purchaseId',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.updatePurchase
 );
 
 router.delete(
     '/:id/purchases/:purchaseId',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.deletePurchase
 );
 
 router.put(
     '/:id/mortality',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.updateMortality
 );
 
 router.put(
     '/:id/sales',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.updateSales
 );
 
 router.delete(
     '/:id',
     authorize(['admin', 'superadmin']),
+    indirectSaleLock,
     indirectSaleController.deleteIndirectSale
 );
 
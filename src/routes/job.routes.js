@@ -0,0 +1,10 @@
+import express from 'express';
+const router = express.Router();
+
+import * as jobController from '../controllers/job.controller.js';
+import authenticateCron from '../middleware/authenticateCron.js';
+
+// Cron platforms call with GET
+router.get('/:name/run', authenticateCron, jobController.runScheduledJob);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+const router = express.Router();
+
+import * as notificationController from '../controllers/notification.controller.js';
+import * as templateController from '../controllers/notificationTemplate.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+// Message templates
+router.get('/templates', authorize(['admin', 'superadmin']), templateController.getTemplates);
+router.post('/templates', authorize(['superadmin']), templateController.createTemplate);
+router.get('/templates/:id', authorize(['admin', 'superadmin']), templateController.getTemplateById);
+router.get('/templates/:id/preview', authorize(['admin', 'superadmin']), templateController.previewTemplate);
+router.put('/templates/:id', authorize(['superadmin']), templateController.updateTemplate);
+router.delete('/templates/:id', authorize(['superadmin']), templateController.deleteTemplate);
+
+// Outbox
+router.get('/', authorize(['admin', 'superadmin']), notificationController.getNotifications);
+router.post('/process', authorize(['admin', 'superadmin']), notificationController.processNotifications);
+router.post('/:id/retry', authorize(['admin', 'superadmin']), notificationController.retryNotification);
+
+export default router;
@@ -4,6 +4,9 @@ const router = express.Router();
 import * as paymentController from '../controllers/payment.controller.js';
 import authenticateToken from '../middleware/authenticateToken.js';
 import authorize from '../middleware/authorization.js';
+import enforcePeriodLock from '../middleware/periodLock.js';
+
+const paymentLock = enforcePeriodLock('payment', { model: 'Payment', dateField: 'createdAt' });
 
 // Customer panel routes
 router.post('/submit', authenticateToken, authorize(['customer']), paymentController.submitPayment);
@@ -13,7 +16,7 @@ router.get('/customer/:id', authenticateToken, authorize(['customer']), paymentC
 router.get('/admin/pending', authenticateToken, authorize(['admin', 'superadmin']), paymentController.getPendingPayments);
 router.get('/admin/stats', authenticateToken, authorize(['admin', 'superadmin']), paymentController.getPaymentStats);
 router.get('/:id', authenticateToken, authorize(['admin', 'superadmin']), paymentController.getPaymentById);
-router.put('/:id/verify', authenticateToken, authorize(['admin', 'superadmin']), paymentController.verifyPayment);
-router.delete('/:id', authenticateToken, authorize(['admin', 'superadmin']), paymentController.deletePayment);
+router.put('/:id/verify', authenticateToken, authorize(['admin', 'superadmin']), paymentLock, paymentController.verifyPayment);
+router.delete('/:id', authenticateToken, authorize(['admin', 'superadmin']), paymentLock, paymentController.deletePayment);
 
 export default router;
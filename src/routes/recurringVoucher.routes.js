@@ -0,0 +1,26 @@
+import express from 'express';
+const router = express.Router();
+
+import * as recurringVoucherController from '../controllers/recurringVoucher.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken, authorize(['admin', 'superadmin']));
+
+router.get('/upcoming', recurringVoucherController.getUpcomingVouchers);
+router.post('/run', recurringVoucherController.runRecurringVouchers);
+
+// Generated occurrences; drafts are approved (posted) or rejected here
+router.get('/instances', recurringVoucherController.getInstances);
+router.post('/instances/:instanceId/approve', recurringVoucherController.approveInstance);
+router.post('/instances/:instanceId/reject', recurringVoucherController.rejectInstance);
+
+router.get('/', recurringVoucherController.getRecurringVouchers);
+router.post('/', recurringVoucherController.createRecurringVoucher);
+router.get('/:id', recurringVoucherController.getRecurringVoucherById);
+router.put('/:id', recurringVoucherController.updateRecurringVoucher);
+router.delete('/:id', recurringVoucherController.deleteRecurringVoucher);
+router.post('/:id/pause', recurringVoucherController.pauseRecurringVoucher);
+router.post('/:id/resume', recurringVoucherController.resumeRecurringVoucher);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+const router = express.Router();
+
+import * as reminderController from '../controllers/reminder.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/', authenticateToken, authorize(["admin", "superadmin"]), reminderController.getReminders);
+router.post('/run', authenticateToken, authorize(["admin", "superadmin"]), reminderController.runOverdueReminders);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+const router = express.Router();
+
+import * as reportController from '../controllers/report.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.get('/receivables-ageing', authenticateToken, authorize(["admin", "superadmin"]), reportController.getReceivablesAgeing);
+router.get('/payables-ageing', authenticateToken, authorize(["admin", "superadmin"]), reportController.getPayablesAgeing);
+router.get('/payables-due', authenticateToken, authorize(["admin", "superadmin"]), reportController.getPayablesDue);
+router.get('/day-book', authenticateToken, authorize(["admin", "superadmin"]), reportController.getDayBook);
+router.get('/cash-book', authenticateToken, authorize(["admin", "superadmin"]), reportController.getCashBookSummary);
+router.get('/cash-book/:ledgerId', authenticateToken, authorize(["admin", "superadmin"]), reportController.getCashBook);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+const router = express.Router();
+
+import * as tdsController from '../controllers/tds.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+// Rate and threshold per section
+router.get('/settings', authorize(['admin', 'superadmin']), tdsController.getTdsSettings);
+router.put('/settings', authorize(['superadmin']), tdsController.updateTdsSettings);
+router.post('/recalculate', authorize(['superadmin']), tdsController.recalculate);
+
+// Register and quarterly return
+router.get('/register', authorize(['admin', 'superadmin']), tdsController.getTdsRegister);
+router.get('/quarterly-summary', authorize(['admin', 'superadmin']), tdsController.getTdsQuarterlySummary);
+
+export default router;
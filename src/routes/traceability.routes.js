@@ -0,0 +1,14 @@
+import express from 'express';
+const router = express.Router();
+
+import * as traceabilityController from '../controllers/traceability.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+// Lot (purchase DC) tracing for recalls
+router.get('/lots', authorize(['admin', 'superadmin']), traceabilityController.traceLot);
+router.get('/bills/:billNumber', authorize(['admin', 'superadmin']), traceabilityController.traceBillSources);
+
+export default router;
@@ -4,44 +4,78 @@ const router = express.Router();
 import * as tripController from '../controllers/trip.controller.js';
 import authenticateToken from '../middleware/authenticateToken.js';
 import authorize from '../middleware/authorization.js';
+import enforcePeriodLock from '../middleware/periodLock.js';
+import completedTripLock from '../middleware/completedTripLock.js';
+
+// Changes to trips dated in a locked period are rejected
+const tripLock = enforcePeriodLock('trip', {
+    model: 'Trip',
+    entryPaths: {
+        purchase: 'purchases',
+        sale: 'sales',
+        diesel: 'diesel.stations',
+        expenses: 'expenses',
+        losses: 'losses',
+        stock: 'stocks',
+        transfer: 'transferHistory'
+    }
+});
+
+// Sub-entries (purchases, sales, stocks, ...) are addressed by their subdocument _id.
+// Numeric positions are still accepted but deprecated: the same position can point
+// to a different row once another user adds or removes an entry.
+router.param('entryId', (req, res, next, entryId) => {
+    if (/^\d+$/.test(entryId)) {
+        res.set('Deprecation', 'true');
+        res.set('Warning', '299 - "Positional trip entry routes are deprecated; use the entry id instead"');
+    }
+    next();
+});
 
 // Trip CRUD operations (Supervisor can create, Admin/Superadmin can view)
-router.post('/', authenticateToken, authorize(['supervisor']), tripController.addTrip);
+router.post('/', authenticateToken, authorize(['supervisor']), tripLock, tripController.addTrip);
 router.get('/', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTrips);
 router.get('/stats/monthly', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getMonthlyTripStats);
 router.get('/stats/daily', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getDailyTripStats);
 router.get('/stats/overview', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTripStats);
 router.get('/:id', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTripById);
-router.put('/:id', authenticateToken, authorize(['admin', 'superadmin']), tripController.updateTrip);
-router.delete('/:id', authenticateToken, authorize(['superadmin']), tripController.deleteTrip);
+router.put('/:id', authenticateToken, authorize(['admin', 'superadmin']), tripLock, completedTripLock, tripController.updateTrip);
+router.delete('/:id', authenticateToken, authorize(['superadmin']), tripLock, tripController.deleteTrip);
 
 // Trip management operations (Supervisor)
-router.post('/:id/purchase', authenticateToken, authorize(['supervisor']), tripController.addPurchase);
-router.put('/:id/purchase/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.editPurchase);
-router.post('/:id/sale', authenticateToken, authorize(['supervisor']), tripController.addSale);
-router.put('/:id/sale/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.editSale);
-router.put('/:id/diesel', authenticateToken, authorize(['supervisor']), tripController.updateTripDiesel);
-router.put('/:id/diesel/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.editDieselStation);
-router.put('/:id/expenses', authenticateToken, authorize(['supervisor']), tripController.updateTripExpenses);
-router.put('/:id/expenses/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.editExpense);
+router.post('/:id/purchase', authenticateToken, authorize(['supervisor']), tripLock, completedTripLock, tripController.addPurchase);
+router.put('/:id/purchase/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.editPurchase);
+router.post('/:id/sale', authenticateToken, authorize(['supervisor']), tripLock, completedTripLock, tripController.addSale);
+router.get('/:id/sale/:entryId/invoice', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getSaleInvoice);
+router.put('/:id/sale/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.editSale);
+router.put('/:id/diesel', authenticateToken, authorize(['supervisor']), tripLock, completedTripLock, tripController.updateTripDiesel);
+router.put('/:id/diesel/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.editDieselStation);
+router.put('/:id/expenses', authenticateToken, authorize(['supervisor']), tripLock, completedTripLock, tripController.updateTripExpenses);
+router.put('/:id/expenses/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.editExpense);
 // Stock management routes
-router.post('/:id/stock', authenticateToken, authorize(['supervisor']), tripController.addStock);
-router.put('/:id/stock/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.updateStock);
-router.delete('/:id/stock/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.deleteStock);
-router.delete('/:id/purchase/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.deletePurchase);
-router.delete('/:id/sale/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.deleteSale);
-router.delete('/:id/diesel/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.deleteTripDiesel);
-router.delete('/:id/expenses/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.deleteExpense);
-router.delete('/:id/losses/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.deleteLoss);
-router.delete('/:id/transfer/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.deleteTransfer);
-router.put('/:id/death-birds', authenticateToken, authorize(['supervisor']), tripController.addDeathBirds);
-router.put('/:id/complete', authenticateToken, authorize(['admin', 'superadmin']), tripController.completeTrip);
-router.put('/:id/complete-details', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.completeTripDetails);
-router.put('/:id/status', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.updateTripStatus);
+router.post('/:id/stock', authenticateToken, authorize(['supervisor']), tripLock, completedTripLock, tripController.addStock);
+router.put('/:id/stock/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.updateStock);
+router.delete('/:id/stock/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.deleteStock);
+router.delete('/:id/purchase/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.deletePurchase);
+router.delete('/:id/sale/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.deleteSale);
+router.delete('/:id/diesel/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.deleteTripDiesel);
+router.delete('/:id/expenses/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.deleteExpense);
+router.delete('/:id/losses/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.deleteLoss);
+router.delete('/:id/transfer/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.deleteTransfer);
+router.put('/:id/death-birds', authenticateToken, authorize(['supervisor']), tripLock, completedTripLock, tripController.addDeathBirds);
+router.put('/:id/complete', authenticateToken, authorize(['admin', 'superadmin']), tripLock, tripController.completeTrip);
+router.get('/:id/settlement', authenticateToken, authorize(['admin', 'superadmin']), tripController.getTripSettlement);
+router.post('/:id/settlement', authenticateToken, authorize(['admin', 'superadmin']), tripLock, tripController.settleTrip);
+router.put('/:id/complete-details', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.completeTripDetails);
+router.put('/:id/status', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, tripController.updateTripStatus);
 
 // Trip transfer routes (Supervisor)
-router.post('/:id/transfer', authenticateToken, authorize(['supervisor']), tripController.transferTrip);
-router.put('/:id/transfer/:index', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.updateTransfer);
+router.post('/:id/transfer', authenticateToken, authorize(['supervisor']), tripLock, completedTripLock, tripController.transferTrip);
+router.put('/:id/transfer/:entryId', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripLock, completedTripLock, tripController.updateTransfer);
 router.get('/:id/transfer-history', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTripTransferHistory);
+router.get('/:id/transfer-lineage', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTripTransferLineage);
+
+// Purchase lots and how far each is drawn down (for picking lots manually)
+router.get('/:id/lots', authenticateToken, authorize(['admin', 'superadmin', 'supervisor']), tripController.getTripLots);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+import express from 'express';
+const router = express.Router();
+
+import * as tripReopenController from '../controllers/tripReopen.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+router.get('/', authorize(['admin', 'superadmin', 'supervisor']), tripReopenController.getReopenRequests);
+router.post('/', authorize(['admin', 'superadmin', 'supervisor']), tripReopenController.createReopenRequest);
+router.post('/run-recomplete', authorize(['admin', 'superadmin']), tripReopenController.runRecompleteJob);
+router.get('/:id', authorize(['admin', 'superadmin', 'supervisor']), tripReopenController.getReopenRequestById);
+
+// Only a superadmin decides on a reopen
+router.post('/:id/approve', authorize(['superadmin']), tripReopenController.approveReopenRequest);
+router.post('/:id/reject', authorize(['superadmin']), tripReopenController.rejectReopenRequest);
+router.post('/:id/recomplete', authorize(['admin', 'superadmin', 'supervisor']), tripReopenController.recompleteReopenedTrip);
+
+export default router;
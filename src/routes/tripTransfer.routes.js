@@ -0,0 +1,16 @@
+import express from 'express';
+const router = express.Router();
+
+import * as tripTransferController from '../controllers/tripTransfer.controller.js';
+import authenticateToken from '../middleware/authenticateToken.js';
+import authorize from '../middleware/authorization.js';
+
+router.use(authenticateToken);
+
+// Transfers to another supervisor wait here until the receiving supervisor responds
+router.get('/', authorize(['admin', 'superadmin', 'supervisor']), tripTransferController.getTransferRequests);
+router.post('/:id/accept', authorize(['supervisor']), tripTransferController.acceptTransferRequest);
+router.post('/:id/reject', authorize(['supervisor']), tripTransferController.rejectTransferRequest);
+router.post('/:id/cancel', authorize(['admin', 'superadmin', 'supervisor']), tripTransferController.cancelTransferRequest);
+
+export default router;
@@ -4,15 +4,20 @@ const router = express.Router();
 import * as voucherController from '../controllers/voucher.controller.js';
 import authenticateToken from '../middleware/authenticateToken.js';
 import authorize from '../middleware/authorization.js';
+import enforcePeriodLock from '../middleware/periodLock.js';
 
-// All voucher routes require admin or superadmin access
-router.post('/', authenticateToken, authorize(["admin", "superadmin"]), voucherController.createVoucher);
+// Cancelling and deleting check the lock themselves (cancelling posts on the reversal date)
+const voucherLock = enforcePeriodLock('voucher', { model: 'Voucher' });
+
+// All voucher routes require admin or superadmin access; deleting is superadmin only
+router.post('/', authenticateToken, authorize(["admin", "superadmin"]), voucherLock, voucherController.createVoucher);
 router.get('/next-number', authenticateToken, authorize(["admin", "superadmin"]), voucherController.getNextVoucherNumber);
 router.get('/', authenticateToken, authorize(["admin", "superadmin"]), voucherController.getVouchers);
 router.get('/stats', authenticateToken, authorize(["admin", "superadmin"]), voucherController.getVoucherStats);
 router.get('/export', authenticateToken, authorize(["admin", "superadmin"]), voucherController.exportVouchers);
 router.get('/:id', authenticateToken, authorize(["admin", "superadmin"]), voucherController.getVoucherById);
-router.put('/:id', authenticateToken, authorize(["admin", "superadmin"]), voucherController.updateVoucher);
-router.delete('/:id', authenticateToken, authorize(["admin", "superadmin"]), voucherController.deleteVoucher);
+router.put('/:id', authenticateToken, authorize(["admin", "superadmin"]), voucherLock, voucherController.updateVoucher);
+router.post('/:id/cancel', authenticateToken, authorize(["admin", "superadmin"]), voucherController.cancelVoucher);
+router.delete('/:id', authenticateToken, authorize(["superadmin"]), voucherController.deleteVoucher);
 
 export default router;
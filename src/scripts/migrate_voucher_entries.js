@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load .env
+dotenv.config({ path: path.join(__dirname, "../.env") });
+
+import Voucher from "../models/Voucher.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import { dayKey } from "../utils/periodLock.js";
+
+// Usage: node src/scripts/migrate_voucher_entries.js [--dry-run]
+// Fills entries[].partyId/partyType from the account name, matching it exactly the way
+// legacy entries were posted: ledger (slug or name), then customer (shop or owner name),
+// then vendor. Anything else is listed as unresolved.
+const dryRun = process.argv.includes('--dry-run');
+
+async function buildLookup() {
+    const [ledgers, customers, vendors] = await Promise.all([
+        Ledger.find({}).select('name slug').lean(),
+        Customer.find({}).select('shopName ownerName').lean(),
+        Vendor.find({}).select('vendorName').lean()
+    ]);
+
+    const lookup = new Map();
+    const register = (name, partyType, id) => {
+        if (!name) return;
+        const matches = lookup.get(name) || [];
+        matches.push({ partyType, id });
+        lookup.set(name, matches);
+    };
+    ledgers.forEach(l => { register(l.slug, 'ledger', l._id); register(l.name, 'ledger', l._id); });
+    customers.forEach(c => { register(c.shopName, 'customer', c._id); register(c.ownerName, 'customer', c._id); });
+    vendors.forEach(v => register(v.vendorName, 'vendor', v._id));
+    return lookup;
+}
+
+async function run() {
+    console.log("Connecting to database...");
+    await mongoose.connect(process.env.DATABASE_URI, {
+        dbName: process.env.DATABASE_NAME
+    });
+    console.log(`Connected to MongoDB.${dryRun ? ' Dry run: nothing will be written.' : ''}`);
+
+    const lookup = await buildLookup();
+
+    const vouchers = await Voucher.find({
+        entries: { $elemMatch: { partyId: null } }
+    }).select('voucherNumber voucherType date entries isActive').lean();
+
+    console.log(`Found ${vouchers.length} vouchers with entries missing an account id.`);
+
+    let resolvedCount = 0;
+    const ambiguous = [];
+    const unresolved = [];
+
+    for (const v of vouchers) {
+        const updates = {};
+        v.entries.forEach((entry, index) => {
+            if (entry.partyId) return;
+            const matches = lookup.get(entry.account) || [];
+            // Same id registered under slug and name counts once
+            const distinct = matches.filter((m, i) => matches.findIndex(o => o.id.toString() === m.id.toString()) === i);
+            if (distinct.length === 0) {
+                unresolved.push({ voucherNumber: v.voucherNumber, voucherType: v.voucherType, date: v.date, isActive: v.isActive, entry: index + 1, account: entry.account });
+                return;
+            }
+            if (distinct.length > 1) {
+                ambiguous.push({ voucherNumber: v.voucherNumber, entry: index + 1, account: entry.account, usedType: distinct[0].partyType, candidates: distinct.length });
+            }
+            updates[`entries.${index}.partyId`] = distinct[0].id;
+            updates[`entries.${index}.partyType`] = distinct[0].partyType;
+            resolvedCount += 1;
+        });
+
+        if (Object.keys(updates).length > 0 && !dryRun) {
+            // Direct update so the Payment/Receipt pre-save hook does not regenerate entries
+            await Voucher.updateOne({ _id: v._id }, { $set: updates });
+        }
+    }
+
+    console.log(`Resolved ${resolvedCount} entries.`);
+
+    if (ambiguous.length > 0) {
+        console.log(`\n${ambiguous.length} entries matched more than one account; the first match in posting order was used:`);
+        console.table(ambiguous);
+    }
+
+    if (unresolved.length > 0) {
+        console.log(`\n${unresolved.length} entries could not be resolved. Fix the account name or create the account, then run again:`);
+        console.table(unresolved.map(u => ({ ...u, date: u.date ? dayKey(u.date) : '' })));
+    } else {
+        console.log("All entries resolved.");
+    }
+
+    console.log("Migration complete.");
+    await mongoose.disconnect();
+}
+
+run().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,302 @@
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import DieselStation from "../models/DieselStation.js";
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import IndirectSale from "../models/IndirectSale.js";
+import Voucher from "../models/Voucher.js";
+import Payment from "../models/Payment.js";
+import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { runInTransaction, runQueries } from "../utils/transaction.js";
+
+// Stored balances within this tolerance are treated as correct
+const BALANCE_TOLERANCE = 0.01;
+
+const PARTY_MODELS = {
+    customer: { Model: Customer, nameField: 'shopName', defaultType: 'debit' },
+    vendor: { Model: Vendor, nameField: 'vendorName', defaultType: 'credit' },
+    ledger: { Model: Ledger, nameField: 'name', defaultType: 'debit' },
+    dieselStation: { Model: DieselStation, nameField: 'name', defaultType: 'credit' }
+};
+
+export const PARTY_TYPES = Object.keys(PARTY_MODELS);
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const idOf = (ref) => {
+    if (!ref) return null;
+    return (ref._id || ref).toString();
+};
+
+/**
+ * Collect every balance-affecting posting from the source collections
+ * Rules mirror the balance sheet (buildUnifiedBalanceMap) but are keyed by
+ * document id instead of name, so renamed parties keep their history.
+ * @param {Object} session - Mongoose session (optional)
+ * @param {Object} parties - { customer: [], vendor: [], ledger: [], dieselStation: [] }
+ * @returns {Array} - [{ partyType, partyId, date, signed, source }]
+ */
+const collectPostings = async (session, parties) => {
+    const postings = [];
+    const post = (partyType, ref, date, signed, source) => {
+        const partyId = idOf(ref);
+        const amount = Number(signed) || 0;
+        if (!partyId || amount === 0) return;
+        postings.push({ partyType, partyId, date: date ? new Date(date) : new Date(0), signed: amount, source });
+    };
+
+    // Legacy Journal/Contra entries only carry an account name; match it exactly, ledgers first,
+    // then customers and vendors, as voucher posting does
+    const entryLookup = new Map();
+    const register = (key, partyType, id) => {
+        if (key && !entryLookup.has(key)) entryLookup.set(key, { partyType, id });
+    };
+    parties.ledger.forEach(l => { register(l.slug, 'ledger', l._id); register(l.name, 'ledger', l._id); });
+    parties.customer.forEach(c => { register(c.shopName, 'customer', c._id); register(c.ownerName, 'customer', c._id); });
+    parties.vendor.forEach(v => register(v.vendorName, 'vendor', v._id));
+
+    const [trips, stocks, indirectSales, vouchers] = await runQueries([
+        () => Trip.find({}).select('tripId date purchases sales diesel').session(session).lean(),
+        () => InventoryStock.find({}).session(session).lean(),
+        () => IndirectSale.find({ isActive: true }).select('invoiceNumber date customer vendor summary').session(session).lean(),
+        () => Voucher.find({ isActive: true }).session(session).lean()
+    ], session);
+
+    // 1. Trips
+    trips.forEach(trip => {
+        const source = { type: 'trip', id: trip._id, reference: trip.tripId };
+
+        (trip.purchases || []).forEach(purchase => {
+            post('vendor', purchase.supplier, purchase.timestamp || trip.date, -(Number(purchase.amount) || 0), source);
+        });
+
+        (trip.sales || []).forEach(sale => {
+            const saleDate = sale.timestamp || trip.date;
+            const cashPaid = Number(sale.cashPaid) || 0;
+            const onlinePaid = Number(sale.onlinePaid) || 0;
+            const discount = Number(sale.discount) || 0;
+            const saleAmount = sale.isReceipt ? 0 : (Number(sale.amount) || 0);
+
+            post('customer', sale.client, saleDate, saleAmount - cashPaid - onlinePaid - discount, source);
+            if (cashPaid > 0) post('ledger', sale.cashLedger, saleDate, cashPaid, source);
+            if (onlinePaid > 0) post('ledger', sale.onlineLedger, saleDate, onlinePaid, source);
+        });
+
+        (trip.diesel?.stations || []).forEach(station => {
+            const amount = Number(station.amount) || 0;
+            const stationDate = station.timestamp || trip.date;
+            // Paid from a ledger: the station is settled immediately and the ledger is credited instead
+            if (station.paymentLedger) {
+                post('ledger', station.paymentLedger, stationDate, -amount, source);
+            } else {
+                post('dieselStation', station.dieselStation, stationDate, -amount, source);
+            }
+        });
+    });
+
+    // 2. Inventory stock
+    stocks.forEach(stock => {
+        const source = { type: 'inventoryStock', id: stock._id, reference: stock.billNumber || stock.type };
+        const amount = Number(stock.amount) || 0;
+
+        if (stock.type === 'purchase' || stock.type === 'opening') {
+            if (stock.inventoryType === 'feed' && stock.ledgerId) {
+                post('ledger', stock.ledgerId, stock.date, -amount, source);
+            } else {
+                post('vendor', stock.vendorId, stock.date, -amount, source);
+            }
+        } else if (stock.type === 'sale' || stock.type === 'receipt') {
+            const cashPaid = Number(stock.cashPaid) || 0;
+            const onlinePaid = Number(stock.onlinePaid) || 0;
+            const discount = Number(stock.discount) || 0;
+            const saleAmount = stock.type === 'sale' ? amount : 0;
+
+            post('customer', stock.customerId, stock.date, saleAmount - cashPaid - onlinePaid - discount, source);
+            if (cashPaid > 0) post('ledger', stock.cashLedgerId, stock.date, cashPaid, source);
+            if (onlinePaid > 0) post('ledger', stock.onlineLedgerId, stock.date, onlinePaid, source);
+        } else if (stock.type === 'consume') {
+            post('ledger', stock.expenseLedgerId, stock.date, amount, source);
+        }
+    });
+
+    // 3. Indirect sales
+    indirectSales.forEach(record => {
+        const source = { type: 'indirectSale', id: record._id, reference: record.invoiceNumber };
+        post('customer', record.customer, record.date, Number(record.summary?.salesAmount) || 0, source);
+        post('vendor', record.vendor, record.date, -(Number(record.summary?.totalPurchaseAmount) || 0), source);
+    });
+
+    // 4. Vouchers
+    // Verified payments against a trip sale are already counted through the sale's cashPaid/onlinePaid
+    const paymentIds = vouchers.filter(v => v.payment).map(v => v.payment);
+    const salePayments = paymentIds.length
+        ? await Payment.find({ _id: { $in: paymentIds }, sale: { $ne: null } }).select('_id').session(session).lean()
+        : [];
+    const salePaymentIds = new Set(salePayments.map(p => p._id.toString()));
+
+    vouchers.forEach(voucher => {
+        const source = { type: 'voucher', id: voucher._id, reference: `${voucher.voucherType} #${voucher.voucherNumber}` };
+
+        if (voucher.voucherType === 'Payment' || voucher.voucherType === 'Receipt') {
+            if (voucher.payment && salePaymentIds.has(voucher.payment.toString())) return;
+
+            // Payment: debit the parties, credit the account. Receipt: the reverse.
+            const direction = voucher.voucherType === 'Payment' ? 1 : -1;
+            let total = 0;
+            (voucher.parties || []).forEach(party => {
+                const amount = Number(party.amount) || 0;
+                total += amount;
+                post(party.partyType || 'customer', party.partyId, voucher.date, direction * amount, source);
+            });
+            post('ledger', voucher.account, voucher.date, -direction * total, source);
+        } else {
+            (voucher.entries || []).forEach(entry => {
+                const match = entry.partyId
+                    ? { partyType: entry.partyType, id: entry.partyId }
+                    : entryLookup.get(entry.account);
+                if (!match) return;
+                const signed = (Number(entry.debitAmount) || 0) - (Number(entry.creditAmount) || 0);
+                post(match.partyType, match.id, voucher.date, signed, source);
+            });
+        }
+    });
+
+    return postings;
+};
+
+// Load every party and total its postings (optionally only those dated up to asOf)
+const replayPostings = async ({ session = null, asOf = null } = {}) => {
+    const loaded = await runQueries(
+        PARTY_TYPES.map(partyType => () => PARTY_MODELS[partyType].Model.find({}).session(session).lean()),
+        session
+    );
+    const parties = Object.fromEntries(PARTY_TYPES.map((partyType, index) => [partyType, loaded[index]]));
+
+    const postings = (await collectPostings(session, parties))
+        .filter(posting => !asOf || posting.date <= asOf);
+    postings.sort((a, b) => a.date - b.date);
+
+    const byParty = new Map();
+    postings.forEach(posting => {
+        const key = `${posting.partyType}:${posting.partyId}`;
+        const entry = byParty.get(key) || { running: 0, count: 0, lastDate: null };
+        entry.running += posting.signed;
+        entry.count += 1;
+        entry.lastDate = posting.date;
+        byParty.set(key, entry);
+    });
+
+    return { parties, byParty };
+};
+
+/**
+ * Closing balance of every party as of a date
+ * Opening balance plus every posting dated on or before asOf, using the same rules as the rebuild.
+ * @param {Date} asOf - Inclusive cut-off
+ * @param {Object} options - { partyTypes, session }
+ * @returns {Promise<Array>} - [{ partyType, partyId, name, isActive, signed, transactionCount }]
+ */
+export const computeBalancesAsOf = async (asOf, { partyTypes = PARTY_TYPES, session = null } = {}) => {
+    const { parties, byParty } = await replayPostings({ session, asOf });
+
+    return partyTypes.flatMap(partyType => {
+        const { nameField, defaultType } = PARTY_MODELS[partyType];
+        return parties[partyType].map(party => {
+            const replay = byParty.get(`${partyType}:${party._id}`) || { running: 0, count: 0 };
+            const openingSigned = toSignedValue(party.openingBalance || 0, party.openingBalanceType || defaultType);
+            return {
+                partyType,
+                partyId: party._id,
+                name: party[nameField],
+                isActive: party.isActive !== false,
+                signed: round2(openingSigned + replay.running),
+                transactionCount: replay.count
+            };
+        });
+    });
+};
+
+/**
+ * Recompute outstanding balances from opening balances and source transactions
+ * Postings are replayed in date order per party and the result is compared with
+ * the stored outstanding balance.
+ * @param {Object} options
+ * @param {Array} options.partyTypes - Subset of PARTY_TYPES to check (default: all)
+ * @param {Object} options.session - Mongoose session (optional)
+ * @returns {Object} - { checked, discrepancies: [...] }
+ */
+export const computeBalanceDiscrepancies = async ({ partyTypes = PARTY_TYPES, session = null } = {}) => {
+    const { parties, byParty } = await replayPostings({ session });
+
+    const checked = {};
+    const discrepancies = [];
+
+    partyTypes.forEach(partyType => {
+        const { nameField, defaultType } = PARTY_MODELS[partyType];
+        checked[partyType] = parties[partyType].length;
+
+        parties[partyType].forEach(party => {
+            const replay = byParty.get(`${partyType}:${party._id}`) || { running: 0, count: 0, lastDate: null };
+            const openingSigned = toSignedValue(party.openingBalance || 0, party.openingBalanceType || defaultType);
+            const storedSigned = toSignedValue(party.outstandingBalance || 0, party.outstandingBalanceType || defaultType);
+            const recomputedSigned = round2(openingSigned + replay.running);
+            const difference = round2(recomputedSigned - storedSigned);
+
+            if (Math.abs(difference) < BALANCE_TOLERANCE) return;
+
+            const stored = fromSignedValue(round2(storedSigned));
+            const recomputed = fromSignedValue(recomputedSigned);
+            discrepancies.push({
+                partyType,
+                partyId: party._id,
+                name: party[nameField],
+                isActive: party.isActive !== false,
+                transactionCount: replay.count,
+                lastTransactionDate: replay.lastDate,
+                stored: { amount: stored.amount, type: stored.type },
+                recomputed: { amount: recomputed.amount, type: recomputed.type },
+                difference
+            });
+        });
+    });
+
+    return { checked, discrepancies };
+};
+
+/**
+ * Rebuild outstanding balances
+ * In dry-run mode only the discrepancies are reported. In apply mode they are
+ * recomputed and written inside a single transaction so no party is left half-fixed.
+ * @param {Object} options
+ * @param {Boolean} options.apply - Write the recomputed balances (default: false)
+ * @param {Array} options.partyTypes - Subset of PARTY_TYPES to rebuild (default: all)
+ * @param {String} options.userId - User performing the rebuild (stored as updatedBy)
+ * @returns {Object} - { mode, checked, discrepancies, updated }
+ */
+export const rebuildBalances = async ({ apply = false, partyTypes = PARTY_TYPES, userId = null } = {}) => {
+    if (!apply) {
+        const result = await computeBalanceDiscrepancies({ partyTypes });
+        return { mode: 'dry-run', ...result, updated: 0 };
+    }
+
+    return runInTransaction(async (session) => {
+        const result = await computeBalanceDiscrepancies({ partyTypes, session });
+
+        for (const discrepancy of result.discrepancies) {
+            const update = {
+                outstandingBalance: discrepancy.recomputed.amount,
+                outstandingBalanceType: discrepancy.recomputed.type
+            };
+            if (userId) update.updatedBy = userId;
+
+            await PARTY_MODELS[discrepancy.partyType].Model.updateOne(
+                { _id: discrepancy.partyId },
+                { $set: update },
+                { session, runValidators: false }
+            );
+        }
+
+        return { mode: 'apply', ...result, updated: result.discrepancies.length };
+    }, 'rebuild balances');
+};
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import Ledger from "../../models/Ledger.js";
+import Trip from "../../models/Trip.js";
+import InventoryStock from "../../models/InventoryStock.js";
+import Payment from "../../models/Payment.js";
+import Voucher from "../../models/Voucher.js";
+import BankStatementLine from "../../models/BankStatementLine.js";
+import { isPartyEntry, partyEntryClauses } from "../voucherPosting.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const bookEntryKey = (entry) => `${entry.sourceType}:${entry.sourceId}:${entry.entryId || ''}`;
+
+/**
+ * Everything the books say went through a bank ledger in a period
+ * direction follows the bank statement: 'credit' = money into the account, 'debit' = money out.
+ * Sources: online receipts on trip sales and stock sales/receipts, verified payments
+ * (with their UTR), Payment/Receipt vouchers on the account, diesel paid from the account,
+ * and journal/contra lines naming the ledger.
+ * @param {String|ObjectId} ledgerId
+ * @param {Object} period - { from, to }
+ * @returns {Promise<Array>} - [{ sourceType, sourceId, entryId, date, amount, direction, reference, description }]
+ */
+export const getBookEntries = async (ledgerId, { from, to }) => {
+    const ledgerObjectId = new mongoose.Types.ObjectId(ledgerId);
+    const ledger = await Ledger.findById(ledgerObjectId).select('name slug').lean();
+    if (!ledger) return [];
+
+    const dateRange = { $gte: from, $lte: to };
+    const ledgerNames = [ledger.name, ledger.slug].filter(Boolean);
+
+    const [trips, stocks, payments, vouchers] = await Promise.all([
+        Trip.find({
+            $or: [
+                { sales: { $elemMatch: { onlineLedger: ledgerObjectId, onlinePaid: { $gt: 0 }, timestamp: dateRange } } },
+                { 'diesel.stations': { $elemMatch: { paymentLedger: ledgerObjectId, timestamp: dateRange } } }
+            ]
+        }).select('tripId date sales diesel').lean(),
+        InventoryStock.find({ onlineLedgerId: ledgerObjectId, onlinePaid: { $gt: 0 }, date: dateRange }).lean(),
+        Payment.find({ account: ledgerObjectId, status: 'verified', isActive: true, verifiedAt: dateRange }).lean(),
+        Voucher.find({
+            isActive: true,
+            date: dateRange,
+            $or: [
+                { account: ledgerObjectId, voucherType: { $in: ['Payment', 'Receipt'] } },
+                ...partyEntryClauses('ledger', ledgerObjectId, ledgerNames)
+            ]
+        }).populate('cheque', 'chequeNumber').lean()
+    ]);
+
+    // Online payments verified against a trip sale were also added to that sale's onlinePaid
+    const paidIntoSale = new Map();
+    payments.forEach(payment => {
+        if (!payment.sale || payment.paymentMethod === 'cash') return;
+        const key = payment.sale.toString();
+        paidIntoSale.set(key, round2((paidIntoSale.get(key) || 0) + payment.amount));
+    });
+
+    const entries = [];
+    trips.forEach(trip => {
+        (trip.sales || []).forEach(sale => {
+            if (!sale.onlineLedger || sale.onlineLedger.toString() !== ledgerObjectId.toString()) return;
+            const date = new Date(sale.timestamp || trip.date);
+            if (date < from || date > to) return;
+            const amount = round2((Number(sale.onlinePaid) || 0) - (paidIntoSale.get(sale._id.toString()) || 0));
+            if (amount <= 0) return;
+            entries.push({
+                sourceType: 'trip', sourceId: trip._id, entryId: sale._id, date, amount, direction: 'credit',
+                reference: sale.billNumber || '', description: `Online receipt, trip ${trip.tripId}`
+            });
+        });
+        (trip.diesel?.stations || []).forEach(station => {
+            if (!station.paymentLedger || station.paymentLedger.toString() !== ledgerObjectId.toString()) return;
+            const date = new Date(station.timestamp || trip.date);
+            if (date < from || date > to || !(Number(station.amount) > 0)) return;
+            entries.push({
+                sourceType: 'trip', sourceId: trip._id, entryId: station._id, date, amount: round2(station.amount), direction: 'debit',
+                reference: station.indentNumber || '', description: `Diesel ${station.stationName || station.name || ''}, trip ${trip.tripId}`
+            });
+        });
+    });
+
+    stocks.forEach(stock => entries.push({
+        sourceType: 'inventoryStock', sourceId: stock._id, date: new Date(stock.date), amount: round2(stock.onlinePaid), direction: 'credit',
+        reference: stock.billNumber || stock.refNo || '', description: `Online receipt (${stock.type})`
+    }));
+
+    payments.forEach(payment => entries.push({
+        sourceType: 'payment', sourceId: payment._id, date: new Date(payment.verifiedAt), amount: round2(payment.amount), direction: 'credit',
+        reference: payment.verificationDetails?.transactionId || '', description: `Customer payment from ${payment.customerDetails?.name || ''}`.trim()
+    }));
+
+    vouchers.forEach(voucher => {
+        const base = { sourceType: 'voucher', sourceId: voucher._id, date: new Date(voucher.date), reference: voucher.cheque?.chequeNumber || `VCH-${voucher.voucherNumber}` };
+        if (voucher.voucherType === 'Payment' || voucher.voucherType === 'Receipt') {
+            if (!voucher.account || voucher.account.toString() !== ledgerObjectId.toString()) return;
+            // Raised by payment verification; the payment itself is listed with its UTR
+            if (voucher.payment) return;
+            const amount = round2((voucher.parties || []).reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+            if (amount <= 0) return;
+            entries.push({
+                ...base, amount,
+                direction: voucher.voucherType === 'Receipt' ? 'credit' : 'debit',
+                description: voucher.narration || `${voucher.voucherType} to ${voucher.partyName || ''}`.trim()
+            });
+            return;
+        }
+        (voucher.entries || []).forEach(entry => {
+            if (!isPartyEntry(entry, 'ledger', ledgerObjectId, ledgerNames)) return;
+            const debit = round2(entry.debitAmount);
+            const credit = round2(entry.creditAmount);
+            // Debiting the bank ledger means money came in
+            if (debit > 0) entries.push({ ...base, entryId: entry._id, amount: debit, direction: 'credit', description: entry.narration || voucher.narration || voucher.voucherType });
+            if (credit > 0) entries.push({ ...base, entryId: entry._id, amount: credit, direction: 'debit', description: entry.narration || voucher.narration || voucher.voucherType });
+        });
+    });
+
+    return entries.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Book entries of the ledger that no statement line has been reconciled with yet
+ */
+export const getUnreconciledBookEntries = async (ledgerId, period) => {
+    const [entries, reconciled] = await Promise.all([
+        getBookEntries(ledgerId, period),
+        BankStatementLine.find({ ledger: ledgerId, status: 'reconciled' }).select('match').lean()
+    ]);
+    const taken = new Set(reconciled.map(line => bookEntryKey(line.match)));
+    return entries.filter(entry => !taken.has(bookEntryKey(entry)));
+};
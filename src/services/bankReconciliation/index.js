@@ -0,0 +1,264 @@
+import mongoose from "mongoose";
+import Ledger from "../../models/Ledger.js";
+import BankStatement from "../../models/BankStatement.js";
+import BankStatementLine from "../../models/BankStatementLine.js";
+import AppError from "../../utils/AppError.js";
+import { runInTransaction } from "../../utils/transaction.js";
+import { parseBankStatement } from "./statementParser.js";
+import { getBookEntries, getUnreconciledBookEntries, bookEntryKey } from "./bookEntries.js";
+import { matchStatementLines } from "./matcher.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far either side of a statement line a manually picked book entry may be
+const MANUAL_MATCH_WINDOW_DAYS = 90;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+export { DEFAULT_STATEMENT_MAPPING } from "./statementParser.js";
+
+const getBankLedger = async (ledgerId) => {
+    if (!mongoose.Types.ObjectId.isValid(ledgerId)) {
+        throw new AppError('Invalid ledger id', 400);
+    }
+    const ledger = await Ledger.findOne({ _id: ledgerId, isActive: true });
+    if (!ledger) {
+        throw new AppError('Ledger not found', 404);
+    }
+    return ledger;
+};
+
+// Identical lines in one file (two equal transfers on a day) are told apart by their occurrence
+const assignFingerprints = (lines) => {
+    const seen = new Map();
+    return lines.map(line => {
+        const text = String(line.reference || line.description).toUpperCase().replace(/\s+/g, ' ').trim();
+        const base = `${dayKey(line.date)}|${line.direction}|${line.amount.toFixed(2)}|${text}`;
+        const occurrence = (seen.get(base) || 0) + 1;
+        seen.set(base, occurrence);
+        return { ...line, fingerprint: `${base}#${occurrence}` };
+    });
+};
+
+const matchFields = (entry, method, userId) => ({
+    sourceType: entry.sourceType,
+    sourceId: entry.sourceId,
+    entryId: entry.entryId,
+    date: entry.date,
+    amount: entry.amount,
+    reference: entry.reference,
+    method,
+    matchedBy: userId,
+    matchedAt: new Date()
+});
+
+const periodAround = (lines, dateWindowDays) => {
+    const times = lines.map(line => new Date(line.date).getTime());
+    return {
+        from: new Date(Math.min(...times) - dateWindowDays * DAY_MS),
+        to: new Date(Math.max(...times) + dateWindowDays * DAY_MS)
+    };
+};
+
+/**
+ * Import a bank statement file and auto-match its lines
+ * Lines already imported from an overlapping statement are skipped.
+ * @param {Object} options - { ledgerId, buffer, fileName, mapping, dateWindowDays, userId }
+ * @returns {Promise<Object>} - { statement, lines }
+ */
+export const importBankStatement = async ({ ledgerId, buffer, fileName, mapping, dateWindowDays = 3, userId }) => {
+    const ledger = await getBankLedger(ledgerId);
+    const parsed = parseBankStatement(buffer, fileName, mapping || ledger.statementMapping?.toObject?.() || {});
+    if (parsed.length === 0) {
+        throw new AppError('No transactions found in the statement file', 400);
+    }
+
+    const withFingerprints = assignFingerprints(parsed);
+    const existing = await BankStatementLine.find({
+        ledger: ledger._id,
+        fingerprint: { $in: withFingerprints.map(line => line.fingerprint) }
+    }).select('fingerprint').lean();
+    const existingFingerprints = new Set(existing.map(line => line.fingerprint));
+    const fresh = withFingerprints.filter(line => !existingFingerprints.has(line.fingerprint));
+
+    const bookEntries = fresh.length ? await getUnreconciledBookEntries(ledger._id, periodAround(fresh, dateWindowDays)) : [];
+    const matches = matchStatementLines(fresh, bookEntries, { dateWindowDays });
+
+    const summary = {
+        totalLines: parsed.length,
+        importedLines: fresh.length,
+        duplicateLines: parsed.length - fresh.length,
+        autoMatched: matches.filter(m => m.entry).length,
+        totalCredit: round2(fresh.filter(l => l.direction === 'credit').reduce((sum, l) => sum + l.amount, 0)),
+        totalDebit: round2(fresh.filter(l => l.direction === 'debit').reduce((sum, l) => sum + l.amount, 0))
+    };
+    const dates = parsed.map(line => line.date.getTime());
+
+    return runInTransaction(async (session) => {
+        const [statement] = await BankStatement.create([{
+            ledger: ledger._id,
+            fileName,
+            periodFrom: new Date(Math.min(...dates)),
+            periodTo: new Date(Math.max(...dates)),
+            summary,
+            uploadedBy: userId
+        }], { session });
+
+        const lines = await BankStatementLine.insertMany(matches.map(({ line, entry, suggestions }) => ({
+            statement: statement._id,
+            ledger: ledger._id,
+            date: line.date,
+            description: line.description,
+            reference: line.reference,
+            direction: line.direction,
+            amount: line.amount,
+            balance: line.balance,
+            fingerprint: line.fingerprint,
+            status: entry ? 'reconciled' : 'unreconciled',
+            match: entry ? matchFields(entry, 'auto', userId) : undefined,
+            suggestions
+        })), { session });
+
+        return { statement, lines };
+    }, 'import bank statement');
+};
+
+/**
+ * Retry the auto match for every unreconciled line of a ledger
+ * @returns {Promise<Object>} - { checked, matched }
+ */
+export const rematchLedger = async ({ ledgerId, dateWindowDays = 3, userId }) => {
+    const ledger = await getBankLedger(ledgerId);
+    const lines = await BankStatementLine.find({ ledger: ledger._id, status: 'unreconciled' }).sort({ date: 1 });
+    if (lines.length === 0) return { checked: 0, matched: 0 };
+
+    const bookEntries = await getUnreconciledBookEntries(ledger._id, periodAround(lines, dateWindowDays));
+    const matches = matchStatementLines(lines, bookEntries, { dateWindowDays });
+
+    let matched = 0;
+    await runInTransaction(async (session) => {
+        for (const { line, entry, suggestions } of matches) {
+            if (entry) {
+                line.status = 'reconciled';
+                line.match = matchFields(entry, 'auto', userId);
+                line.suggestions = [];
+                matched += 1;
+            } else {
+                line.suggestions = suggestions;
+            }
+            await line.save({ session });
+        }
+    }, 'rematch bank statement');
+
+    return { checked: lines.length, matched };
+};
+
+/**
+ * Reconcile a line with a book entry picked by hand
+ * The amount may differ (bank charges deducted at source); the direction may not.
+ * @param {Object} options - { lineId, sourceType, sourceId, entryId, notes, userId }
+ */
+export const matchLineManually = async ({ lineId, sourceType, sourceId, entryId, notes, userId }) => {
+    const line = await BankStatementLine.findById(lineId);
+    if (!line) throw new AppError('Statement line not found', 404);
+    if (line.status === 'reconciled') throw new AppError('Statement line is already reconciled; unmatch it first', 409);
+
+    const windowMs = MANUAL_MATCH_WINDOW_DAYS * DAY_MS;
+    const candidates = await getBookEntries(line.ledger, {
+        from: new Date(line.date.getTime() - windowMs),
+        to: new Date(line.date.getTime() + windowMs)
+    });
+    const wantedKey = bookEntryKey({ sourceType, sourceId, entryId });
+    const entry = candidates.find(candidate => bookEntryKey(candidate) === wantedKey);
+    if (!entry) {
+        throw new AppError(`No ${sourceType} entry on this bank ledger within ${MANUAL_MATCH_WINDOW_DAYS} days of the statement line`, 404);
+    }
+    if (entry.direction !== line.direction) {
+        throw new AppError(`The statement line is a ${line.direction} but the book entry is a ${entry.direction}`, 400);
+    }
+
+    const taken = await BankStatementLine.findOne({
+        _id: { $ne: line._id },
+        status: 'reconciled',
+        'match.sourceType': entry.sourceType,
+        'match.sourceId': entry.sourceId,
+        'match.entryId': entry.entryId || null
+    }).select('_id date amount');
+    if (taken) {
+        throw new AppError('This book entry is already reconciled with another statement line', 409);
+    }
+
+    line.status = 'reconciled';
+    line.match = matchFields(entry, 'manual', userId);
+    line.suggestions = [];
+    if (notes !== undefined) line.notes = notes;
+    await line.save();
+    return line;
+};
+
+/**
+ * Put a reconciled or ignored line back in the manual queue
+ */
+export const unmatchLine = async ({ lineId }) => {
+    const line = await BankStatementLine.findById(lineId);
+    if (!line) throw new AppError('Statement line not found', 404);
+    if (line.status === 'unreconciled') throw new AppError('Statement line is not reconciled', 400);
+
+    line.status = 'unreconciled';
+    line.match = undefined;
+    await line.save();
+    return line;
+};
+
+/**
+ * Mark a line that has no book entry on purpose (bank charges, interest) as ignored
+ */
+export const ignoreLine = async ({ lineId, notes }) => {
+    const line = await BankStatementLine.findById(lineId);
+    if (!line) throw new AppError('Statement line not found', 404);
+    if (line.status === 'reconciled') throw new AppError('Statement line is reconciled; unmatch it first', 409);
+
+    line.status = 'ignored';
+    line.suggestions = [];
+    if (notes !== undefined) line.notes = notes;
+    await line.save();
+    return line;
+};
+
+/**
+ * Reconciliation position of a bank ledger for a period
+ * @returns {Promise<Object>} - { ledger, period, statement: { [status]: { count, amount } }, unreconciledBook: { count, credit, debit, entries } }
+ */
+export const getReconciliationSummary = async ({ ledgerId, from, to }) => {
+    const ledger = await getBankLedger(ledgerId);
+
+    const [byStatus, lastLine, unreconciledBook] = await Promise.all([
+        BankStatementLine.aggregate([
+            { $match: { ledger: ledger._id, date: { $gte: from, $lte: to } } },
+            { $group: { _id: { status: '$status', direction: '$direction' }, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+        ]),
+        BankStatementLine.findOne({ ledger: ledger._id, date: { $lte: to }, balance: { $ne: null } }).sort({ date: -1, createdAt: -1 }).lean(),
+        getUnreconciledBookEntries(ledger._id, { from, to })
+    ]);
+
+    const statement = {};
+    byStatus.forEach(row => {
+        const bucket = statement[row._id.status] || { count: 0, credit: 0, debit: 0 };
+        bucket.count += row.count;
+        bucket[row._id.direction] = round2(bucket[row._id.direction] + row.amount);
+        statement[row._id.status] = bucket;
+    });
+
+    return {
+        ledger: { id: ledger._id, name: ledger.name },
+        period: { from, to },
+        statement,
+        lastStatementBalance: lastLine ? { date: lastLine.date, balance: lastLine.balance } : null,
+        unreconciledBook: {
+            count: unreconciledBook.length,
+            credit: round2(unreconciledBook.filter(e => e.direction === 'credit').reduce((sum, e) => sum + e.amount, 0)),
+            debit: round2(unreconciledBook.filter(e => e.direction === 'debit').reduce((sum, e) => sum + e.amount, 0)),
+            entries: unreconciledBook
+        }
+    };
+};
@@ -0,0 +1,74 @@
+import { bookEntryKey } from './bookEntries.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.01;
+// Shorter references (bill numbers like "12") match too much free text to be trusted
+const MIN_REFERENCE_LENGTH = 6;
+const MAX_SUGGESTIONS = 5;
+
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const referenceMatches = (line, entry) => {
+    const reference = normalizeReference(entry.reference);
+    if (reference.length < MIN_REFERENCE_LENGTH) return false;
+    return normalizeReference(`${line.reference} ${line.description}`).includes(reference);
+};
+
+const toSuggestion = (entry) => ({
+    sourceType: entry.sourceType,
+    sourceId: entry.sourceId,
+    entryId: entry.entryId,
+    date: entry.date,
+    amount: entry.amount,
+    reference: entry.reference,
+    description: entry.description
+});
+
+/**
+ * Pair statement lines with book entries
+ * A candidate must have the same direction and amount and fall within the date window.
+ * A UTR/reference found in the line's text decides between candidates; otherwise only a
+ * single candidate is accepted. Ambiguous lines get suggestions for manual matching.
+ * Each book entry is used at most once.
+ * @param {Array} lines - Statement lines (plain objects or documents), oldest first
+ * @param {Array} bookEntries - getUnreconciledBookEntries() result
+ * @param {Object} options - { dateWindowDays }
+ * @returns {Array} - [{ line, entry, suggestions }] in the order of `lines`
+ */
+export const matchStatementLines = (lines, bookEntries, { dateWindowDays = 3 } = {}) => {
+    const used = new Set();
+    const windowMs = dateWindowDays * DAY_MS;
+
+    const candidatesFor = (line) => bookEntries.filter(entry => (
+        !used.has(bookEntryKey(entry)) &&
+        entry.direction === line.direction &&
+        Math.abs(entry.amount - line.amount) <= AMOUNT_TOLERANCE &&
+        Math.abs(new Date(entry.date) - new Date(line.date)) <= windowMs
+    ));
+
+    // Lines whose reference pins a single entry go first so they are not robbed by an amount-only match
+    const results = lines.map(line => ({ line, entry: null, suggestions: [] }));
+    const byReference = (result) => candidatesFor(result.line).filter(entry => referenceMatches(result.line, entry));
+
+    results.forEach(result => {
+        const hits = byReference(result);
+        if (hits.length === 1) {
+            result.entry = hits[0];
+            used.add(bookEntryKey(hits[0]));
+        }
+    });
+
+    results.forEach(result => {
+        if (result.entry) return;
+        const candidates = candidatesFor(result.line)
+            .sort((a, b) => Math.abs(new Date(a.date) - new Date(result.line.date)) - Math.abs(new Date(b.date) - new Date(result.line.date)));
+        if (candidates.length === 1) {
+            result.entry = candidates[0];
+            used.add(bookEntryKey(candidates[0]));
+        } else {
+            result.suggestions = candidates.slice(0, MAX_SUGGESTIONS).map(toSuggestion);
+        }
+    });
+
+    return results;
+};
@@ -0,0 +1,149 @@
+import * as XLSX from 'xlsx';
+import AppError from '../../utils/AppError.js';
+
+export const DEFAULT_STATEMENT_MAPPING = {
+    headerRow: 1,
+    dateColumn: 'Date',
+    descriptionColumn: 'Description',
+    referenceColumn: 'Reference',
+    debitColumn: 'Debit',
+    creditColumn: 'Credit',
+    amountColumn: '',
+    balanceColumn: 'Balance',
+    dateFormat: 'DD/MM/YYYY'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeader = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Parse a statement date in the bank's format
+ * Excel date cells arrive as Date objects and are used as-is.
+ * @returns {Date|null}
+ */
+export const parseStatementDate = (value, format) => {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const parts = text.split(/[\s/.-]+/);
+    let day, month, year;
+    if (format === 'YYYY-MM-DD') {
+        [year, month, day] = parts;
+    } else if (format === 'MM/DD/YYYY') {
+        [month, day, year] = parts;
+    } else if (format === 'DD-MMM-YYYY') {
+        [day, month, year] = parts;
+        month = MONTHS.indexOf(String(month).slice(0, 3).toLowerCase()) + 1;
+    } else {
+        [day, month, year] = parts;
+    }
+
+    day = Number(day);
+    month = Number(month);
+    year = Number(year);
+    if (year < 100) year += 2000;
+    if (!day || !month || !year || month > 12 || day > 31) return null;
+
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Parse an amount cell: strips currency symbols and thousands separators, honours a Dr/Cr suffix
+ * @returns {Object} - { amount, sign } where sign is -1 for Dr or a leading minus, else 1
+ */
+export const parseStatementAmount = (value) => {
+    if (typeof value === 'number') return { amount: Math.abs(value), sign: value < 0 ? -1 : 1 };
+    const text = String(value ?? '').trim();
+    if (!text) return { amount: 0, sign: 1 };
+
+    const isDebit = /dr\.?$/i.test(text) || /^-|^\(.*\)$/.test(text);
+    const amount = Number(text.replace(/(cr|dr)\.?$/i, '').replace(/[^0-9.]/g, ''));
+    return { amount: isNaN(amount) ? 0 : amount, sign: isDebit ? -1 : 1 };
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Read a CSV/XLSX bank statement into normalised lines
+ * @param {Buffer} buffer - File contents
+ * @param {String} fileName - Used to tell CSV from Excel
+ * @param {Object} mapping - Ledger statementMapping (missing keys use DEFAULT_STATEMENT_MAPPING)
+ * @returns {Array} - [{ row, date, description, reference, direction, amount, balance }]
+ * @throws {AppError} 400 when the mapped columns are not in the header row
+ */
+export const parseBankStatement = (buffer, fileName, mapping = {}) => {
+    const config = { ...DEFAULT_STATEMENT_MAPPING, ...Object.fromEntries(Object.entries(mapping).filter(([, v]) => v !== undefined && v !== null)) };
+    const isCsv = /\.(csv|txt)$/i.test(fileName || '');
+
+    let workbook;
+    try {
+        // CSV cells are kept as text so dates are parsed with the bank's format, not guessed
+        workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: isCsv });
+    } catch (error) {
+        throw new AppError(`Could not read the statement file: ${error.message}`, 400);
+    }
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw new AppError('The statement file is empty', 400);
+
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+    const headers = (rows[config.headerRow - 1] || []).map(normalizeHeader);
+    const columnIndex = (name) => (name ? headers.indexOf(normalizeHeader(name)) : -1);
+
+    const columns = {
+        date: columnIndex(config.dateColumn),
+        description: columnIndex(config.descriptionColumn),
+        reference: columnIndex(config.referenceColumn),
+        debit: columnIndex(config.debitColumn),
+        credit: columnIndex(config.creditColumn),
+        amount: columnIndex(config.amountColumn),
+        balance: columnIndex(config.balanceColumn)
+    };
+    const missing = [];
+    if (columns.date < 0) missing.push(config.dateColumn);
+    if (columns.amount < 0 && (columns.debit < 0 || columns.credit < 0)) {
+        missing.push(config.amountColumn || `${config.debitColumn}/${config.creditColumn}`);
+    }
+    if (missing.length > 0) {
+        throw new AppError(`Columns not found in header row ${config.headerRow}: ${missing.join(', ')}`, 400);
+    }
+
+    const lines = [];
+    rows.slice(config.headerRow).forEach((cells, i) => {
+        const date = parseStatementDate(cells[columns.date], config.dateFormat);
+        // Opening/closing balance rows and footers have no valid date
+        if (!date) return;
+
+        let direction, amount;
+        if (columns.amount >= 0) {
+            const parsed = parseStatementAmount(cells[columns.amount]);
+            amount = parsed.amount;
+            direction = parsed.sign < 0 ? 'debit' : 'credit';
+        } else {
+            const debit = parseStatementAmount(cells[columns.debit]).amount;
+            const credit = parseStatementAmount(cells[columns.credit]).amount;
+            amount = credit || debit;
+            direction = credit ? 'credit' : 'debit';
+        }
+        if (!amount) return;
+
+        let balance;
+        if (columns.balance >= 0 && cells[columns.balance] !== '') {
+            const parsed = parseStatementAmount(cells[columns.balance]);
+            balance = round2(parsed.sign * parsed.amount);
+        }
+
+        lines.push({
+            row: config.headerRow + i + 1,
+            date,
+            description: columns.description >= 0 ? String(cells[columns.description]).trim() : '',
+            reference: columns.reference >= 0 ? String(cells[columns.reference]).trim() : '',
+            direction,
+            amount: round2(amount),
+            balance
+        });
+    });
+    return lines;
+};
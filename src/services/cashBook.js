@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+import Group from "../models/Group.js";
+import Ledger from "../models/Ledger.js";
+import AppError from "../utils/AppError.js";
+import { buildLedgerTransactions } from "./ledgerTransactions.js";
+import { formatDate } from "./pdf/pdfHelpers.js";
+
+// Predefined groups under Current Assets (see initializeGroups)
+const BOOK_GROUPS = { 'Cash-in-Hand': 'cash', 'Bank Accounts': 'bank' };
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Active ledgers under Cash-in-Hand or Bank Accounts, sub-groups included
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Array>} - Ledgers with `book` ('cash' | 'bank') and `groupName`
+ */
+export const getCashBankLedgers = async (session = null) => {
+    const groups = await Group.find({ isActive: true }).select('name parentGroup').session(session).lean();
+
+    // Walk down from each book group so ledgers in nested groups are picked up too
+    const bookByGroup = new Map();
+    const visit = (group, book) => {
+        bookByGroup.set(group._id.toString(), { book, name: group.name });
+        groups
+            .filter(child => child.parentGroup && child.parentGroup.toString() === group._id.toString())
+            .forEach(child => visit(child, book));
+    };
+    groups.filter(group => BOOK_GROUPS[group.name]).forEach(group => visit(group, BOOK_GROUPS[group.name]));
+
+    const ledgers = await Ledger.find({ group: { $in: [...bookByGroup.keys()] }, isActive: true })
+        .sort({ name: 1 })
+        .session(session)
+        .lean();
+
+    return ledgers.map(ledger => {
+        const { book, name } = bookByGroup.get(ledger.group.toString());
+        return { ...ledger, book, groupName: name };
+    });
+};
+
+const summarize = (result) => {
+    const movements = result.transactions.filter(t => t.type !== 'OPENING');
+    return {
+        openingBalance: result.openingBalance,
+        openingBalanceType: result.openingBalanceType,
+        receipts: round2(movements.reduce((sum, t) => sum + (t.debit || 0), 0)),
+        payments: round2(movements.reduce((sum, t) => sum + (t.credit || 0), 0)),
+        closingBalance: result.closingBalance,
+        closingBalanceType: result.closingBalanceType
+    };
+};
+
+/**
+ * Opening, receipts, payments and closing for every cash and bank ledger
+ * @param {Object} options - { startDate, endDate, book ('cash' | 'bank', optional) }
+ * @returns {Promise<Object>} - { ledgers, totals: { cash, bank } }
+ */
+export const buildCashBookSummary = async ({ startDate, endDate, book = null }) => {
+    const ledgers = (await getCashBankLedgers()).filter(ledger => !book || ledger.book === book);
+
+    const rows = [];
+    for (const ledger of ledgers) {
+        const result = await buildLedgerTransactions(ledger, { startDate, endDate });
+        rows.push({
+            ledgerId: ledger._id,
+            name: ledger.name,
+            book: ledger.book,
+            group: ledger.groupName,
+            ...summarize(result)
+        });
+    }
+
+    const totals = {};
+    rows.forEach(row => {
+        const total = totals[row.book] || (totals[row.book] = { ledgers: 0, receipts: 0, payments: 0 });
+        total.ledgers += 1;
+        total.receipts = round2(total.receipts + row.receipts);
+        total.payments = round2(total.payments + row.payments);
+    });
+
+    return { ledgers: rows, totals };
+};
+
+/**
+ * Cash book or bank book for one ledger, with running balances
+ * Built from the ledger transactions so it always agrees with the ledger view.
+ * @param {String} ledgerId
+ * @param {Object} period - { startDate, endDate }
+ */
+export const buildCashBook = async (ledgerId, { startDate, endDate }) => {
+    if (!mongoose.Types.ObjectId.isValid(ledgerId)) {
+        throw new AppError('Invalid ledger id', 400);
+    }
+
+    const ledger = (await getCashBankLedgers()).find(l => l._id.toString() === ledgerId);
+    if (!ledger) {
+        const exists = await Ledger.exists({ _id: ledgerId });
+        throw exists
+            ? new AppError('Cash book is only available for Cash-in-Hand and Bank Accounts ledgers', 400)
+            : new AppError('Ledger not found', 404);
+    }
+
+    const result = await buildLedgerTransactions(ledger, { startDate, endDate });
+    return {
+        ...result,
+        book: ledger.book,
+        group: ledger.groupName,
+        summary: summarize(result)
+    };
+};
+
+export const cashBookSheets = (report) => [{
+    name: `${report.book === 'bank' ? 'Bank' : 'Cash'} Book - ${report.ledger.name}`,
+    rows: report.transactions.map(t => ({
+        'Date': formatDate(t.date),
+        'Type': t.type === 'OPENING' ? 'Opening Balance' : t.type,
+        'Reference': t.refNo,
+        'Particulars': t.description,
+        'Receipts': t.debit || '',
+        'Payments': t.credit || '',
+        'Balance': t.runningBalance,
+        'Dr/Cr': t.runningBalanceType === 'credit' ? 'Cr' : 'Dr'
+    }))
+}];
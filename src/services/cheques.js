@@ -0,0 +1,291 @@
+import mongoose from "mongoose";
+import Cheque from "../models/Cheque.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import DieselStation from "../models/DieselStation.js";
+import Voucher from "../models/Voucher.js";
+import Sequence from "../models/Sequence.js";
+import AppError from "../utils/AppError.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { assertPeriodUnlocked, dayKey } from "../utils/periodLock.js";
+import { applyVoucherBalances } from "./voucherPosting.js";
+
+const PARTY_MODELS = {
+    customer: { Model: Customer, label: 'Customer', nameOf: (doc) => doc.shopName || doc.ownerName },
+    vendor: { Model: Vendor, label: 'Vendor', nameOf: (doc) => doc.vendorName },
+    ledger: { Model: Ledger, label: 'Ledger', nameOf: (doc) => doc.name },
+    dieselStation: { Model: DieselStation, label: 'Diesel station', nameOf: (doc) => doc.name }
+};
+
+export const CHEQUE_PARTY_TYPES = Object.keys(PARTY_MODELS);
+
+// Cheques that have not reached the bank's final answer yet
+export const PENDING_CHEQUE_STATUSES = ['received', 'issued', 'deposited'];
+
+// Allowed status changes per direction; bounced is final (record a fresh entry when re-presented)
+const TRANSITIONS = {
+    received: { deposited: ['received'], cleared: ['deposited'], bounced: ['deposited', 'cleared'] },
+    issued: { cleared: ['issued'], bounced: ['issued', 'cleared'] }
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+const parseDate = (value, field) => {
+    if (!value) return new Date();
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new AppError(`Invalid ${field}`, 400);
+    }
+    return date;
+};
+
+/**
+ * Load a cheque party and its display name
+ * @returns {Promise<Object>} - { doc, name }
+ */
+export const resolveChequeParty = async (partyType, partyId, session = null) => {
+    const config = PARTY_MODELS[partyType];
+    if (!config) {
+        throw new AppError(`Party type must be one of: ${CHEQUE_PARTY_TYPES.join(', ')}`, 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(partyId)) {
+        throw new AppError('Invalid party id', 400);
+    }
+    const doc = await config.Model.findById(partyId).session(session);
+    if (!doc) {
+        throw new AppError(`${config.label} not found`, 404);
+    }
+    return { doc, name: config.nameOf(doc) || config.label };
+};
+
+export const resolveBankLedger = async (ledgerId, session = null) => {
+    if (!mongoose.Types.ObjectId.isValid(ledgerId)) {
+        throw new AppError('Invalid bank account ledger id', 400);
+    }
+    const ledger = await Ledger.findOne({ _id: ledgerId, isActive: true }).session(session);
+    if (!ledger) {
+        throw new AppError('Bank account ledger not found', 404);
+    }
+    return ledger;
+};
+
+/**
+ * Raise a Payment/Receipt voucher for a cheque and post it to the party and bank balances
+ * A bounce posts its own voucher of the opposite type, so the reversal shows in the books.
+ */
+const createChequeVoucher = async (cheque, voucherType, { date, narration, session, userId }) => {
+    const { name } = await resolveChequeParty(cheque.partyType, cheque.partyId, session);
+    const account = await resolveBankLedger(cheque.account, session);
+
+    const voucherNumber = await Sequence.getNextValue('voucherNumber', session);
+    const [voucher] = await Voucher.create([{
+        voucherNumber,
+        voucherType,
+        date,
+        partyName: name,
+        parties: [{ partyId: cheque.partyId, partyType: cheque.partyType, amount: cheque.amount }],
+        account: account._id,
+        narration,
+        cheque: cheque._id,
+        createdBy: userId,
+        updatedBy: userId
+    }], { session });
+
+    await applyVoucherBalances(voucher, { session, userId });
+
+    return voucher;
+};
+
+/**
+ * Journal for bank charges on a bounced cheque
+ * Debits the charges ledger, or the party when the charges are recovered from them,
+ * and credits the bank account.
+ */
+const createChargesJournal = async (cheque, { amount, chargesLedgerId, recoverFromParty, date, session, userId }) => {
+    const account = await resolveBankLedger(cheque.account, session);
+
+    let debitDoc;
+    let debitName;
+    let debitType = 'ledger';
+    if (recoverFromParty) {
+        const party = await resolveChequeParty(cheque.partyType, cheque.partyId, session);
+        debitDoc = party.doc;
+        debitName = party.name;
+        debitType = cheque.partyType;
+    } else {
+        if (!chargesLedgerId) {
+            throw new AppError('Bank charges ledger is required unless the charges are recovered from the party', 400);
+        }
+        if (!mongoose.Types.ObjectId.isValid(chargesLedgerId)) {
+            throw new AppError('Invalid bank charges ledger id', 400);
+        }
+        debitDoc = await Ledger.findOne({ _id: chargesLedgerId, isActive: true }).session(session);
+        if (!debitDoc) {
+            throw new AppError('Bank charges ledger not found', 404);
+        }
+        debitName = debitDoc.name;
+    }
+
+    const narration = `Bank charges on bounced cheque No. ${cheque.chequeNumber}`;
+    const voucherNumber = await Sequence.getNextValue('voucherNumber', session);
+    const [voucher] = await Voucher.create([{
+        voucherNumber,
+        voucherType: 'Journal',
+        date,
+        partyName: recoverFromParty ? debitName : undefined,
+        entries: [
+            { account: debitName, partyId: debitDoc._id, partyType: debitType, debitAmount: amount, creditAmount: 0, narration },
+            { account: account.name, partyId: account._id, partyType: 'ledger', debitAmount: 0, creditAmount: amount, narration }
+        ],
+        narration,
+        cheque: cheque._id,
+        createdBy: userId,
+        updatedBy: userId
+    }], { session });
+
+    await applyVoucherBalances(voucher, { session, userId });
+
+    return voucher;
+};
+
+const loadChequeForTransition = async (id, nextStatus, session) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Invalid cheque id', 400);
+    }
+    const cheque = await Cheque.findOne({ _id: id, isActive: true }).session(session);
+    if (!cheque) {
+        throw new AppError('Cheque not found', 404);
+    }
+    const allowedFrom = TRANSITIONS[cheque.direction][nextStatus];
+    if (!allowedFrom || !allowedFrom.includes(cheque.status)) {
+        throw new AppError(`A ${cheque.direction} cheque cannot be marked ${nextStatus} while it is ${cheque.status}`, 400);
+    }
+    return cheque;
+};
+
+const assertNotBeforeChequeDate = (cheque, date, action) => {
+    if (startOfDay(date) < startOfDay(cheque.chequeDate)) {
+        throw new AppError(`Cheque is dated ${dayKey(cheque.chequeDate)} and cannot be ${action} before that`, 400);
+    }
+};
+
+const recordStatus = (cheque, status, date, note, userId) => {
+    cheque.status = status;
+    cheque.statusHistory.push({ status, date, note, changedBy: userId, changedAt: new Date() });
+    cheque.updatedBy = userId;
+};
+
+/**
+ * Mark a received cheque as deposited into a bank account
+ * @param {String} id - Cheque id
+ * @param {Object} options - { date, account, note, userId }
+ */
+export const depositCheque = async (id, { date, account, note, userId }) => runInTransaction(async (session) => {
+    const cheque = await loadChequeForTransition(id, 'deposited', session);
+    const depositedDate = parseDate(date, 'deposit date');
+    assertNotBeforeChequeDate(cheque, depositedDate, 'deposited');
+
+    const ledgerId = account || cheque.account;
+    if (!ledgerId) {
+        throw new AppError('Bank account ledger is required to deposit the cheque', 400);
+    }
+    await resolveBankLedger(ledgerId, session);
+
+    cheque.account = ledgerId;
+    cheque.depositedDate = depositedDate;
+    recordStatus(cheque, 'deposited', depositedDate, note, userId);
+    await cheque.save({ session });
+    return cheque;
+}, 'deposit cheque');
+
+/**
+ * Mark a cheque as cleared and raise its Receipt (received) or Payment (issued) voucher
+ * @param {String} id - Cheque id
+ * @param {Object} options - { date, note, userId }
+ */
+export const clearCheque = async (id, { date, note, userId }) => runInTransaction(async (session) => {
+    const cheque = await loadChequeForTransition(id, 'cleared', session);
+    const clearedDate = parseDate(date, 'clearing date');
+    assertNotBeforeChequeDate(cheque, clearedDate, 'cleared');
+    if (cheque.depositedDate && startOfDay(clearedDate) < startOfDay(cheque.depositedDate)) {
+        throw new AppError('Clearing date cannot be before the deposit date', 400);
+    }
+    if (!cheque.account) {
+        throw new AppError('Bank account ledger is required to clear the cheque', 400);
+    }
+    await assertPeriodUnlocked(clearedDate, { module: 'voucher', action: 'clear this cheque', session });
+
+    const voucherType = cheque.direction === 'received' ? 'Receipt' : 'Payment';
+    const voucher = await createChequeVoucher(cheque, voucherType, {
+        date: clearedDate,
+        narration: `Cheque No. ${cheque.chequeNumber} (${cheque.bankName}) cleared${cheque.narration ? ` - ${cheque.narration}` : ''}`,
+        session,
+        userId
+    });
+
+    cheque.voucher = voucher._id;
+    cheque.clearedDate = clearedDate;
+    recordStatus(cheque, 'cleared', clearedDate, note, userId);
+    await cheque.save({ session });
+    return cheque;
+}, 'clear cheque');
+
+/**
+ * Mark a cheque as bounced
+ * A cleared cheque gets a voucher of the opposite type that reverses the original.
+ * Bank charges, when given, are booked through a journal against the bank account.
+ * @param {String} id - Cheque id
+ * @param {Object} options - { date, reason, bankCharges, chargesLedger, recoverFromParty, userId }
+ */
+export const bounceCheque = async (id, { date, reason, bankCharges, chargesLedger, recoverFromParty = false, userId }) => runInTransaction(async (session) => {
+    const cheque = await loadChequeForTransition(id, 'bounced', session);
+    const bouncedDate = parseDate(date, 'bounce date');
+    if (cheque.voucher || bankCharges) {
+        await assertPeriodUnlocked(bouncedDate, { module: 'voucher', action: 'bounce this cheque', session });
+    }
+
+    const charges = round2(bankCharges);
+    if (charges < 0) {
+        throw new AppError('Bank charges cannot be negative', 400);
+    }
+    if (charges > 0 && !cheque.account) {
+        throw new AppError('Bank account ledger is required to book bank charges', 400);
+    }
+
+    if (cheque.voucher) {
+        const reversalType = cheque.direction === 'received' ? 'Payment' : 'Receipt';
+        const reversal = await createChequeVoucher(cheque, reversalType, {
+            date: bouncedDate,
+            narration: `Reversal of cheque No. ${cheque.chequeNumber} (${cheque.bankName}) bounced${reason ? `: ${reason}` : ''}`,
+            session,
+            userId
+        });
+        cheque.reversalVoucher = reversal._id;
+    }
+
+    if (charges > 0) {
+        const journal = await createChargesJournal(cheque, {
+            amount: charges,
+            chargesLedgerId: chargesLedger,
+            recoverFromParty: Boolean(recoverFromParty),
+            date: bouncedDate,
+            session,
+            userId
+        });
+        cheque.chargesVoucher = journal._id;
+        cheque.bankCharges = charges;
+    }
+
+    cheque.bouncedDate = bouncedDate;
+    cheque.bounceReason = reason;
+    recordStatus(cheque, 'bounced', bouncedDate, reason, userId);
+    await cheque.save({ session });
+    return cheque;
+}, 'bounce cheque');
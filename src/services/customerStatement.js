@@ -0,0 +1,258 @@
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import IndirectSale from "../models/IndirectSale.js";
+import Voucher from "../models/Voucher.js";
+import Payment from "../models/Payment.js";
+import AppError from "../utils/AppError.js";
+import { fromSignedValue, getFinancialYearStartDate } from "../utils/balanceUtils.js";
+import { partyEntryClauses } from "./voucherPosting.js";
+import { getCarriedForwardBalances, carriedOpeningSigned } from "./yearEndClose.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Parse the statement period from query strings
+ * Defaults to the current financial year up to today; the end date is inclusive.
+ * @returns {Object} - { from, to }
+ */
+export const parseStatementPeriod = (startDate, endDate) => {
+    const to = endDate ? new Date(endDate) : new Date();
+    const from = startDate ? new Date(startDate) : getFinancialYearStartDate(to);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new AppError('Invalid startDate or endDate', 400);
+    }
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+    if (from > to) {
+        throw new AppError('startDate must be before endDate', 400);
+    }
+    return { from, to };
+};
+
+// Split a sale/receipt into its sale line and the payment/discount lines that follow it
+const pushSaleLines = (lines, { date, reference, saleAmount, details, cashPaid, onlinePaid, discount, source }) => {
+    if (saleAmount > 0) {
+        lines.push({ date, particulars: 'SALES', reference, details, debit: saleAmount, credit: 0, source });
+    }
+    if (cashPaid > 0) {
+        lines.push({ date, particulars: 'BY CASH RECEIPT', reference, details: '', debit: 0, credit: cashPaid, source });
+    }
+    if (onlinePaid > 0) {
+        lines.push({ date, particulars: 'BY BANK RECEIPT', reference, details: '', debit: 0, credit: onlinePaid, source });
+    }
+    if (discount > 0) {
+        lines.push({ date, particulars: 'DISCOUNT', reference, details: '', debit: 0, credit: discount, source });
+    }
+};
+
+const describeBirds = (birds, weight, rate) => {
+    if (!birds && !weight) return '';
+    return `${birds || 0} birds, ${round2(weight)} kg @ ${round2(rate)}`;
+};
+
+/**
+ * Collect every transaction that moves each customer's balance, oldest first
+ * Trip sales, inventory stock sales/receipts, indirect sales, vouchers and verified payments.
+ * Payments tied to a trip sale are skipped (the sale already carries them), and so are
+ * vouchers raised by payment verification (the payment itself is listed).
+ * @param {Array} customers - Customer documents (lean or hydrated)
+ * @returns {Promise<Map>} - customerId string -> lines
+ */
+export const collectCustomerLines = async (customers) => {
+    const customerIds = customers.map(c => c._id);
+    const linesByCustomer = new Map(customers.map(c => [c._id.toString(), []]));
+    // Journal/contra entries reference the account by id; older ones only name it
+    const customersByName = new Map();
+    customers.forEach(c => {
+        [...new Set([c.shopName, c.ownerName].filter(Boolean))].forEach(name => {
+            if (!customersByName.has(name)) customersByName.set(name, []);
+            customersByName.get(name).push(c._id.toString());
+        });
+    });
+    const customerNames = [...customersByName.keys()];
+    const push = (customerId, line) => linesByCustomer.get(customerId.toString())?.push(line);
+
+    const [trips, stocks, indirectSales, vouchers, payments] = await Promise.all([
+        Trip.find({ 'sales.client': { $in: customerIds } }).select('tripId sales').lean(),
+        InventoryStock.find({ customerId: { $in: customerIds }, type: { $in: ['sale', 'receipt'] } }).lean(),
+        IndirectSale.find({ customer: { $in: customerIds }, isActive: true }).select('customer invoiceNumber date sales summary').lean(),
+        Voucher.find({
+            isActive: true,
+            $or: [
+                { parties: { $elemMatch: { partyId: { $in: customerIds }, partyType: 'customer' } } },
+                ...partyEntryClauses('customer', customerIds, customerNames)
+            ]
+        }).lean(),
+        Payment.find({ customer: { $in: customerIds }, status: 'verified', isActive: true, sale: null }).lean()
+    ]);
+
+    trips.forEach(trip => {
+        (trip.sales || []).forEach(sale => {
+            if (!sale.client || !linesByCustomer.has(sale.client.toString())) return;
+            const lines = [];
+            pushSaleLines(lines, {
+                date: sale.timestamp,
+                reference: sale.billNumber || trip.tripId,
+                saleAmount: sale.isReceipt ? 0 : round2(sale.amount),
+                details: describeBirds(sale.birds, sale.weight, sale.rate),
+                cashPaid: round2(sale.cashPaid),
+                onlinePaid: round2(sale.onlinePaid),
+                discount: round2(sale.discount),
+                source: 'trip'
+            });
+            lines.forEach(line => push(sale.client, line));
+        });
+    });
+
+    stocks.forEach(stock => {
+        const lines = [];
+        pushSaleLines(lines, {
+            date: stock.date,
+            reference: stock.billNumber || stock.refNo || '',
+            saleAmount: stock.type === 'sale' ? round2(stock.amount) : 0,
+            details: describeBirds(stock.birds, stock.weight, stock.rate),
+            cashPaid: round2(stock.cashPaid),
+            onlinePaid: round2(stock.onlinePaid),
+            discount: round2(stock.discount),
+            source: 'inventoryStock'
+        });
+        lines.forEach(line => push(stock.customerId, line));
+    });
+
+    indirectSales.forEach(record => {
+        const amount = round2(record.summary?.salesAmount);
+        if (amount <= 0) return;
+        push(record.customer, {
+            date: record.date,
+            particulars: 'SALES',
+            reference: record.invoiceNumber || '',
+            details: describeBirds(record.sales?.birds, record.sales?.weight, record.sales?.rate),
+            debit: amount,
+            credit: 0,
+            source: 'indirectSale'
+        });
+    });
+
+    vouchers.forEach(voucher => {
+        const reference = `VCH-${voucher.voucherNumber}`;
+        if (voucher.voucherType === 'Payment' || voucher.voucherType === 'Receipt') {
+            if (voucher.payment) return;
+            const amountByCustomer = new Map();
+            (voucher.parties || []).forEach(p => {
+                if (!p.partyId || p.partyType !== 'customer' || !linesByCustomer.has(p.partyId.toString())) return;
+                const id = p.partyId.toString();
+                amountByCustomer.set(id, (amountByCustomer.get(id) || 0) + (Number(p.amount) || 0));
+            });
+            const isPayment = voucher.voucherType === 'Payment';
+            amountByCustomer.forEach((amount, customerId) => {
+                if (amount <= 0) return;
+                push(customerId, {
+                    date: voucher.date,
+                    particulars: isPayment ? 'PAYMENT' : 'RECEIPT',
+                    reference,
+                    details: voucher.narration || '',
+                    debit: isPayment ? round2(amount) : 0,
+                    credit: isPayment ? 0 : round2(amount),
+                    source: 'voucher'
+                });
+            });
+        } else {
+            (voucher.entries || []).forEach(entry => {
+                const matches = entry.partyId
+                    ? (entry.partyType === 'customer' && linesByCustomer.has(entry.partyId.toString()) ? [entry.partyId.toString()] : null)
+                    : customersByName.get(entry.account);
+                if (!matches) return;
+                const debit = round2(entry.debitAmount);
+                const credit = round2(entry.creditAmount);
+                if (!debit && !credit) return;
+                matches.forEach(customerId => push(customerId, {
+                    date: voucher.date,
+                    particulars: voucher.voucherType.toUpperCase(),
+                    reference,
+                    details: entry.narration || voucher.narration || '',
+                    debit,
+                    credit,
+                    source: 'voucher'
+                }));
+            });
+        }
+    });
+
+    payments.forEach(payment => {
+        push(payment.customer, {
+            date: payment.verifiedAt || payment.createdAt,
+            particulars: payment.paymentMethod === 'cash' ? 'BY CASH RECEIPT' : 'BY BANK RECEIPT',
+            reference: payment.verificationDetails?.transactionId || `PAY-${payment._id.toString().slice(-6)}`,
+            details: '',
+            debit: 0,
+            credit: round2(payment.amount),
+            source: 'payment'
+        });
+    });
+
+    // Stable sort keeps a sale's own payment lines right after it
+    linesByCustomer.forEach((lines, customerId) => {
+        linesByCustomer.set(customerId, lines
+            .map((line, order) => ({ ...line, date: new Date(line.date), order }))
+            .sort((a, b) => (a.date - b.date) || (a.order - b.order))
+            .map(line => {
+                delete line.order;
+                return line;
+            }));
+    });
+    return linesByCustomer;
+};
+
+/**
+ * Build a customer account statement for a period
+ * Everything before `from` is rolled into the opening balance, starting from the
+ * balance carried forward by the latest year-end close (or the customer's own opening
+ * balance when no year is closed). Balances use the signed convention (debit = customer owes us).
+ * @param {Object} customer - Customer document (lean or hydrated)
+ * @param {Object} period - { from, to } from parseStatementPeriod
+ * @returns {Object} - { customer, period, openingBalance, entries, totals, closingBalance }
+ */
+export const buildCustomerStatement = async (customer, { from, to }) => {
+    const [linesByCustomer, carried] = await Promise.all([
+        collectCustomerLines([customer]),
+        getCarriedForwardBalances(from, { partyType: 'customer', partyIds: customer._id })
+    ]);
+    const lines = linesByCustomer.get(customer._id.toString());
+
+    let running = carriedOpeningSigned(carried, 'customer', customer, 'debit');
+    const entries = [];
+    const totals = { debit: 0, credit: 0 };
+
+    lines.forEach(line => {
+        if (line.date > to) return;
+        // Already inside the carried-forward opening
+        if (carried && line.date < carried.yearStart) return;
+        running = round2(running + line.debit - line.credit);
+        if (line.date < from) return;
+
+        totals.debit = round2(totals.debit + line.debit);
+        totals.credit = round2(totals.credit + line.credit);
+        entries.push({ ...line, balance: fromSignedValue(running) });
+    });
+
+    const closingSigned = running;
+    const openingSigned = round2(closingSigned - totals.debit + totals.credit);
+
+    return {
+        customer: {
+            _id: customer._id,
+            shopName: customer.shopName,
+            ownerName: customer.ownerName,
+            contact: customer.contact,
+            place: customer.place,
+            address: customer.address,
+            gstOrPanNumber: customer.gstOrPanNumber
+        },
+        period: { from, to },
+        openingBalance: fromSignedValue(openingSigned),
+        entries,
+        totals,
+        closingBalance: fromSignedValue(closingSigned)
+    };
+};
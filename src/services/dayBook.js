@@ -0,0 +1,316 @@
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import IndirectSale from "../models/IndirectSale.js";
+import Voucher from "../models/Voucher.js";
+import { populateVoucherParties } from "../utils/balanceUtils.js";
+import { formatDate } from "./pdf/pdfHelpers.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const partyName = (party) => party?.shopName || party?.ownerName || party?.vendorName || party?.name || '';
+
+const STOCK_VOUCHER_TYPES = {
+    opening: 'Opening Stock',
+    purchase: 'Purchase',
+    sale: 'Sales',
+    receipt: 'Receipt',
+    consume: 'Feed Consumption',
+    mortality: 'Stock Adjustment',
+    weight_loss: 'Stock Adjustment',
+    natural_weight_loss: 'Stock Adjustment'
+};
+
+/**
+ * Chronological journal of everything recorded between two dates
+ * Trip purchases/sales/receipts/diesel/expenses, inventory stock entries, indirect
+ * sales and vouchers are merged into one list. Debit and credit are from the point
+ * of view of the party on the row (a sale debits the customer, a purchase credits
+ * the vendor), the same way the entries post to balances.
+ * @param {Object} options - { from, to, voucherType }
+ * @returns {Promise<Object>} - { from, to, entries, summary }
+ */
+export const buildDayBook = async ({ from, to, voucherType = null }) => {
+    const range = { $gte: from, $lte: to };
+    const inRange = (date) => date && new Date(date) >= from && new Date(date) <= to;
+
+    const [trips, stocks, indirectSales, vouchers] = await Promise.all([
+        // Entries inside a trip carry their own timestamp, so a trip started earlier can still contribute
+        Trip.find({
+            $or: [
+                { date: range },
+                { 'purchases.timestamp': range },
+                { 'sales.timestamp': range },
+                { 'diesel.stations.timestamp': range },
+                { 'expenses.timestamp': range }
+            ]
+        })
+            .select('tripId date purchases sales diesel expenses')
+            .populate('purchases.supplier', 'vendorName')
+            .populate('sales.client', 'shopName ownerName')
+            .populate('diesel.stations.dieselStation', 'name')
+            .populate('diesel.stations.paymentLedger', 'name')
+            .populate('sales.cashLedger', 'name')
+            .populate('sales.onlineLedger', 'name')
+            .lean(),
+        InventoryStock.find({ date: range })
+            .populate('vendorId', 'vendorName')
+            .populate('customerId', 'shopName ownerName')
+            .populate('ledgerId', 'name')
+            .populate('expenseLedgerId', 'name')
+            .lean(),
+        IndirectSale.find({ date: range, isActive: true })
+            .select('invoiceNumber date customer vendor summary')
+            .populate('customer', 'shopName ownerName')
+            .populate('vendor', 'vendorName')
+            .lean(),
+        Voucher.find({ date: range, isActive: true })
+            .populate('account', 'name')
+            .lean()
+    ]);
+
+    await populateVoucherParties(vouchers);
+
+    const entries = [];
+    const add = (entry) => {
+        const debit = round2(entry.debit);
+        const credit = round2(entry.credit);
+        entries.push({
+            date: entry.date,
+            voucherType: entry.voucherType,
+            reference: entry.reference || '-',
+            party: entry.party || '-',
+            particulars: entry.particulars || '',
+            debit,
+            credit,
+            source: entry.source,
+            sourceId: entry.sourceId,
+            status: entry.status || 'active'
+        });
+    };
+
+    // 1. Trips
+    trips.forEach(trip => {
+        const base = { source: 'trip', sourceId: trip._id };
+
+        (trip.purchases || []).forEach(purchase => {
+            const date = purchase.timestamp || trip.date;
+            if (!inRange(date)) return;
+            add({
+                ...base,
+                date,
+                voucherType: 'Purchase',
+                reference: purchase.dcNumber ? `${trip.tripId} / DC ${purchase.dcNumber}` : trip.tripId,
+                party: partyName(purchase.supplier) || purchase.vendorName,
+                particulars: `${purchase.birds} birds, ${purchase.weight} kg @ ${purchase.rate}`,
+                credit: purchase.amount
+            });
+        });
+
+        (trip.sales || []).forEach(sale => {
+            const date = sale.timestamp || trip.date;
+            if (!inRange(date)) return;
+            const party = partyName(sale.client) || sale.product;
+            const reference = sale.billNumber ? `${trip.tripId} / ${sale.billNumber}` : trip.tripId;
+
+            if (!sale.isReceipt) {
+                add({
+                    ...base,
+                    date,
+                    voucherType: 'Sales',
+                    reference,
+                    party,
+                    particulars: `${sale.birds} birds, ${sale.weight} kg @ ${sale.rate}`,
+                    debit: sale.amount
+                });
+            }
+
+            const received = (Number(sale.cashPaid) || 0) + (Number(sale.onlinePaid) || 0);
+            if (received > 0) {
+                const accounts = [
+                    sale.cashPaid > 0 ? `Cash ${sale.cashPaid}${sale.cashLedger?.name ? ` (${sale.cashLedger.name})` : ''}` : null,
+                    sale.onlinePaid > 0 ? `Online ${sale.onlinePaid}${sale.onlineLedger?.name ? ` (${sale.onlineLedger.name})` : ''}` : null
+                ].filter(Boolean);
+                add({
+                    ...base,
+                    date,
+                    voucherType: 'Receipt',
+                    reference,
+                    party,
+                    particulars: sale.narration || accounts.join(', '),
+                    credit: received
+                });
+            }
+
+            if (sale.discount > 0) {
+                add({ ...base, date, voucherType: 'Discount', reference, party, particulars: 'Discount allowed', credit: sale.discount });
+            }
+        });
+
+        (trip.diesel?.stations || []).forEach(station => {
+            const date = station.timestamp || trip.date;
+            if (!inRange(date)) return;
+            // Paid from a ledger: that ledger is credited instead of the station
+            const party = station.paymentLedger
+                ? partyName(station.paymentLedger)
+                : partyName(station.dieselStation) || station.stationName || station.name;
+            add({
+                ...base,
+                date,
+                voucherType: 'Diesel',
+                reference: station.indentNumber ? `${trip.tripId} / ${station.indentNumber}` : trip.tripId,
+                party,
+                particulars: station.narration || `${station.volume || 0} L @ ${station.rate || 0}`,
+                credit: station.amount
+            });
+        });
+
+        (trip.expenses || []).forEach(expense => {
+            const date = expense.timestamp || trip.date;
+            if (!inRange(date)) return;
+            add({
+                ...base,
+                date,
+                voucherType: 'Expense',
+                reference: trip.tripId,
+                party: expense.category,
+                particulars: expense.description,
+                debit: expense.amount
+            });
+        });
+    });
+
+    // 2. Inventory stock
+    stocks.forEach(stock => {
+        const base = {
+            source: 'inventoryStock',
+            sourceId: stock._id,
+            date: stock.date,
+            reference: stock.billNumber || stock.refNo
+        };
+        const amount = Number(stock.amount) || 0;
+        const quantity = stock.inventoryType === 'feed'
+            ? `${stock.bags || 0} bags, ${stock.feedQty || 0} kg`
+            : `${stock.birds || 0} birds, ${stock.weight || 0} kg`;
+
+        if (stock.type === 'purchase' || stock.type === 'opening') {
+            add({
+                ...base,
+                voucherType: STOCK_VOUCHER_TYPES[stock.type],
+                party: stock.inventoryType === 'feed' && stock.ledgerId ? partyName(stock.ledgerId) : partyName(stock.vendorId),
+                particulars: `${stock.inventoryType} ${quantity}`,
+                credit: amount
+            });
+        } else if (stock.type === 'sale' || stock.type === 'receipt') {
+            const party = partyName(stock.customerId);
+            if (stock.type === 'sale') {
+                add({ ...base, voucherType: 'Sales', party, particulars: `${stock.inventoryType} ${quantity}`, debit: amount });
+            }
+            const received = (Number(stock.cashPaid) || 0) + (Number(stock.onlinePaid) || 0);
+            if (received > 0) {
+                add({ ...base, voucherType: 'Receipt', party, particulars: stock.narration || 'Stock receipt', credit: received });
+            }
+            if (stock.discount > 0) {
+                add({ ...base, voucherType: 'Discount', party, particulars: 'Discount allowed', credit: stock.discount });
+            }
+        } else if (stock.type === 'consume') {
+            add({
+                ...base,
+                voucherType: STOCK_VOUCHER_TYPES.consume,
+                party: partyName(stock.expenseLedgerId),
+                particulars: quantity,
+                debit: amount
+            });
+        } else {
+            // Mortality and weight loss move stock only; listed for completeness
+            add({
+                ...base,
+                voucherType: STOCK_VOUCHER_TYPES[stock.type] || stock.type,
+                particulars: `${stock.type.replace(/_/g, ' ')}: ${quantity}`
+            });
+        }
+    });
+
+    // 3. Indirect sales
+    indirectSales.forEach(record => {
+        const base = { source: 'indirectSale', sourceId: record._id, date: record.date, reference: record.invoiceNumber };
+        add({ ...base, voucherType: 'Purchase', party: partyName(record.vendor), particulars: 'Indirect purchase', credit: record.summary?.totalPurchaseAmount });
+        add({ ...base, voucherType: 'Sales', party: partyName(record.customer), particulars: 'Indirect sale', debit: record.summary?.salesAmount });
+    });
+
+    // 4. Vouchers
+    vouchers.forEach(voucher => {
+        const base = {
+            source: 'voucher',
+            sourceId: voucher._id,
+            date: voucher.date,
+            voucherType: voucher.voucherType,
+            reference: `VCH-${voucher.voucherNumber}`,
+            status: voucher.status
+        };
+
+        if (voucher.voucherType === 'Payment' || voucher.voucherType === 'Receipt') {
+            // Payment debits the parties, Receipt credits them; the account is the other side
+            const isPayment = voucher.voucherType === 'Payment';
+            (voucher.parties || []).forEach(party => {
+                add({
+                    ...base,
+                    party: partyName(party.partyId) || voucher.partyName,
+                    particulars: voucher.narration || (voucher.account?.name ? `${isPayment ? 'From' : 'To'} ${voucher.account.name}` : ''),
+                    debit: isPayment ? party.amount : 0,
+                    credit: isPayment ? 0 : party.amount
+                });
+            });
+        } else {
+            (voucher.entries || []).forEach(entry => {
+                add({
+                    ...base,
+                    party: entry.account,
+                    particulars: entry.narration || voucher.narration,
+                    debit: entry.debitAmount,
+                    credit: entry.creditAmount
+                });
+            });
+        }
+    });
+
+    const filtered = voucherType ? entries.filter(entry => entry.voucherType === voucherType) : entries;
+    filtered.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const byType = {};
+    let totalDebit = 0;
+    let totalCredit = 0;
+    filtered.forEach(entry => {
+        const bucket = byType[entry.voucherType] || (byType[entry.voucherType] = { count: 0, debit: 0, credit: 0 });
+        bucket.count += 1;
+        bucket.debit = round2(bucket.debit + entry.debit);
+        bucket.credit = round2(bucket.credit + entry.credit);
+        totalDebit += entry.debit;
+        totalCredit += entry.credit;
+    });
+
+    return {
+        from,
+        to,
+        entries: filtered,
+        summary: {
+            count: filtered.length,
+            totalDebit: round2(totalDebit),
+            totalCredit: round2(totalCredit),
+            byType
+        }
+    };
+};
+
+export const dayBookSheets = (report) => [{
+    name: 'Day Book',
+    rows: report.entries.map(entry => ({
+        'Date': formatDate(entry.date),
+        'Voucher Type': entry.voucherType,
+        'Reference': entry.reference,
+        'Party': entry.party,
+        'Particulars': entry.particulars,
+        'Debit': entry.debit || '',
+        'Credit': entry.credit || '',
+        'Status': entry.status === 'cancelled' ? 'Cancelled' : ''
+    }))
+}];
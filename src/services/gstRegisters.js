@@ -0,0 +1,475 @@
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import IndirectSale from "../models/IndirectSale.js";
+import { getBusinessProfile } from "../utils/businessProfile.js";
+import { getGstConfig, computeGst, parseGstin, stateCodeOf, placeOfSupplyLabel } from "../utils/gst.js";
+import { formatDate } from "./pdf/pdfHelpers.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const TAX_FIELDS = ['invoiceValue', 'taxableValue', 'cgst', 'sgst', 'igst', 'totalTax', 'exemptValue'];
+
+const emptyTotals = () => Object.fromEntries(TAX_FIELDS.map(field => [field, 0]));
+
+const addTotals = (totals, row) => {
+    TAX_FIELDS.forEach(field => { totals[field] = round2(totals[field] + row[field]); });
+    return totals;
+};
+
+const customerName = (customer) => customer?.shopName || customer?.ownerName || '-';
+
+/**
+ * Sales or purchase register with GST worked out per line
+ * Lines come from trips, inventory stock and indirect sales, the same sources as the
+ * purchase/sales report. Tax uses the HSN and rate configured for the product type;
+ * purchases from vendors without a GSTIN carry no tax. Parties are B2B when they have a
+ * valid GSTIN. Without a GSTIN the party's state is unknown, so the supply is treated as
+ * intra-state.
+ * @param {String} kind - 'sales' | 'purchase'
+ * @param {Object} options - { from, to }
+ * @returns {Promise<Object>} - { kind, from, to, gstin, config, rows, totals: { all, b2b, b2c } }
+ */
+export const buildGstRegister = async (kind, { from, to }) => {
+    const range = { $gte: from, $lte: to };
+    const inRange = (date) => date && new Date(date) >= from && new Date(date) <= to;
+    const isSales = kind === 'sales';
+
+    const [config, business] = await Promise.all([getGstConfig(), getBusinessProfile()]);
+    const businessGstin = parseGstin(business.gstin);
+    const businessState = stateCodeOf(businessGstin);
+
+    const rows = [];
+    const add = ({ date, invoiceNumber, party, gstin, productType, quantity, value, source, sourceId }) => {
+        const invoiceValue = round2(value);
+        if (!invoiceValue) return;
+
+        const { hsn, rate: configuredRate } = config[productType];
+        // An unregistered supplier cannot charge GST
+        const rate = isSales || gstin ? configuredRate : 0;
+        const partyState = stateCodeOf(gstin);
+        const interState = Boolean(businessState && partyState && businessState !== partyState);
+
+        rows.push({
+            date,
+            invoiceNumber: invoiceNumber || '-',
+            party,
+            gstin: gstin || '',
+            supplyType: gstin ? 'B2B' : 'B2C',
+            placeOfSupply: (isSales ? partyState : businessState) || businessState || '',
+            interState,
+            productType,
+            hsn,
+            rate,
+            quantity: round2(quantity),
+            uqc: 'KGS',
+            invoiceValue,
+            ...computeGst(invoiceValue, rate, interState),
+            source,
+            sourceId
+        });
+    };
+
+    if (isSales) {
+        const [trips, stocks, indirectSales] = await Promise.all([
+            Trip.find({ $or: [{ date: range }, { 'sales.timestamp': range }] })
+                .select('tripId date sales')
+                .populate('sales.client', 'shopName ownerName gstOrPanNumber')
+                .lean(),
+            InventoryStock.find({ type: 'sale', date: range })
+                .populate('customerId', 'shopName ownerName gstOrPanNumber')
+                .lean(),
+            IndirectSale.find({ date: range, isActive: true })
+                .select('invoiceNumber date customer sales summary')
+                .populate('customer', 'shopName ownerName gstOrPanNumber')
+                .lean()
+        ]);
+
+        trips.forEach(trip => {
+            (trip.sales || []).forEach(sale => {
+                const date = sale.timestamp || trip.date;
+                if (sale.isReceipt || !inRange(date)) return;
+                add({
+                    date,
+                    invoiceNumber: sale.billNumber,
+                    party: customerName(sale.client),
+                    gstin: parseGstin(sale.client?.gstOrPanNumber),
+                    productType: 'bird',
+                    quantity: sale.weight,
+                    value: sale.amount,
+                    source: 'trip',
+                    sourceId: trip._id
+                });
+            });
+        });
+
+        stocks.forEach(stock => {
+            add({
+                date: stock.date,
+                invoiceNumber: stock.billNumber || stock.refNo,
+                party: customerName(stock.customerId),
+                gstin: parseGstin(stock.customerId?.gstOrPanNumber),
+                productType: stock.inventoryType,
+                quantity: stock.inventoryType === 'feed' ? stock.feedQty : stock.weight,
+                value: stock.amount,
+                source: 'inventoryStock',
+                sourceId: stock._id
+            });
+        });
+
+        indirectSales.forEach(record => {
+            add({
+                date: record.date,
+                invoiceNumber: record.invoiceNumber,
+                party: customerName(record.customer),
+                gstin: parseGstin(record.customer?.gstOrPanNumber),
+                productType: 'bird',
+                quantity: record.sales?.weight,
+                value: record.summary?.salesAmount || record.sales?.amount,
+                source: 'indirectSale',
+                sourceId: record._id
+            });
+        });
+    } else {
+        const [trips, stocks, indirectSales] = await Promise.all([
+            Trip.find({ $or: [{ date: range }, { 'purchases.timestamp': range }] })
+                .select('tripId date purchases')
+                .populate('purchases.supplier', 'vendorName gstNumber')
+                .lean(),
+            InventoryStock.find({ type: 'purchase', date: range })
+                .populate('vendorId', 'vendorName gstNumber')
+                .populate('ledgerId', 'name')
+                .lean(),
+            IndirectSale.find({ date: range, isActive: true })
+                .select('invoiceNumber date vendor summary')
+                .populate('vendor', 'vendorName gstNumber')
+                .lean()
+        ]);
+
+        trips.forEach(trip => {
+            (trip.purchases || []).forEach(purchase => {
+                const date = purchase.timestamp || trip.date;
+                if (!inRange(date)) return;
+                add({
+                    date,
+                    invoiceNumber: purchase.dcNumber,
+                    party: purchase.supplier?.vendorName || purchase.vendorName || '-',
+                    gstin: parseGstin(purchase.supplier?.gstNumber),
+                    productType: 'bird',
+                    quantity: purchase.weight,
+                    value: purchase.amount,
+                    source: 'trip',
+                    sourceId: trip._id
+                });
+            });
+        });
+
+        stocks.forEach(stock => {
+            add({
+                date: stock.date,
+                invoiceNumber: stock.billNumber || stock.refNo,
+                party: stock.vendorId?.vendorName || stock.ledgerId?.name || '-',
+                gstin: parseGstin(stock.vendorId?.gstNumber),
+                productType: stock.inventoryType,
+                quantity: stock.inventoryType === 'feed' ? stock.feedQty : stock.weight,
+                value: stock.amount,
+                source: 'inventoryStock',
+                sourceId: stock._id
+            });
+        });
+
+        indirectSales.forEach(record => {
+            add({
+                date: record.date,
+                invoiceNumber: record.invoiceNumber,
+                party: record.vendor?.vendorName || '-',
+                gstin: parseGstin(record.vendor?.gstNumber),
+                productType: 'bird',
+                quantity: record.summary?.totalPurchaseWeight,
+                value: record.summary?.totalPurchaseAmount,
+                source: 'indirectSale',
+                sourceId: record._id
+            });
+        });
+    }
+
+    rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const totals = { all: emptyTotals(), b2b: emptyTotals(), b2c: emptyTotals() };
+    rows.forEach(row => {
+        addTotals(totals.all, row);
+        addTotals(row.supplyType === 'B2B' ? totals.b2b : totals.b2c, row);
+    });
+
+    return { kind, from, to, gstin: businessGstin || '', config, rows, totals };
+};
+
+// GST portal dates are dd-mm-yyyy and return periods MMYYYY
+const portalDate = (date) => formatDate(date).replace(/\//g, '-');
+const returnPeriod = (date) => `${String(date.getMonth() + 1).padStart(2, '0')}${date.getFullYear()}`;
+
+const sumBy = (rows, field) => round2(rows.reduce((sum, row) => sum + row[field], 0));
+
+const hsnSummary = (rows, config) => {
+    const byHsn = new Map();
+    rows.forEach(row => {
+        const key = `${row.hsn}:${row.rate}`;
+        const entry = byHsn.get(key) || {
+            hsn_sc: row.hsn,
+            desc: config[row.productType]?.description || '',
+            uqc: row.uqc,
+            qty: 0,
+            rt: row.rate,
+            val: 0,
+            txval: 0,
+            iamt: 0,
+            camt: 0,
+            samt: 0,
+            csamt: 0
+        };
+        entry.qty = round2(entry.qty + row.quantity);
+        entry.val = round2(entry.val + row.invoiceValue);
+        // Exempt lines are reported in the HSN summary at their full value
+        entry.txval = round2(entry.txval + (row.rate ? row.taxableValue : row.exemptValue));
+        entry.iamt = round2(entry.iamt + row.igst);
+        entry.camt = round2(entry.camt + row.cgst);
+        entry.samt = round2(entry.samt + row.sgst);
+        byHsn.set(key, entry);
+    });
+    return [...byHsn.values()].map((entry, index) => ({ num: index + 1, ...entry }));
+};
+
+/**
+ * GSTR-1 return in the GST portal JSON layout
+ * Taxable B2B invoices go to b2b, taxable B2C supplies are summarised in b2cs, and
+ * exempt supplies (rate 0) are reported under nil.
+ * @param {Object} register - Sales register for the return period
+ * @returns {Object}
+ */
+export const buildGstr1 = (register) => {
+    const taxable = register.rows.filter(row => row.rate > 0);
+    const exempt = register.rows.filter(row => !row.rate);
+
+    const b2bByParty = new Map();
+    taxable.filter(row => row.supplyType === 'B2B').forEach(row => {
+        const invoices = b2bByParty.get(row.gstin) || [];
+        invoices.push({
+            inum: row.invoiceNumber,
+            idt: portalDate(row.date),
+            val: row.invoiceValue,
+            pos: row.placeOfSupply,
+            rchrg: 'N',
+            inv_typ: 'R',
+            itms: [{
+                num: 1,
+                itm_det: { rt: row.rate, txval: row.taxableValue, iamt: row.igst, camt: row.cgst, samt: row.sgst, csamt: 0 }
+            }]
+        });
+        b2bByParty.set(row.gstin, invoices);
+    });
+
+    const b2csByKey = new Map();
+    taxable.filter(row => row.supplyType === 'B2C').forEach(row => {
+        const sply_ty = row.interState ? 'INTER' : 'INTRA';
+        const key = `${sply_ty}:${row.placeOfSupply}:${row.rate}`;
+        const entry = b2csByKey.get(key) || { sply_ty, pos: row.placeOfSupply, typ: 'OE', rt: row.rate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+        entry.txval = round2(entry.txval + row.taxableValue);
+        entry.iamt = round2(entry.iamt + row.igst);
+        entry.camt = round2(entry.camt + row.cgst);
+        entry.samt = round2(entry.samt + row.sgst);
+        b2csByKey.set(key, entry);
+    });
+
+    const nilTypes = [
+        ['INTRB2B', row => row.interState && row.supplyType === 'B2B'],
+        ['INTRAB2B', row => !row.interState && row.supplyType === 'B2B'],
+        ['INTRB2C', row => row.interState && row.supplyType === 'B2C'],
+        ['INTRAB2C', row => !row.interState && row.supplyType === 'B2C']
+    ];
+
+    return {
+        gstin: register.gstin,
+        fp: returnPeriod(register.from),
+        b2b: [...b2bByParty.entries()].map(([ctin, inv]) => ({ ctin, inv })),
+        b2cs: [...b2csByKey.values()],
+        nil: {
+            inv: nilTypes.map(([sply_ty, matches]) => ({
+                sply_ty,
+                expt_amt: sumBy(exempt.filter(matches), 'exemptValue'),
+                nil_amt: 0,
+                ngsup_amt: 0
+            }))
+        },
+        hsn: { data: hsnSummary(register.rows, register.config) }
+    };
+};
+
+const taxBlock = (rows) => ({
+    txval: sumBy(rows, 'taxableValue'),
+    iamt: sumBy(rows, 'igst'),
+    camt: sumBy(rows, 'cgst'),
+    samt: sumBy(rows, 'sgst'),
+    csamt: 0
+});
+
+const itcBlock = (ty, rows = []) => ({ ty, iamt: sumBy(rows, 'igst'), camt: sumBy(rows, 'cgst'), samt: sumBy(rows, 'sgst'), csamt: 0 });
+
+/**
+ * GSTR-3B summary in the GST portal JSON layout
+ * Input tax credit is claimed on purchases from registered vendors that carry tax.
+ * @param {Object} sales - Sales register for the return period
+ * @param {Object} purchases - Purchase register for the same period
+ * @returns {Object}
+ */
+export const buildGstr3b = (sales, purchases) => {
+    const taxableSales = sales.rows.filter(row => row.rate > 0);
+    const itcRows = purchases.rows.filter(row => row.rate > 0 && row.gstin);
+    const exemptPurchases = purchases.rows.filter(row => !row.rate);
+    const itcAvailable = itcBlock('OTH', itcRows);
+
+    return {
+        gstin: sales.gstin,
+        ret_period: returnPeriod(sales.from),
+        sup_details: {
+            osup_det: taxBlock(taxableSales),
+            osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+            osup_nil_exmp: { txval: sumBy(sales.rows, 'exemptValue') },
+            isup_rev: { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 },
+            osup_nongst: { txval: 0 }
+        },
+        itc_elg: {
+            itc_avl: [itcBlock('IMPG'), itcBlock('IMPS'), itcBlock('ISRC'), itcBlock('ISD'), itcAvailable],
+            itc_rev: [itcBlock('RUL'), itcBlock('OTH')],
+            itc_net: { iamt: itcAvailable.iamt, camt: itcAvailable.camt, samt: itcAvailable.samt, csamt: 0 },
+            itc_inelg: [itcBlock('RUL'), itcBlock('OTH')]
+        },
+        inward_sup: {
+            isup_details: [
+                {
+                    ty: 'GST',
+                    inter: sumBy(exemptPurchases.filter(row => row.interState), 'invoiceValue'),
+                    intra: sumBy(exemptPurchases.filter(row => !row.interState), 'invoiceValue')
+                },
+                { ty: 'NONGST', inter: 0, intra: 0 }
+            ]
+        }
+    };
+};
+
+export const gstRegisterSheets = (register) => [{
+    name: register.kind === 'sales' ? 'Sales Register' : 'Purchase Register',
+    rows: [
+        ...register.rows.map(row => ({
+            'Date': formatDate(row.date),
+            'Invoice No': row.invoiceNumber,
+            'Party': row.party,
+            'GSTIN': row.gstin,
+            'Type': row.supplyType,
+            'Place Of Supply': placeOfSupplyLabel(row.placeOfSupply),
+            'HSN': row.hsn,
+            'Quantity (KGS)': row.quantity,
+            'Rate %': row.rate,
+            'Invoice Value': row.invoiceValue,
+            'Taxable Value': row.taxableValue,
+            'CGST': row.cgst,
+            'SGST': row.sgst,
+            'IGST': row.igst,
+            'Total Tax': row.totalTax,
+            'Exempt Value': row.exemptValue
+        })),
+        {
+            'Party': 'TOTAL',
+            'Invoice Value': register.totals.all.invoiceValue,
+            'Taxable Value': register.totals.all.taxableValue,
+            'CGST': register.totals.all.cgst,
+            'SGST': register.totals.all.sgst,
+            'IGST': register.totals.all.igst,
+            'Total Tax': register.totals.all.totalTax,
+            'Exempt Value': register.totals.all.exemptValue
+        }
+    ]
+}];
+
+// Column headings follow the GST offline tool templates
+export const gstr1Sheets = (gstr1) => [
+    {
+        name: 'b2b',
+        rows: gstr1.b2b.flatMap(({ ctin, inv }) => inv.map(invoice => ({
+            'GSTIN/UIN of Recipient': ctin,
+            'Invoice Number': invoice.inum,
+            'Invoice date': invoice.idt,
+            'Invoice Value': invoice.val,
+            'Place Of Supply': placeOfSupplyLabel(invoice.pos),
+            'Reverse Charge': invoice.rchrg,
+            'Invoice Type': 'Regular B2B',
+            'Rate': invoice.itms[0].itm_det.rt,
+            'Taxable Value': invoice.itms[0].itm_det.txval,
+            'Cess Amount': 0
+        })))
+    },
+    {
+        name: 'b2cs',
+        rows: gstr1.b2cs.map(entry => ({
+            'Type': entry.typ,
+            'Place Of Supply': placeOfSupplyLabel(entry.pos),
+            'Rate': entry.rt,
+            'Taxable Value': entry.txval,
+            'Cess Amount': 0
+        }))
+    },
+    {
+        name: 'exemp',
+        rows: gstr1.nil.inv.map(entry => ({
+            'Description': {
+                INTRB2B: 'Inter-State supplies to registered persons',
+                INTRAB2B: 'Intra-State supplies to registered persons',
+                INTRB2C: 'Inter-State supplies to unregistered persons',
+                INTRAB2C: 'Intra-State supplies to unregistered persons'
+            }[entry.sply_ty],
+            'Nil Rated Supplies': entry.nil_amt,
+            'Exempted(other than nil rated/non GST supply)': entry.expt_amt,
+            'Non-GST Supplies': entry.ngsup_amt
+        }))
+    },
+    {
+        name: 'hsn',
+        rows: gstr1.hsn.data.map(entry => ({
+            'HSN': entry.hsn_sc,
+            'Description': entry.desc,
+            'UQC': `${entry.uqc}-KILOGRAMS`,
+            'Total Quantity': entry.qty,
+            'Total Value': entry.val,
+            'Rate': entry.rt,
+            'Taxable Value': entry.txval,
+            'Integrated Tax Amount': entry.iamt,
+            'Central Tax Amount': entry.camt,
+            'State/UT Tax Amount': entry.samt,
+            'Cess Amount': entry.csamt
+        }))
+    }
+];
+
+export const gstr3bSheets = (gstr3b) => {
+    const { sup_details: sup, itc_elg: itc, inward_sup: inward } = gstr3b;
+    const row = (section, block) => ({
+        'Section': section,
+        'Taxable Value': block.txval ?? '',
+        'Integrated Tax': block.iamt ?? '',
+        'Central Tax': block.camt ?? '',
+        'State/UT Tax': block.samt ?? '',
+        'Cess': block.csamt ?? ''
+    });
+    return [{
+        name: 'GSTR-3B',
+        rows: [
+            row('3.1(a) Outward taxable supplies', sup.osup_det),
+            row('3.1(b) Zero rated supplies', sup.osup_zero),
+            row('3.1(c) Nil rated and exempted supplies', sup.osup_nil_exmp),
+            row('3.1(d) Inward supplies liable to reverse charge', sup.isup_rev),
+            row('3.1(e) Non-GST outward supplies', sup.osup_nongst),
+            row('4(A)(5) ITC - All other ITC', itc.itc_avl.find(entry => entry.ty === 'OTH')),
+            row('4(C) Net ITC available', itc.itc_net),
+            row('5 Exempt, nil and non-GST inward supplies (inter-state)', { txval: inward.isup_details[0].inter }),
+            row('5 Exempt, nil and non-GST inward supplies (intra-state)', { txval: inward.isup_details[0].intra })
+        ]
+    }];
+};
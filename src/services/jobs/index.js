@@ -0,0 +1,46 @@
+import { registerJob } from './scheduler.js';
+import { processOutbox } from '../notifications/outbox.js';
+import { sendOverdueReminders } from '../overdueReminders.js';
+import { generateDueVouchers } from '../recurringVouchers.js';
+import { recompleteIdleTrips } from '../tripReopen.js';
+
+export const JOBS = {
+    NOTIFICATION_OUTBOX: 'notification-outbox',
+    OVERDUE_REMINDERS: 'overdue-reminders',
+    RECURRING_VOUCHERS: 'recurring-vouchers',
+    TRIP_RECOMPLETE: 'trip-recomplete'
+};
+
+registerJob({
+    name: JOBS.NOTIFICATION_OUTBOX,
+    intervalMs: Number(process.env.NOTIFICATION_WORKER_INTERVAL_MS) || 30000,
+    record: false,
+    run: async () => {
+        const summary = await processOutbox();
+        if (summary.processed > 0) console.log('Notification outbox:', JSON.stringify(summary));
+        return summary;
+    }
+});
+
+// Checked hourly; the job itself waits for the configured send hour and skips recently reminded customers
+registerJob({
+    name: JOBS.OVERDUE_REMINDERS,
+    intervalMs: Number(process.env.OVERDUE_REMINDER_INTERVAL_MS) || 60 * 60 * 1000,
+    run: (context) => sendOverdueReminders(context)
+});
+
+// Hourly is enough: occurrences are due by date, and a late run catches up
+registerJob({
+    name: JOBS.RECURRING_VOUCHERS,
+    intervalMs: Number(process.env.RECURRING_VOUCHER_INTERVAL_MS) || 60 * 60 * 1000,
+    run: (context) => generateDueVouchers(context)
+});
+
+// Reopened trips go back to completed once edits have stopped (TRIP_REOPEN_IDLE_MS)
+registerJob({
+    name: JOBS.TRIP_RECOMPLETE,
+    intervalMs: Number(process.env.TRIP_RECOMPLETE_INTERVAL_MS) || 60 * 60 * 1000,
+    run: (context) => recompleteIdleTrips(context)
+});
+
+export { runJob, startScheduler as startJobs } from './scheduler.js';
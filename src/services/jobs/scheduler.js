@@ -0,0 +1,92 @@
+import JobRun from '../../models/JobRun.js';
+import AppError from '../../utils/AppError.js';
+
+const jobs = new Map();
+const timers = [];
+const runningLocally = new Set();
+
+// A 'running' row older than this belongs to a process that died mid-run
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+/**
+ * Register a job with the in-process scheduler
+ * @param {Object} job - { name, intervalMs, run(context), record }
+ *   record: keep a JobRun row per execution (also locks the job across instances);
+ *   turn off for high-frequency pollers such as the notification outbox.
+ */
+export const registerJob = ({ name, intervalMs, run, record = true }) => {
+    jobs.set(name, { name, intervalMs, run, record });
+};
+
+export const getJobNames = () => [...jobs.keys()];
+
+// Take the cross-instance lock by inserting the 'running' row; the partial unique index rejects a second one
+const acquireRun = async (name, trigger, userId) => {
+    await JobRun.updateMany(
+        { name, status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+        { $set: { status: 'failed', finishedAt: new Date(), error: 'Abandoned: the process running this job stopped' } }
+    );
+    try {
+        return await JobRun.create({ name, trigger, triggeredBy: userId });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Run a registered job now
+ * @param {String} name - Job name
+ * @param {Object} options - { trigger: 'scheduled' | 'manual', userId, ...job options }
+ * @returns {Promise<Object>} - { skipped, reason } or { jobRun, summary }
+ */
+export const runJob = async (name, { trigger = 'scheduled', userId, ...options } = {}) => {
+    const job = jobs.get(name);
+    if (!job) throw new AppError(`Unknown job ${name}`, 404);
+    if (runningLocally.has(name)) return { skipped: true, reason: 'Job is already running' };
+
+    runningLocally.add(name);
+    try {
+        if (!job.record) {
+            return { summary: await job.run({ trigger, userId, ...options }) };
+        }
+
+        const jobRun = await acquireRun(name, trigger, userId);
+        if (!jobRun) return { skipped: true, reason: 'Job is already running on another instance' };
+
+        try {
+            const summary = await job.run({ trigger, userId, jobRun, ...options });
+            jobRun.status = 'completed';
+            jobRun.summary = summary;
+            return { jobRun, summary };
+        } catch (error) {
+            jobRun.status = 'failed';
+            jobRun.error = error.message;
+            throw error;
+        } finally {
+            jobRun.finishedAt = new Date();
+            await jobRun.save();
+        }
+    } finally {
+        runningLocally.delete(name);
+    }
+};
+
+/**
+ * Start every registered job on its interval
+ * Not used on serverless deployments; there the cron calls GET /api/jobs/:name/run with CRON_SECRET.
+ */
+export const startScheduler = () => {
+    if (timers.length > 0) return;
+    jobs.forEach(job => {
+        const timer = setInterval(() => {
+            runJob(job.name).catch(error => console.error(`Job ${job.name} failed:`, error.message));
+        }, job.intervalMs);
+        timer.unref();
+        timers.push(timer);
+    });
+};
+
+export const stopScheduler = () => {
+    timers.splice(0).forEach(timer => clearInterval(timer));
+};
@@ -0,0 +1,451 @@
+import Trip from "../models/Trip.js";
+import Voucher from "../models/Voucher.js";
+import InventoryStock from "../models/InventoryStock.js";
+import { toSignedValue, fromSignedValue, getFinancialYearStartDate, populateVoucherParties } from "../utils/balanceUtils.js";
+import { getCarriedForwardBalances, carriedOpeningSigned } from "./yearEndClose.js";
+
+const getObjectIdStr = (val) => {
+    if (!val) return '';
+    if (val._id) return val._id.toString();
+    return val.toString();
+};
+
+/**
+ * Transactions posted to a ledger with an opening row and running balances
+ * Covers vouchers (by account, party or entry name), trip sale payments and
+ * inventory stock payments/consumption.
+ * @param {Object} ledger - Ledger document
+ * @param {Object} period - { startDate, endDate } (optional, inclusive)
+ * @returns {Promise<Object>} - { ledger, openingBalance, openingBalanceType, transactions, closingBalance, closingBalanceType }
+ */
+export const buildLedgerTransactions = async (ledger, { startDate, endDate } = {}) => {
+    const id = ledger._id.toString();
+
+    // Entries with an account id match on it; older entries only have the name
+    const isLedgerEntry = (e) => (e.partyId
+        ? e.partyType === 'ledger' && getObjectIdStr(e.partyId) === id
+        : Boolean(e.account) && e.account.toLowerCase() === ledger.name.toLowerCase());
+
+    const queryStartDate = startDate ? new Date(startDate) : null;
+    let queryEndDate = endDate ? new Date(endDate) : null;
+
+    // Adjust endDate to end of day if provided
+    if (queryEndDate) {
+        queryEndDate.setHours(23, 59, 59, 999);
+    }
+
+    // Vouchers Query
+    const voucherQuery = {
+        isActive: true,
+        $or: [
+            { 'entries.partyId': ledger._id },  // For Journal/Contra (using ObjectId)
+            { 'entries.account': ledger.name }, // For older Journal/Contra entries (using Name string)
+            { account: id },                    // For Payment/Receipt Header (using ObjectId)
+            { 'parties.partyId': id }           // For Payment/Receipt Line Items (using ObjectId)
+        ]
+    };
+
+    if (queryStartDate || queryEndDate) {
+        voucherQuery.date = {};
+        if (queryStartDate) voucherQuery.date.$gte = queryStartDate;
+        if (queryEndDate) voucherQuery.date.$lte = queryEndDate;
+    }
+
+    // Trips Query (for Cash/Bank ledgers used in Sales)
+    const tripQuery = {
+        $or: [
+            { 'sales.cashLedger': id },
+            { 'sales.onlineLedger': id }
+        ]
+    };
+    // Date filter for trips usually uses 'date'
+    if (queryStartDate || queryEndDate) {
+        tripQuery.date = {};
+        if (queryStartDate) tripQuery.date.$gte = queryStartDate;
+        if (queryEndDate) tripQuery.date.$lte = queryEndDate;
+    }
+
+    // Inventory Stock Query
+    const stockQuery = {
+        $or: [
+            { 'cashLedgerId': id },
+            { 'onlineLedgerId': id },
+            { 'expenseLedgerId': id }
+        ]
+    };
+    if (queryStartDate || queryEndDate) {
+        stockQuery.date = {};
+        if (queryStartDate) stockQuery.date.$gte = queryStartDate;
+        if (queryEndDate) stockQuery.date.$lte = queryEndDate;
+    }
+
+    const [vouchers, trips, stocks] = await Promise.all([
+        Voucher.find(voucherQuery).lean()
+            .populate('party', 'shopName vendorName')
+            .populate('account', 'name'), // Populate header Account to get its name
+        Trip.find(tripQuery).lean()
+            .populate('vehicle', 'registrationNumber')
+            .populate('supervisor', 'name')
+            .populate('sales.client', 'shopName ownerName'),
+        InventoryStock.find(stockQuery).lean().populate('customerId', 'shopName ownerName')
+    ]);
+
+    await populateVoucherParties(vouchers);
+
+    let transactions = [];
+
+    // Process Vouchers
+    vouchers.forEach(v => {
+        let debit = 0;
+        let credit = 0;
+        let description = v.narration || v.voucherType;
+        let refNo = v.voucherNumber;
+
+        // Determine Debit/Credit for this ledger
+        if (v.voucherType === 'Payment' || v.voucherType === 'Receipt') {
+            // If ledger is the ACCOUNT (Header)
+            // e.g. Payment made FROM Cash (this ledger) TO Vendor
+            if (v.account && getObjectIdStr(v.account) === id.toString()) {
+                const totalAmount = v.parties.reduce((sum, p) => sum + (p.amount || 0), 0);
+                if (v.voucherType === 'Payment') {
+                    credit += totalAmount;
+                } else {
+                    debit += totalAmount;
+                }
+
+                // For Cash/Bank Ledger (Account), the "Particulars" should be the Party Name (Vendor/Expense)
+                if (v.parties && v.parties.length > 0) {
+                    const firstParty = v.parties[0].partyId; // This is populated object
+                    if (v.parties.length === 1 && firstParty) {
+                        // Use shopName for customer, vendorName for vendor, name for ledger
+                        description = firstParty.shopName || firstParty.vendorName || firstParty.name || 'Unknown Party';
+                    } else {
+                        description = `Multiple Accounts (${v.parties.length})`;
+                    }
+                } else {
+                    description = v.voucherType; // Fallback
+                }
+            }
+
+            // If ledger is in PARTIES (Line Items)
+            // e.g. Payment made TO Vendor (this ledger) FROM Cash
+            if (v.parties) {
+                v.parties.forEach(p => {
+                    if (p.partyId && getObjectIdStr(p.partyId) === id.toString()) {
+                        if (v.voucherType === 'Payment') {
+                            debit += p.amount || 0;
+                        } else {
+                            credit += p.amount || 0;
+                        }
+
+                        // For Vendor/Expense Ledger (Party), the "Particulars" should be the Source Account (Cash/Bank)
+                        if (!v.account || getObjectIdStr(v.account) !== id.toString()) {
+                            // Use header account name as description
+                            // v.account is now populated
+                            description = v.account ? v.account.name : 'Unknown Account';
+                        }
+                    }
+                });
+            }
+
+            // Fallback: If neither account nor parties matched via ObjectId, try matching via entries (name-based)
+            // This handles Payment/Receipt vouchers matched to this ledger via entries.account string
+            if (debit === 0 && credit === 0 && v.entries && v.entries.length > 0) {
+                v.entries.forEach(e => {
+                    if (isLedgerEntry(e)) {
+                        debit += e.debitAmount || 0;
+                        credit += e.creditAmount || 0;
+
+                        // Show the opposite account as the description
+                        let oppositeAccountName = '';
+                        if (e.debitAmount > 0) {
+                            const crEntry = v.entries.find(entry => entry.creditAmount > 0 && entry.account && !isLedgerEntry(entry));
+                            if (crEntry) oppositeAccountName = crEntry.account;
+                        } else if (e.creditAmount > 0) {
+                            const drEntry = v.entries.find(entry => entry.debitAmount > 0 && entry.account && !isLedgerEntry(entry));
+                            if (drEntry) oppositeAccountName = drEntry.account;
+                        }
+                        if (oppositeAccountName) {
+                            description = oppositeAccountName;
+                        }
+                    }
+                });
+            }
+        } else {
+            // Contra / Journal
+            v.entries.forEach(e => {
+                if (isLedgerEntry(e)) {
+                    debit += e.debitAmount || 0;
+                    credit += e.creditAmount || 0;
+
+                    // For both Contra and Journal: show the opposite account name in Particulars
+                    if (v.voucherType === 'Journal' || v.voucherType === 'Contra') {
+                        let oppositeAccountName = '';
+                        if (e.debitAmount > 0) {
+                            // This entry is debit: find the credit entry (opposite)
+                            const crEntry = v.entries.find(entry => entry.creditAmount > 0 && entry.account && !isLedgerEntry(entry));
+                            if (crEntry) oppositeAccountName = crEntry.account;
+                        } else if (e.creditAmount > 0) {
+                            // This entry is credit: find the debit entry (opposite)
+                            const drEntry = v.entries.find(entry => entry.debitAmount > 0 && entry.account && !isLedgerEntry(entry));
+                            if (drEntry) oppositeAccountName = drEntry.account;
+                        }
+
+                        if (oppositeAccountName) {
+                            description = oppositeAccountName;
+                        }
+                    }
+                }
+            });
+        }            if (debit > 0 || credit > 0) {
+            transactions.push({
+                _id: v._id,
+                date: v.date,
+                createdAt: v.createdAt,
+                type: v.voucherType,
+                refNo: `VCH-${refNo}`,
+                description,
+                debit,
+                credit,
+                source: 'voucher',
+                narration: v.narration || '',
+                status: v.status || 'active',
+                cancellationReason: v.cancellation?.reason,
+                reversalVoucher: v.cancellation?.reversalVoucher,
+                reversalOf: v.reversalOf
+            });
+        }
+    });
+
+    // Process Trips
+    trips.forEach(t => {
+        if (t.sales) {
+            t.sales.forEach(s => {
+                let debit = 0;
+                let credit = 0;
+                let isRelevant = false;
+
+                if (s.cashLedger && s.cashLedger.toString() === id.toString()) {
+                    debit += s.cashPaid || 0;
+                    isRelevant = true;
+                }
+                if (s.onlineLedger && s.onlineLedger.toString() === id.toString()) {
+                    debit += s.onlinePaid || 0;
+                    isRelevant = true;
+                }
+
+                if (isRelevant && (debit > 0)) {
+                    transactions.push({
+                        _id: t._id,
+                        date: t.date || t.createdAt,
+                        createdAt: t.createdAt,
+                        type: 'Receipt',
+                        refNo: t.tripId,
+                        description: `Trip Bill: ${s.billNumber} (${s.birds} birds) - ${s.client?.shopName || s.client?.ownerName || s.product || 'Bird Sale'}`,
+                        debit,
+                        credit,
+                        source: 'trip'
+                    });
+                }
+            });
+        }
+
+    });
+
+    // Process Inventory Stocks (Sales/Receipts)
+    stocks.forEach(s => {
+        let debit = 0;
+        let credit = 0;
+        let isRelevant = false;
+
+        // Cash Payment
+        if (s.cashLedgerId && s.cashLedgerId.toString() === id.toString()) {
+            debit += s.cashPaid || 0;
+            isRelevant = true;
+        }
+
+        // Online Payment
+        if (s.onlineLedgerId && s.onlineLedgerId.toString() === id.toString()) {
+            debit += s.onlinePaid || 0;
+            isRelevant = true;
+        }
+
+        // Expense (Feed Consume, etc.)
+        if (s.expenseLedgerId && s.expenseLedgerId.toString() === id.toString()) {
+            debit += s.amount || 0; // Usage is an expense (Debit)
+            isRelevant = true;
+        }
+
+        if (isRelevant && (debit > 0)) {
+            transactions.push({
+                _id: s._id,
+                date: s.date || s.createdAt,
+                createdAt: s.createdAt,
+                type: s.type === 'receipt' ? 'Receipt' : s.type === 'sale' ? 'Receipt' : 'Stock Sale',
+                refNo: s.billNumber || s.refNo || '-',
+                description: s.type === 'receipt'
+                    ? `STOCK_RECEIPT_BILL - ${s.customerId?.shopName || s.customerId?.ownerName || 'Customer'}`
+                    : s.type === 'consume'
+                        ? `FEED CONSUMPTION`
+                        : `STOCK_BILL - ${s.customerId?.shopName || s.customerId?.ownerName || 'Customer'} (${s.birds || 0} birds)`,
+                debit,
+                credit,
+                source: 'stock'
+            });
+        }
+    });
+
+    // Calculate Opening Balance if StartDate is present
+    // Use the balance carried forward by the latest year-end close (or the Ledger's
+    // opening balance when no year is closed) + sum of the transactions since then
+
+    let signedOpening = toSignedValue(ledger.openingBalance || 0, ledger.openingBalanceType || 'debit');
+
+    if (queryStartDate) {
+        const carried = await getCarriedForwardBalances(queryStartDate, { partyType: 'ledger', partyIds: ledger._id });
+        signedOpening = carriedOpeningSigned(carried, 'ledger', ledger, 'debit');
+        const preDateRange = carried ? { $gte: carried.yearStart, $lt: queryStartDate } : { $lt: queryStartDate };
+
+        // Find transactions BEFORE queryStartDate
+        const preVoucherQuery = {
+            isActive: true,
+            date: preDateRange,
+            $or: [
+                { 'entries.partyId': ledger._id },
+                { 'entries.account': ledger.name },
+                { account: id },
+                { 'parties.partyId': id }
+            ]
+        };
+
+        const preTripQuery = {
+            date: preDateRange,
+            $or: [
+                { 'sales.cashLedger': id },
+                { 'sales.onlineLedger': id }
+            ]
+        };
+
+        const stackQuery = {
+            date: preDateRange,
+            $or: [
+                { 'cashLedgerId': id },
+                { 'onlineLedgerId': id },
+                { 'expenseLedgerId': id }
+            ]
+        };
+
+        const [preVouchers, preTrips, preStocks] = await Promise.all([
+            Voucher.find(preVoucherQuery).lean().select('voucherType date account parties entries'),
+            Trip.find(preTripQuery).lean().select('sales date'),
+            InventoryStock.find(stackQuery).lean().select('cashLedgerId onlineLedgerId cashPaid onlinePaid type')
+        ]);
+
+        preVouchers.forEach(v => {
+            let debit = 0;
+            let credit = 0;
+            if (v.voucherType === 'Payment' || v.voucherType === 'Receipt') {
+                if (v.account && getObjectIdStr(v.account) === id.toString()) {
+                    const total = v.parties.reduce((s, p) => s + (p.amount || 0), 0);
+                    if (v.voucherType === 'Payment') credit += total;
+                    else debit += total;
+                }
+                if (v.parties) {
+                    v.parties.forEach(p => {
+                        if (p.partyId && getObjectIdStr(p.partyId) === id.toString()) {
+                            if (v.voucherType === 'Payment') debit += p.amount || 0;
+                            else credit += p.amount || 0;
+                        }
+                    });
+                }
+                // Fallback: match via entries name if ObjectId match missed
+                if (debit === 0 && credit === 0 && v.entries && v.entries.length > 0) {
+                    v.entries.forEach(e => {
+                        if (isLedgerEntry(e)) {
+                            debit += e.debitAmount || 0;
+                            credit += e.creditAmount || 0;
+                        }
+                    });
+                }
+            } else {
+                v.entries.forEach(e => {
+                    if (isLedgerEntry(e)) {
+                        debit += e.debitAmount || 0;
+                        credit += e.creditAmount || 0;
+                    }
+                });
+            }
+            signedOpening += (debit - credit);
+        });
+
+        preTrips.forEach(t => {
+            if (t.sales) {
+                t.sales.forEach(s => {
+                    let debit = 0;
+                    if (s.cashLedger && s.cashLedger.toString() === id.toString()) debit += s.cashPaid || 0;
+                    if (s.onlineLedger && s.onlineLedger.toString() === id.toString()) debit += s.onlinePaid || 0;
+                    signedOpening += debit;
+                });
+            }
+        });
+
+        preStocks.forEach(s => {
+            let debit = 0;
+            if (s.cashLedgerId && s.cashLedgerId.toString() === id.toString()) debit += s.cashPaid || 0;
+            if (s.onlineLedgerId && s.onlineLedgerId.toString() === id.toString()) debit += s.onlinePaid || 0;
+            if (s.expenseLedgerId && s.expenseLedgerId.toString() === id.toString()) debit += s.amount || 0; // Expense is Debit
+            signedOpening += debit; // Sales/Receipts receiving money into Cash/Bank are debits. Expenses are Debits.
+        });
+    }
+
+    // Sort transactions chronologically by Date and entry creation time
+    transactions.sort((a, b) => {
+        const timeA = new Date(a.date || a.createdAt || 0).getTime();
+        const timeB = new Date(b.date || b.createdAt || 0).getTime();
+        if (timeA !== timeB) return timeA - timeB;
+        const createA = new Date(a.createdAt || 0).getTime();
+        const createB = new Date(b.createdAt || 0).getTime();
+        return createA - createB;
+    });
+
+    // Calculate Running Balance
+    let currentBalance = signedOpening;
+    transactions = transactions.map(t => {
+        currentBalance += (t.debit - t.credit);
+        const formatted = fromSignedValue(currentBalance);
+        return {
+            ...t,
+            runningBalance: formatted.amount,
+            runningBalanceType: formatted.type
+        };
+    });
+
+    // Final Opening Balance for Display (at queryStartDate)
+    const displayOpening = fromSignedValue(signedOpening);
+
+    // Add Opening Balance Entry
+    transactions.unshift({
+        _id: 'op_bal',
+        date: queryStartDate || getFinancialYearStartDate(ledger.createdAt),
+        type: 'OPENING',
+        refNo: '-',
+        description: 'OP',
+        debit: 0,
+        credit: 0,
+        runningBalance: displayOpening.amount,
+        runningBalanceType: displayOpening.type
+    });
+
+    return {
+        ledger: {
+            _id: ledger._id,
+            name: ledger.name,
+            group: ledger.group
+        },
+        openingBalance: displayOpening.amount,
+        openingBalanceType: displayOpening.type,
+        transactions,
+        closingBalance: transactions.length > 0 ? transactions[transactions.length - 1].runningBalance : displayOpening.amount,
+        closingBalanceType: transactions.length > 0 ? transactions[transactions.length - 1].runningBalanceType : displayOpening.type
+    };
+};
@@ -0,0 +1,318 @@
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import AppError from "../utils/AppError.js";
+import { isTransferPurchase } from "./tripTransfers.js";
+import { allocateTripLotsForRead } from "./tripLots.js";
+
+// Recall tracing over purchase lots (see services/tripLots.js).
+// A transfer is a lot of its own on the receiving trip, mixed from the source trip's lots, so
+// birds traced through one are shares of that mix and flagged `estimated`.
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const TRACE_FIELDS = 'tripId date type supervisor vehicle purchases sales stocks losses transferHistory transferredFrom';
+
+// Transfers of transfers; deeper chains are cut off rather than looping
+const MAX_HOPS = 10;
+
+// Lots are allocated again in memory (same result as on save) so trips saved before lots existed trace too.
+// Manual picks that no longer fit are traced as FIFO and everything on that trip is flagged `estimated`.
+const loadTrip = async (cache, tripId) => {
+    const key = idOf(tripId);
+    if (!cache.has(key)) {
+        const trip = await Trip.findById(key)
+            .select(TRACE_FIELDS)
+            .populate('purchases.supplier', 'vendorName contactNumber address city state')
+            .populate('sales.client', 'shopName ownerName contact')
+            .populate('vehicle', 'vehicleNumber')
+            .populate('supervisor', 'name mobileNumber');
+        let lotsEstimated = false;
+        if (trip) lotsEstimated = allocateTripLotsForRead(trip).stalePicks;
+        cache.set(key, trip ? { ...trip.toObject({ virtuals: false }), lotsEstimated } : null);
+    }
+    return cache.get(key);
+};
+
+const tripRef = (trip) => ({
+    id: trip._id,
+    tripId: trip.tripId,
+    date: trip.date,
+    vehicle: trip.vehicle?.vehicleNumber || '',
+    supervisor: trip.supervisor?.name || ''
+});
+
+const vendorOf = (purchase) => {
+    const supplier = purchase.supplier;
+    if (!supplier) return { id: null, vendorName: purchase.vendorName || '' };
+    return {
+        id: supplier._id,
+        vendorName: supplier.vendorName || '',
+        contactNumber: supplier.contactNumber || '',
+        address: supplier.address || '',
+        city: supplier.city || '',
+        state: supplier.state || ''
+    };
+};
+
+const lotRef = (trip, purchase) => ({
+    purchase: purchase._id,
+    dcNumber: purchase.dcNumber,
+    vendor: vendorOf(purchase),
+    trip: tripRef(trip),
+    purchasedAt: purchase.timestamp,
+    birds: purchase.birds || 0,
+    weight: purchase.weight || 0
+});
+
+const customerOf = (sale) => (sale.client ? {
+    id: sale.client._id,
+    shopName: sale.client.shopName || '',
+    ownerName: sale.client.ownerName || '',
+    contact: sale.client.contact || ''
+} : null);
+
+// The entry's draw from one lot, if any
+const drawnFrom = (entry, purchaseId) => (entry.lots || []).find(lot => idOf(lot.purchase) === purchaseId);
+
+/**
+ * Follow one lot forward through sales, stock, deaths and transfers
+ * @param {Map} cache - loaded trips
+ * @param {Object} trip - trip holding the lot
+ * @param {String} purchaseId - the lot
+ * @param {Number} share - fraction of the lot's birds that came from the traced DC
+ * @param {Object} out - { sales, stock, deaths, transfers } collected in place
+ * @param {Array} via - tripIds the birds passed through before this trip
+ */
+const walkForward = async (cache, trip, purchaseId, share, out, via) => {
+    const estimated = share < 1 || trip.lotsEstimated;
+    const scaled = (lot) => ({ birds: round2(lot.birds * share), weight: round2(lot.weight * share) });
+
+    (trip.sales || []).forEach(sale => {
+        const lot = drawnFrom(sale, purchaseId);
+        if (!lot) return;
+        out.sales.push({
+            trip: tripRef(trip),
+            billNumber: sale.billNumber,
+            date: sale.timestamp,
+            customer: customerOf(sale),
+            ...scaled(lot),
+            estimated,
+            via
+        });
+    });
+    (trip.stocks || []).forEach(stock => {
+        const lot = drawnFrom(stock, purchaseId);
+        if (!lot) return;
+        out.stock.push({ trip: tripRef(trip), date: stock.addedAt, notes: stock.notes || '', ...scaled(lot), estimated, via });
+    });
+    (trip.losses || []).forEach(loss => {
+        const lot = drawnFrom(loss, purchaseId);
+        if (!lot) return;
+        out.deaths.push({ trip: tripRef(trip), date: loss.date, reason: loss.reason || '', ...scaled(lot), estimated, via });
+    });
+
+    for (const transfer of trip.transferHistory || []) {
+        const lot = drawnFrom(transfer, purchaseId);
+        if (!lot) continue;
+
+        const receiver = await loadTrip(cache, transfer.transferredTo);
+        out.transfers.push({
+            from: tripRef(trip),
+            to: receiver ? tripRef(receiver) : { id: transfer.transferredTo },
+            date: transfer.transferredAt,
+            ...scaled(lot),
+            estimated,
+            via
+        });
+        if (!receiver || via.length >= MAX_HOPS || via.includes(receiver.tripId)) continue;
+
+        const receivingLot = (receiver.purchases || []).find(isTransferPurchase);
+        if (!receivingLot?.birds) continue;
+        const receivedShare = (lot.birds * share) / receivingLot.birds;
+        await walkForward(cache, receiver, idOf(receivingLot._id), receivedShare, out, [...via, trip.tripId]);
+    }
+};
+
+const sumBirds = (items) => round2(items.reduce((total, item) => total + (item.birds || 0), 0));
+
+// One line per customer with the bills that carried the lot
+const byCustomer = (sales) => {
+    const customers = new Map();
+    sales.forEach(sale => {
+        const key = sale.customer ? idOf(sale.customer.id) : 'walk-in';
+        if (!customers.has(key)) {
+            customers.set(key, { customer: sale.customer, bills: [], birds: 0, weight: 0, estimated: false });
+        }
+        const row = customers.get(key);
+        row.bills.push({ billNumber: sale.billNumber, tripId: sale.trip.tripId, date: sale.date });
+        row.birds = round2(row.birds + sale.birds);
+        row.weight = round2(row.weight + sale.weight);
+        row.estimated = row.estimated || sale.estimated;
+    });
+    return [...customers.values()].sort((a, b) => b.birds - a.birds);
+};
+
+/**
+ * Where the birds of a vendor's DC went: customers and bills, stock, deaths and transfers
+ * @param {Object} filters - { vendor (Vendor id), dcNumber } - at least one
+ * @returns {Promise<Array>} - per lot: { lot, customers, sales, stock, deaths, transfers, totals }
+ */
+export const traceLotForward = async ({ vendor, dcNumber } = {}) => {
+    const dc = (dcNumber || '').toString().trim();
+    if (!vendor && !dc) {
+        throw new AppError('Vendor or DC number is required to trace a lot', 400);
+    }
+    if (vendor && !mongoose.Types.ObjectId.isValid(vendor)) {
+        throw new AppError('Invalid vendor id', 400);
+    }
+
+    const match = {};
+    if (vendor) match.supplier = new mongoose.Types.ObjectId(vendor);
+    if (dc) match.dcNumber = { $regex: `^${escapeRegex(dc)}$`, $options: 'i' };
+
+    const trips = await Trip.find({ purchases: { $elemMatch: match } }).select('_id').sort({ date: 1 }).lean();
+
+    const cache = new Map();
+    const results = [];
+    for (const { _id } of trips) {
+        const trip = await loadTrip(cache, _id);
+        const lots = (trip.purchases || []).filter(purchase =>
+            (!vendor || idOf(purchase.supplier) === vendor.toString()) &&
+            (!dc || (purchase.dcNumber || '').toLowerCase() === dc.toLowerCase()));
+
+        for (const purchase of lots) {
+            const out = { sales: [], stock: [], deaths: [], transfers: [] };
+            await walkForward(cache, trip, idOf(purchase._id), 1, out, []);
+
+            // Totals for the lot's own trip; further hops are in the lists with `via`
+            const onTrip = (items) => sumBirds(items.filter(item => item.via.length === 0));
+            const totals = {
+                purchased: purchase.birds || 0,
+                sold: onTrip(out.sales),
+                stock: onTrip(out.stock),
+                died: onTrip(out.deaths),
+                transferred: onTrip(out.transfers)
+            };
+            totals.remaining = round2(totals.purchased - totals.sold - totals.stock - totals.died - totals.transferred);
+
+            results.push({
+                lot: lotRef(trip, purchase),
+                customers: byCustomer(out.sales),
+                ...out,
+                totals
+            });
+        }
+    }
+    return results;
+};
+
+/**
+ * Trace birds of one lot back to the vendor DCs they were bought under
+ * Transfer lots are split over the source trip's lots in proportion to the transfer.
+ * @returns {Promise<Array>} - [{ ...lotRef, birds, estimated, via }]
+ */
+const walkBack = async (cache, trip, purchaseId, birds, estimated, via) => {
+    estimated = estimated || trip.lotsEstimated;
+    const purchase = (trip.purchases || []).find(p => idOf(p._id) === purchaseId);
+    if (!purchase) return [];
+    if (!isTransferPurchase(purchase)) {
+        return [{ ...lotRef(trip, purchase), birds: round2(birds), estimated, via }];
+    }
+
+    const source = trip.transferredFrom ? await loadTrip(cache, trip.transferredFrom) : null;
+    const transfer = (source?.transferHistory || []).find(entry => idOf(entry.transferredTo) === idOf(trip._id));
+    const transferred = transfer?.transferredStock?.birds || 0;
+    if (!transfer || !transferred || via.length >= MAX_HOPS || via.includes(source.tripId)) {
+        // Source lots unknown (legacy transfer); stop at the transfer itself
+        return [{ ...lotRef(trip, purchase), birds: round2(birds), estimated: true, via }];
+    }
+
+    const origins = [];
+    const mixed = estimated || (transfer.lots || []).length > 1;
+    for (const lot of transfer.lots || []) {
+        origins.push(...await walkBack(cache, source, idOf(lot.purchase), birds * lot.birds / transferred, mixed, [...via, trip.tripId]));
+    }
+    return origins;
+};
+
+/**
+ * Which vendors, DCs and farms a customer bill's birds came from
+ * @param {String} billNumber
+ * @returns {Promise<Array>} - per matching sale: { trip, billNumber, date, customer, birds, weight, sources, unallocated }
+ */
+export const traceBill = async (billNumber) => {
+    const bill = (billNumber || '').toString().trim();
+    if (!bill) throw new AppError('Bill number is required', 400);
+
+    const trips = await Trip.find({ 'sales.billNumber': bill }).select('_id').sort({ date: 1 }).lean();
+    if (trips.length === 0) throw new AppError(`No trip sale found with bill number ${bill}`, 404);
+
+    const cache = new Map();
+    const results = [];
+    for (const { _id } of trips) {
+        const trip = await loadTrip(cache, _id);
+        for (const sale of (trip.sales || []).filter(s => s.billNumber === bill)) {
+            const origins = [];
+            for (const lot of sale.lots || []) {
+                origins.push(...await walkBack(cache, trip, idOf(lot.purchase), lot.birds, false, []));
+            }
+
+            // Same DC reached through different routes is one source
+            const sources = new Map();
+            origins.forEach(origin => {
+                const key = idOf(origin.purchase);
+                if (!sources.has(key)) {
+                    sources.set(key, { ...origin, birds: 0, routes: [] });
+                }
+                const row = sources.get(key);
+                row.birds = round2(row.birds + origin.birds);
+                row.estimated = row.estimated || origin.estimated;
+                row.routes.push(origin.via);
+                delete row.via;
+            });
+
+            const allocated = (sale.lots || []).reduce((total, lot) => total + (lot.birds || 0), 0);
+            results.push({
+                trip: tripRef(trip),
+                saleId: sale._id,
+                billNumber: sale.billNumber,
+                date: sale.timestamp,
+                customer: customerOf(sale),
+                birds: sale.birds || 0,
+                weight: sale.weight || 0,
+                lotAllocation: sale.lotAllocation || 'fifo',
+                sources: [...sources.values()].sort((a, b) => b.birds - a.birds),
+                unallocated: (sale.birds || 0) - allocated
+            });
+        }
+    }
+    return results;
+};
+
+/**
+ * Lots on a trip with how far each has been drawn down
+ * @param {Object} trip - Trip with lots allocated
+ * @returns {Array} - [{ purchase, dcNumber, vendor, birds, weight, sold, stock, transferred, died, remaining }]
+ */
+export const summarizeTripLots = (trip) => (trip.purchases || []).map(purchase => {
+    const key = idOf(purchase._id);
+    const drawn = (entries) => (entries || []).reduce((total, entry) => total + (drawnFrom(entry, key)?.birds || 0), 0);
+    const row = {
+        purchase: purchase._id,
+        dcNumber: purchase.dcNumber,
+        vendor: vendorOf(purchase),
+        purchasedAt: purchase.timestamp,
+        birds: purchase.birds || 0,
+        weight: purchase.weight || 0,
+        sold: drawn(trip.sales),
+        stock: drawn(trip.stocks),
+        transferred: drawn(trip.transferHistory),
+        died: drawn(trip.losses)
+    };
+    row.remaining = row.birds - row.sold - row.stock - row.transferred - row.died;
+    return row;
+});
@@ -0,0 +1,26 @@
+import { appendFile } from 'fs/promises';
+
+/**
+ * Local adapter for development and testing
+ * Prints the message, and appends it as a JSON line when NOTIFICATION_LOG_FILE is set.
+ */
+const send = async (notification) => {
+    const record = {
+        at: new Date().toISOString(),
+        channel: notification.channel,
+        event: notification.event,
+        to: notification.to,
+        subject: notification.subject,
+        body: notification.body,
+        providerTemplate: notification.providerTemplate
+    };
+
+    if (process.env.NOTIFICATION_LOG_FILE) {
+        await appendFile(process.env.NOTIFICATION_LOG_FILE, JSON.stringify(record) + '\n');
+    } else {
+        console.log('[notification]', JSON.stringify(record));
+    }
+    return { logged: true };
+};
+
+export default { channel: 'console', send };
@@ -0,0 +1,33 @@
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+const getTransporter = () => {
+    if (transporter) return transporter;
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is missing in environment variables');
+
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return transporter;
+};
+
+/**
+ * Send an email over SMTP
+ * Throws on failure so the outbox can retry.
+ */
+const send = async (notification) => {
+    const info = await getTransporter().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: notification.to,
+        subject: notification.subject || 'Notification',
+        text: notification.body
+    });
+    return { messageId: info.messageId, accepted: info.accepted };
+};
+
+export default { channel: 'email', send };
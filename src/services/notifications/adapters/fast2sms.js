@@ -0,0 +1,43 @@
+import axios from 'axios';
+
+const FAST2SMS_URL = 'https://www.fast2sms.com/dev/bulkV2';
+
+// Fast2SMS expects 10-digit Indian numbers without the country code
+const toLocalNumber = (number) => String(number).replace(/\D/g, '').replace(/^91(?=\d{10}$)/, '');
+
+/**
+ * Send an SMS through Fast2SMS
+ * DLT route when the notification carries a template id, quick route otherwise.
+ * Throws on failure so the outbox can retry.
+ */
+const send = async (notification) => {
+    const apiKey = process.env.FAST2SMS_API_KEY;
+    if (!apiKey) throw new Error('FAST2SMS_API_KEY is missing in environment variables');
+
+    const payload = notification.providerTemplate?.id
+        ? {
+            route: 'dlt',
+            sender_id: process.env.FAST2SMS_SENDER_ID || 'TEKSKY',
+            message: notification.providerTemplate.id,
+            variables_values: (notification.providerTemplate.variables || []).join('|'),
+            numbers: toLocalNumber(notification.to),
+            flash: 0
+        }
+        : {
+            route: 'q',
+            message: notification.body,
+            numbers: toLocalNumber(notification.to),
+            flash: 0
+        };
+
+    const response = await axios.post(FAST2SMS_URL, payload, {
+        headers: { authorization: apiKey, 'Content-Type': 'application/json' },
+        timeout: 15000
+    });
+    if (!response.data?.return) {
+        throw new Error(`Fast2SMS rejected the message: ${JSON.stringify(response.data?.message || response.data)}`);
+    }
+    return response.data;
+};
+
+export default { channel: 'sms', send };
@@ -0,0 +1,16 @@
+import fast2sms from './fast2sms.js';
+import whatsapp from './whatsapp.js';
+import email from './email.js';
+import consoleAdapter from './console.js';
+
+// Delivery adapter per notification channel
+const adapters = {
+    sms: fast2sms,
+    whatsapp,
+    email,
+    console: consoleAdapter
+};
+
+export const getAdapter = (channel) => adapters[channel] || null;
+
+export const CHANNELS = Object.keys(adapters);
@@ -0,0 +1,46 @@
+import axios from 'axios';
+
+const GRAPH_API_VERSION = 'v18.0';
+
+// The Cloud API expects the country code; stored numbers are mostly 10-digit Indian numbers
+const toInternationalNumber = (number) => {
+    const digits = String(number).replace(/\D/g, '').replace(/^0(?=\d{10}$)/, '');
+    return digits.length === 10 ? `91${digits}` : digits;
+};
+
+/**
+ * Send a WhatsApp message through the Cloud API
+ * Uses an approved template when one is set (required outside the 24h service window),
+ * otherwise a plain text message.
+ * Throws on failure so the outbox can retry.
+ */
+const send = async (notification) => {
+    const token = process.env.WHATSAPP_TOKEN;
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    if (!token || !phoneNumberId) {
+        throw new Error('WHATSAPP_TOKEN or WHATSAPP_PHONE_NUMBER_ID is missing in environment variables');
+    }
+
+    const message = notification.providerTemplate?.id
+        ? {
+            type: 'template',
+            template: {
+                name: notification.providerTemplate.id,
+                language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en_US' },
+                components: [{
+                    type: 'body',
+                    parameters: (notification.providerTemplate.variables || []).map(text => ({ type: 'text', text: String(text) }))
+                }]
+            }
+        }
+        : { type: 'text', text: { body: notification.body } };
+
+    const response = await axios.post(
+        `https://graph.facebook.com/${GRAPH_API_VERSION}/${phoneNumberId}/messages`,
+        { messaging_product: 'whatsapp', to: toInternationalNumber(notification.to), ...message },
+        { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }, timeout: 15000 }
+    );
+    return response.data;
+};
+
+export default { channel: 'whatsapp', send };
@@ -0,0 +1,59 @@
+import Customer from '../../models/Customer.js';
+import { enqueueNotification, getEnabledChannels } from './outbox.js';
+import { TEMPLATE_KEYS, resolveTemplates, renderTemplate, buildMessageData } from './templates.js';
+
+export const NOTIFICATION_EVENTS = TEMPLATE_KEYS;
+
+// Where each channel delivers for a customer
+const getRecipient = (channel, customer) => {
+    if (channel === 'sms' || channel === 'whatsapp') return customer.contact;
+    if (channel === 'email') return customer.user?.email;
+    return customer.contact || String(customer._id);
+};
+
+/**
+ * Queue a customer notification on every enabled channel
+ * The wording comes from the event's template (see templates.js).
+ * Call after the business transaction has committed; failures here never undo the sale.
+ * @param {String} event - One of NOTIFICATION_EVENTS
+ * @param {Object} options - { customerId, data, reference, userId }
+ *   data: { billNumber, date, birds, weight, rate, amount, cashPaid, onlinePaid, discount, paid }
+ * @returns {Promise<Array>} - Queued notifications
+ */
+export const notifyCustomerEvent = async (event, { customerId, data = {}, reference, userId } = {}) => {
+    if (!NOTIFICATION_EVENTS.includes(event)) throw new Error(`Unknown notification event ${event}`);
+
+    const [customer, enabled] = await Promise.all([
+        Customer.findById(customerId).populate('user', 'email').lean(),
+        getEnabledChannels()
+    ]);
+    if (!customer) return [];
+
+    const channels = Object.keys(enabled).filter(channel => enabled[channel] && getRecipient(channel, customer));
+    if (channels.length === 0) return [];
+
+    const [templates, values] = await Promise.all([
+        resolveTemplates(event, channels),
+        buildMessageData(customer, data)
+    ]);
+
+    const messages = channels.filter(channel => templates[channel]).map(channel => ({
+        ...renderTemplate(templates[channel], values),
+        channel,
+        event,
+        to: getRecipient(channel, customer),
+        customer: customer._id,
+        reference,
+        createdBy: userId
+    }));
+
+    return enqueueNotification(messages);
+};
+
+/**
+ * Fire-and-forget wrapper for controllers: logs instead of failing the request
+ */
+export const queueCustomerEvent = (event, options) => notifyCustomerEvent(event, options).catch(error => {
+    console.error(`Failed to queue ${event} notification:`, error.message);
+    return [];
+});
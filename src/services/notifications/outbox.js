@@ -0,0 +1,117 @@
+import Notification from '../../models/Notification.js';
+import Setting from '../../models/Setting.js';
+import { getAdapter, CHANNELS } from './adapters/index.js';
+
+// Setting key that switches each channel on; SMS falls back to the legacy env flag
+const CHANNEL_SETTING_KEYS = {
+    sms: 'SMS_ENABLED',
+    whatsapp: 'WHATSAPP_ENABLED',
+    email: 'EMAIL_ENABLED',
+    console: 'CONSOLE_ENABLED'
+};
+
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A row stuck in 'processing' this long belongs to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Read the per-channel enable flags from settings
+ * @returns {Promise<Object>} - { sms: Boolean, whatsapp: Boolean, email: Boolean, console: Boolean }
+ */
+export const getEnabledChannels = async () => {
+    const settings = await Setting.find({ key: { $in: Object.values(CHANNEL_SETTING_KEYS) } }).lean();
+    const valueByKey = new Map(settings.map(s => [s.key, s.value]));
+
+    return CHANNELS.reduce((enabled, channel) => {
+        const value = valueByKey.get(CHANNEL_SETTING_KEYS[channel]);
+        if (value !== undefined) {
+            enabled[channel] = value === true || value === 'true';
+        } else {
+            enabled[channel] = channel === 'sms' && process.env.ENABLE_SMS_SERVICE === 'true';
+        }
+        return enabled;
+    }, {});
+};
+
+/**
+ * Store messages in the outbox for the worker to deliver
+ * Messages on a disabled channel are still recorded, as 'skipped', so the history shows them.
+ * @param {Array|Object} messages - { channel, event, to, subject, body, providerTemplate, customer, reference, createdBy }
+ * @returns {Promise<Array>} - Created notifications
+ */
+export const enqueueNotification = async (messages) => {
+    const list = (Array.isArray(messages) ? messages : [messages]).filter(m => m && m.to);
+    if (list.length === 0) return [];
+
+    const enabled = await getEnabledChannels();
+    return Notification.insertMany(list.map(message => ({
+        ...message,
+        status: enabled[message.channel] ? 'pending' : 'skipped',
+        lastError: enabled[message.channel] ? undefined : `${message.channel} channel is disabled`
+    })));
+};
+
+// Exponential backoff: 1m, 2m, 4m ... capped at an hour
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+// Atomically take the next due message so two workers never send the same row
+const claimNext = () => {
+    const now = new Date();
+    return Notification.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+            ]
+        },
+        { $set: { status: 'processing', lockedAt: now } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+const deliver = async (notification) => {
+    const adapter = getAdapter(notification.channel);
+    try {
+        if (!adapter) throw new Error(`No adapter for channel ${notification.channel}`);
+        const response = await adapter.send(notification);
+
+        notification.status = 'sent';
+        notification.sentAt = new Date();
+        notification.providerResponse = response;
+        notification.lastError = undefined;
+    } catch (error) {
+        notification.attempts += 1;
+        notification.lastError = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+        if (notification.attempts >= notification.maxAttempts) {
+            notification.status = 'failed';
+        } else {
+            notification.status = 'pending';
+            notification.nextAttemptAt = new Date(Date.now() + getRetryDelay(notification.attempts));
+        }
+    }
+    notification.lockedAt = undefined;
+    await notification.save();
+    return notification;
+};
+
+/**
+ * Deliver due messages from the outbox
+ * @param {Object} options - { limit } maximum messages to handle in this run
+ * @returns {Promise<Object>} - { processed, sent, failed, retrying }
+ */
+export const processOutbox = async ({ limit = 50 } = {}) => {
+    const summary = { processed: 0, sent: 0, failed: 0, retrying: 0 };
+
+    while (summary.processed < limit) {
+        const notification = await claimNext();
+        if (!notification) break;
+
+        await deliver(notification);
+        summary.processed += 1;
+        if (notification.status === 'sent') summary.sent += 1;
+        else if (notification.status === 'failed') summary.failed += 1;
+        else summary.retrying += 1;
+    }
+    return summary;
+};
@@ -0,0 +1,154 @@
+import NotificationTemplate from '../../models/NotificationTemplate.js';
+import AppError from '../../utils/AppError.js';
+import { getBusinessProfile } from '../../utils/businessProfile.js';
+import { formatAmount, formatBalance, formatDate } from '../pdf/pdfHelpers.js';
+
+export const TEMPLATE_KEYS = ['sale.created', 'sale.updated', 'receipt.created', 'payment.verified', 'overdue.reminder'];
+
+// Values a template body may reference as {{name}}
+export const TEMPLATE_PLACEHOLDERS = [
+    'customerName', 'shopName', 'ownerName', 'businessName',
+    'billNumber', 'date', 'birds', 'weight', 'rate', 'amount',
+    'cashPaid', 'onlinePaid', 'discount', 'paid', 'balance',
+    'lastPaymentDate', 'daysSinceLastPayment'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Built-in wording used until a template is saved for the event/channel.
+// The SMS texts are the ones registered on DLT, so they must not change without re-registering.
+const DEFAULT_TEMPLATES = {
+    'sale.created': {
+        subject: 'Sale bill {{billNumber}}',
+        body: 'Dear {{customerName}}, thank you for purchasing with us. Invoice no. {{billNumber}} dated {{date}}: {{birds}} birds, {{weight}} kg, amount Rs {{amount}}. Paid Rs {{paid}}. Balance Rs {{balance}}. {{businessName}}',
+        sms: {
+            body: 'Dear {{customerName}}, thank you for purchasing with us. Your invoice no.{{billNumber}}. Tekisky Private Limited.',
+            dltTemplateId: '206535'
+        }
+    },
+    'sale.updated': {
+        subject: 'Sale bill {{billNumber}} updated',
+        body: 'Dear {{customerName}}, your purchase invoice no. {{billNumber}} has been updated: amount Rs {{amount}}, paid Rs {{paid}}. Balance Rs {{balance}}. {{businessName}}',
+        sms: {
+            body: 'Dear {{customerName}}, your purchase invoice no.{{billNumber}} has been updated successfully. Tekisky Private Limited.',
+            dltTemplateId: '206536'
+        }
+    },
+    'receipt.created': {
+        subject: 'Payment received {{billNumber}}',
+        body: 'Dear {{customerName}}, we have received Rs {{paid}} on {{date}} (ref {{billNumber}}). Balance Rs {{balance}}. Thank you. {{businessName}}'
+    },
+    'payment.verified': {
+        subject: 'Payment verified',
+        body: 'Dear {{customerName}}, your payment of Rs {{paid}} has been verified on {{date}}. Balance Rs {{balance}}. Thank you. {{businessName}}'
+    },
+    'overdue.reminder': {
+        subject: 'Payment reminder',
+        body: 'Dear {{customerName}}, your outstanding balance is Rs {{balance}}. Last payment received on {{lastPaymentDate}}. Kindly clear the dues at the earliest. {{businessName}}'
+    }
+};
+
+/**
+ * Placeholder names used in a template text, in order of appearance
+ */
+export const extractPlaceholders = (text) => [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+/**
+ * Reject template texts that reference unknown placeholders
+ * @throws {AppError} 400
+ */
+export const validateTemplateText = (...texts) => {
+    const unknown = [...new Set(texts.flatMap(extractPlaceholders))].filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+        throw new AppError(`Unknown placeholders: ${unknown.join(', ')}. Allowed: ${TEMPLATE_PLACEHOLDERS.join(', ')}`, 400);
+    }
+};
+
+const fillPlaceholders = (text, values) => String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => (
+    values[name] === undefined || values[name] === null ? '' : String(values[name])
+));
+
+/**
+ * Render a template against placeholder values
+ * SMS templates with a DLT id also carry the placeholder values as ordered DLT variables.
+ * @param {Object} template - { channel, subject, body, dltTemplateId }
+ * @param {Object} values - buildMessageData() result
+ * @returns {Object} - { subject, body, providerTemplate }
+ */
+export const renderTemplate = (template, values) => {
+    const rendered = {
+        subject: fillPlaceholders(template.subject, values),
+        body: fillPlaceholders(template.body, values)
+    };
+    if (template.channel === 'sms' && template.dltTemplateId) {
+        rendered.providerTemplate = {
+            id: template.dltTemplateId,
+            variables: extractPlaceholders(template.body).map(name => String(values[name] ?? ''))
+        };
+    }
+    return rendered;
+};
+
+/**
+ * Built-in template for an event and channel
+ */
+export const getDefaultTemplate = (key, channel) => {
+    const defaults = DEFAULT_TEMPLATES[key];
+    if (!defaults) return null;
+    const override = defaults[channel] || {};
+    return {
+        key,
+        channel,
+        subject: override.subject || defaults.subject,
+        body: override.body || defaults.body,
+        dltTemplateId: override.dltTemplateId,
+        isDefault: true
+    };
+};
+
+/**
+ * Pick the template for each channel of an event: the saved one if active, else the built-in one
+ * @returns {Promise<Object>} - { [channel]: template }
+ */
+export const resolveTemplates = async (key, channels) => {
+    const saved = await NotificationTemplate.find({ key, channel: { $in: channels }, isActive: true }).lean();
+    const savedByChannel = new Map(saved.map(t => [t.channel, t]));
+
+    return channels.reduce((templates, channel) => {
+        const template = savedByChannel.get(channel) || getDefaultTemplate(key, channel);
+        if (template) templates[channel] = template;
+        return templates;
+    }, {});
+};
+
+/**
+ * Placeholder values for a customer and the record behind the event
+ * The balance is the customer's current outstanding balance.
+ * @param {Object} customer - Customer document (lean or hydrated)
+ * @param {Object} data - { billNumber, date, birds, weight, rate, amount, cashPaid, onlinePaid, discount, paid, lastPaymentDate, daysSinceLastPayment }
+ */
+export const buildMessageData = async (customer, data = {}) => {
+    const business = await getBusinessProfile();
+    const cashPaid = Number(data.cashPaid) || 0;
+    const onlinePaid = Number(data.onlinePaid) || 0;
+
+    return {
+        customerName: customer.shopName || customer.ownerName || 'Customer',
+        shopName: customer.shopName || '',
+        ownerName: customer.ownerName || '',
+        businessName: business.name,
+        billNumber: data.billNumber || '-',
+        date: formatDate(data.date || new Date()),
+        birds: data.birds || 0,
+        weight: Number(data.weight || 0).toFixed(2),
+        rate: formatAmount(data.rate),
+        amount: formatAmount(data.amount),
+        cashPaid: formatAmount(cashPaid),
+        onlinePaid: formatAmount(onlinePaid),
+        discount: formatAmount(data.discount),
+        paid: formatAmount(data.paid ?? (cashPaid + onlinePaid)),
+        balance: formatBalance({ amount: customer.outstandingBalance || 0, type: customer.outstandingBalanceType || 'debit' }),
+        lastPaymentDate: data.lastPaymentDate ? formatDate(data.lastPaymentDate) : 'never',
+        daysSinceLastPayment: data.daysSinceLastPayment ?? ''
+    };
+};
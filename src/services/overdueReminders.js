@@ -0,0 +1,226 @@
+import Customer from "../models/Customer.js";
+import CustomerReminder from "../models/CustomerReminder.js";
+import Setting from "../models/Setting.js";
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import Voucher from "../models/Voucher.js";
+import Payment from "../models/Payment.js";
+import { notifyCustomerEvent } from "./notifications/events.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hour of the day in the business timezone (BUSINESS_TIMEZONE, India by default), whatever the server runs in
+const getBusinessHour = (date) => Number(new Intl.DateTimeFormat('en-GB', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata'
+}).format(date));
+
+// Setting keys, their defaults and the range accepted when they are saved
+const REMINDER_SETTINGS = {
+    enabled: { key: 'OVERDUE_REMINDER_ENABLED', default: false },
+    threshold: { key: 'OVERDUE_REMINDER_THRESHOLD', default: 1000, min: 0 },
+    days: { key: 'OVERDUE_REMINDER_DAYS', default: 30, min: 0, integer: true },
+    repeatDays: { key: 'OVERDUE_REMINDER_REPEAT_DAYS', default: 7, min: 1, integer: true },
+    sendHour: { key: 'OVERDUE_REMINDER_HOUR', default: 10, min: 0, max: 23, integer: true }
+};
+
+/**
+ * Check a reminder setting before it is saved
+ * @param {String} key - Setting key (upper case)
+ * @param {*} value
+ * @returns {String|null} - Error message, or null when the value is fine or the key is not a reminder setting
+ */
+export const validateReminderSetting = (key, value) => {
+    const setting = Object.values(REMINDER_SETTINGS).find(s => s.key === key);
+    if (!setting || value === undefined || value === null || value === '') return null;
+
+    if (typeof setting.default === 'boolean') {
+        return [true, false, 'true', 'false'].includes(value) ? null : `${key} must be true or false`;
+    }
+
+    const number = Number(value);
+    const range = setting.max !== undefined ? `between ${setting.min} and ${setting.max}` : `at least ${setting.min}`;
+    if (!Number.isFinite(number) || number < setting.min || (setting.max !== undefined && number > setting.max)) {
+        return `${key} must be a number ${range}`;
+    }
+    if (setting.integer && !Number.isInteger(number)) {
+        return `${key} must be a whole number`;
+    }
+    return null;
+};
+
+/**
+ * Load the reminder settings
+ * enabled only gates the scheduled run; threshold is the minimum debit balance, days the
+ * minimum age of the last payment, repeatDays the gap between two reminders to one customer,
+ * and sendHour the earliest hour (business timezone) for the scheduled run.
+ * @returns {Promise<Object>} - { enabled, threshold, days, repeatDays, sendHour }
+ */
+export const getReminderSettings = async () => {
+    const settings = await Setting.find({ key: { $in: Object.values(REMINDER_SETTINGS).map(s => s.key) } }).lean();
+    const valueByKey = new Map(settings.map(s => [s.key, s.value]));
+
+    return Object.entries(REMINDER_SETTINGS).reduce((result, [field, { key, default: fallback }]) => {
+        const value = valueByKey.get(key);
+        if (value === undefined || value === null || value === '') {
+            result[field] = fallback;
+        } else if (typeof fallback === 'boolean') {
+            result[field] = value === true || value === 'true';
+        } else {
+            result[field] = Number.isFinite(Number(value)) ? Number(value) : fallback;
+        }
+        return result;
+    }, {});
+};
+
+const mergeLatest = (latest, rows) => {
+    rows.forEach(row => {
+        if (!row._id || !row.lastDate) return;
+        const id = row._id.toString();
+        const current = latest.get(id);
+        if (!current || row.lastDate > current) latest.set(id, row.lastDate);
+    });
+};
+
+/**
+ * Latest date each customer paid anything
+ * Counts cash/online amounts on trip and stock sales/receipts, receipt vouchers and verified payments.
+ * @param {Array} customerIds
+ * @returns {Promise<Map>} - customerId string -> Date
+ */
+export const getLastPaymentDates = async (customerIds) => {
+    const paidFilter = { $or: [{ cashPaid: { $gt: 0 } }, { onlinePaid: { $gt: 0 } }] };
+
+    const [tripRows, stockRows, voucherRows, paymentRows] = await Promise.all([
+        Trip.aggregate([
+            { $match: { 'sales.client': { $in: customerIds } } },
+            { $unwind: '$sales' },
+            { $match: { 'sales.client': { $in: customerIds }, $or: [{ 'sales.cashPaid': { $gt: 0 } }, { 'sales.onlinePaid': { $gt: 0 } }] } },
+            { $group: { _id: '$sales.client', lastDate: { $max: '$sales.timestamp' } } }
+        ]),
+        InventoryStock.aggregate([
+            { $match: { customerId: { $in: customerIds }, type: { $in: ['sale', 'receipt'] }, ...paidFilter } },
+            { $group: { _id: '$customerId', lastDate: { $max: '$date' } } }
+        ]),
+        Voucher.aggregate([
+            { $match: { voucherType: 'Receipt', isActive: true, 'parties.partyId': { $in: customerIds } } },
+            { $unwind: '$parties' },
+            { $match: { 'parties.partyType': 'customer', 'parties.partyId': { $in: customerIds } } },
+            { $group: { _id: '$parties.partyId', lastDate: { $max: '$date' } } }
+        ]),
+        Payment.aggregate([
+            { $match: { customer: { $in: customerIds }, status: 'verified', isActive: true } },
+            { $group: { _id: '$customer', lastDate: { $max: '$verifiedAt' } } }
+        ])
+    ]);
+
+    const latest = new Map();
+    [tripRows, stockRows, voucherRows, paymentRows].forEach(rows => mergeLatest(latest, rows));
+    return latest;
+};
+
+/**
+ * Customers due a reminder
+ * Debit balance above the threshold, no payment for `days` (counted from when the customer
+ * was added if they never paid), not opted out, and not reminded within `repeatDays`.
+ * @returns {Promise<Array>} - [{ customer, lastPaymentDate, daysSinceLastPayment }]
+ */
+export const findOverdueCustomers = async (settings, now = new Date()) => {
+    const customers = await Customer.find({
+        isActive: true,
+        reminderOptOut: { $ne: true },
+        outstandingBalanceType: 'debit',
+        outstandingBalance: { $gt: settings.threshold }
+    }).select('shopName ownerName contact outstandingBalance outstandingBalanceType createdAt').lean();
+    if (customers.length === 0) return [];
+
+    const ids = customers.map(c => c._id);
+    const [lastPayments, recentReminders] = await Promise.all([
+        getLastPaymentDates(ids),
+        CustomerReminder.distinct('customer', {
+            customer: { $in: ids },
+            createdAt: { $gte: new Date(now.getTime() - settings.repeatDays * DAY_MS) }
+        })
+    ]);
+    const remindedRecently = new Set(recentReminders.map(id => id.toString()));
+
+    return customers.reduce((due, customer) => {
+        const id = customer._id.toString();
+        if (remindedRecently.has(id)) return due;
+
+        const lastPaymentDate = lastPayments.get(id) || null;
+        const since = lastPaymentDate || customer.createdAt;
+        const daysSinceLastPayment = Math.floor((now - new Date(since)) / DAY_MS);
+        if (daysSinceLastPayment < settings.days) return due;
+
+        due.push({ customer, lastPaymentDate, daysSinceLastPayment });
+        return due;
+    }, []);
+};
+
+/**
+ * Remind every overdue customer and record each reminder
+ * The scheduled run is skipped while reminders are disabled or before the send hour;
+ * a manual run always goes ahead.
+ * @param {Object} options - { trigger: 'scheduled' | 'manual', dryRun, userId, jobRun }
+ * @returns {Promise<Object>} - Summary with the customers reminded (or due, for a dry run)
+ */
+export const sendOverdueReminders = async ({ trigger = 'scheduled', dryRun = false, userId, jobRun } = {}) => {
+    const settings = await getReminderSettings();
+    const now = new Date();
+
+    if (trigger === 'scheduled' && (!settings.enabled || getBusinessHour(now) < settings.sendHour)) {
+        return { settings, skipped: true, reason: settings.enabled ? 'Before send hour' : 'Reminders are disabled' };
+    }
+
+    const due = await findOverdueCustomers(settings, now);
+    const summary = { settings, dryRun, due: due.length, reminded: 0, noChannel: 0, failed: 0, customers: [] };
+
+    for (const { customer, lastPaymentDate, daysSinceLastPayment } of due) {
+        const row = {
+            customer: customer._id,
+            shopName: customer.shopName,
+            outstandingBalance: customer.outstandingBalance,
+            lastPaymentDate,
+            daysSinceLastPayment
+        };
+        summary.customers.push(row);
+        if (dryRun) continue;
+
+        try {
+            const notifications = await notifyCustomerEvent('overdue.reminder', {
+                customerId: customer._id,
+                data: { lastPaymentDate, daysSinceLastPayment },
+                reference: { model: 'Customer', id: customer._id },
+                userId
+            });
+            const queued = notifications.filter(n => n.status === 'pending');
+            if (queued.length === 0) {
+                row.status = 'no_channel';
+                summary.noChannel += 1;
+                continue;
+            }
+
+            await CustomerReminder.create({
+                customer: customer._id,
+                outstandingBalance: customer.outstandingBalance,
+                outstandingBalanceType: customer.outstandingBalanceType,
+                lastPaymentDate,
+                daysSinceLastPayment,
+                channels: queued.map(n => n.channel),
+                notifications: queued.map(n => n._id),
+                trigger,
+                jobRun: jobRun?._id,
+                createdBy: userId
+            });
+            row.status = 'reminded';
+            summary.reminded += 1;
+        } catch (error) {
+            console.error(`Overdue reminder failed for customer ${customer._id}:`, error.message);
+            row.status = 'failed';
+            summary.failed += 1;
+        }
+    }
+    return summary;
+};
@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import Vendor from "../models/Vendor.js";
+import DieselStation from "../models/DieselStation.js";
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import IndirectSale from "../models/IndirectSale.js";
+import Voucher from "../models/Voucher.js";
+import { AGEING_BUCKETS, allocateFifo, bucketOpenItems } from "../utils/ageing.js";
+import { formatDate } from "./pdf/pdfHelpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PAYABLE_PARTY_TYPES = ['vendor', 'dieselStation'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const normalizeName = (name) => (name || '').toString().trim().toLowerCase();
+
+/**
+ * Collect bills (what we owe) and payments for vendors and diesel stations
+ * Bills: trip purchases, stock purchases/openings, indirect sale purchases, diesel filled on
+ * credit, Receipt vouchers and journal credits. Payments: Payment vouchers and journal debits.
+ * Postings follow the balance rebuild rules, so the net matches the outstanding balance.
+ * @param {Array} parties - [{ partyType, party }]
+ * @returns {Promise<Map>} - 'partyType:id' -> { bills: [], payments: [] }
+ */
+const collectPayableMovements = async (parties) => {
+    const movements = new Map(parties.map(({ partyType, party }) => [`${partyType}:${party._id}`, { bills: [], payments: [] }]));
+    const add = (partyType, ref, kind, movement) => {
+        const entry = ref && movements.get(`${partyType}:${(ref._id || ref).toString()}`);
+        const amount = round2(movement.amount);
+        if (!entry || amount <= 0) return;
+        entry[kind].push({ ...movement, date: new Date(movement.date || 0), amount });
+    };
+
+    const vendorIds = parties.filter(p => p.partyType === 'vendor').map(p => p.party._id);
+    const stationIds = parties.filter(p => p.partyType === 'dieselStation').map(p => p.party._id);
+    const partyByName = new Map();
+    parties.forEach(({ partyType, party }) => {
+        const name = normalizeName(partyType === 'vendor' ? party.vendorName : party.name);
+        if (name && !partyByName.has(name)) partyByName.set(name, { partyType, id: party._id });
+    });
+
+    const [trips, stocks, indirectSales, vouchers] = await Promise.all([
+        Trip.find({ $or: [{ 'purchases.supplier': { $in: vendorIds } }, { 'diesel.stations.dieselStation': { $in: stationIds } }] })
+            .select('tripId date purchases diesel').lean(),
+        InventoryStock.find({ vendorId: { $in: vendorIds }, type: { $in: ['purchase', 'opening'] } }).lean(),
+        IndirectSale.find({ vendor: { $in: vendorIds }, isActive: true }).select('invoiceNumber date vendor summary').lean(),
+        Voucher.find({
+            isActive: true,
+            $or: [
+                { 'parties.partyId': { $in: [...vendorIds, ...stationIds] } },
+                { voucherType: { $nin: ['Payment', 'Receipt'] } }
+            ]
+        }).lean()
+    ]);
+
+    trips.forEach(trip => {
+        (trip.purchases || []).forEach(purchase => add('vendor', purchase.supplier, 'bills', {
+            date: purchase.timestamp || trip.date,
+            amount: purchase.amount,
+            particulars: 'PURCHASE',
+            reference: purchase.dcNumber || trip.tripId,
+            source: 'trip'
+        }));
+        (trip.diesel?.stations || []).forEach(station => {
+            // Paid from a ledger at the pump: nothing is owed to the station
+            if (station.paymentLedger) return;
+            add('dieselStation', station.dieselStation, 'bills', {
+                date: station.timestamp || trip.date,
+                amount: station.amount,
+                particulars: 'DIESEL',
+                reference: station.indentNumber || trip.tripId,
+                source: 'trip'
+            });
+        });
+    });
+
+    stocks.forEach(stock => {
+        if (stock.inventoryType === 'feed' && stock.ledgerId) return;
+        add('vendor', stock.vendorId, 'bills', {
+            date: stock.date,
+            amount: stock.amount,
+            particulars: stock.type === 'opening' ? 'OPENING STOCK' : 'PURCHASE',
+            reference: stock.billNumber || stock.refNo || '',
+            source: 'inventoryStock'
+        });
+    });
+
+    indirectSales.forEach(record => add('vendor', record.vendor, 'bills', {
+        date: record.date,
+        amount: record.summary?.totalPurchaseAmount,
+        particulars: 'PURCHASE',
+        reference: record.invoiceNumber || '',
+        source: 'indirectSale'
+    }));
+
+    vouchers.forEach(voucher => {
+        const reference = `VCH-${voucher.voucherNumber}`;
+        if (voucher.voucherType === 'Payment' || voucher.voucherType === 'Receipt') {
+            const kind = voucher.voucherType === 'Payment' ? 'payments' : 'bills';
+            (voucher.parties || []).forEach(party => {
+                if (!PAYABLE_PARTY_TYPES.includes(party.partyType)) return;
+                add(party.partyType, party.partyId, kind, {
+                    date: voucher.date,
+                    amount: party.amount,
+                    particulars: voucher.voucherType.toUpperCase(),
+                    reference,
+                    source: 'voucher'
+                });
+            });
+        } else {
+            (voucher.entries || []).forEach(entry => {
+                // Entries carry the account id; older ones only have the name
+                const match = entry.partyId
+                    ? { partyType: entry.partyType, id: entry.partyId }
+                    : partyByName.get(normalizeName(entry.account));
+                if (!match) return;
+                const base = { date: voucher.date, particulars: voucher.voucherType.toUpperCase(), reference, source: 'voucher' };
+                add(match.partyType, match.id, 'payments', { ...base, amount: entry.debitAmount });
+                add(match.partyType, match.id, 'bills', { ...base, amount: entry.creditAmount });
+            });
+        }
+    });
+
+    return movements;
+};
+
+// Opening balance counts as the oldest movement; a credit opening balance is money we owe
+const addOpeningBalance = (party, movement) => {
+    const amount = round2(party.openingBalance);
+    if (amount <= 0) return;
+    const dates = [...movement.bills, ...movement.payments].map(m => m.date);
+    const created = party.createdAt ? new Date(party.createdAt) : new Date();
+    const earliest = dates.length ? new Date(Math.min(...dates)) : created;
+    const opening = {
+        date: earliest < created ? earliest : created,
+        amount,
+        particulars: 'OPENING BALANCE',
+        reference: '',
+        source: 'opening'
+    };
+    (party.openingBalanceType === 'debit' ? movement.payments : movement.bills).push(opening);
+};
+
+const loadParties = async ({ partyType, party }) => {
+    const types = partyType ? [partyType] : PAYABLE_PARTY_TYPES;
+    const idFilter = party ? { _id: new mongoose.Types.ObjectId(party) } : {};
+    const [vendors, stations] = await Promise.all([
+        types.includes('vendor')
+            ? Vendor.find({ isActive: true, ...idFilter }).select('vendorName contactNumber creditDays openingBalance openingBalanceType createdAt').lean()
+            : [],
+        types.includes('dieselStation')
+            ? DieselStation.find({ isActive: true, ...idFilter }).select('name mobileNumber openingBalance openingBalanceType createdAt').lean()
+            : []
+    ]);
+    return [
+        ...vendors.map(v => ({ partyType: 'vendor', party: v, name: v.vendorName, contact: v.contactNumber, creditDays: v.creditDays || 0 })),
+        // Diesel stations have no credit terms; fuel is due when it is filled
+        ...stations.map(s => ({ partyType: 'dieselStation', party: s, name: s.name, contact: s.mobileNumber, creditDays: 0 }))
+    ];
+};
+
+/**
+ * Open bills per vendor/diesel station after FIFO allocation of payments, as of a date
+ * Each open bill carries its due date (bill date + the vendor's credit days).
+ * @param {Object} options - { asOf, partyType, party }
+ * @returns {Promise<Array>} - [{ partyType, partyId, name, contact, creditDays, openItems, advance }]
+ */
+export const getOpenPayables = async ({ asOf, partyType, party }) => {
+    const parties = await loadParties({ partyType, party });
+    if (parties.length === 0) return [];
+    const movementsByParty = await collectPayableMovements(parties);
+
+    return parties.map(entry => {
+        const movement = movementsByParty.get(`${entry.partyType}:${entry.party._id}`);
+        addOpeningBalance(entry.party, movement);
+        const bills = movement.bills.filter(m => m.date <= asOf);
+        const payments = movement.payments.filter(m => m.date <= asOf);
+        const { openItems, advance } = allocateFifo(bills, payments);
+
+        return {
+            partyType: entry.partyType,
+            partyId: entry.party._id,
+            name: entry.name,
+            contact: entry.contact || '',
+            creditDays: entry.creditDays,
+            openItems: openItems.map(item => ({
+                ...item,
+                dueDate: new Date(new Date(item.date).getTime() + entry.creditDays * DAY_MS)
+            })),
+            advance
+        };
+    });
+};
+
+/**
+ * Payables ageing: unpaid purchases bucketed by age, with the overdue part by credit terms
+ * @param {Object} options - { asOf, partyType, party, includeItems, includeZero }
+ * @returns {Promise<Object>} - { asOf, buckets, parties, totals }
+ */
+export const buildPayablesAgeing = async ({ asOf, partyType, party, includeItems = false, includeZero = false }) => {
+    const open = await getOpenPayables({ asOf, partyType, party });
+    const bucketLabels = AGEING_BUCKETS.map(b => b.label);
+    const totals = { ...Object.fromEntries(bucketLabels.map(l => [l, 0])), totalDue: 0, overdue: 0, advance: 0, netPayable: 0 };
+    const rows = [];
+
+    open.forEach(entry => {
+        const aged = bucketOpenItems(entry.openItems, asOf);
+        if (!includeZero && aged.total === 0 && entry.advance === 0) return;
+
+        const overdue = round2(entry.openItems.filter(i => i.dueDate < asOf).reduce((sum, i) => sum + i.remaining, 0));
+        const row = {
+            partyType: entry.partyType,
+            partyId: entry.partyId,
+            name: entry.name,
+            contact: entry.contact,
+            creditDays: entry.creditDays,
+            buckets: aged.buckets,
+            totalDue: aged.total,
+            overdue,
+            advance: entry.advance,
+            netPayable: round2(aged.total - entry.advance),
+            oldestBillDate: aged.oldestDate
+        };
+        if (includeItems) row.items = aged.items;
+        rows.push(row);
+
+        bucketLabels.forEach(l => { totals[l] = round2(totals[l] + aged.buckets[l]); });
+        totals.totalDue = round2(totals.totalDue + aged.total);
+        totals.overdue = round2(totals.overdue + overdue);
+        totals.advance = round2(totals.advance + entry.advance);
+        totals.netPayable = round2(totals.netPayable + row.netPayable);
+    });
+
+    rows.sort((a, b) => b.netPayable - a.netPayable);
+    return { asOf, buckets: bucketLabels, parties: rows, totals };
+};
+
+/**
+ * Bills falling due up to a date (overdue ones included), soonest first, for payout planning
+ * A party's advance is applied before anything is listed as due.
+ * @param {Object} options - { from, until, partyType, party }
+ * @returns {Promise<Object>} - { until, items, parties, totals }
+ */
+export const buildPayablesDue = async ({ from, until, partyType, party }) => {
+    const open = await getOpenPayables({ asOf: until, partyType, party });
+    const items = [];
+    const parties = [];
+
+    open.forEach(entry => {
+        const due = entry.openItems.filter(item => item.dueDate <= until);
+        if (due.length === 0) return;
+        const amount = round2(due.reduce((sum, item) => sum + item.remaining, 0));
+        parties.push({ partyType: entry.partyType, partyId: entry.partyId, name: entry.name, contact: entry.contact, amount, bills: due.length });
+        due.forEach(item => items.push({
+            partyType: entry.partyType,
+            partyId: entry.partyId,
+            name: entry.name,
+            date: item.date,
+            dueDate: item.dueDate,
+            particulars: item.particulars,
+            reference: item.reference,
+            amount: item.amount,
+            remaining: item.remaining,
+            overdue: item.dueDate < from
+        }));
+    });
+
+    items.sort((a, b) => a.dueDate - b.dueDate);
+    parties.sort((a, b) => b.amount - a.amount);
+    const totals = {
+        overdue: round2(items.filter(i => i.overdue).reduce((sum, i) => sum + i.remaining, 0)),
+        dueInPeriod: round2(items.filter(i => !i.overdue).reduce((sum, i) => sum + i.remaining, 0))
+    };
+    totals.total = round2(totals.overdue + totals.dueInPeriod);
+
+    return { from, until, items, parties, totals };
+};
+
+const PARTY_TYPE_LABELS = { vendor: 'Vendor', dieselStation: 'Diesel Station' };
+
+export const payablesAgeingSheets = (report) => {
+    const summary = report.parties.map(row => ({
+        'Party': row.name,
+        'Type': PARTY_TYPE_LABELS[row.partyType],
+        'Credit Days': row.creditDays,
+        ...Object.fromEntries(report.buckets.map(l => [`${l} days`, row.buckets[l]])),
+        'Total Due': row.totalDue,
+        'Overdue': row.overdue,
+        'Advance': row.advance,
+        'Net Payable': row.netPayable,
+        'Oldest Bill': row.oldestBillDate ? formatDate(row.oldestBillDate) : ''
+    }));
+    summary.push({
+        'Party': 'TOTAL',
+        ...Object.fromEntries(report.buckets.map(l => [`${l} days`, report.totals[l]])),
+        'Total Due': report.totals.totalDue,
+        'Overdue': report.totals.overdue,
+        'Advance': report.totals.advance,
+        'Net Payable': report.totals.netPayable
+    });
+
+    const sheets = [{ name: 'Payables Ageing', rows: summary }];
+    if (report.parties.some(row => row.items)) {
+        sheets.push({
+            name: 'Open Bills',
+            rows: report.parties.flatMap(row => (row.items || []).map(item => ({
+                'Party': row.name,
+                'Date': formatDate(item.date),
+                'Due Date': formatDate(item.dueDate),
+                'Particulars': item.particulars,
+                'Reference': item.reference || '',
+                'Amount': item.amount,
+                'Unpaid': item.remaining,
+                'Age (days)': item.ageDays,
+                'Bucket': item.bucket
+            })))
+        });
+    }
+    return sheets;
+};
+
+export const payablesDueSheets = (report) => [{
+    name: 'Payables Due',
+    rows: report.items.map(item => ({
+        'Due Date': formatDate(item.dueDate),
+        'Party': item.name,
+        'Type': PARTY_TYPE_LABELS[item.partyType],
+        'Bill Date': formatDate(item.date),
+        'Particulars': item.particulars,
+        'Reference': item.reference || '',
+        'Bill Amount': item.amount,
+        'Unpaid': item.remaining,
+        'Status': item.overdue ? 'Overdue' : 'Due'
+    }))
+}];
@@ -0,0 +1,88 @@
+import {
+    renderPdf,
+    drawBusinessHeader,
+    drawTableRow,
+    drawPageNumbers,
+    formatAmount,
+    formatBalance,
+    formatDate
+} from './pdfHelpers.js';
+
+const COLUMNS = [
+    { key: 'date', title: 'Date', width: 58 },
+    { key: 'particulars', title: 'Particulars', width: 82 },
+    { key: 'reference', title: 'Ref / Bill No', width: 66 },
+    { key: 'details', title: 'Details', width: 115 },
+    { key: 'debit', title: 'Debit', width: 66, align: 'right' },
+    { key: 'credit', title: 'Credit', width: 66, align: 'right' },
+    { key: 'balance', title: 'Balance', width: 70, align: 'right' }
+];
+
+const drawTableHeader = (doc) => {
+    const y = drawTableRow(doc, COLUMNS, COLUMNS.map(c => c.title), { font: 'Helvetica-Bold' });
+    const left = doc.page.margins.left;
+    const width = COLUMNS.reduce((sum, c) => sum + c.width, 0);
+    doc.moveTo(left, y - 2).lineTo(left + width, y - 2).lineWidth(0.5).stroke();
+    return y + 2;
+};
+
+/**
+ * Render a customer account statement as a PDF
+ * @param {Object} statement - buildCustomerStatement() result
+ * @param {Object} business - getBusinessProfile() result
+ * @returns {Promise<Buffer>}
+ */
+export const renderCustomerStatementPdf = (statement, business) => renderPdf((doc) => {
+    const { customer, period, openingBalance, entries, totals, closingBalance } = statement;
+    const left = doc.page.margins.left;
+    const bottomLimit = () => doc.page.height - doc.page.margins.bottom - 30;
+
+    drawBusinessHeader(doc, business, 'ACCOUNT STATEMENT');
+
+    // Customer and period block
+    doc.font('Helvetica-Bold').fontSize(10).text(customer.shopName || customer.ownerName || 'Customer', left);
+    doc.font('Helvetica').fontSize(9);
+    if (customer.ownerName && customer.ownerName !== customer.shopName) doc.text(customer.ownerName);
+    const address = [customer.address, customer.place].filter(Boolean).join(', ');
+    if (address) doc.text(address);
+    if (customer.contact) doc.text(`Contact: ${customer.contact}`);
+    if (customer.gstOrPanNumber) doc.text(`GST/PAN: ${customer.gstOrPanNumber}`);
+    doc.moveDown(0.3);
+    doc.text(`Period: ${formatDate(period.from)} to ${formatDate(period.to)}`);
+    doc.moveDown(0.8);
+
+    let y = drawTableHeader(doc);
+    y = drawTableRow(doc, COLUMNS, [formatDate(period.from), 'OPENING BALANCE', '', '', '', '', formatBalance(openingBalance)], { y, font: 'Helvetica-Bold' });
+
+    entries.forEach(entry => {
+        if (y > bottomLimit()) {
+            doc.addPage();
+            y = drawTableHeader(doc);
+        }
+        y = drawTableRow(doc, COLUMNS, [
+            formatDate(entry.date),
+            entry.particulars,
+            entry.reference,
+            entry.details,
+            entry.debit ? formatAmount(entry.debit) : '',
+            entry.credit ? formatAmount(entry.credit) : '',
+            formatBalance(entry.balance)
+        ], { y });
+    });
+
+    if (y > bottomLimit()) {
+        doc.addPage();
+        y = doc.page.margins.top;
+    }
+    const tableWidth = COLUMNS.reduce((sum, c) => sum + c.width, 0);
+    doc.moveTo(left, y).lineTo(left + tableWidth, y).lineWidth(0.5).stroke();
+    y = drawTableRow(doc, COLUMNS, ['', 'TOTAL', '', '', formatAmount(totals.debit), formatAmount(totals.credit), ''], { y: y + 3, font: 'Helvetica-Bold' });
+    drawTableRow(doc, COLUMNS, [formatDate(period.to), 'CLOSING BALANCE', '', '', '', '', formatBalance(closingBalance)], { y, font: 'Helvetica-Bold' });
+
+    if (business.footer) {
+        doc.moveDown(1.5);
+        doc.font('Helvetica').fontSize(8).text(business.footer, left, doc.y, { align: 'center' });
+    }
+
+    drawPageNumbers(doc);
+});
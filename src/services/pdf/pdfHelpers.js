@@ -0,0 +1,110 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Render a PDF into a Buffer
+ * @param {Function} draw - (doc) => void, draws the content
+ * @param {Object} options - PDFKit document options
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = (draw, options = {}) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 36, bufferPages: true, ...options });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        draw(doc);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+// Built-in PDF fonts have no rupee glyph, so amounts are printed without a symbol
+export const formatAmount = (value) => (Number(value) || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+export const formatBalance = (balance) => {
+    if (!balance) return formatAmount(0);
+    return `${formatAmount(balance.amount)} ${balance.type === 'credit' ? 'Cr' : 'Dr'}`;
+};
+
+export const formatDate = (date) => {
+    if (!date) return '';
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return '';
+    const dd = String(d.getDate()).padStart(2, '0');
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    return `${dd}/${mm}/${d.getFullYear()}`;
+};
+
+/**
+ * Draw the business header (from settings) followed by the document title
+ * @param {PDFDocument} doc
+ * @param {Object} business - getBusinessProfile() result
+ * @param {String} title - e.g. 'ACCOUNT STATEMENT'
+ */
+export const drawBusinessHeader = (doc, business, title) => {
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const left = doc.page.margins.left;
+
+    if (business.name) {
+        doc.font('Helvetica-Bold').fontSize(16).text(business.name.toUpperCase(), left, doc.y, { width, align: 'center' });
+    }
+    doc.font('Helvetica').fontSize(9);
+    if (business.address) doc.text(business.address, { width, align: 'center' });
+    const contactLine = [business.contact && `Ph: ${business.contact}`, business.gstin && `GSTIN: ${business.gstin}`]
+        .filter(Boolean)
+        .join('   ');
+    if (contactLine) doc.text(contactLine, { width, align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).text(title, left, doc.y, { width, align: 'center' });
+    doc.moveDown(0.3);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).stroke();
+    doc.moveDown(0.5);
+};
+
+/**
+ * Draw one table row and return the y position below it
+ * @param {PDFDocument} doc
+ * @param {Array} columns - [{ width, align }]
+ * @param {Array} values - Cell text, same order as columns
+ * @param {Object} options - { y, font, fontSize }
+ */
+export const drawTableRow = (doc, columns, values, { y = doc.y, font = 'Helvetica', fontSize = 8 } = {}) => {
+    let x = doc.page.margins.left;
+    let rowHeight = 0;
+
+    doc.font(font).fontSize(fontSize);
+    columns.forEach((column, i) => {
+        const text = values[i] === undefined || values[i] === null ? '' : String(values[i]);
+        const height = doc.heightOfString(text, { width: column.width - 4 });
+        doc.text(text, x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+        rowHeight = Math.max(rowHeight, height);
+        x += column.width;
+    });
+
+    return y + rowHeight + 4;
+};
+
+// Number every page ("Page 1 of 3") once the content is complete
+export const drawPageNumbers = (doc) => {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise make PDFKit start a new page
+        const { bottom } = doc.page.margins;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(7).text(
+            `Page ${i + 1} of ${range.count}`,
+            doc.page.margins.left,
+            doc.page.height - bottom + 10,
+            { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'right', lineBreak: false }
+        );
+        doc.page.margins.bottom = bottom;
+    }
+};
@@ -0,0 +1,57 @@
+import { renderPdf, drawBusinessHeader, drawTableRow, formatDate } from './pdfHelpers.js';
+
+const DETAIL_COLUMNS = [
+    { width: 200 },
+    { width: 150, align: 'right' }
+];
+
+/**
+ * Render a single sale bill as an A5 PDF
+ * @param {Object} invoice - Invoice data from saleInvoice.js
+ * @param {Object} business - getBusinessProfile() result
+ * @param {Array} rows - [label, value] pairs, null for a separator
+ * @returns {Promise<Buffer>}
+ */
+export const renderSaleInvoicePdf = (invoice, business, rows) => renderPdf((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const tableLeft = left + (width - 350) / 2;
+
+    drawBusinessHeader(doc, business, invoice.isReceipt ? 'RECEIPT' : 'SALE BILL');
+
+    const infoTop = doc.y;
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Bill No: ${invoice.billNumber || '-'}`, left, infoTop);
+    if (invoice.vehicleNumber) doc.text(`Vehicle: ${invoice.vehicleNumber}`);
+    if (invoice.reference) doc.text(`Trip: ${invoice.reference}`);
+    const leftBottom = doc.y;
+    doc.text(`Date: ${formatDate(invoice.date)}`, left, infoTop, { width, align: 'right' });
+    doc.y = Math.max(leftBottom, doc.y);
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica-Bold').text(invoice.customer.shopName || invoice.customer.ownerName || 'Customer', left);
+    doc.font('Helvetica');
+    if (invoice.customer.ownerName && invoice.customer.ownerName !== invoice.customer.shopName) doc.text(invoice.customer.ownerName);
+    if (invoice.customer.place) doc.text(invoice.customer.place);
+    if (invoice.customer.contact) doc.text(`Contact: ${invoice.customer.contact}`);
+    doc.moveDown(0.8);
+
+    // drawTableRow starts at the left margin, so shift it to centre the detail table
+    const originalLeft = doc.page.margins.left;
+    doc.page.margins.left = tableLeft;
+    let y = doc.y;
+    rows.forEach(row => {
+        if (!row) {
+            doc.moveTo(tableLeft, y + 2).lineTo(tableLeft + 350, y + 2).lineWidth(0.5).stroke();
+            y += 6;
+            return;
+        }
+        const isTotal = row[0] === 'Amount' || row[0] === 'New Balance';
+        y = drawTableRow(doc, DETAIL_COLUMNS, row, { y, fontSize: 10, font: isTotal ? 'Helvetica-Bold' : 'Helvetica' });
+    });
+    doc.page.margins.left = originalLeft;
+
+    if (business.footer) {
+        doc.font('Helvetica').fontSize(8).text(business.footer, left, y + 20, { width, align: 'center' });
+    }
+}, { size: 'A5', margin: 30 });
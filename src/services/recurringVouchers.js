@@ -0,0 +1,392 @@
+import RecurringVoucher from "../models/RecurringVoucher.js";
+import RecurringVoucherInstance from "../models/RecurringVoucherInstance.js";
+import Voucher from "../models/Voucher.js";
+import Sequence from "../models/Sequence.js";
+import AppError from "../utils/AppError.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { assertPeriodUnlocked } from "../utils/periodLock.js";
+import { applyVoucherBalances, findVoucherAccount, resolveVoucherEntries } from "./voucherPosting.js";
+
+export const RECURRING_VOUCHER_TYPES = ['Payment', 'Receipt', 'Contra', 'Journal'];
+export const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+export const RECURRING_MODES = ['auto', 'draft'];
+
+// Months between two occurrences for interval 1
+const MONTH_STEP = { monthly: 1, quarterly: 3, yearly: 12 };
+const DAY_STEP = { daily: 1, weekly: 7 };
+
+// A template that fell behind (server down, paused) generates at most this many occurrences per run
+const MAX_CATCH_UP = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+const endOfDay = (value) => {
+    const date = new Date(value);
+    date.setHours(23, 59, 59, 999);
+    return date;
+};
+
+const parseDate = (value, field) => {
+    const date = new Date(value);
+    if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+        throw new AppError(`Invalid ${field}`, 400);
+    }
+    return startOfDay(date);
+};
+
+const assertWholeNumber = (value, min, max, message) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new AppError(message, 400);
+    }
+    return number;
+};
+
+/**
+ * Validate a schedule; the day fields default to the start date's weekday/day
+ * @param {Object} schedule - { frequency, interval, dayOfWeek, dayOfMonth }
+ * @param {Date} startDate
+ * @returns {Object} - Normalized schedule
+ */
+export const normalizeSchedule = (schedule, startDate) => {
+    if (!schedule || typeof schedule !== 'object') {
+        throw new AppError('Schedule is required', 400);
+    }
+    const { frequency } = schedule;
+    if (!RECURRING_FREQUENCIES.includes(frequency)) {
+        throw new AppError(`Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}`, 400);
+    }
+
+    const normalized = {
+        frequency,
+        interval: schedule.interval === undefined || schedule.interval === null
+            ? 1
+            : assertWholeNumber(schedule.interval, 1, 365, 'Interval must be a whole number between 1 and 365')
+    };
+    if (frequency === 'weekly') {
+        normalized.dayOfWeek = schedule.dayOfWeek === undefined || schedule.dayOfWeek === null
+            ? startDate.getDay()
+            : assertWholeNumber(schedule.dayOfWeek, 0, 6, 'Day of week must be 0 (Sunday) to 6 (Saturday)');
+    }
+    if (MONTH_STEP[frequency]) {
+        normalized.dayOfMonth = schedule.dayOfMonth === undefined || schedule.dayOfMonth === null
+            ? startDate.getDate()
+            : assertWholeNumber(schedule.dayOfMonth, 1, 31, 'Day of month must be between 1 and 31');
+    }
+    return normalized;
+};
+
+// k-th candidate date counted from the start; month schedules use the last day of shorter months
+const occurrenceAt = (schedule, start, k) => {
+    const { frequency, interval = 1 } = schedule;
+    if (frequency === 'daily') {
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + k * interval);
+    }
+    if (frequency === 'weekly') {
+        const offset = (schedule.dayOfWeek - start.getDay() + 7) % 7;
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset + k * 7 * interval);
+    }
+    const month = new Date(start.getFullYear(), start.getMonth() + k * MONTH_STEP[frequency] * interval, 1);
+    const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    return new Date(month.getFullYear(), month.getMonth(), Math.min(schedule.dayOfMonth, lastDay));
+};
+
+/**
+ * First occurrence after a date (or the first one on/after the start date)
+ * @param {Object} template - { schedule, startDate, endDate }
+ * @param {Date} after - Previous occurrence, or null
+ * @returns {Date|null} - null when the schedule has ended
+ */
+export const nextOccurrence = (template, after = null) => {
+    const start = startOfDay(template.startDate);
+    const { schedule } = template;
+
+    // Jump close to `after` instead of walking every occurrence since the start
+    let k = 0;
+    if (after && after > start) {
+        const estimate = DAY_STEP[schedule.frequency]
+            ? Math.floor((after - start) / DAY_MS / (DAY_STEP[schedule.frequency] * schedule.interval))
+            : Math.floor(((after.getFullYear() - start.getFullYear()) * 12 + after.getMonth() - start.getMonth()) / (MONTH_STEP[schedule.frequency] * schedule.interval));
+        k = Math.max(0, estimate - 1);
+    }
+
+    let date = occurrenceAt(schedule, start, k);
+    while (date < start || (after && date <= after)) {
+        k += 1;
+        date = occurrenceAt(schedule, start, k);
+    }
+
+    if (template.endDate && date > endOfDay(template.endDate)) return null;
+    return date;
+};
+
+/**
+ * Dates the template will generate on, from its next run up to a date
+ * @param {Object} template
+ * @param {Object} options - { until, limit }
+ * @returns {Array<Date>}
+ */
+export const upcomingOccurrences = (template, { until, limit = 50 } = {}) => {
+    const dates = [];
+    let date = template.nextRunDate ? new Date(template.nextRunDate) : null;
+    while (date && date <= until && dates.length < limit) {
+        dates.push(date);
+        date = nextOccurrence(template, date);
+    }
+    return dates;
+};
+
+// Amount the voucher moves (party total for Payment/Receipt, debit total otherwise)
+export const templateAmount = (template) => (template.voucherType === 'Payment' || template.voucherType === 'Receipt'
+    ? round2((template.parties || []).reduce((sum, p) => sum + (Number(p.amount) || 0), 0))
+    : round2((template.entries || []).reduce((sum, e) => sum + (Number(e.debitAmount) || 0), 0)));
+
+/**
+ * Validate the voucher part of a template (or an approval override) against real accounts
+ * @param {Object} source - { voucherType, parties, account, entries, narration, partyName }
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - Fields ready for Voucher.create
+ */
+const buildVoucherPayload = async (source, { session = null } = {}) => {
+    const { voucherType } = source;
+    if (!RECURRING_VOUCHER_TYPES.includes(voucherType)) {
+        throw new AppError(`Voucher type must be one of: ${RECURRING_VOUCHER_TYPES.join(', ')}`, 400);
+    }
+
+    if (voucherType === 'Payment' || voucherType === 'Receipt') {
+        if (!Array.isArray(source.parties) || source.parties.length === 0) {
+            throw new AppError('At least one party is required for Payment/Receipt vouchers', 400);
+        }
+        if (!source.account) {
+            throw new AppError('Account (Cash or Bank) is required for Payment/Receipt vouchers', 400);
+        }
+
+        const parties = [];
+        const names = [];
+        for (const party of source.parties) {
+            const amount = round2(party.amount);
+            if (amount <= 0) {
+                throw new AppError('All parties must have an amount greater than 0', 400);
+            }
+            const match = await findVoucherAccount(party.partyType, party.partyId, session);
+            if (!match) {
+                throw new AppError(`${party.partyType} ${party.partyId} not found`, 404);
+            }
+            parties.push({ partyId: match.doc._id, partyType: party.partyType, amount });
+            names.push(match.name);
+        }
+        if (!await findVoucherAccount('ledger', source.account._id || source.account, session)) {
+            throw new AppError('Account ledger not found', 404);
+        }
+
+        return {
+            voucherType,
+            parties,
+            account: source.account._id || source.account,
+            entries: [],
+            narration: source.narration,
+            partyName: source.partyName || names.join(', ')
+        };
+    }
+
+    return {
+        voucherType,
+        entries: await resolveVoucherEntries(voucherType, source.entries, { session }),
+        narration: source.narration,
+        partyName: source.partyName
+    };
+};
+
+const TEMPLATE_FIELDS = ['name', 'voucherType', 'partyName', 'parties', 'account', 'entries', 'narration', 'schedule', 'startDate', 'endDate', 'mode'];
+
+/**
+ * Validate a template create/update and work out its next run
+ * @param {Object} data - Request body
+ * @param {Object} current - Existing template when updating
+ * @returns {Promise<Object>} - Fields to save, including nextRunDate and status
+ */
+export const prepareTemplate = async (data, current = null) => {
+    const merged = current ? current.toObject() : {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) merged[field] = data[field];
+    });
+
+    const name = (merged.name || '').toString().trim();
+    if (!name) {
+        throw new AppError('Name is required', 400);
+    }
+    const mode = merged.mode || 'draft';
+    if (!RECURRING_MODES.includes(mode)) {
+        throw new AppError(`Mode must be one of: ${RECURRING_MODES.join(', ')}`, 400);
+    }
+
+    const startDate = parseDate(merged.startDate, 'start date');
+    const endDate = merged.endDate ? parseDate(merged.endDate, 'end date') : null;
+    if (endDate && endDate < startDate) {
+        throw new AppError('End date cannot be before the start date', 400);
+    }
+    const schedule = normalizeSchedule(merged.schedule, startDate);
+    const payload = await buildVoucherPayload(merged);
+
+    const fields = {
+        name,
+        voucherType: payload.voucherType,
+        partyName: payload.partyName,
+        parties: payload.parties || [],
+        account: payload.account || null,
+        entries: payload.entries,
+        narration: merged.narration,
+        schedule,
+        startDate,
+        endDate,
+        mode
+    };
+
+    // Continue after the last generated occurrence so a schedule edit never repeats one
+    fields.nextRunDate = nextOccurrence(fields, current?.lastRunDate ? new Date(current.lastRunDate) : null);
+    if (!fields.nextRunDate) {
+        fields.status = 'ended';
+    } else if (!current || current.status === 'ended') {
+        fields.status = 'active';
+    }
+    return fields;
+};
+
+const postVoucher = async (source, date, { template, session, userId }) => {
+    await assertPeriodUnlocked(date, { module: 'voucher', action: 'post the recurring voucher', session });
+    const payload = await buildVoucherPayload(source, { session });
+
+    const voucherNumber = await Sequence.getNextValue('voucherNumber', session);
+    const [voucher] = await Voucher.create([{
+        voucherNumber,
+        ...payload,
+        date,
+        recurringVoucher: template._id,
+        createdBy: userId,
+        updatedBy: userId
+    }], { session });
+
+    await applyVoucherBalances(voucher, { session, userId });
+    return voucher;
+};
+
+const isDuplicateOccurrence = (error) => error.code === 11000 && Boolean(error.keyPattern?.template);
+
+// Generate one occurrence; returns 'posted', 'draft', 'failed' or 'skipped' (already generated)
+const generateOccurrence = async (template, scheduledDate, { userId }) => {
+    if (template.mode === 'draft') {
+        try {
+            await RecurringVoucherInstance.create({ template: template._id, scheduledDate, status: 'draft' });
+            return 'draft';
+        } catch (error) {
+            if (isDuplicateOccurrence(error)) return 'skipped';
+            throw error;
+        }
+    }
+
+    try {
+        await runInTransaction(async (session) => {
+            const [instance] = await RecurringVoucherInstance.create([{ template: template._id, scheduledDate, status: 'posted' }], { session });
+            const voucher = await postVoucher(template, scheduledDate, { template, session, userId });
+            instance.voucher = voucher._id;
+            await instance.save({ session });
+        }, 'post recurring voucher');
+        return 'posted';
+    } catch (error) {
+        if (isDuplicateOccurrence(error)) return 'skipped';
+        // Kept as a failed occurrence so it can be approved once the cause is fixed
+        try {
+            await RecurringVoucherInstance.create({ template: template._id, scheduledDate, status: 'failed', error: error.message });
+        } catch (recordError) {
+            if (isDuplicateOccurrence(recordError)) return 'skipped';
+            throw recordError;
+        }
+        return 'failed';
+    }
+};
+
+/**
+ * Generate every occurrence due up to a date
+ * Auto templates post the voucher; draft templates leave an occurrence waiting for approval.
+ * @param {Object} options - { asOf, userId }
+ * @returns {Promise<Object>} - { templates, posted, draft, failed, skipped }
+ */
+export const generateDueVouchers = async ({ asOf = new Date(), userId } = {}) => {
+    const cutoff = endOfDay(asOf);
+    const templates = await RecurringVoucher.find({ isActive: true, status: 'active', nextRunDate: { $ne: null, $lte: cutoff } });
+
+    const summary = { templates: templates.length, posted: 0, draft: 0, failed: 0, skipped: 0 };
+    for (const template of templates) {
+        let generated = 0;
+        while (template.nextRunDate && template.nextRunDate <= cutoff && generated < MAX_CATCH_UP) {
+            const outcome = await generateOccurrence(template, template.nextRunDate, { userId: userId || template.createdBy });
+            summary[outcome] += 1;
+            template.lastRunDate = template.nextRunDate;
+            template.nextRunDate = nextOccurrence(template, template.nextRunDate);
+            generated += 1;
+        }
+        if (!template.nextRunDate) template.status = 'ended';
+        await template.save();
+    }
+    return summary;
+};
+
+const loadReviewableInstance = async (id, session) => {
+    const instance = await RecurringVoucherInstance.findById(id).session(session);
+    if (!instance) {
+        throw new AppError('Recurring voucher occurrence not found', 404);
+    }
+    if (!['draft', 'failed'].includes(instance.status)) {
+        throw new AppError(`Only draft or failed occurrences can be reviewed; this one is ${instance.status}`, 400);
+    }
+    return instance;
+};
+
+/**
+ * Post a draft (or failed) occurrence
+ * The voucher is built from the template as it is now; overrides change this occurrence only.
+ * @param {String} id - Instance id
+ * @param {Object} options - { overrides: { date, parties, account, entries, narration }, userId }
+ * @returns {Promise<Object>} - { instance, voucher }
+ */
+export const approveInstance = async (id, { overrides = {}, userId }) => runInTransaction(async (session) => {
+    const instance = await loadReviewableInstance(id, session);
+    const template = await RecurringVoucher.findById(instance.template).session(session);
+    if (!template) {
+        throw new AppError('Recurring voucher not found', 404);
+    }
+
+    const source = template.toObject();
+    ['parties', 'account', 'entries', 'narration'].forEach(field => {
+        if (overrides[field] !== undefined) source[field] = overrides[field];
+    });
+    const date = overrides.date ? parseDate(overrides.date, 'date') : instance.scheduledDate;
+
+    const voucher = await postVoucher(source, date, { template, session, userId });
+
+    instance.status = 'posted';
+    instance.voucher = voucher._id;
+    instance.error = undefined;
+    instance.reviewedBy = userId;
+    instance.reviewedAt = new Date();
+    await instance.save({ session });
+    return { instance, voucher };
+}, 'approve recurring voucher');
+
+export const rejectInstance = async (id, { reason, userId }) => {
+    const instance = await loadReviewableInstance(id, null);
+    instance.status = 'rejected';
+    instance.rejectionReason = reason;
+    instance.reviewedBy = userId;
+    instance.reviewedAt = new Date();
+    await instance.save();
+    return instance;
+};
@@ -0,0 +1,262 @@
+import AppError from "../utils/AppError.js";
+import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { formatAmount, formatBalance, formatDate } from "./pdf/pdfHelpers.js";
+import { renderSaleInvoicePdf } from "./pdf/saleInvoicePdf.js";
+
+// Characters per line on common thermal printers (Font A)
+const THERMAL_WIDTHS = { 58: 32, 80: 48 };
+
+export const INVOICE_FORMATS = ['pdf', 'html', 'text'];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const describeCustomer = (customer) => ({
+    shopName: customer?.shopName || '',
+    ownerName: customer?.ownerName || '',
+    contact: customer?.contact || '',
+    place: customer?.place || ''
+});
+
+// Balance effect of the bill: sale amount minus what was paid or discounted on it
+const getBillEffect = ({ amount, cashPaid, onlinePaid, discount }) => round2(amount - cashPaid - onlinePaid - discount);
+
+/**
+ * Normalise a trip sale into invoice data
+ * The old balance is the customer's balance captured when the sale was created
+ * (saleOutBalance), the new balance applies this bill on top of it.
+ * @param {Object} trip - Trip with vehicle populated
+ * @param {Object} sale - Entry from trip.sales with client populated
+ */
+export const buildTripSaleInvoice = (trip, sale) => {
+    const isReceipt = sale.isReceipt || (!sale.birds && !sale.weight && !sale.amount);
+    const amounts = {
+        amount: isReceipt ? 0 : round2(sale.amount),
+        cashPaid: round2(sale.cashPaid),
+        onlinePaid: round2(sale.onlinePaid),
+        discount: round2(sale.discount)
+    };
+    const oldSigned = toSignedValue(sale.saleOutBalance || 0, sale.saleOutBalanceType || 'debit');
+
+    return {
+        source: 'trip',
+        billNumber: sale.billNumber || '',
+        date: sale.timestamp || trip.date,
+        isReceipt,
+        reference: trip.tripId || '',
+        vehicleNumber: trip.vehicle?.vehicleNumber || '',
+        product: sale.product || '',
+        customer: describeCustomer(sale.client),
+        birds: sale.birds || 0,
+        weight: round2(sale.weight),
+        avgWeight: sale.birds > 0 ? round2(sale.weight / sale.birds) : 0,
+        rate: round2(sale.rate),
+        ...amounts,
+        oldBalance: fromSignedValue(round2(oldSigned)),
+        newBalance: fromSignedValue(round2(oldSigned + getBillEffect(amounts)))
+    };
+};
+
+/**
+ * Normalise an inventory stock sale/receipt into invoice data
+ * Stock entries store the customer's balance after the bill (amount and side),
+ * so the old balance is worked back from it.
+ * @param {Object} stock - InventoryStock with customerId and vehicleId populated
+ */
+export const buildStockSaleInvoice = (stock) => {
+    if (!['sale', 'receipt'].includes(stock.type)) {
+        throw new AppError('Invoices can only be printed for sales and receipts', 400);
+    }
+
+    const isReceipt = stock.type === 'receipt';
+    const amounts = {
+        amount: isReceipt ? 0 : round2(stock.amount),
+        cashPaid: round2(stock.cashPaid),
+        onlinePaid: round2(stock.onlinePaid),
+        discount: round2(stock.discount)
+    };
+    const newSigned = round2(toSignedValue(stock.balance || 0, stock.balanceType || 'debit'));
+
+    return {
+        source: 'inventoryStock',
+        billNumber: stock.billNumber || stock.refNo || '',
+        date: stock.date,
+        isReceipt,
+        reference: '',
+        vehicleNumber: stock.vehicleNumber || stock.vehicleId?.vehicleNumber || '',
+        product: '',
+        customer: describeCustomer(stock.customerId),
+        birds: stock.birds || 0,
+        weight: round2(stock.weight),
+        avgWeight: stock.birds > 0 ? round2(stock.weight / stock.birds) : 0,
+        rate: round2(stock.rate),
+        ...amounts,
+        oldBalance: fromSignedValue(round2(newSigned - getBillEffect(amounts))),
+        newBalance: fromSignedValue(newSigned)
+    };
+};
+
+const centerLine = (text, width) => {
+    const value = String(text || '');
+    if (value.length >= width) return value;
+    return ' '.repeat(Math.floor((width - value.length) / 2)) + value;
+};
+
+// Break long text on spaces so nothing is cut off on narrow paper
+const wrapLines = (text, width) => {
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    const lines = [];
+    let current = '';
+    words.forEach(word => {
+        if (!current) {
+            current = word;
+        } else if ((current + ' ' + word).length <= width) {
+            current += ' ' + word;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    if (current) lines.push(current);
+    return lines.flatMap(line => line.match(new RegExp(`.{1,${width}}`, 'g')));
+};
+
+const labelValue = (label, value, width) => {
+    const text = String(value);
+    const labelWidth = Math.max(width - text.length - 1, 0);
+    return label.slice(0, labelWidth).padEnd(labelWidth) + ' ' + text;
+};
+
+// Rows shown on every layout, in print order; null marks a separator
+const getInvoiceRows = (invoice) => {
+    const rows = [];
+    if (!invoice.isReceipt) {
+        rows.push(
+            ['Birds', String(invoice.birds)],
+            ['Weight (kg)', invoice.weight.toFixed(2)],
+            ['Avg Wt (kg)', invoice.avgWeight.toFixed(2)],
+            ['Rate', formatAmount(invoice.rate)],
+            ['Amount', formatAmount(invoice.amount)],
+            null
+        );
+    }
+    rows.push(
+        ['Cash Paid', formatAmount(invoice.cashPaid)],
+        ['Online Paid', formatAmount(invoice.onlinePaid)],
+        ['Discount', formatAmount(invoice.discount)],
+        null,
+        ['Old Balance', formatBalance(invoice.oldBalance)],
+        ['New Balance', formatBalance(invoice.newBalance)]
+    );
+    return rows;
+};
+
+/**
+ * Plain-text bill for 58mm/80mm thermal printers
+ * @param {Object} invoice - buildTripSaleInvoice()/buildStockSaleInvoice() result
+ * @param {Object} business - getBusinessProfile() result
+ * @param {Number} paperWidth - 58 or 80 (mm)
+ * @returns {String}
+ */
+export const renderThermalText = (invoice, business, paperWidth = 58) => {
+    const width = THERMAL_WIDTHS[paperWidth];
+    if (!width) {
+        throw new AppError(`Paper width must be one of: ${Object.keys(THERMAL_WIDTHS).join(', ')}`, 400);
+    }
+    const separator = '-'.repeat(width);
+    const lines = [];
+
+    if (business.name) wrapLines(business.name.toUpperCase(), width).forEach(l => lines.push(centerLine(l, width)));
+    if (business.address) wrapLines(business.address, width).forEach(l => lines.push(centerLine(l, width)));
+    if (business.contact) lines.push(centerLine(`Ph: ${business.contact}`, width));
+    if (business.gstin) lines.push(centerLine(`GSTIN: ${business.gstin}`, width));
+    lines.push(separator);
+    lines.push(centerLine(invoice.isReceipt ? 'RECEIPT' : 'SALE BILL', width));
+    lines.push(labelValue(`Bill: ${invoice.billNumber || '-'}`, formatDate(invoice.date), width));
+    if (invoice.vehicleNumber) lines.push(`Vehicle: ${invoice.vehicleNumber}`);
+    wrapLines(`Customer: ${invoice.customer.shopName || invoice.customer.ownerName || '-'}`, width).forEach(l => lines.push(l));
+    if (invoice.customer.place) lines.push(`Place: ${invoice.customer.place}`);
+    lines.push(separator);
+
+    getInvoiceRows(invoice).forEach(row => {
+        lines.push(row ? labelValue(row[0], row[1], width) : separator);
+    });
+    lines.push(separator);
+    if (business.footer) wrapLines(business.footer, width).forEach(l => lines.push(centerLine(l, width)));
+
+    return lines.join('\n') + '\n';
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Printable HTML bill sized for thermal paper (opens the print dialog on load)
+ */
+export const renderInvoiceHtml = (invoice, business, paperWidth = 80) => {
+    if (!THERMAL_WIDTHS[paperWidth]) {
+        throw new AppError(`Paper width must be one of: ${Object.keys(THERMAL_WIDTHS).join(', ')}`, 400);
+    }
+    const rows = getInvoiceRows(invoice).map(row => row
+        ? `<tr><td>${escapeHtml(row[0])}</td><td class="r">${escapeHtml(row[1])}</td></tr>`
+        : '<tr><td colspan="2"><hr></td></tr>'
+    ).join('');
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Bill ${escapeHtml(invoice.billNumber)}</title>
+<style>
+@page { size: ${paperWidth}mm auto; margin: 2mm; }
+body { font-family: monospace; font-size: 12px; width: ${paperWidth - 4}mm; margin: 0 auto; }
+.c { text-align: center; } .r { text-align: right; } table { width: 100%; border-collapse: collapse; }
+hr { border: 0; border-top: 1px dashed #000; margin: 4px 0; } h1 { font-size: 14px; margin: 0; }
+</style></head>
+<body onload="window.print()">
+<div class="c"><h1>${escapeHtml((business.name || '').toUpperCase())}</h1>
+${business.address ? `<div>${escapeHtml(business.address)}</div>` : ''}
+${business.contact ? `<div>Ph: ${escapeHtml(business.contact)}</div>` : ''}
+${business.gstin ? `<div>GSTIN: ${escapeHtml(business.gstin)}</div>` : ''}</div>
+<hr><div class="c"><b>${invoice.isReceipt ? 'RECEIPT' : 'SALE BILL'}</b></div>
+<table><tr><td>Bill: ${escapeHtml(invoice.billNumber || '-')}</td><td class="r">${formatDate(invoice.date)}</td></tr></table>
+${invoice.vehicleNumber ? `<div>Vehicle: ${escapeHtml(invoice.vehicleNumber)}</div>` : ''}
+<div>Customer: ${escapeHtml(invoice.customer.shopName || invoice.customer.ownerName || '-')}</div>
+${invoice.customer.place ? `<div>Place: ${escapeHtml(invoice.customer.place)}</div>` : ''}
+<hr><table>${rows}</table><hr>
+${business.footer ? `<div class="c">${escapeHtml(business.footer)}</div>` : ''}
+</body></html>`;
+};
+
+/**
+ * Render an invoice in the requested format
+ * @param {Object} invoice - Invoice data
+ * @param {Object} business - getBusinessProfile() result
+ * @param {Object} options - { format: 'pdf' | 'html' | 'text', paperWidth: 58 | 80 }
+ * @returns {Promise<Object>} - { contentType, body, filename }
+ */
+export const renderSaleInvoice = async (invoice, business, { format = 'pdf', paperWidth } = {}) => {
+    if (!INVOICE_FORMATS.includes(format)) {
+        throw new AppError(`Invoice format must be one of: ${INVOICE_FORMATS.join(', ')}`, 400);
+    }
+    const baseName = `bill_${String(invoice.billNumber || 'sale').replace(/[^a-z0-9-]+/gi, '_')}`;
+
+    if (format === 'text') {
+        return {
+            contentType: 'text/plain; charset=utf-8',
+            body: renderThermalText(invoice, business, Number(paperWidth) || 58),
+            filename: `${baseName}.txt`
+        };
+    }
+    if (format === 'html') {
+        return {
+            contentType: 'text/html; charset=utf-8',
+            body: renderInvoiceHtml(invoice, business, Number(paperWidth) || 80),
+            filename: `${baseName}.html`
+        };
+    }
+    return {
+        contentType: 'application/pdf',
+        body: await renderSaleInvoicePdf(invoice, business, getInvoiceRows(invoice)),
+        filename: `${baseName}.pdf`
+    };
+};
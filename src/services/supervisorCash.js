@@ -0,0 +1,381 @@
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import CashHandover from "../models/CashHandover.js";
+import User from "../models/User.js";
+import Ledger from "../models/Ledger.js";
+import AppError from "../utils/AppError.js";
+import { dayKey, toLocalDate } from "../utils/periodLock.js";
+import { runQueries } from "../utils/transaction.js";
+import { getCashBankLedgers } from "./cashBook.js";
+import { formatDate } from "./pdf/pdfHelpers.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+// Last moment of the local day (dayKey) a date falls on; handovers and the day-end report share it
+const endOfDay = (date) => {
+    const end = toLocalDate(dayKey(date));
+    end.setHours(23, 59, 59, 999);
+    return end;
+};
+
+const partyName = (party) => party?.shopName || party?.ownerName || party?.name || '';
+
+/**
+ * Ids of the Cash-in-Hand ledgers
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Set<String>>}
+ */
+export const getCashLedgerIds = async (session = null) => new Set((await getCashBankLedgers(session))
+    .filter(ledger => ledger.book === 'cash')
+    .map(ledger => ledger._id.toString()));
+
+/**
+ * Diesel the supervisor paid out of pocket: not on a station's credit, and not paid from a bank ledger
+ * @param {Object} station - Trip diesel station entry
+ * @param {Set<String>} cashLedgerIds - getCashLedgerIds() result
+ */
+export const isCashDiesel = (station, cashLedgerIds) => !station.dieselStation &&
+    (!station.paymentLedger || cashLedgerIds.has(idOf(station.paymentLedger)));
+
+/**
+ * Everything that moved cash through supervisors' hands, oldest first
+ * Cash in: cash collected on trip sales/receipts and stock sales/receipts.
+ * Cash out: trip expenses, diesel paid in cash and handovers to the office.
+ * @param {Object} options - { supervisor, until, session }
+ * @returns {Promise<Array>} - [{ supervisor, date, type, reference, description, cashIn, cashOut }]
+ */
+const collectMovements = async ({ supervisor = null, until = null, session = null } = {}) => {
+    const bySupervisor = supervisor ? { supervisor } : {};
+
+    const [trips, stocks, handovers, cashLedgerIds] = await runQueries([
+        () => Trip.find({
+            ...bySupervisor,
+            $or: [
+                { 'sales.cashPaid': { $gt: 0 } },
+                { 'expenses.0': { $exists: true } },
+                { 'diesel.stations.0': { $exists: true } }
+            ]
+        })
+            .select('tripId date supervisor sales expenses diesel')
+            .populate('sales.client', 'shopName ownerName')
+            .session(session)
+            .lean(),
+        () => InventoryStock.find({
+            type: { $in: ['sale', 'receipt'] },
+            cashPaid: { $gt: 0 },
+            supervisorId: supervisor || { $ne: null }
+        })
+            .populate('customerId', 'shopName ownerName')
+            .session(session)
+            .lean(),
+        () => CashHandover.find({ ...bySupervisor, isActive: true })
+            .populate('trip', 'tripId')
+            .session(session)
+            .lean(),
+        () => getCashLedgerIds(session)
+    ], session);
+
+    const movements = [];
+    const add = (movement) => {
+        const date = new Date(movement.date);
+        if (until && date > until) return;
+        movements.push({ ...movement, supervisor: idOf(movement.supervisor), date, cashIn: round2(movement.cashIn), cashOut: round2(movement.cashOut) });
+    };
+
+    trips.forEach(trip => {
+        (trip.sales || []).filter(sale => sale.cashPaid > 0).forEach(sale => add({
+            supervisor: trip.supervisor,
+            date: sale.timestamp || trip.date,
+            type: sale.isReceipt || !sale.birds ? 'Receipt' : 'Sale',
+            reference: sale.billNumber ? `${trip.tripId} / ${sale.billNumber}` : trip.tripId,
+            description: partyName(sale.client),
+            trip: trip._id,
+            cashIn: sale.cashPaid,
+            cashOut: 0
+        }));
+        (trip.expenses || []).filter(expense => expense.amount > 0).forEach(expense => add({
+            supervisor: trip.supervisor,
+            date: expense.timestamp || trip.date,
+            type: 'Expense',
+            reference: trip.tripId,
+            description: [expense.category, expense.description].filter(Boolean).join(' - '),
+            trip: trip._id,
+            cashIn: 0,
+            cashOut: expense.amount
+        }));
+        (trip.diesel?.stations || []).filter(station => station.amount > 0 && isCashDiesel(station, cashLedgerIds)).forEach(station => add({
+            supervisor: trip.supervisor,
+            date: station.timestamp || trip.date,
+            type: 'Diesel',
+            reference: station.indentNumber ? `${trip.tripId} / ${station.indentNumber}` : trip.tripId,
+            description: station.stationName || station.name || '',
+            trip: trip._id,
+            cashIn: 0,
+            cashOut: station.amount
+        }));
+    });
+
+    stocks.forEach(stock => add({
+        supervisor: stock.supervisorId,
+        date: stock.date,
+        type: stock.type === 'sale' ? 'Stock Sale' : 'Stock Receipt',
+        reference: stock.billNumber || stock.refNo || '',
+        description: partyName(stock.customerId),
+        trip: stock.tripId || null,
+        cashIn: stock.cashPaid,
+        cashOut: 0
+    }));
+
+    handovers.forEach(handover => add({
+        supervisor: handover.supervisor,
+        date: handover.date,
+        type: 'Handover',
+        reference: handover.trip?.tripId || '',
+        description: handover.notes || 'Cash handed to office',
+        trip: handover.trip?._id || null,
+        handover: handover._id,
+        cashIn: 0,
+        cashOut: handover.amount
+    }));
+
+    // Cash in before cash out on the same instant so a same-time handover never dips below zero
+    return movements.sort((a, b) => (a.date - b.date) || (b.cashIn - a.cashIn));
+};
+
+const net = (movements) => round2(movements.reduce((total, m) => total + m.cashIn - m.cashOut, 0));
+
+const loadSupervisor = async (supervisorId, session = null) => {
+    if (!mongoose.Types.ObjectId.isValid(supervisorId)) {
+        throw new AppError('Invalid supervisor id', 400);
+    }
+    const supervisor = await User.findOne({ _id: supervisorId, role: 'supervisor' }).select('name mobileNumber isActive').session(session).lean();
+    if (!supervisor) {
+        throw new AppError('Supervisor not found', 404);
+    }
+    return supervisor;
+};
+
+/**
+ * Cash a supervisor holds (collected less spent and handed over)
+ * @param {String} supervisorId
+ * @param {Object} options - { asOf, session }
+ * @returns {Promise<Number>}
+ */
+export const getSupervisorCashBalance = async (supervisorId, { asOf = new Date(), session = null } = {}) => net(await collectMovements({ supervisor: supervisorId, until: asOf, session }));
+
+/**
+ * Cash handed over against a trip, or null when nothing was recorded for it
+ * @returns {Promise<Number|null>}
+ */
+export const getTripHandoverTotal = async (tripId, session = null) => {
+    const handovers = await CashHandover.find({ trip: tripId, isActive: true }).select('amount').session(session).lean();
+    return handovers.length > 0 ? round2(handovers.reduce((total, h) => total + h.amount, 0)) : null;
+};
+
+/**
+ * Record cash received from a supervisor
+ * The expected amount is what the supervisor held at the end of the handover day.
+ * Today's handovers keep the current time; earlier days are stored at the end of the day.
+ * @param {Object} data - { supervisor, amount, date, trip, cashLedger, notes }
+ * @param {Object} options - { userId }
+ * @returns {Promise<Object>} - CashHandover document
+ */
+export const recordHandover = async (data, { userId }) => {
+    const { trip, cashLedger, notes } = data;
+    const supervisor = await loadSupervisor(data.supervisor);
+
+    const amount = Number(data.amount);
+    if (data.amount === undefined || data.amount === null || data.amount === '' || !Number.isFinite(amount) || amount <= 0) {
+        throw new AppError('Amount must be greater than 0', 400);
+    }
+
+    const now = new Date();
+    const day = data.date ? toLocalDate(data.date) : now;
+    if (!day) {
+        throw new AppError('Invalid handover date', 400);
+    }
+    // Stamped after the day's cash-in so the statement lists it last for that day
+    const date = dayKey(day) === dayKey(now) ? now : endOfDay(day);
+
+    if (trip) {
+        if (!mongoose.Types.ObjectId.isValid(trip)) throw new AppError('Invalid trip id', 400);
+        const tripDoc = await Trip.findById(trip).select('supervisor').lean();
+        if (!tripDoc) throw new AppError('Trip not found', 404);
+        if (idOf(tripDoc.supervisor) !== supervisor._id.toString()) {
+            throw new AppError('Trip belongs to a different supervisor', 400);
+        }
+    }
+
+    if (cashLedger) {
+        if (!mongoose.Types.ObjectId.isValid(cashLedger)) throw new AppError('Invalid cash ledger id', 400);
+        const [ledger, cashLedgerIds] = await Promise.all([Ledger.findById(cashLedger).select('name').lean(), getCashLedgerIds()]);
+        if (!ledger) throw new AppError('Cash ledger not found', 404);
+        if (!cashLedgerIds.has(cashLedger.toString())) {
+            throw new AppError(`${ledger.name} is not a Cash-in-Hand ledger`, 400);
+        }
+    }
+
+    const expectedAmount = await getSupervisorCashBalance(supervisor._id, { asOf: endOfDay(date) });
+
+    return CashHandover.create({
+        supervisor: supervisor._id,
+        date,
+        amount: round2(amount),
+        trip: trip || undefined,
+        cashLedger: cashLedger || undefined,
+        expectedAmount,
+        difference: round2(amount - expectedAmount),
+        notes,
+        receivedBy: userId,
+        updatedBy: userId
+    });
+};
+
+/**
+ * Supervisor cash account with running balance
+ * @param {String} supervisorId
+ * @param {Object} options - { startDate, endDate }
+ * @returns {Promise<Object>} - { supervisor, openingBalance, transactions, totals, closingBalance }
+ */
+export const buildSupervisorCashStatement = async (supervisorId, { startDate, endDate }) => {
+    const supervisor = await loadSupervisor(supervisorId);
+    const movements = await collectMovements({ supervisor: supervisor._id, until: endDate });
+
+    const openingBalance = net(movements.filter(m => m.date < startDate));
+    let runningBalance = openingBalance;
+    const transactions = movements
+        .filter(m => m.date >= startDate)
+        .map(m => {
+            runningBalance = round2(runningBalance + m.cashIn - m.cashOut);
+            return { ...m, runningBalance };
+        });
+
+    const totals = {
+        collected: round2(transactions.reduce((total, t) => total + t.cashIn, 0)),
+        spent: round2(transactions.filter(t => t.type !== 'Handover').reduce((total, t) => total + t.cashOut, 0)),
+        handedOver: round2(transactions.filter(t => t.type === 'Handover').reduce((total, t) => total + t.cashOut, 0))
+    };
+
+    return {
+        supervisor: { id: supervisor._id, name: supervisor.name, mobileNumber: supervisor.mobileNumber },
+        startDate,
+        endDate,
+        openingBalance,
+        transactions,
+        totals,
+        closingBalance: runningBalance
+    };
+};
+
+/**
+ * Day-end shortage/excess per supervisor
+ * Each day with activity: cash held at day end (opening + collected - spent) vs handed over.
+ * Whatever is not handed over carries to the next day.
+ * @param {Object} options - { startDate, endDate, supervisor }
+ * @returns {Promise<Object>} - { days, supervisors }
+ */
+export const buildCashHandoverReport = async ({ startDate, endDate, supervisor = null }) => {
+    if (supervisor) await loadSupervisor(supervisor);
+    const movements = await collectMovements({ supervisor, until: endDate });
+
+    const bySupervisor = new Map();
+    movements.forEach(m => {
+        if (!bySupervisor.has(m.supervisor)) bySupervisor.set(m.supervisor, []);
+        bySupervisor.get(m.supervisor).push(m);
+    });
+
+    const users = await User.find({ _id: { $in: [...bySupervisor.keys()] } }).select('name').lean();
+    const nameById = new Map(users.map(user => [user._id.toString(), user.name]));
+
+    const days = [];
+    const supervisors = [];
+    bySupervisor.forEach((list, supervisorId) => {
+        const name = nameById.get(supervisorId) || '';
+        const openingBalance = net(list.filter(m => m.date < startDate));
+
+        const byDay = new Map();
+        list.filter(m => m.date >= startDate).forEach(m => {
+            const key = dayKey(m.date);
+            const day = byDay.get(key) || { collected: 0, spent: 0, handedOver: 0 };
+            day.collected += m.cashIn;
+            if (m.type === 'Handover') day.handedOver += m.cashOut;
+            else day.spent += m.cashOut;
+            byDay.set(key, day);
+        });
+
+        let balance = openingBalance;
+        const rows = [...byDay.keys()].sort().map(date => {
+            const day = byDay.get(date);
+            const expected = round2(balance + day.collected - day.spent);
+            const difference = round2(day.handedOver - expected);
+            const row = {
+                supervisor: supervisorId,
+                supervisorName: name,
+                date,
+                openingBalance: balance,
+                collected: round2(day.collected),
+                spent: round2(day.spent),
+                expected,
+                handedOver: round2(day.handedOver),
+                difference,
+                status: Math.abs(difference) < 0.01 ? 'settled' : difference < 0 ? 'short' : 'excess',
+                closingBalance: round2(expected - day.handedOver)
+            };
+            balance = row.closingBalance;
+            return row;
+        });
+
+        if (rows.length === 0 && Math.abs(openingBalance) < 0.01) return;
+        days.push(...rows);
+        supervisors.push({
+            supervisor: supervisorId,
+            supervisorName: name,
+            openingBalance,
+            collected: round2(rows.reduce((total, r) => total + r.collected, 0)),
+            spent: round2(rows.reduce((total, r) => total + r.spent, 0)),
+            handedOver: round2(rows.reduce((total, r) => total + r.handedOver, 0)),
+            closingBalance: balance,
+            shortDays: rows.filter(r => r.status === 'short').length,
+            excessDays: rows.filter(r => r.status === 'excess').length
+        });
+    });
+
+    days.sort((a, b) => a.date.localeCompare(b.date) || a.supervisorName.localeCompare(b.supervisorName));
+    supervisors.sort((a, b) => a.supervisorName.localeCompare(b.supervisorName));
+
+    return { startDate, endDate, days, supervisors };
+};
+
+export const cashHandoverReportSheets = (report) => [
+    {
+        name: 'Day-end Cash',
+        rows: report.days.map(d => ({
+            'Date': formatDate(d.date),
+            'Supervisor': d.supervisorName,
+            'Opening': d.openingBalance,
+            'Collected': d.collected,
+            'Spent': d.spent,
+            'Expected': d.expected,
+            'Handed Over': d.handedOver,
+            'Short/Excess': d.difference,
+            'Status': d.status,
+            'Carried Forward': d.closingBalance
+        }))
+    },
+    {
+        name: 'Supervisors',
+        rows: report.supervisors.map(s => ({
+            'Supervisor': s.supervisorName,
+            'Opening': s.openingBalance,
+            'Collected': s.collected,
+            'Spent': s.spent,
+            'Handed Over': s.handedOver,
+            'Closing': s.closingBalance,
+            'Short Days': s.shortDays,
+            'Excess Days': s.excessDays
+        }))
+    }
+];
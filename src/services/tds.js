@@ -0,0 +1,482 @@
+import mongoose from "mongoose";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import Group from "../models/Group.js";
+import Trip from "../models/Trip.js";
+import InventoryStock from "../models/InventoryStock.js";
+import IndirectSale from "../models/IndirectSale.js";
+import Voucher from "../models/Voucher.js";
+import Sequence from "../models/Sequence.js";
+import TdsDeduction from "../models/TdsDeduction.js";
+import AppError from "../utils/AppError.js";
+import { runInTransaction, runQueries } from "../utils/transaction.js";
+import { getFinancialYearStartDate } from "../utils/balanceUtils.js";
+import { getPeriodLockDate, dayKey } from "../utils/periodLock.js";
+import { DEFAULT_TDS_SECTION, getTdsConfig, vendorPan, quarterOf } from "../utils/tds.js";
+import { applyVoucherBalances } from "./voucherPosting.js";
+import { getFinancialYear } from "./yearEndClose.js";
+import { formatDate } from "./pdf/pdfHelpers.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const TDS_GROUP_NAME = 'Duties & Taxes';
+
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+const sourceKey = ({ sourceType, sourceId, sourceEntryId }) => `${sourceType}:${idOf(sourceId)}:${idOf(sourceEntryId) || ''}`;
+
+/**
+ * Every purchase from a vendor in a financial year, oldest first
+ * Same sources and dates as the balance rebuild.
+ */
+const collectVendorPurchases = async (vendorId, year, session) => {
+    const range = { $gte: year.start, $lte: year.end };
+    const [trips, stocks, indirectSales] = await runQueries([
+        () => Trip.find({ 'purchases.supplier': vendorId, $or: [{ date: range }, { 'purchases.timestamp': range }] }).select('tripId date purchases').session(session).lean(),
+        () => InventoryStock.find({ vendorId, type: 'purchase', date: range }).session(session).lean(),
+        () => IndirectSale.find({ vendor: vendorId, isActive: true, date: range }).select('invoiceNumber date summary').session(session).lean()
+    ], session);
+
+    const purchases = [];
+    trips.forEach(trip => {
+        (trip.purchases || []).forEach(purchase => {
+            const date = new Date(purchase.timestamp || trip.date);
+            if (idOf(purchase.supplier) !== vendorId.toString() || date < year.start || date > year.end) return;
+            purchases.push({
+                sourceType: 'trip',
+                sourceId: trip._id,
+                sourceEntryId: purchase._id,
+                reference: purchase.dcNumber ? `${trip.tripId} / DC ${purchase.dcNumber}` : trip.tripId,
+                date,
+                amount: round2(purchase.amount)
+            });
+        });
+    });
+    stocks.forEach(stock => purchases.push({
+        sourceType: 'inventoryStock',
+        sourceId: stock._id,
+        sourceEntryId: null,
+        reference: stock.billNumber || stock.refNo || 'Stock purchase',
+        date: new Date(stock.date),
+        amount: round2(stock.amount)
+    }));
+    indirectSales.forEach(record => purchases.push({
+        sourceType: 'indirectSale',
+        sourceId: record._id,
+        sourceEntryId: null,
+        reference: record.invoiceNumber || 'Indirect purchase',
+        date: new Date(record.date),
+        amount: round2(record.summary?.totalPurchaseAmount)
+    }));
+
+    return purchases
+        .filter(purchase => purchase.amount > 0)
+        .sort((a, b) => a.date - b.date || sourceKey(a).localeCompare(sourceKey(b)));
+};
+
+/**
+ * Work out the deduction on each purchase of the year
+ * Purchases before the vendor was marked TDS-applicable still count towards the threshold
+ * but are not taxed.
+ */
+const computeDeductions = (purchases, { vendor, section, sectionConfig }) => {
+    const pan = vendorPan(vendor);
+    const rate = pan ? sectionConfig.rate : sectionConfig.rateWithoutPan;
+    const activeFrom = vendor.tdsUpdatedAt ? new Date(vendor.tdsUpdatedAt).setHours(0, 0, 0, 0) : null;
+    const isTaxable = (date) => Boolean(sectionConfig.enabled && vendor.tdsApplicable && (!activeFrom || date >= activeFrom));
+
+    let cumulative = 0;
+    let caughtUp = false;
+    return purchases.map(purchase => {
+        const cumulativeBefore = cumulative;
+        cumulative = round2(cumulative + purchase.amount);
+
+        let taxableAmount = 0;
+        if (isTaxable(purchase.date) && cumulative > sectionConfig.threshold) {
+            if (sectionConfig.thresholdMode === 'aggregate') {
+                // The purchase that crosses the threshold also picks up the untaxed earlier purchases
+                taxableAmount = caughtUp ? purchase.amount : cumulative;
+                caughtUp = true;
+            } else {
+                taxableAmount = round2(Math.min(purchase.amount, cumulative - sectionConfig.threshold));
+            }
+        }
+
+        return {
+            ...purchase,
+            section,
+            pan,
+            cumulativeBefore,
+            taxableAmount,
+            rate,
+            tdsAmount: round2(taxableAmount * rate / 100)
+        };
+    });
+};
+
+/**
+ * TDS payable ledger for a section
+ * Uses the ledger configured on the section, otherwise "TDS Payable u/s <section>"
+ * under Duties & Taxes, created on first use.
+ */
+const resolveTdsLedger = async (section, sectionConfig, { session, userId }) => {
+    if (sectionConfig.ledger) {
+        const ledger = mongoose.Types.ObjectId.isValid(sectionConfig.ledger)
+            ? await Ledger.findOne({ _id: sectionConfig.ledger, isActive: true }).session(session)
+            : null;
+        if (!ledger) {
+            throw new AppError(`TDS ledger configured for section ${section} was not found`, 400);
+        }
+        return ledger;
+    }
+
+    const name = `TDS Payable u/s ${section}`;
+    const existing = await Ledger.findOne({ name }).session(session);
+    if (existing) return existing;
+
+    const group = await Group.findOne({ name: TDS_GROUP_NAME }).session(session);
+    if (!group) {
+        throw new AppError(`Group "${TDS_GROUP_NAME}" is missing; create it or configure a TDS ledger for section ${section}`, 400);
+    }
+    const [ledger] = await Ledger.create([{
+        name,
+        group: group._id,
+        openingBalance: 0,
+        openingBalanceType: 'credit',
+        outstandingBalance: 0,
+        outstandingBalanceType: 'credit',
+        createdBy: userId,
+        updatedBy: userId
+    }], { session });
+    return ledger;
+};
+
+const postDeduction = async (row, { vendor, year, tdsLedger, session, userId }) => {
+    const [deduction] = await TdsDeduction.create([{
+        section: row.section,
+        vendor: vendor._id,
+        vendorName: vendor.vendorName,
+        pan: row.pan || undefined,
+        financialYear: year.label,
+        quarter: quarterOf(row.date),
+        date: row.date,
+        sourceType: row.sourceType,
+        sourceId: row.sourceId,
+        sourceEntryId: row.sourceEntryId,
+        reference: row.reference,
+        purchaseAmount: row.amount,
+        cumulativeBefore: row.cumulativeBefore,
+        taxableAmount: row.taxableAmount,
+        rate: row.rate,
+        tdsAmount: row.tdsAmount,
+        createdBy: userId
+    }], { session });
+
+    const narration = `TDS u/s ${row.section} @ ${row.rate}% on ${row.reference}`;
+    const voucherNumber = await Sequence.getNextValue('voucherNumber', session);
+    const [voucher] = await Voucher.create([{
+        voucherNumber,
+        voucherType: 'Journal',
+        date: row.date,
+        partyName: vendor.vendorName,
+        entries: [
+            { account: vendor.vendorName, partyId: vendor._id, partyType: 'vendor', debitAmount: row.tdsAmount, creditAmount: 0, narration },
+            { account: tdsLedger.name, partyId: tdsLedger._id, partyType: 'ledger', debitAmount: 0, creditAmount: row.tdsAmount, narration }
+        ],
+        narration,
+        tdsDeduction: deduction._id,
+        createdBy: userId,
+        updatedBy: userId
+    }], { session });
+    await applyVoucherBalances(voucher, { session, userId });
+
+    deduction.voucher = voucher._id;
+    await deduction.save({ session });
+    return deduction;
+};
+
+const reverseDeduction = async (deduction, { session, userId }) => {
+    const voucher = deduction.voucher ? await Voucher.findById(deduction.voucher).session(session) : null;
+    if (voucher && voucher.isActive) {
+        await applyVoucherBalances(voucher, { sign: -1, session, userId });
+        voucher.isActive = false;
+        voucher.updatedBy = userId;
+        await voucher.save({ session });
+    }
+    deduction.status = 'reversed';
+    deduction.reversedAt = new Date();
+    await deduction.save({ session });
+};
+
+/**
+ * Bring one vendor's TDS for a financial year in line with its purchases
+ * Deductions whose amount is unchanged are kept; the rest are reversed and posted again.
+ * Entries dated inside a locked voucher period are left as they are.
+ * @returns {Promise<Object>} - { vendor, financialYear, posted, reversed, unchanged, skippedLocked }
+ */
+const syncVendorYear = async (vendorId, startYear, { session, userId }) => {
+    const vendor = await Vendor.findById(vendorId).session(session);
+    if (!vendor) return null;
+
+    const year = getFinancialYear(startYear);
+    const config = await getTdsConfig(session);
+    const section = vendor.tdsSection || DEFAULT_TDS_SECTION;
+    const sectionConfig = config[section];
+    if (!sectionConfig) {
+        throw new AppError(`TDS section ${section} set on vendor ${vendor.vendorName} is not configured`, 400);
+    }
+
+    const purchases = await collectVendorPurchases(vendor._id, year, session);
+    const desired = computeDeductions(purchases, { vendor, section, sectionConfig }).filter(row => row.tdsAmount > 0);
+    const desiredByKey = new Map(desired.map(row => [sourceKey(row), row]));
+
+    const lockDate = await getPeriodLockDate('voucher', session);
+    const isLocked = (date) => Boolean(lockDate && dayKey(date) < dayKey(lockDate));
+
+    const result = { vendor: vendor._id, financialYear: year.label, posted: 0, reversed: 0, unchanged: 0, skippedLocked: 0 };
+    const existing = await TdsDeduction.find({ vendor: vendor._id, financialYear: year.label, status: 'posted' }).session(session);
+    const kept = new Set();
+
+    for (const deduction of existing) {
+        const key = sourceKey(deduction);
+        const row = desiredByKey.get(key);
+        if (row && row.tdsAmount === deduction.tdsAmount && row.section === deduction.section && dayKey(row.date) === dayKey(deduction.date)) {
+            deduction.purchaseAmount = row.amount;
+            deduction.cumulativeBefore = row.cumulativeBefore;
+            deduction.taxableAmount = row.taxableAmount;
+            deduction.reference = row.reference;
+            await deduction.save({ session });
+            kept.add(key);
+            result.unchanged += 1;
+            continue;
+        }
+        if (isLocked(deduction.date) || (row && isLocked(row.date))) {
+            kept.add(key);
+            result.skippedLocked += 1;
+            continue;
+        }
+        await reverseDeduction(deduction, { session, userId });
+        result.reversed += 1;
+    }
+
+    const toPost = desired.filter(row => !kept.has(sourceKey(row)));
+    if (toPost.length > 0) {
+        const tdsLedger = await resolveTdsLedger(section, sectionConfig, { session, userId });
+        for (const row of toPost) {
+            if (isLocked(row.date)) {
+                result.skippedLocked += 1;
+                continue;
+            }
+            await postDeduction(row, { vendor, year, tdsLedger, session, userId });
+            result.posted += 1;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Recalculate TDS for the vendors and dates touched by a purchase change
+ * Call after the purchase is saved. Pass the old and new vendor/date when either changed.
+ * @param {Array} targets - [{ vendor, date }]
+ * @param {Object} options - { session, userId }
+ * @returns {Promise<Array>} - syncVendorYear results
+ */
+export const syncVendorTds = async (targets, { session = null, userId } = {}) => {
+    const unique = new Map();
+    [].concat(targets).forEach(target => {
+        const vendorId = idOf(target?.vendor);
+        if (!vendorId || !mongoose.Types.ObjectId.isValid(vendorId)) return;
+        const startYear = getFinancialYearStartDate(target.date || new Date()).getFullYear();
+        unique.set(`${vendorId}:${startYear}`, { vendorId, startYear });
+    });
+    if (unique.size === 0) return [];
+
+    const work = async (activeSession) => {
+        const results = [];
+        for (const { vendorId, startYear } of unique.values()) {
+            const result = await syncVendorYear(vendorId, startYear, { session: activeSession, userId });
+            if (result) results.push(result);
+        }
+        return results;
+    };
+    return session ? work(session) : runInTransaction(work, 'sync TDS');
+};
+
+/**
+ * Recalculate a financial year for one vendor, or for every TDS-applicable vendor
+ * plus any vendor that still has deductions posted in the year
+ * @param {Object} options - { startYear, vendor, userId }
+ */
+export const recalculateTds = async ({ startYear, vendor = null, userId }) => {
+    const date = getFinancialYear(startYear).start;
+    let vendorIds;
+    if (vendor) {
+        vendorIds = [vendor];
+    } else {
+        const [applicable, withDeductions] = await Promise.all([
+            Vendor.find({ tdsApplicable: true }).distinct('_id'),
+            TdsDeduction.find({ financialYear: getFinancialYear(startYear).label, status: 'posted' }).distinct('vendor')
+        ]);
+        vendorIds = [...new Set([...applicable, ...withDeductions].map(id => id.toString()))];
+    }
+
+    const results = await syncVendorTds(vendorIds.map(id => ({ vendor: id, date })), { userId });
+    const totals = results.reduce((sum, r) => {
+        ['posted', 'reversed', 'unchanged', 'skippedLocked'].forEach(field => { sum[field] += r[field]; });
+        return sum;
+    }, { vendors: results.length, posted: 0, reversed: 0, unchanged: 0, skippedLocked: 0 });
+    return { financialYear: getFinancialYear(startYear).label, ...totals, vendors: results };
+};
+
+/**
+ * Posted deductions for a financial year with per-vendor totals
+ * @param {Object} options - { startYear, quarter, vendor, includeReversed }
+ */
+export const buildTdsRegister = async ({ startYear, quarter = null, vendor = null, includeReversed = false }) => {
+    const year = getFinancialYear(startYear);
+    const query = { financialYear: year.label };
+    if (!includeReversed) query.status = 'posted';
+    if (quarter) query.quarter = quarter;
+    if (vendor) query.vendor = vendor;
+
+    const deductions = await TdsDeduction.find(query)
+        .populate('voucher', 'voucherNumber')
+        .sort({ date: 1, createdAt: 1 })
+        .lean();
+
+    const byVendor = new Map();
+    deductions.filter(d => d.status === 'posted').forEach(d => {
+        const key = d.vendor.toString();
+        const entry = byVendor.get(key) || {
+            vendor: d.vendor,
+            vendorName: d.vendorName,
+            pan: d.pan || '',
+            section: d.section,
+            count: 0,
+            purchaseAmount: 0,
+            taxableAmount: 0,
+            tdsAmount: 0
+        };
+        entry.count += 1;
+        entry.purchaseAmount = round2(entry.purchaseAmount + d.purchaseAmount);
+        entry.taxableAmount = round2(entry.taxableAmount + d.taxableAmount);
+        entry.tdsAmount = round2(entry.tdsAmount + d.tdsAmount);
+        byVendor.set(key, entry);
+    });
+    const vendors = [...byVendor.values()].sort((a, b) => (a.vendorName || '').localeCompare(b.vendorName || ''));
+
+    return {
+        financialYear: year.label,
+        quarter,
+        deductions,
+        vendors,
+        totals: {
+            deductions: vendors.reduce((sum, v) => sum + v.count, 0),
+            taxableAmount: round2(vendors.reduce((sum, v) => sum + v.taxableAmount, 0)),
+            tdsAmount: round2(vendors.reduce((sum, v) => sum + v.tdsAmount, 0))
+        }
+    };
+};
+
+/**
+ * Quarterly summary for the TDS return (Form 26Q style)
+ * One deductee row per vendor and section, plus section and month totals for challans.
+ * @param {Object} options - { startYear, quarter }
+ */
+export const buildTdsQuarterlySummary = async ({ startYear, quarter }) => {
+    const register = await buildTdsRegister({ startYear, quarter });
+
+    const bySection = {};
+    const byMonth = {};
+    register.deductions.forEach(d => {
+        const section = bySection[d.section] || (bySection[d.section] = { deductees: new Set(), taxableAmount: 0, tdsAmount: 0 });
+        section.deductees.add(d.vendor.toString());
+        section.taxableAmount = round2(section.taxableAmount + d.taxableAmount);
+        section.tdsAmount = round2(section.tdsAmount + d.tdsAmount);
+
+        const date = new Date(d.date);
+        const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        byMonth[month] = round2((byMonth[month] || 0) + d.tdsAmount);
+    });
+
+    return {
+        financialYear: register.financialYear,
+        quarter,
+        deductees: register.vendors.map(v => ({ ...v, panAvailable: Boolean(v.pan) })),
+        sections: Object.entries(bySection).map(([section, s]) => ({
+            section,
+            deductees: s.deductees.size,
+            taxableAmount: s.taxableAmount,
+            tdsAmount: s.tdsAmount
+        })),
+        // TDS deducted in a month is deposited by the 7th of the next month
+        months: Object.entries(byMonth).sort().map(([month, tdsAmount]) => ({ month, tdsAmount })),
+        totals: register.totals,
+        deductions: register.deductions
+    };
+};
+
+export const tdsRegisterSheets = (register) => [
+    {
+        name: 'TDS Register',
+        rows: register.deductions.map(d => ({
+            'Date': formatDate(d.date),
+            'Quarter': d.quarter,
+            'Vendor': d.vendorName,
+            'PAN': d.pan || 'PANNOTAVBL',
+            'Section': d.section,
+            'Reference': d.reference,
+            'Purchase Amount': d.purchaseAmount,
+            'Purchases Before': d.cumulativeBefore,
+            'Taxable Amount': d.taxableAmount,
+            'Rate %': d.rate,
+            'TDS': d.tdsAmount,
+            'Voucher': d.voucher?.voucherNumber ? `VCH-${d.voucher.voucherNumber}` : '',
+            'Status': d.status === 'reversed' ? 'Reversed' : 'Posted'
+        }))
+    },
+    {
+        name: 'By Vendor',
+        rows: register.vendors.map(v => ({
+            'Vendor': v.vendorName,
+            'PAN': v.pan || 'PANNOTAVBL',
+            'Section': v.section,
+            'Deductions': v.count,
+            'Purchase Amount': v.purchaseAmount,
+            'Taxable Amount': v.taxableAmount,
+            'TDS': v.tdsAmount
+        }))
+    }
+];
+
+export const tdsQuarterlySheets = (summary) => [
+    {
+        name: `Deductees ${summary.quarter}`,
+        rows: summary.deductions.map((d, index) => ({
+            'Sr No': index + 1,
+            'Section Code': d.section,
+            'PAN of Deductee': d.pan || 'PANNOTAVBL',
+            'Name of Deductee': d.vendorName,
+            'Date of Payment/Credit': formatDate(d.date),
+            'Amount Paid/Credited': d.taxableAmount,
+            'Rate': d.rate,
+            'TDS': d.tdsAmount,
+            'Date of Deduction': formatDate(d.date),
+            'Reason for Higher Deduction': d.pan ? '' : 'C'
+        }))
+    },
+    {
+        name: 'Section Summary',
+        rows: summary.sections.map(s => ({
+            'Section': s.section,
+            'Deductees': s.deductees,
+            'Amount Paid/Credited': s.taxableAmount,
+            'TDS': s.tdsAmount
+        }))
+    },
+    {
+        name: 'Monthly Deposit',
+        rows: summary.months.map(m => ({ 'Month': m.month, 'TDS to Deposit': m.tdsAmount }))
+    }
+];
@@ -0,0 +1,232 @@
+import mongoose from "mongoose";
+import AppError from "../utils/AppError.js";
+
+// Every purchase DC on a trip is a lot. Sales, stock, transfers and deaths record the lots
+// their birds were drawn from: FIFO by purchase time unless the entry picks its lots.
+// Allocation runs in the Trip pre-save hook, so this module must not import the Trip model.
+
+export const LOT_ALLOCATION_MODES = ['fifo', 'manual'];
+
+// Auto mortality covers whatever is left over, so it draws after everything else
+const AUTO_MORTALITY_REASON = 'Auto-calculated Mortality';
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+/**
+ * Read the lots picked for an entry from a request body
+ * undefined keeps the entry's current allocation; null, [] or 'fifo' go back to FIFO.
+ * @param {*} lots - [{ purchase, birds }] | 'fifo' | null | undefined
+ * @returns {Object} - { lotAllocation, lots } or {} to leave the entry as it is
+ */
+export const readLotSelection = (lots) => {
+    if (lots === undefined) return {};
+    if (lots === null || lots === 'fifo' || (Array.isArray(lots) && lots.length === 0)) {
+        return { lotAllocation: 'fifo', lots: [] };
+    }
+    if (!Array.isArray(lots)) {
+        throw new AppError('lots must be a list of { purchase, birds } or "fifo"', 400);
+    }
+    return {
+        lotAllocation: 'manual',
+        lots: lots.map(lot => {
+            if (!mongoose.Types.ObjectId.isValid(lot?.purchase)) {
+                throw new AppError('Each picked lot needs the purchase id it is drawn from', 400);
+            }
+            const birds = Number(lot.birds);
+            if (!Number.isInteger(birds) || birds <= 0) {
+                throw new AppError('Birds picked from a lot must be a whole number above 0', 400);
+            }
+            return { purchase: lot.purchase, birds };
+        })
+    };
+};
+
+// Entries that take birds off the trip, in the order FIFO serves them
+const collectDraws = (trip) => {
+    const draws = [];
+    (trip.sales || []).forEach(sale => draws.push({
+        kind: 'sale', entry: sale, birds: sale.birds || 0, weight: sale.weight || 0, at: sale.timestamp
+    }));
+    (trip.stocks || []).forEach(stock => draws.push({
+        kind: 'stock', entry: stock, birds: stock.birds || 0, weight: stock.weight || 0, at: stock.addedAt
+    }));
+    (trip.transferHistory || []).forEach(transfer => draws.push({
+        kind: 'transfer',
+        entry: transfer,
+        birds: transfer.transferredStock?.birds || 0,
+        weight: transfer.transferredStock?.weight || 0,
+        at: transfer.transferredAt
+    }));
+    (trip.losses || []).forEach(loss => draws.push({
+        kind: 'loss',
+        entry: loss,
+        birds: loss.quantity || 0,
+        weight: loss.weight || 0,
+        at: loss.reason === AUTO_MORTALITY_REASON ? null : (loss.date || loss.timestamp)
+    }));
+
+    const time = (draw) => (draw.at ? new Date(draw.at).getTime() : Number.MAX_SAFE_INTEGER);
+    return draws
+        .map((draw, order) => ({ ...draw, order }))
+        .sort((a, b) => (time(a) - time(b)) || (a.order - b.order));
+};
+
+// Split the weight over the lots by bird count; the last lot takes the rounding
+const withWeights = ({ birds, weight: totalWeight }, parts) => {
+    let weightLeft = totalWeight;
+    return parts.map((part, index) => {
+        const weight = index === parts.length - 1
+            ? round2(weightLeft)
+            : round2(totalWeight * part.birds / birds);
+        weightLeft -= weight;
+        return { purchase: part.lot.purchase._id, dcNumber: part.lot.purchase.dcNumber, birds: part.birds, weight };
+    });
+};
+
+const describe = (draw) => {
+    if (draw.kind === 'sale') return `sale ${draw.entry.billNumber || ''}`.trim();
+    return draw.kind;
+};
+
+/**
+ * Allocate every bird-carrying entry on the trip to the purchase lots
+ * Manual picks are checked and served first, the rest FIFO by purchase time.
+ * Birds beyond what the lots hold stay unallocated (the entry's lots add up to less than its birds).
+ * @param {Object} trip - Trip document (modified in place)
+ * @returns {Object} - { lots: [{ purchase, dcNumber, birds, allocated, remaining }], unallocated }
+ */
+export const allocateTripLots = (trip) => {
+    const lots = (trip.purchases || [])
+        .map((purchase, order) => ({ purchase, order, remaining: purchase.birds || 0 }))
+        .sort((a, b) => (new Date(a.purchase.timestamp || 0) - new Date(b.purchase.timestamp || 0)) || (a.order - b.order));
+    const lotsById = new Map(lots.map(lot => [idOf(lot.purchase._id), lot]));
+
+    const draws = collectDraws(trip);
+    let unallocated = 0;
+
+    // Birds-free entries (receipts) carry no lots
+    draws.filter(draw => draw.birds <= 0).forEach(draw => {
+        draw.entry.lots = [];
+    });
+
+    draws.filter(draw => draw.birds > 0 && draw.entry.lotAllocation === 'manual').forEach(draw => {
+        const picked = new Set();
+        const parts = (draw.entry.lots || []).map(pick => {
+            const lot = lotsById.get(idOf(pick.purchase));
+            if (!lot) {
+                throw new AppError(`Lot ${idOf(pick.purchase)} picked for ${describe(draw)} is not a purchase on this trip`, 400);
+            }
+            if (picked.has(lot)) {
+                throw new AppError(`Lot ${lot.purchase.dcNumber} is picked twice for ${describe(draw)}`, 400);
+            }
+            picked.add(lot);
+            if (!Number.isInteger(pick.birds) || pick.birds <= 0) {
+                throw new AppError(`Birds from lot ${lot.purchase.dcNumber} for ${describe(draw)} must be a whole number above 0`, 400);
+            }
+            if (pick.birds > lot.remaining) {
+                throw new AppError(`Lot ${lot.purchase.dcNumber} has only ${lot.remaining} birds left for ${describe(draw)}`, 400);
+            }
+            lot.remaining -= pick.birds;
+            return { lot, birds: pick.birds };
+        });
+
+        const total = parts.reduce((sum, part) => sum + part.birds, 0);
+        if (total !== draw.birds) {
+            throw new AppError(`Lots picked for ${describe(draw)} add up to ${total} birds but the entry has ${draw.birds}; pick the lots again or switch to FIFO`, 400);
+        }
+        draw.entry.lots = withWeights(draw, parts);
+    });
+
+    draws.filter(draw => draw.birds > 0 && draw.entry.lotAllocation !== 'manual').forEach(draw => {
+        const parts = [];
+        let needed = draw.birds;
+        for (const lot of lots) {
+            if (needed <= 0) break;
+            const birds = Math.min(lot.remaining, needed);
+            if (birds <= 0) continue;
+            lot.remaining -= birds;
+            needed -= birds;
+            parts.push({ lot, birds });
+        }
+        unallocated += needed;
+        const allocated = draw.birds - needed;
+        draw.entry.lotAllocation = 'fifo';
+        draw.entry.lots = withWeights({ birds: allocated, weight: draw.weight * allocated / draw.birds }, parts);
+    });
+
+    return {
+        lots: lots.map(lot => ({
+            purchase: lot.purchase._id,
+            dcNumber: lot.purchase.dcNumber,
+            birds: lot.purchase.birds || 0,
+            allocated: (lot.purchase.birds || 0) - lot.remaining,
+            remaining: lot.remaining
+        })),
+        unallocated
+    };
+};
+
+/**
+ * Allocate lots for a read (traces, lot summaries) without failing on stale manual picks
+ * Picks that no longer fit the trip (an entry or purchase changed since) are read as FIFO
+ * in memory; nothing is saved. Don't save a trip allocated this way.
+ * @param {Object} trip - Trip document (modified in place)
+ * @returns {Object} - allocateTripLots result plus stalePicks (true when FIFO was used instead)
+ */
+export const allocateTripLotsForRead = (trip) => {
+    try {
+        return { ...allocateTripLots(trip), stalePicks: false };
+    } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        collectDraws(trip).forEach(draw => {
+            if (draw.entry.lotAllocation === 'manual') draw.entry.lotAllocation = 'fifo';
+        });
+        return { ...allocateTripLots(trip), stalePicks: true };
+    }
+};
+
+/**
+ * Vendor name behind each lot on a trip
+ * Transfer purchases carry the name on the purchase; others are looked up once.
+ * @param {Object} trip - Trip document (suppliers may be populated)
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Map>} - purchase id -> vendor name
+ */
+export const lotVendorNames = async (trip, session = null) => {
+    const names = new Map();
+    const lookup = [];
+    (trip.purchases || []).forEach(purchase => {
+        const supplier = purchase.supplier;
+        if (supplier && supplier.vendorName !== undefined) {
+            names.set(idOf(purchase._id), supplier.vendorName || supplier.name || '');
+        } else if (supplier) {
+            lookup.push(purchase);
+        } else {
+            names.set(idOf(purchase._id), purchase.vendorName || '');
+        }
+    });
+
+    if (lookup.length > 0) {
+        const Vendor = mongoose.model('Vendor');
+        const vendors = await Vendor.find({ _id: { $in: lookup.map(purchase => purchase.supplier) } })
+            .select('vendorName')
+            .session(session)
+            .lean();
+        const byId = new Map(vendors.map(vendor => [vendor._id.toString(), vendor.vendorName || '']));
+        lookup.forEach(purchase => names.set(idOf(purchase._id), byId.get(idOf(purchase.supplier)) || purchase.vendorName || ''));
+    }
+    return names;
+};
+
+/**
+ * Vendor names of the lots an entry was drawn from, for sale.product and transfer purchases
+ * @param {Array} entryLots - entry.lots
+ * @param {Map} vendorNames - from lotVendorNames
+ * @returns {String}
+ */
+export const lotsProductName = (entryLots, vendorNames) => [...new Set((entryLots || [])
+    .map(lot => vendorNames.get(idOf(lot.purchase)))
+    .filter(Boolean))]
+    .join(', ');
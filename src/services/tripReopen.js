@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import TripReopenRequest from "../models/TripReopenRequest.js";
+import AppError from "../utils/AppError.js";
+import { runInTransaction } from "../utils/transaction.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Summary figures compared before and after the corrections
+export const REOPEN_SUMMARY_FIELDS = [
+    'totalPurchaseAmount',
+    'totalSalesAmount',
+    'totalExpenses',
+    'totalDieselAmount',
+    'totalLosses',
+    'mortality',
+    'totalWeightLost',
+    'birdWeightLoss',
+    'birdsRemaining',
+    'netProfit',
+    'birdsProfit',
+    'tripProfit',
+    'profitPerKg'
+];
+
+// Reopened trips untouched for this long are re-completed by the scheduler
+export const REOPEN_IDLE_MS = Number(process.env.TRIP_REOPEN_IDLE_MS) || 24 * 60 * 60 * 1000;
+
+const summaryOf = (trip) => trip.toObject({ virtuals: false }).summary || {};
+
+const loadRequest = async (requestId, session = null) => {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        throw new AppError('Invalid reopen request id', 400);
+    }
+    const request = await TripReopenRequest.findById(requestId).session(session);
+    if (!request) throw new AppError('Reopen request not found', 404);
+    return request;
+};
+
+/**
+ * Ask for a completed trip to be reopened
+ * Supervisors can only ask for their own trips. One open request per trip.
+ * @param {String} tripId
+ * @param {Object} options - { reason, user }
+ * @returns {Promise<Object>} - TripReopenRequest document
+ */
+export const requestReopen = async (tripId, { reason, user }) => {
+    if (!reason || !reason.toString().trim()) {
+        throw new AppError('Reason is required to reopen a trip', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+        throw new AppError('Invalid trip id', 400);
+    }
+
+    const query = { _id: tripId };
+    if (user.role === 'supervisor') query.supervisor = user._id;
+    const trip = await Trip.findOne(query).select('tripId status').lean();
+    if (!trip) throw new AppError('Trip not found!', 404);
+    if (trip.status !== 'completed') {
+        throw new AppError('Only completed trips can be reopened', 400);
+    }
+
+    const open = await TripReopenRequest.findOne({ trip: trip._id, status: { $in: ['pending', 'approved'] } }).lean();
+    if (open) {
+        throw new AppError(`Trip already has a ${open.status} reopen request`, 400);
+    }
+
+    return TripReopenRequest.create({
+        trip: trip._id,
+        tripId: trip.tripId,
+        reason: reason.toString().trim(),
+        requestedBy: user._id
+    });
+};
+
+/**
+ * Approve a pending request and move the trip back to ongoing
+ * @param {String} requestId
+ * @param {Object} options - { note, user }
+ * @returns {Promise<Object>} - TripReopenRequest document
+ */
+export const approveReopen = async (requestId, { note, user }) => runInTransaction(async (session) => {
+    const request = await loadRequest(requestId, session);
+    if (request.status !== 'pending') {
+        throw new AppError(`Reopen request is already ${request.status}`, 400);
+    }
+
+    const trip = await Trip.findById(request.trip).session(session);
+    if (!trip) throw new AppError('Trip not found!', 404);
+    if (trip.status !== 'completed') {
+        throw new AppError('Trip is no longer completed; reject this request instead', 400);
+    }
+
+    request.summaryBefore = summaryOf(trip);
+    request.status = 'approved';
+    request.reviewedBy = user._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = note;
+    request.reopenedAt = request.reviewedAt;
+    await request.save({ session });
+
+    trip.status = 'ongoing';
+    trip.reopenRequest = request._id;
+    trip.updatedBy = user._id;
+    await trip.save({ session });
+
+    return request;
+}, 'reopen trip');
+
+/**
+ * Reject a pending request
+ * @param {String} requestId
+ * @param {Object} options - { reason, user }
+ * @returns {Promise<Object>} - TripReopenRequest document
+ */
+export const rejectReopen = async (requestId, { reason, user }) => {
+    if (!reason || !reason.toString().trim()) {
+        throw new AppError('Rejection reason is required', 400);
+    }
+    const request = await loadRequest(requestId);
+    if (request.status !== 'pending') {
+        throw new AppError(`Reopen request is already ${request.status}`, 400);
+    }
+
+    request.status = 'rejected';
+    request.reviewedBy = user._id;
+    request.reviewedAt = new Date();
+    request.reviewNote = reason.toString().trim();
+    await request.save();
+
+    return request;
+};
+
+/**
+ * Mark a reopened trip completed again and close its request with the before/after summary
+ * The trip pre-save hook recomputes the summary from the corrected entries.
+ * @param {Object} trip - Trip document loaded in the session, with reopenRequest set
+ * @param {Object} options - { userId, via ('manual' | 'auto'), session }
+ * @returns {Promise<Object>} - TripReopenRequest document
+ */
+export const recompleteTrip = async (trip, { userId = null, via = 'manual', session = null }) => {
+    if (!trip.reopenRequest) {
+        throw new AppError('Trip is not open for corrections', 400);
+    }
+    const request = await TripReopenRequest.findById(trip.reopenRequest).session(session);
+    if (!request || request.status !== 'approved') {
+        throw new AppError('Trip has no approved reopen request', 400);
+    }
+
+    trip.status = 'completed';
+    trip.reopenRequest = null;
+    if (userId) trip.updatedBy = userId;
+    await trip.save({ session });
+
+    const before = request.summaryBefore || {};
+    const after = summaryOf(trip);
+    request.summaryAfter = after;
+    request.changes = REOPEN_SUMMARY_FIELDS
+        .map(field => ({
+            field,
+            before: round2(before[field]),
+            after: round2(after[field]),
+            difference: round2((after[field] || 0) - (before[field] || 0))
+        }))
+        .filter(change => change.difference !== 0);
+    request.status = 'recompleted';
+    request.recompletedAt = new Date();
+    request.recompletedBy = userId || undefined;
+    request.recompletedVia = via;
+    await request.save({ session });
+
+    return request;
+};
+
+/**
+ * Re-complete reopened trips with no edits for REOPEN_IDLE_MS (scheduler job)
+ * @param {Object} context - { trigger, userId }
+ * @returns {Promise<Object>} - { checked, recompleted, failed }
+ */
+export const recompleteIdleTrips = async ({ userId = null } = {}) => {
+    const idleSince = new Date(Date.now() - REOPEN_IDLE_MS);
+    const trips = await Trip.find({ reopenRequest: { $ne: null }, status: { $ne: 'completed' }, updatedAt: { $lte: idleSince } })
+        .select('_id tripId')
+        .lean();
+
+    const summary = { checked: trips.length, recompleted: 0, failed: [] };
+    for (const { _id, tripId } of trips) {
+        try {
+            const done = await runInTransaction(async (session) => {
+                const trip = await Trip.findById(_id).session(session);
+                // Edited again since the query ran
+                if (!trip?.reopenRequest || trip.updatedAt > idleSince) return false;
+                await recompleteTrip(trip, { userId, via: 'auto', session });
+                return true;
+            }, `re-complete trip ${tripId}`);
+            if (done) summary.recompleted += 1;
+        } catch (error) {
+            summary.failed.push({ tripId, error: error.message });
+        }
+    }
+    return summary;
+};
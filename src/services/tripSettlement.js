@@ -0,0 +1,289 @@
+import AppError from "../utils/AppError.js";
+import { getCashLedgerIds, isCashDiesel, getTripHandoverTotal } from "./supervisorCash.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const sum = (items, pick) => (items || []).reduce((total, item) => total + (Number(pick(item)) || 0), 0);
+
+export const SETTLEMENT_ACTIONS = ['accept', 'override'];
+
+// Loss booked for the unaccounted birds the admin accepts at settlement
+export const SETTLEMENT_MORTALITY_REASON = 'Settlement - unaccounted birds';
+
+// Added by the Trip pre-save hook on unsettled completed trips; recomputed on every save
+const AUTO_MORTALITY_REASON = 'Auto-calculated Mortality';
+
+/**
+ * Record the closing reading and completion details on a trip
+ * Shared by the plain completion and the settlement.
+ * @param {Object} trip - Trip document
+ * @param {Object} details - { closingOdometer, finalRemarks, signature }
+ */
+export const applyTripClosing = (trip, { closingOdometer, finalRemarks, signature }) => {
+    if (trip.vehicleReadings.opening && closingOdometer < trip.vehicleReadings.opening) {
+        throw new AppError('Closing odometer reading must be greater than opening reading', 400);
+    }
+
+    trip.vehicleReadings.closing = closingOdometer;
+    if (trip.vehicleReadings.opening) {
+        trip.vehicleReadings.totalDistance = closingOdometer - trip.vehicleReadings.opening;
+        // Set totalKm for financial calculations
+        trip.totalKm = trip.vehicleReadings.totalDistance;
+    }
+
+    trip.dieselAmount = trip.diesel.totalAmount || 0;
+
+    trip.completionDetails = {
+        completedAt: new Date(),
+        closingOdometer,
+        finalRemarks,
+        supervisorSignature: signature
+    };
+
+    if (trip.vehicleReadings.totalDistance && trip.diesel.totalVolume > 0) {
+        trip.summary.fuelEfficiency = Number((trip.vehicleReadings.totalDistance / trip.diesel.totalVolume).toFixed(2));
+    }
+};
+
+/**
+ * Reconciliation of a trip before it is settled
+ * Birds and weight: purchased vs sold + stock + transfers + recorded deaths.
+ * Cash: cash collected on sales less cash expenses and diesel, vs what was handed over.
+ * Diesel: fills without a receipt.
+ * Cash handed over defaults to the handovers recorded against the trip.
+ * @param {Object} trip - Trip document
+ * @param {Object} options - { cashHandedOver, session } (null when not known yet)
+ * @returns {Promise<Object>} - { birds, weight, cash, dieselWithoutReceipt, discrepancies }
+ */
+export const buildSettlementPreview = async (trip, { cashHandedOver = null, session = null } = {}) => {
+    if (cashHandedOver === null) {
+        cashHandedOver = await getTripHandoverTotal(trip._id, session);
+    }
+
+    const losses = (trip.losses || []).filter(loss => loss.reason !== AUTO_MORTALITY_REASON);
+    const transfers = (trip.transferHistory || []).map(transfer => transfer.transferredStock || {});
+
+    const birds = {
+        purchased: sum(trip.purchases, p => p.birds),
+        sold: sum(trip.sales, s => s.birds),
+        stock: sum(trip.stocks, s => s.birds),
+        transferred: sum(transfers, t => t.birds),
+        died: sum(losses, l => l.quantity)
+    };
+    birds.unaccounted = birds.purchased - birds.sold - birds.stock - birds.transferred - birds.died;
+
+    const weight = {
+        purchased: round2(sum(trip.purchases, p => p.weight)),
+        sold: round2(sum(trip.sales, s => s.weight)),
+        stock: round2(sum(trip.stocks, s => s.weight)),
+        transferred: round2(sum(transfers, t => t.weight)),
+        died: round2(sum(losses, l => l.weight))
+    };
+    weight.unaccounted = round2(weight.purchased - weight.sold - weight.stock - weight.transferred - weight.died);
+
+    const cashLedgerIds = await getCashLedgerIds(session);
+    const stations = trip.diesel?.stations || [];
+
+    const cash = {
+        collected: round2(sum(trip.sales, s => s.cashPaid)),
+        expenses: round2(sum(trip.expenses, e => e.amount)),
+        diesel: round2(sum(stations.filter(station => isCashDiesel(station, cashLedgerIds)), s => s.amount))
+    };
+    cash.expected = round2(cash.collected - cash.expenses - cash.diesel);
+    cash.handedOver = cashHandedOver === null ? null : round2(cashHandedOver);
+    cash.difference = cashHandedOver === null ? null : round2(cash.handedOver - cash.expected);
+
+    const dieselWithoutReceipt = stations
+        .filter(station => !(station.receipt || '').trim())
+        .map(station => ({
+            id: station._id,
+            stationName: station.stationName || station.name || '',
+            indentNumber: station.indentNumber || '',
+            volume: station.volume || 0,
+            amount: round2(station.amount),
+            date: station.timestamp
+        }));
+
+    const discrepancies = [];
+    if (birds.unaccounted !== 0) {
+        discrepancies.push({
+            code: 'birds',
+            label: birds.unaccounted > 0
+                ? `${birds.unaccounted} birds are not covered by sales, stock, transfers or recorded deaths`
+                : `${-birds.unaccounted} more birds went out than were purchased`,
+            expected: birds.purchased,
+            actual: birds.purchased - birds.unaccounted,
+            difference: birds.unaccounted
+        });
+    }
+    if (Math.abs(weight.unaccounted) >= 0.01) {
+        discrepancies.push({
+            code: 'weight',
+            label: weight.unaccounted > 0
+                ? `${weight.unaccounted} kg lost between purchase and sales, stock, transfers and recorded deaths`
+                : `${-weight.unaccounted} kg more went out than was purchased`,
+            expected: weight.purchased,
+            actual: round2(weight.purchased - weight.unaccounted),
+            difference: weight.unaccounted
+        });
+    }
+    if (cash.difference !== null && Math.abs(cash.difference) >= 0.01) {
+        discrepancies.push({
+            code: 'cash',
+            label: cash.difference < 0
+                ? `Cash short by ${-cash.difference}`
+                : `Cash in excess by ${cash.difference}`,
+            expected: cash.expected,
+            actual: cash.handedOver,
+            difference: cash.difference
+        });
+    }
+    dieselWithoutReceipt.forEach(station => discrepancies.push({
+        code: `diesel:${station.id}`,
+        label: `Diesel at ${station.stationName || 'unnamed station'}${station.indentNumber ? ` (indent ${station.indentNumber})` : ''} has no receipt`,
+        expected: 'receipt',
+        actual: null,
+        difference: station.amount
+    }));
+
+    return { birds, weight, cash, dieselWithoutReceipt, discrepancies };
+};
+
+/**
+ * Check a resolution against its discrepancy
+ * override needs a note and the figure to use instead:
+ * - birds: how many of the unaccounted birds to book as mortality
+ * - weight / cash: the loss or shortage/excess to record
+ * - diesel: the receipt reference, saved on the fill
+ * @returns {Object} - { action, value, note }
+ */
+const validateResolution = (discrepancy, resolution) => {
+    const { action } = resolution || {};
+    if (!SETTLEMENT_ACTIONS.includes(action)) {
+        throw new AppError(`Resolution for ${discrepancy.code} must be one of: ${SETTLEMENT_ACTIONS.join(', ')}`, 400);
+    }
+    const note = (resolution.note || '').toString().trim();
+    if (action === 'accept') return { action, value: null, note };
+
+    if (!note) throw new AppError(`A note is required to override ${discrepancy.code}`, 400);
+
+    const { value } = resolution;
+    if (discrepancy.code === 'birds') {
+        const birds = Number(value);
+        if (discrepancy.difference <= 0) {
+            throw new AppError('Extra birds going out can only be accepted; correct the entries instead', 400);
+        }
+        if (!Number.isInteger(birds) || birds < 0 || birds > discrepancy.difference) {
+            throw new AppError(`Birds to book as mortality must be a whole number between 0 and ${discrepancy.difference}`, 400);
+        }
+        return { action, value: birds, note };
+    }
+    if (discrepancy.code.startsWith('diesel:')) {
+        const receipt = (value || '').toString().trim();
+        if (!receipt) throw new AppError(`Receipt reference is required to override ${discrepancy.code}`, 400);
+        return { action, value: receipt, note };
+    }
+
+    const amount = Number(value);
+    if (value === null || value === '' || !Number.isFinite(amount)) {
+        throw new AppError(`Override value for ${discrepancy.code} must be a number`, 400);
+    }
+    return { action, value: round2(amount), note };
+};
+
+/**
+ * Settle a trip: resolve every discrepancy, book accepted mortality, close and complete it
+ * The caller saves the trip; the Trip pre-save hook snapshots the summary into the settlement.
+ * @param {Object} trip - Trip document
+ * cashHandedOver defaults to the handovers recorded against the trip.
+ * @param {Object} data - { closingOdometer, finalRemarks, cashHandedOver, resolutions: { [code]: { action, value, note } } }
+ * @param {Object} options - { user, session }
+ * @returns {Promise<Object>} - trip.settlement
+ */
+export const applySettlement = async (trip, data, { user, session = null }) => {
+    if (trip.settlement?.settledAt) {
+        throw new AppError('Trip is already settled', 400);
+    }
+    if (trip.reopenRequest) {
+        throw new AppError('Trip was reopened for corrections; re-complete it through its reopen request', 400);
+    }
+
+    const { closingOdometer, finalRemarks, resolutions = {} } = data;
+    const given = data.cashHandedOver !== undefined && data.cashHandedOver !== null && data.cashHandedOver !== '';
+    const cashHandedOver = given ? Number(data.cashHandedOver) : await getTripHandoverTotal(trip._id, session);
+    if (cashHandedOver === null) {
+        throw new AppError('Cash handed over is required when no handover is recorded for this trip', 400);
+    }
+    if (!Number.isFinite(cashHandedOver) || cashHandedOver < 0) {
+        throw new AppError('Cash handed over cannot be negative', 400);
+    }
+    if (closingOdometer === undefined || closingOdometer === null || closingOdometer === '' || !Number.isFinite(Number(closingOdometer))) {
+        throw new AppError('Closing odometer reading is required', 400);
+    }
+    if (!resolutions || typeof resolutions !== 'object' || Array.isArray(resolutions)) {
+        throw new AppError('Resolutions must be an object keyed by discrepancy code', 400);
+    }
+
+    const preview = await buildSettlementPreview(trip, { cashHandedOver, session });
+
+    const codes = new Set(preview.discrepancies.map(d => d.code));
+    const unknown = Object.keys(resolutions).filter(code => !codes.has(code));
+    if (unknown.length > 0) {
+        throw new AppError(`No such discrepancy on this trip: ${unknown.join(', ')}. Reload the settlement preview.`, 400);
+    }
+    const missing = preview.discrepancies.filter(d => !resolutions[d.code]).map(d => d.code);
+    if (missing.length > 0) {
+        throw new AppError(`Accept or override every discrepancy before settling. Unresolved: ${missing.join(', ')}`, 400);
+    }
+
+    const discrepancies = preview.discrepancies.map(discrepancy => ({
+        ...discrepancy,
+        ...validateResolution(discrepancy, resolutions[discrepancy.code])
+    }));
+
+    // A trip completed before settlement carries auto mortality for the same unaccounted birds;
+    // drop it so the birds are booked once, as decided below
+    trip.losses = trip.losses.filter(loss => loss.reason !== AUTO_MORTALITY_REASON);
+
+    // Unaccounted birds become mortality only when the admin says so
+    const birdsResolution = discrepancies.find(d => d.code === 'birds');
+    const mortality = !birdsResolution ? 0
+        : birdsResolution.action === 'accept' ? Math.max(birdsResolution.difference, 0) : birdsResolution.value;
+    if (mortality > 0) {
+        const avgWeight = preview.birds.purchased > 0 ? preview.weight.purchased / preview.birds.purchased : 0;
+        const rate = trip.summary?.avgPurchaseRate || 0;
+        trip.losses.push({
+            quantity: mortality,
+            weight: Number((mortality * avgWeight).toFixed(2)),
+            avgWeight: Number(avgWeight.toFixed(2)),
+            rate,
+            total: Number((mortality * avgWeight * rate).toFixed(2)),
+            reason: SETTLEMENT_MORTALITY_REASON,
+            date: new Date()
+        });
+    }
+
+    discrepancies
+        .filter(d => d.code.startsWith('diesel:') && d.action === 'override')
+        .forEach(d => {
+            const station = trip.diesel.stations.id(d.code.slice('diesel:'.length));
+            if (station) station.receipt = d.value;
+        });
+
+    applyTripClosing(trip, { closingOdometer: Number(closingOdometer), finalRemarks, signature: user.name });
+
+    trip.settlement = {
+        settledAt: new Date(),
+        settledBy: user._id,
+        closingOdometer: Number(closingOdometer),
+        finalRemarks,
+        birds: preview.birds,
+        weight: preview.weight,
+        cash: preview.cash,
+        discrepancies
+    };
+    trip.status = 'completed';
+    trip.updatedBy = user._id;
+
+    return trip.settlement;
+};
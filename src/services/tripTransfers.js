@@ -0,0 +1,484 @@
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import TripTransferRequest from "../models/TripTransferRequest.js";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import AppError from "../utils/AppError.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { assertPeriodUnlocked } from "../utils/periodLock.js";
+import { readLotSelection, allocateTripLots, lotVendorNames, lotsProductName } from "./tripLots.js";
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const idOf = (ref) => (ref ? (ref._id || ref).toString() : null);
+
+// Purchase entry a transfer creates on the receiving trip
+const TRANSFER_DC_PREFIX = 'TRANSFER-';
+
+export const isTransferPurchase = (purchase) => Boolean(purchase.dcNumber && purchase.dcNumber.startsWith(TRANSFER_DC_PREFIX));
+
+/**
+ * Birds still on a trip that can be transferred
+ * (purchased - customer sales - stock - losses - already transferred)
+ * @param {Object} trip - Trip document
+ * @returns {Number}
+ */
+export const availableBirdsForTransfer = (trip) => {
+    const totalPurchased = trip.summary?.totalBirdsPurchased || 0;
+    const customerSold = trip.summary?.customerBirdsSold || 0;
+    const totalInStock = trip.stocks?.reduce((sum, stock) => sum + (stock.birds || 0), 0) || 0;
+    const totalLost = trip.summary?.totalBirdsLost || 0;
+    const totalTransferred = trip.summary?.birdsTransferred || 0;
+    return totalPurchased - customerSold - totalInStock - totalLost - totalTransferred;
+};
+
+// Birds held back by transfers still waiting for the receiving supervisor
+const pendingTransferBirds = async (tripId, { exclude = null, session = null } = {}) => {
+    const pending = await TripTransferRequest.find({ sourceTrip: tripId, status: 'pending', ...(exclude ? { _id: { $ne: exclude } } : {}) })
+        .select('birds')
+        .session(session)
+        .lean();
+    return pending.reduce((sum, request) => sum + (request.birds || 0), 0);
+};
+
+/**
+ * Check a transfer against the source trip, receiving supervisor and vehicle
+ * @param {Object} trip - Source trip document
+ * @param {Object} transfer - { supervisorId, vehicleId, transferBirds: { birds, weight, rate }, excludeRequest, session }
+ * @returns {Promise<Object>} - { remainingBirds, vehicle }
+ */
+const validateTransfer = async (trip, { supervisorId, vehicleId, transferBirds, excludeRequest = null, session = null }) => {
+    if (!transferBirds || !transferBirds.birds || !transferBirds.weight) {
+        throw new AppError('Transfer birds data (birds count and weight) is required', 400);
+    }
+
+    const reserved = await pendingTransferBirds(trip._id, { exclude: excludeRequest, session });
+    const remainingBirds = availableBirdsForTransfer(trip) - reserved;
+
+    if (remainingBirds <= 0) {
+        throw new AppError(reserved > 0
+            ? `No remaining birds available to transfer (${reserved} birds are in transfers awaiting acceptance)`
+            : 'No remaining birds available to transfer', 400);
+    }
+
+    if (transferBirds.birds > remainingBirds) {
+        throw new AppError(`Cannot transfer ${transferBirds.birds} birds. Only ${remainingBirds} birds are available for transfer`, 400);
+    }
+
+    // Validate receiving supervisor exists and is approved
+    const receivingSupervisor = await User.findOne({
+        _id: supervisorId,
+        role: 'supervisor',
+        approvalStatus: 'approved',
+        isActive: true
+    }).session(session);
+    if (!receivingSupervisor) {
+        throw new AppError('Invalid supervisor or supervisor not approved', 400);
+    }
+
+    // Validate vehicle exists and is available
+    const vehicle = await Vehicle.findById(vehicleId).session(session);
+    if (!vehicle) {
+        throw new AppError('Vehicle not found', 404);
+    }
+    if (vehicle.currentStatus !== 'idle') {
+        throw new AppError('Vehicle is not available for new trip', 400);
+    }
+
+    return { remainingBirds, vehicle };
+};
+
+/**
+ * Move birds to a new trip for the receiving supervisor
+ * Creates the `transferred` trip (transfer recorded as its purchase at the source rate),
+ * puts the vehicle in transit and adds the transfer to the source trip's history.
+ * @param {Object} originalTrip - Source trip document with purchases.supplier populated
+ * @param {Object} transfer - { supervisorId, vehicleId, transferBirds, reason, userId, transferredBy, transferRequest, session }
+ * @returns {Promise<Object>} - { newTrip, remainingBirds }
+ */
+export const executeTransfer = async (originalTrip, {
+    supervisorId,
+    vehicleId,
+    transferBirds,
+    reason,
+    userId,
+    transferredBy = userId,
+    transferRequest = null,
+    session
+}) => {
+    const { remainingBirds, vehicle } = await validateTransfer(originalTrip, {
+        supervisorId,
+        vehicleId,
+        transferBirds,
+        excludeRequest: transferRequest?._id,
+        session
+    });
+    const lotSelection = readLotSelection(transferBirds.lots);
+
+    // Calculate average weight and rate for transfer
+    const avgWeight = transferBirds.weight / transferBirds.birds;
+    const avgPurchaseRate = transferBirds.rate || originalTrip.summary?.avgPurchaseRate || 0;
+    const transferAmount = transferBirds.weight * avgPurchaseRate;
+
+    // Create new transferred trip - receiving supervisor will complete details
+    const newTrip = new Trip({
+        type: 'transferred',
+        date: new Date(),
+        place: '', // To be filled by receiving supervisor
+        route: { from: 'TBD', to: 'TBD' }, // To be filled by receiving supervisor
+        vehicle: vehicleId,
+        supervisor: supervisorId,
+        driver: 'TBD - To be assigned by receiving supervisor', // To be filled by receiving supervisor
+        labour: 'TBD', // To be filled by receiving supervisor
+        vehicleReadings: {
+            opening: 0 // To be filled by receiving supervisor
+        },
+        rentPerKm: vehicle.rentPerKm || 0,
+        transferredFrom: originalTrip._id,
+        // Add transferred birds as purchase record
+        purchases: [{
+            supplier: null, // No actual supplier - this is transferred stock
+            vendorName: '', // Vendors of the source lots, set once they are allocated below
+            dcNumber: `${TRANSFER_DC_PREFIX}${originalTrip.tripId}`,
+            birds: transferBirds.birds,
+            weight: transferBirds.weight,
+            avgWeight: avgWeight,
+            rate: avgPurchaseRate,
+            amount: transferAmount,
+            timestamp: new Date()
+        }],
+        createdBy: transferredBy,
+        updatedBy: userId,
+        status: 'started' // Start as started - supervisor will manage from there
+    });
+
+    // Note: We don't remove from actual purchases/sales/stock, just track the transfer
+    // The remaining birds calculation will automatically adjust
+    originalTrip.transferHistory.push({
+        transferredTo: newTrip._id,
+        transferredToSupervisor: supervisorId,
+        transferredStock: {
+            birds: transferBirds.birds,
+            weight: transferBirds.weight,
+            avgWeight: avgWeight,
+            rate: avgPurchaseRate
+        },
+        reason: reason || 'Trip transfer',
+        transferredAt: new Date(),
+        transferredBy,
+        transferRequest: transferRequest?._id,
+        acceptedBy: transferRequest ? userId : undefined,
+        acceptedAt: transferRequest ? new Date() : undefined,
+        ...lotSelection
+    });
+
+    // Name the transfer purchase after the lots the birds are drawn from
+    allocateTripLots(originalTrip);
+    const transferEntry = originalTrip.transferHistory[originalTrip.transferHistory.length - 1];
+    newTrip.purchases[0].vendorName = lotsProductName(transferEntry.lots, await lotVendorNames(originalTrip, session));
+
+    await newTrip.save({ session });
+
+    // Update vehicle status for new trip
+    await Vehicle.findByIdAndUpdate(vehicleId, {
+        currentStatus: 'in-transit',
+        updatedBy: userId
+    }, { session });
+
+    originalTrip.transferredTo.push(newTrip._id);
+    originalTrip.updatedBy = userId;
+    await originalTrip.save({ session });
+
+    return { newTrip, remainingBirds };
+};
+
+/**
+ * Offer birds to another supervisor; nothing moves until they accept
+ * @param {Object} originalTrip - Source trip document
+ * @param {Object} transfer - { supervisorId, vehicleId, transferBirds, reason, userId, session }
+ * @returns {Promise<Object>} - { transferRequest, remainingBirds }
+ */
+export const requestTransfer = async (originalTrip, { supervisorId, vehicleId, transferBirds, reason, userId, session }) => {
+    const { remainingBirds } = await validateTransfer(originalTrip, { supervisorId, vehicleId, transferBirds, session });
+
+    const [transferRequest] = await TripTransferRequest.create([{
+        sourceTrip: originalTrip._id,
+        sourceTripId: originalTrip.tripId,
+        fromSupervisor: originalTrip.supervisor,
+        toSupervisor: supervisorId,
+        vehicle: vehicleId,
+        birds: transferBirds.birds,
+        weight: transferBirds.weight,
+        rate: transferBirds.rate || undefined,
+        lots: readLotSelection(transferBirds.lots).lots || [],
+        reason: reason || 'Trip transfer',
+        requestedBy: userId
+    }], { session });
+
+    return { transferRequest, remainingBirds };
+};
+
+const loadPendingRequest = async (requestId, session) => {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        throw new AppError('Invalid transfer request id', 400);
+    }
+    const request = await TripTransferRequest.findById(requestId).session(session);
+    if (!request) throw new AppError('Transfer request not found', 404);
+    if (request.status !== 'pending') {
+        throw new AppError(`Transfer request is already ${request.status}`, 400);
+    }
+    return request;
+};
+
+/**
+ * Receiving supervisor accepts: the transfer is executed against the source trip as it is now
+ * @param {String} requestId
+ * @param {Object} options - { user, note }
+ * @returns {Promise<Object>} - { transferRequest, newTrip }
+ */
+export const acceptTransfer = async (requestId, { user, note }) => runInTransaction(async (session) => {
+    const request = await loadPendingRequest(requestId, session);
+    if (idOf(request.toSupervisor) !== user._id.toString()) {
+        throw new AppError('Only the receiving supervisor can accept this transfer', 403);
+    }
+
+    const originalTrip = await Trip.findById(request.sourceTrip)
+        .session(session)
+        .populate({ path: 'purchases.supplier', select: 'vendorName name', options: { session } });
+    if (!originalTrip) throw new AppError('Source trip no longer exists', 404);
+    if (originalTrip.status === 'completed') {
+        throw new AppError('Source trip is already completed; ask the sender to transfer again', 400);
+    }
+    await assertPeriodUnlocked([originalTrip.date, new Date()], { module: 'trip', action: 'accept this transfer', session });
+
+    const { newTrip } = await executeTransfer(originalTrip, {
+        supervisorId: request.toSupervisor,
+        vehicleId: request.vehicle,
+        transferBirds: { birds: request.birds, weight: request.weight, rate: request.rate, lots: request.lots?.length ? request.lots : undefined },
+        reason: request.reason,
+        userId: user._id,
+        transferredBy: request.requestedBy,
+        transferRequest: request,
+        session
+    });
+
+    request.status = 'accepted';
+    request.respondedBy = user._id;
+    request.respondedAt = new Date();
+    request.responseNote = note;
+    request.receiverTrip = newTrip._id;
+    await request.save({ session });
+
+    return { transferRequest: request, newTrip };
+}, 'accept transfer');
+
+/**
+ * Receiving supervisor declines, or the sender/an admin withdraws, a pending transfer
+ * @param {String} requestId
+ * @param {Object} options - { user, note, action ('reject' | 'cancel') }
+ * @returns {Promise<Object>} - TripTransferRequest document
+ */
+export const closeTransferRequest = async (requestId, { user, note, action }) => {
+    const request = await loadPendingRequest(requestId, null);
+
+    if (action === 'reject') {
+        if (idOf(request.toSupervisor) !== user._id.toString()) {
+            throw new AppError('Only the receiving supervisor can reject this transfer', 403);
+        }
+        if (!note || !note.toString().trim()) {
+            throw new AppError('Rejection reason is required', 400);
+        }
+        request.status = 'rejected';
+    } else {
+        if (user.role === 'supervisor' && idOf(request.fromSupervisor) !== user._id.toString()) {
+            throw new AppError('Only the sending supervisor or an admin can cancel this transfer', 403);
+        }
+        request.status = 'cancelled';
+    }
+
+    request.respondedBy = user._id;
+    request.respondedAt = new Date();
+    request.responseNote = note ? note.toString().trim() : undefined;
+    await request.save();
+
+    return request;
+};
+
+const LINEAGE_FIELDS = 'tripId date status type supervisor vehicle purchases stocks transferHistory transferredFrom transferredTo summary';
+
+/**
+ * Every trip a lot of birds passed through, from the trip they were bought on
+ * Each hop carries the birds, weight, transfer rate and the source trip's cost basis.
+ * The chain profit adds up the trips' profit with transfers between them netted out.
+ * @param {String} tripId - Any trip in the chain
+ * @returns {Promise<Object>} - { root, tree, trips, chain }
+ */
+export const buildTransferLineage = async (tripId) => {
+    if (!mongoose.Types.ObjectId.isValid(tripId)) {
+        throw new AppError('Invalid trip id', 400);
+    }
+    let root = await Trip.findById(tripId).select(LINEAGE_FIELDS).lean();
+    if (!root) throw new AppError('Trip not found', 404);
+
+    // Walk up to the trip the birds were first bought on
+    const visited = new Set([root._id.toString()]);
+    while (root.transferredFrom && !visited.has(root.transferredFrom.toString())) {
+        const parent = await Trip.findById(root.transferredFrom).select(LINEAGE_FIELDS).lean();
+        if (!parent) break;
+        visited.add(parent._id.toString());
+        root = parent;
+    }
+
+    // Then down, one level at a time
+    const tripsById = new Map([[root._id.toString(), root]]);
+    let frontier = [root];
+    while (frontier.length > 0) {
+        const childIds = [...new Set(frontier.flatMap(trip => [
+            ...(trip.transferHistory || []).map(transfer => idOf(transfer.transferredTo)),
+            ...(trip.transferredTo || []).map(idOf)
+        ]))].filter(id => id && !tripsById.has(id));
+        if (childIds.length === 0) break;
+
+        const children = await Trip.find({ _id: { $in: childIds } }).select(LINEAGE_FIELDS).lean();
+        children.forEach(child => tripsById.set(child._id.toString(), child));
+        frontier = children;
+    }
+
+    const trips = [...tripsById.values()];
+    const [users, vehicles] = await Promise.all([
+        User.find({ _id: { $in: trips.map(t => t.supervisor) } }).select('name').lean(),
+        Vehicle.find({ _id: { $in: trips.map(t => t.vehicle) } }).select('vehicleNumber').lean()
+    ]);
+    const userName = new Map(users.map(u => [u._id.toString(), u.name]));
+    const vehicleNumber = new Map(vehicles.map(v => [v._id.toString(), v.vehicleNumber]));
+
+    const nodes = [];
+    const buildNode = (trip, incoming, depth) => {
+        const summary = trip.summary || {};
+        const ownPurchases = (trip.purchases || []).filter(p => !isTransferPurchase(p));
+        const transferPurchases = (trip.purchases || []).filter(isTransferPurchase);
+        const costRate = summary.avgPurchaseRate || 0;
+
+        const node = {
+            id: trip._id,
+            tripId: trip.tripId,
+            date: trip.date,
+            status: trip.status,
+            type: trip.type,
+            depth,
+            supervisor: { id: trip.supervisor, name: userName.get(idOf(trip.supervisor)) || '' },
+            vehicleNumber: vehicleNumber.get(idOf(trip.vehicle)) || '',
+            received: incoming ? {
+                birds: incoming.transferredStock?.birds || 0,
+                weight: round2(incoming.transferredStock?.weight),
+                rate: round2(incoming.transferredStock?.rate),
+                value: round2((incoming.transferredStock?.weight || 0) * (incoming.transferredStock?.rate || 0)),
+                // What the receiving trip actually booked as its purchase
+                bookedCost: round2(transferPurchases.reduce((sum, p) => sum + (p.amount || 0), 0)),
+                transferredAt: incoming.transferredAt
+            } : null,
+            purchased: {
+                birds: ownPurchases.reduce((sum, p) => sum + (p.birds || 0), 0),
+                weight: round2(ownPurchases.reduce((sum, p) => sum + (p.weight || 0), 0)),
+                amount: round2(ownPurchases.reduce((sum, p) => sum + (p.amount || 0), 0))
+            },
+            costRate,
+            sold: {
+                birds: summary.customerBirdsSold || 0,
+                weight: round2(summary.customerWeightSold),
+                amount: round2(summary.customerSalesAmount)
+            },
+            stock: {
+                birds: (trip.stocks || []).reduce((sum, s) => sum + (s.birds || 0), 0),
+                weight: round2((trip.stocks || []).reduce((sum, s) => sum + (s.weight || 0), 0)),
+                value: round2((trip.stocks || []).reduce((sum, s) => sum + (s.value || 0), 0))
+            },
+            lost: {
+                birds: summary.totalBirdsLost || 0,
+                weight: round2(summary.totalWeightLost)
+            },
+            transferredOut: (trip.transferHistory || []).map(transfer => {
+                const stock = transfer.transferredStock || {};
+                const value = round2((stock.weight || 0) * (stock.rate || 0));
+                const costBasis = round2((stock.weight || 0) * costRate);
+                return {
+                    to: transfer.transferredTo,
+                    toTripId: tripsById.get(idOf(transfer.transferredTo))?.tripId || '',
+                    birds: stock.birds || 0,
+                    weight: round2(stock.weight),
+                    rate: round2(stock.rate),
+                    value,
+                    costBasis,
+                    markup: round2(value - costBasis),
+                    transferredAt: transfer.transferredAt
+                };
+            }),
+            expenses: round2(summary.totalExpenses),
+            diesel: round2(summary.totalDieselAmount),
+            grossRent: round2(summary.grossRent),
+            birdsProfit: round2(summary.birdsProfit),
+            tripProfit: round2(summary.tripProfit),
+            children: []
+        };
+        nodes.push(node);
+
+        (trip.transferHistory || []).forEach(transfer => {
+            const child = tripsById.get(idOf(transfer.transferredTo));
+            // Guard against a trip listed twice in a malformed chain
+            if (child && !nodes.some(n => n.id.toString() === child._id.toString())) {
+                node.children.push(buildNode(child, transfer, depth + 1));
+            }
+        });
+        return node;
+    };
+
+    const tree = buildNode(root, null, 0);
+
+    const total = (pick) => round2(nodes.reduce((sum, node) => sum + (pick(node) || 0), 0));
+    const transferValue = total(node => node.transferredOut.reduce((sum, t) => sum + t.value, 0));
+    const receivedCost = total(node => node.received?.bookedCost);
+    const tripProfit = total(node => node.tripProfit);
+
+    const chain = {
+        trips: nodes.length,
+        depth: Math.max(...nodes.map(node => node.depth)),
+        purchased: {
+            birds: total(node => node.purchased.birds),
+            weight: total(node => node.purchased.weight),
+            amount: total(node => node.purchased.amount)
+        },
+        sold: {
+            birds: total(node => node.sold.birds),
+            weight: total(node => node.sold.weight),
+            amount: total(node => node.sold.amount)
+        },
+        stock: {
+            birds: total(node => node.stock.birds),
+            weight: total(node => node.stock.weight),
+            value: total(node => node.stock.value)
+        },
+        lost: {
+            birds: total(node => node.lost.birds),
+            weight: total(node => node.lost.weight)
+        },
+        expenses: total(node => node.expenses),
+        diesel: total(node => node.diesel),
+        grossRent: total(node => node.grossRent),
+        internalTransfers: {
+            count: nodes.reduce((sum, node) => sum + node.transferredOut.length, 0),
+            value: transferValue,
+            bookedCost: receivedCost,
+            // Non-zero when a receiving trip booked the transfer at a different amount
+            difference: round2(transferValue - receivedCost)
+        },
+        tripProfit,
+        profit: round2(tripProfit - (transferValue - receivedCost))
+    };
+
+    return {
+        root: { id: root._id, tripId: root.tripId },
+        tree,
+        trips: nodes.map(({ children, ...node }) => ({ ...node, transfersOut: children.length })),
+        chain
+    };
+};
@@ -0,0 +1,340 @@
+import mongoose from "mongoose";
+import Voucher from "../models/Voucher.js";
+import Customer from "../models/Customer.js";
+import Vendor from "../models/Vendor.js";
+import Ledger from "../models/Ledger.js";
+import DieselStation from "../models/DieselStation.js";
+import Sequence from "../models/Sequence.js";
+import AppError from "../utils/AppError.js";
+import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { assertPeriodUnlocked } from "../utils/periodLock.js";
+import { getCashBankLedgers } from "./cashBook.js";
+
+const REVERSED_TYPE = { Payment: 'Receipt', Receipt: 'Payment' };
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Account types a voucher entry can reference, in the order names are resolved
+const ENTRY_ACCOUNTS = {
+    ledger: { Model: Ledger, nameOf: (doc) => doc.name, nameQuery: (name) => ({ $or: [{ slug: name }, { name }] }) },
+    customer: { Model: Customer, nameOf: (doc) => doc.shopName || doc.ownerName, nameQuery: (name) => ({ $or: [{ shopName: name }, { ownerName: name }] }) },
+    vendor: { Model: Vendor, nameOf: (doc) => doc.vendorName, nameQuery: (name) => ({ vendorName: name }) },
+    dieselStation: { Model: DieselStation, nameOf: (doc) => doc.name, nameQuery: (name) => ({ name }) }
+};
+
+export const ENTRY_ACCOUNT_TYPES = Object.keys(ENTRY_ACCOUNTS);
+
+const normalizeName = (name) => (name || '').toString().trim().toLowerCase();
+
+/**
+ * Whether a Journal/Contra entry posts to a party
+ * Entries with an account id match on it; older entries only carry the account name.
+ * @param {Object} entry - Voucher entry
+ * @param {String} partyType - customer | ledger | vendor | dieselStation
+ * @param {String} partyId
+ * @param {Array<String>} names - Names older entries may use for the party
+ * @returns {Boolean}
+ */
+export const isPartyEntry = (entry, partyType, partyId, names = []) => {
+    if (!entry) return false;
+    if (entry.partyId) {
+        return entry.partyType === partyType && entry.partyId.toString() === partyId.toString();
+    }
+    const account = normalizeName(entry.account);
+    return Boolean(account) && names.some(name => normalizeName(name) === account);
+};
+
+/**
+ * Voucher query clauses for Journal/Contra entries posting to any of the parties
+ * For use inside $or; name-only clauses match only entries without an account id.
+ * @param {String} partyType - customer | ledger | vendor | dieselStation
+ * @param {Array|String} partyIds
+ * @param {Array<String>} names - Names older entries may use for the parties
+ * @returns {Array}
+ */
+export const partyEntryClauses = (partyType, partyIds, names = []) => {
+    const clauses = [{ entries: { $elemMatch: { partyType, partyId: { $in: [].concat(partyIds) } } } }];
+    const legacyNames = names.filter(Boolean);
+    if (legacyNames.length > 0) {
+        clauses.push({ entries: { $elemMatch: { partyId: null, account: { $in: legacyNames } } } });
+    }
+    return clauses;
+};
+
+/**
+ * Active account a voucher line can post to
+ * @param {String} partyType - customer | ledger | vendor | dieselStation
+ * @param {String} partyId
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Object|null>} - { doc, name, partyType } or null when missing or inactive
+ */
+export const findVoucherAccount = async (partyType, partyId, session = null) => {
+    if (!ENTRY_ACCOUNTS[partyType]) {
+        throw new AppError(`Account type must be one of: ${ENTRY_ACCOUNT_TYPES.join(', ')}`, 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(partyId)) {
+        throw new AppError(`Invalid ${partyType} id`, 400);
+    }
+    const doc = await ENTRY_ACCOUNTS[partyType].Model.findOne({ _id: partyId, isActive: true }).session(session);
+    return doc ? { doc, name: ENTRY_ACCOUNTS[partyType].nameOf(doc), partyType } : null;
+};
+
+// Legacy entries only carry a name; try ledgers first, then customers and vendors
+const findEntryAccount = async (name, session) => {
+    return await Ledger.findOne({ $or: [{ slug: name }, { name }] }).session(session)
+        || await Customer.findOne({ $or: [{ shopName: name }, { ownerName: name }] }).session(session)
+        || await Vendor.findOne({ vendorName: name }).session(session);
+};
+
+// Account an entry posts to: by id when the entry has one, otherwise by name
+const findEntryDoc = (entry, session) => {
+    if (entry.partyId && ENTRY_ACCOUNTS[entry.partyType]) {
+        return ENTRY_ACCOUNTS[entry.partyType].Model.findById(entry.partyId).session(session);
+    }
+    return findEntryAccount(entry.account, session);
+};
+
+// Voucher parties are posted to their own document, the same one the balance rebuild,
+// statements and ageing reports read (a vendor's purchases and payments both sit on the Vendor)
+const findPartyDoc = (partyType, partyId, session) => {
+    const account = ENTRY_ACCOUNTS[partyType];
+    return account ? account.Model.findById(partyId).session(session) : null;
+};
+
+/**
+ * Post a voucher to the stored outstanding balances
+ * Payment/Receipt vouchers move their parties and account ledger; other types move
+ * every entry's account. sign -1 takes a previous posting back out.
+ * Parties or accounts that no longer exist are skipped with a warning.
+ * @param {Object} voucher - Voucher document or plain object
+ * @param {Object} options - { sign, session, userId }
+ */
+export const applyVoucherBalances = async (voucher, { sign = 1, session = null, userId } = {}) => {
+    const post = async (doc, signedChange) => {
+        if (!doc || !signedChange) return;
+        const current = toSignedValue(doc.outstandingBalance || 0, doc.outstandingBalanceType || 'debit');
+        const next = fromSignedValue(current + sign * signedChange);
+        doc.outstandingBalance = next.amount;
+        doc.outstandingBalanceType = next.type;
+        if (userId) doc.updatedBy = userId;
+        await doc.save({ session });
+    };
+
+    if (voucher.voucherType === 'Payment' || voucher.voucherType === 'Receipt') {
+        // Payment: debit every party, credit the account. Receipt: the reverse.
+        const direction = voucher.voucherType === 'Payment' ? 1 : -1;
+        let total = 0;
+        for (const party of voucher.parties || []) {
+            const partyType = party.partyType || 'customer';
+            const amount = Number(party.amount) || 0;
+            total += amount;
+            const doc = await findPartyDoc(partyType, party.partyId, session);
+            if (!doc) {
+                console.warn(`Voucher ${voucher.voucherNumber}: ${partyType} ${party.partyId} not found, balance not updated`);
+                continue;
+            }
+            await post(doc, direction * amount);
+        }
+
+        const account = voucher.account ? await Ledger.findById(voucher.account._id || voucher.account).session(session) : null;
+        await post(account, -direction * total);
+        return;
+    }
+
+    for (const entry of voucher.entries || []) {
+        const doc = await findEntryDoc(entry, session);
+        if (!doc) {
+            console.warn(`Account not found for name: ${entry.account}`);
+            continue;
+        }
+        await post(doc, (Number(entry.debitAmount) || 0) - (Number(entry.creditAmount) || 0));
+    }
+};
+
+/**
+ * Validate Journal/Contra entries and tie each one to a real account
+ * Entries may give { partyId, partyType } or just the account name (resolved ledger, customer,
+ * vendor, then diesel station). Each entry needs a debit or a credit, the totals must agree,
+ * and Contra entries may only use cash and bank ledgers.
+ * @param {String} voucherType
+ * @param {Array} entries - [{ account, partyId, partyType, debitAmount, creditAmount, narration }]
+ * @param {Object} options - { session }
+ * @returns {Promise<Array>} - Entries with account set to the current name and partyId/partyType filled in
+ */
+export const resolveVoucherEntries = async (voucherType, entries, { session = null } = {}) => {
+    if (!Array.isArray(entries) || entries.length < 2) {
+        throw new AppError('A voucher needs at least two entries', 400);
+    }
+
+    const cashBankIds = voucherType === 'Contra'
+        ? new Set((await getCashBankLedgers()).map(ledger => ledger._id.toString()))
+        : null;
+
+    const resolved = [];
+    for (const [index, entry] of entries.entries()) {
+        const label = `Entry ${index + 1}`;
+        const debitAmount = round2(entry.debitAmount);
+        const creditAmount = round2(entry.creditAmount);
+        if (debitAmount < 0 || creditAmount < 0) {
+            throw new AppError(`${label}: debit and credit amounts cannot be negative`, 400);
+        }
+        if ((debitAmount > 0) === (creditAmount > 0)) {
+            throw new AppError(`${label}: enter either a debit or a credit amount`, 400);
+        }
+
+        let partyType = entry.partyType;
+        let doc = null;
+        if (entry.partyId) {
+            if (!ENTRY_ACCOUNTS[partyType]) {
+                throw new AppError(`${label}: account type must be one of: ${ENTRY_ACCOUNT_TYPES.join(', ')}`, 400);
+            }
+            if (!mongoose.Types.ObjectId.isValid(entry.partyId)) {
+                throw new AppError(`${label}: invalid account id`, 400);
+            }
+            doc = (await findVoucherAccount(partyType, entry.partyId, session))?.doc || null;
+        } else if (entry.account && entry.account.toString().trim()) {
+            const name = entry.account.toString().trim();
+            for (const type of ENTRY_ACCOUNT_TYPES) {
+                doc = await ENTRY_ACCOUNTS[type].Model.findOne({ ...ENTRY_ACCOUNTS[type].nameQuery(name), isActive: true }).session(session);
+                if (doc) {
+                    partyType = type;
+                    break;
+                }
+            }
+        } else {
+            throw new AppError(`${label}: account is required`, 400);
+        }
+        if (!doc) {
+            throw new AppError(`${label}: account "${entry.account || entry.partyId}" not found`, 400);
+        }
+        if (cashBankIds && (partyType !== 'ledger' || !cashBankIds.has(doc._id.toString()))) {
+            throw new AppError(`${label}: Contra vouchers can only move money between cash and bank ledgers`, 400);
+        }
+
+        resolved.push({
+            account: ENTRY_ACCOUNTS[partyType].nameOf(doc),
+            partyId: doc._id,
+            partyType,
+            debitAmount,
+            creditAmount,
+            narration: entry.narration
+        });
+    }
+
+    const totalDebit = round2(resolved.reduce((sum, entry) => sum + entry.debitAmount, 0));
+    const totalCredit = round2(resolved.reduce((sum, entry) => sum + entry.creditAmount, 0));
+    if (Math.abs(totalDebit - totalCredit) > 0.01) {
+        throw new AppError(`Total debit (${totalDebit}) must equal total credit (${totalCredit})`, 400);
+    }
+    return resolved;
+};
+
+// Vouchers owned by another workflow are changed through that workflow
+export const assertVoucherEditable = (voucher, action) => {
+    if (voucher.cheque) {
+        throw new AppError(`This voucher was raised by the cheque register and cannot be ${action} here`, 400);
+    }
+    if (voucher.payment) {
+        throw new AppError(`This voucher was raised by payment verification and cannot be ${action} here`, 400);
+    }
+    if (voucher.tdsDeduction) {
+        throw new AppError(`This voucher was raised by TDS deduction and cannot be ${action} here; recalculate TDS instead`, 400);
+    }
+    if (voucher.status === 'cancelled') {
+        throw new AppError('Voucher is already cancelled', 400);
+    }
+    if (voucher.reversalOf) {
+        throw new AppError(`A reversing voucher cannot be ${action}`, 400);
+    }
+};
+
+const loadVoucher = async (id, session) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('Invalid voucher id', 400);
+    }
+    const voucher = await Voucher.findOne({ _id: id, isActive: true }).session(session);
+    if (!voucher) {
+        throw new AppError('Voucher not found', 404);
+    }
+    return voucher;
+};
+
+/**
+ * Cancel a voucher by posting a reversing voucher
+ * Payment and Receipt swap; other types keep their type with debit and credit swapped.
+ * The original stays on the books (marked cancelled) so both show in ledger transactions.
+ * @param {String} id - Voucher id
+ * @param {Object} options - { reason, date, userId }
+ * @returns {Promise<Object>} - { voucher, reversal }
+ */
+export const cancelVoucher = async (id, { reason, date, userId }) => runInTransaction(async (session) => {
+    const voucher = await loadVoucher(id, session);
+    assertVoucherEditable(voucher, 'cancelled');
+
+    const reversalDate = date ? new Date(date) : new Date();
+    if (isNaN(reversalDate.getTime())) {
+        throw new AppError('Invalid reversal date', 400);
+    }
+    if (reversalDate < new Date(voucher.date).setHours(0, 0, 0, 0)) {
+        throw new AppError('Reversal cannot be dated before the voucher it cancels', 400);
+    }
+    await assertPeriodUnlocked(reversalDate, { module: 'voucher', action: 'post the reversing voucher', session });
+
+    const isPaymentOrReceipt = Boolean(REVERSED_TYPE[voucher.voucherType]);
+    const voucherNumber = await Sequence.getNextValue('voucherNumber', session);
+    const [reversal] = await Voucher.create([{
+        voucherNumber,
+        voucherType: REVERSED_TYPE[voucher.voucherType] || voucher.voucherType,
+        date: reversalDate,
+        party: voucher.party,
+        partyName: voucher.partyName,
+        parties: isPaymentOrReceipt ? voucher.parties.map(p => ({ partyId: p.partyId, partyType: p.partyType, amount: p.amount })) : undefined,
+        account: isPaymentOrReceipt ? voucher.account : undefined,
+        entries: isPaymentOrReceipt ? [] : voucher.entries.map(entry => ({
+            account: entry.account,
+            partyId: entry.partyId,
+            partyType: entry.partyType,
+            debitAmount: entry.creditAmount,
+            creditAmount: entry.debitAmount,
+            narration: entry.narration
+        })),
+        narration: `Reversal of VCH-${voucher.voucherNumber}: ${reason}`.slice(0, 500),
+        reversalOf: voucher._id,
+        createdBy: userId,
+        updatedBy: userId
+    }], { session });
+
+    await applyVoucherBalances(reversal, { session, userId });
+
+    voucher.status = 'cancelled';
+    voucher.cancellation = {
+        reason,
+        cancelledAt: new Date(),
+        cancelledBy: userId,
+        reversalVoucher: reversal._id
+    };
+    voucher.updatedBy = userId;
+    await voucher.save({ session });
+
+    return { voucher, reversal };
+}, 'cancel voucher');
+
+/**
+ * Remove a voucher and take its posting back out of the balances
+ * Only for vouchers dated in an open period; anything else must be cancelled.
+ * @param {String} id - Voucher id
+ * @param {Object} options - { userId }
+ */
+export const deleteVoucherPosting = async (id, { userId }) => runInTransaction(async (session) => {
+    const voucher = await loadVoucher(id, session);
+    assertVoucherEditable(voucher, 'deleted');
+    await assertPeriodUnlocked(voucher.date, { module: 'voucher', action: 'delete this voucher', session });
+
+    await applyVoucherBalances(voucher, { sign: -1, session, userId });
+
+    voucher.isActive = false;
+    voucher.updatedBy = userId;
+    await voucher.save({ session });
+    return voucher;
+}, 'delete voucher');
@@ -0,0 +1,182 @@
+import Setting from "../models/Setting.js";
+import YearEndClose from "../models/YearEndClose.js";
+import YearOpeningBalance from "../models/YearOpeningBalance.js";
+import AppError from "../utils/AppError.js";
+import { toSignedValue, fromSignedValue } from "../utils/balanceUtils.js";
+import { runInTransaction, runQueries } from "../utils/transaction.js";
+import { PERIOD_LOCK_SETTING, getPeriodLock } from "../utils/periodLock.js";
+import { computeBalancesAsOf, PARTY_TYPES } from "./balanceRebuild.js";
+
+const yearLabel = (startYear) => `${startYear}-${String(startYear + 1).slice(-2)}`;
+
+/**
+ * April-March financial year starting in startYear
+ * @param {Number} startYear - e.g. 2024 for 2024-25
+ * @returns {Object} - { startYear, label, start, end, nextLabel, nextStart }
+ */
+export const getFinancialYear = (startYear) => ({
+    startYear,
+    label: yearLabel(startYear),
+    start: new Date(startYear, 3, 1, 0, 0, 0, 0),
+    end: new Date(startYear + 1, 2, 31, 23, 59, 59, 999),
+    nextLabel: yearLabel(startYear + 1),
+    nextStart: new Date(startYear + 1, 3, 1, 0, 0, 0, 0),
+    // Lock setting value for "everything before the next year"
+    nextStartKey: `${startYear + 1}-04-01`
+});
+
+/**
+ * Accepts 2024 or '2024-25'
+ * @returns {Number} - Start year
+ */
+export const parseFinancialYear = (value) => {
+    const match = /^(\d{4})(?:-(\d{2}))?$/.exec(String(value ?? '').trim());
+    const startYear = match ? Number(match[1]) : NaN;
+    if (!match || startYear < 2000 || (match[2] && match[2] !== String(startYear + 1).slice(-2))) {
+        throw new AppError('Financial year must look like 2024 or 2024-25', 400);
+    }
+    return startYear;
+};
+
+const buildClosingBalances = async (year, session = null) => {
+    const balances = await computeBalancesAsOf(year.end, { session });
+
+    const summary = PARTY_TYPES.map(partyType => ({ partyType, count: 0, totalDebit: 0, totalCredit: 0 }));
+    const rows = [];
+    balances.forEach(balance => {
+        if (Math.abs(balance.signed) < 0.01) return;
+        const { amount, type } = fromSignedValue(balance.signed);
+        const bucket = summary.find(s => s.partyType === balance.partyType);
+        bucket.count += 1;
+        if (type === 'debit') bucket.totalDebit = Math.round((bucket.totalDebit + amount) * 100) / 100;
+        else bucket.totalCredit = Math.round((bucket.totalCredit + amount) * 100) / 100;
+        rows.push({
+            financialYear: year.nextLabel,
+            yearStart: year.nextStart,
+            partyType: balance.partyType,
+            partyId: balance.partyId,
+            name: balance.name,
+            amount,
+            type
+        });
+    });
+
+    return { rows, summary };
+};
+
+/**
+ * Closing balances a year-end close would carry forward, without saving anything
+ * @param {Number} startYear
+ */
+export const previewYearEndClose = async (startYear) => {
+    const year = getFinancialYear(startYear);
+    const [existing, { rows, summary }] = await runQueries([
+        () => YearEndClose.findOne({ financialYear: year.label }).lean(),
+        () => buildClosingBalances(year)
+    ]);
+
+    return {
+        financialYear: year.label,
+        periodStart: year.start,
+        periodEnd: year.end,
+        carriedTo: year.nextLabel,
+        alreadyClosed: Boolean(existing),
+        summary,
+        balances: rows
+    };
+};
+
+/**
+ * Close a financial year
+ * Closing balances (opening balance plus every posting up to 31 March, same rules as
+ * the balance rebuild) become the next year's opening balances, and the books are
+ * locked up to the end of the year unless an existing lock already covers it.
+ * @param {Object} options - { startYear, notes, userId }
+ * @returns {Promise<Object>} - { close, balances }
+ */
+export const closeFinancialYear = async ({ startYear, notes, userId }) => runInTransaction(async (session) => {
+    const year = getFinancialYear(startYear);
+    if (year.end >= new Date()) {
+        throw new AppError(`Financial year ${year.label} has not ended yet`, 400);
+    }
+    if (await YearEndClose.exists({ financialYear: year.label }).session(session)) {
+        throw new AppError(`Financial year ${year.label} is already closed`, 409);
+    }
+
+    const { rows, summary } = await buildClosingBalances(year, session);
+
+    const { lockDate: previousLockDate } = await getPeriodLock(session);
+    const extendLock = !previousLockDate || previousLockDate < year.nextStart;
+
+    const [close] = await YearEndClose.create([{
+        financialYear: year.label,
+        periodStart: year.start,
+        periodEnd: year.end,
+        carriedTo: year.nextLabel,
+        summary,
+        previousLockDate,
+        lockDate: extendLock ? year.nextStart : previousLockDate,
+        notes,
+        closedBy: userId
+    }], { session });
+
+    if (rows.length > 0) {
+        await YearOpeningBalance.insertMany(rows.map(row => ({ ...row, yearEndClose: close._id })), { session });
+    }
+
+    if (extendLock) {
+        await Setting.findOneAndUpdate(
+            { key: PERIOD_LOCK_SETTING },
+            { value: year.nextStartKey, updatedBy: userId },
+            { upsert: true, new: true, session }
+        );
+    }
+
+    return { close, balances: rows.length };
+}, 'close financial year');
+
+/**
+ * Opening balances of the latest year opened by a year-end close, starting on or before a date
+ * Reports over a period start from these instead of replaying everything before that year.
+ * @param {Date} date - Start of the report period
+ * @param {Object} options - { partyType, partyIds, session } to load only some parties
+ * @returns {Promise<Object|null>} - { financialYear, yearStart, closedAt, balances: Map('partyType:partyId' -> signed) }, null when no year applies
+ */
+export const getCarriedForwardBalances = async (date, { partyType = null, partyIds = null, session = null } = {}) => {
+    const close = await YearEndClose.findOne({ periodEnd: { $lt: date } })
+        .sort({ periodEnd: -1 })
+        .session(session)
+        .lean();
+    if (!close) return null;
+
+    const query = { yearEndClose: close._id };
+    if (partyType) query.partyType = partyType;
+    if (partyIds) query.partyId = { $in: [].concat(partyIds) };
+    const rows = await YearOpeningBalance.find(query).session(session).lean();
+
+    return {
+        financialYear: close.carriedTo,
+        yearStart: getFinancialYear(parseFinancialYear(close.financialYear)).nextStart,
+        closedAt: close.createdAt,
+        balances: new Map(rows.map(row => [`${row.partyType}:${row.partyId}`, toSignedValue(row.amount, row.type)]))
+    };
+};
+
+/**
+ * Signed opening balance of a party at the start of the carried-forward year
+ * Without a closed year this is the party's own opening balance. A party with no carried
+ * row closed at zero, unless it was added after the close.
+ * @param {Object|null} carried - getCarriedForwardBalances() result
+ * @param {String} partyType
+ * @param {Object} party - Party document
+ * @param {String} defaultType - Balance type when the party has none
+ * @returns {Number}
+ */
+export const carriedOpeningSigned = (carried, partyType, party, defaultType) => {
+    const inception = toSignedValue(party.openingBalance || 0, party.openingBalanceType || defaultType);
+    if (!carried) return inception;
+
+    const key = `${partyType}:${party._id}`;
+    if (carried.balances.has(key)) return carried.balances.get(key);
+    return party.createdAt && new Date(party.createdAt) > new Date(carried.closedAt) ? inception : 0;
+};
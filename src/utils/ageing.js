@@ -0,0 +1,82 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AGEING_BUCKETS = [
+    { label: '0-30', maxDays: 30 },
+    { label: '31-60', maxDays: 60 },
+    { label: '61-90', maxDays: 90 },
+    { label: '90+', maxDays: Infinity }
+];
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Settle credits against debits oldest first
+ * Each movement is { date, amount, ... } with a positive amount. Whatever a credit
+ * cannot settle is carried forward as an advance and applied to later debits.
+ * @param {Array} debits - Movements that increase the due amount, any order
+ * @param {Array} credits - Movements that settle it, any order
+ * @returns {Object} - { openItems: debits with `remaining`, advance }
+ */
+export const allocateFifo = (debits, credits) => {
+    const events = [
+        ...debits.map(d => ({ kind: 'debit', item: { ...d, remaining: round2(d.amount) } })),
+        ...credits.map(c => ({ kind: 'credit', item: c }))
+    ].sort((a, b) => new Date(a.item.date) - new Date(b.item.date));
+
+    const open = [];
+    let advance = 0;
+    events.forEach(({ kind, item }) => {
+        if (kind === 'debit') {
+            // An advance paid earlier settles the new debit straight away
+            const settled = Math.min(advance, item.remaining);
+            item.remaining = round2(item.remaining - settled);
+            advance = round2(advance - settled);
+            open.push(item);
+            return;
+        }
+        let available = round2(item.amount);
+        for (const debit of open) {
+            if (available <= 0) break;
+            if (debit.remaining <= 0) continue;
+            const settled = Math.min(available, debit.remaining);
+            debit.remaining = round2(debit.remaining - settled);
+            available = round2(available - settled);
+        }
+        advance = round2(advance + available);
+    });
+
+    return { openItems: open.filter(d => d.remaining > 0), advance };
+};
+
+/**
+ * Age open items into buckets as of a date
+ * @param {Array} openItems - allocateFifo() open items
+ * @param {Date} asOf
+ * @returns {Object} - { buckets: { label: amount }, total, oldestDate, items: items with ageDays }
+ */
+export const bucketOpenItems = (openItems, asOf) => {
+    const buckets = Object.fromEntries(AGEING_BUCKETS.map(b => [b.label, 0]));
+    let total = 0;
+    let oldestDate = null;
+
+    const items = openItems.map(item => {
+        const ageDays = Math.max(Math.floor((asOf - new Date(item.date)) / DAY_MS), 0);
+        const bucket = AGEING_BUCKETS.find(b => ageDays <= b.maxDays);
+        buckets[bucket.label] = round2(buckets[bucket.label] + item.remaining);
+        total = round2(total + item.remaining);
+        if (!oldestDate || new Date(item.date) < oldestDate) oldestDate = new Date(item.date);
+        return { ...item, ageDays, bucket: bucket.label };
+    });
+
+    return { buckets, total, oldestDate, items };
+};
+
+/**
+ * Parse the ?asOf= query, defaulting to now; the whole day is included
+ */
+export const parseAsOfDate = (asOf) => {
+    const date = asOf ? new Date(asOf) : new Date();
+    if (isNaN(date.getTime())) return null;
+    date.setHours(23, 59, 59, 999);
+    return date;
+};
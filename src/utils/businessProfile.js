@@ -0,0 +1,26 @@
+import Setting from '../models/Setting.js';
+
+// Setting keys that make up the business header printed on statements and bills
+const PROFILE_KEYS = {
+    name: 'BUSINESS_NAME',
+    address: 'BUSINESS_ADDRESS',
+    contact: 'BUSINESS_CONTACT',
+    gstin: 'BUSINESS_GSTIN',
+    footer: 'BUSINESS_FOOTER'
+};
+
+/**
+ * Load the business header from settings
+ * Missing keys come back as empty strings so callers can print unconditionally.
+ * @returns {Object} - { name, address, contact, gstin, footer }
+ */
+export const getBusinessProfile = async () => {
+    const settings = await Setting.find({ key: { $in: Object.values(PROFILE_KEYS) } }).lean();
+    const valueByKey = new Map(settings.map(s => [s.key, s.value]));
+
+    return Object.entries(PROFILE_KEYS).reduce((profile, [field, key]) => {
+        const value = valueByKey.get(key);
+        profile[field] = value === undefined || value === null ? '' : String(value).trim();
+        return profile;
+    }, {});
+};
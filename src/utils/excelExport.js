@@ -0,0 +1,27 @@
+import * as XLSX from 'xlsx';
+
+/**
+ * Build an .xlsx workbook from plain row objects
+ * @param {Array} sheets - [{ name, rows }] where rows are objects keyed by column header
+ * @returns {Buffer}
+ */
+export const buildWorkbook = (sheets) => {
+    const wb = XLSX.utils.book_new();
+    sheets.forEach(({ name, rows }) => {
+        const ws = XLSX.utils.json_to_sheet(rows.length ? rows : [{}]);
+        // Sheet names are limited to 31 characters and cannot contain : \ / ? * [ ]
+        XLSX.utils.book_append_sheet(wb, ws, String(name).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31));
+    });
+    return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Send a workbook as a download
+ */
+export const sendWorkbook = (res, sheets, filename) => {
+    res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(buildWorkbook(sheets));
+};
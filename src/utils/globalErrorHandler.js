@@ -16,6 +16,14 @@ const globalErrorHandler = (err, req, res, next) => {
         });
     }
 
+    if (err.name === 'VersionError') {
+        // Optimistic concurrency: the document was saved by someone else after it was loaded
+        return res.status(409).json({
+            success: false,
+            message: 'This record was changed by someone else. Reload it and try again.'
+        });
+    }
+
     if (err.code === 11000) {
         // Handle unique constraint errors, like duplicate email
         const field = Object.keys(err.keyPattern)[0];
@@ -0,0 +1,121 @@
+import Setting from '../models/Setting.js';
+import AppError from './AppError.js';
+
+// HSN code and GST rate per product type ({ bird: { hsn, rate, description }, feed: { ... } })
+export const GST_SETTING = 'GST_PRODUCT_TAX';
+
+// Product types follow InventoryStock.inventoryType; trip and indirect sale entries are always birds
+export const GST_PRODUCT_TYPES = ['bird', 'feed'];
+
+// Live poultry (HSN 0105) is exempt; poultry feed (HSN 2309) is nil-rated unless configured otherwise
+const DEFAULT_GST_CONFIG = {
+    bird: { hsn: '0105', rate: 0, description: 'Live poultry' },
+    feed: { hsn: '2309', rate: 0, description: 'Poultry feed' }
+};
+
+export const GST_RATES = [0, 0.1, 0.25, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+
+export const STATE_CODES = {
+    '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+    '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+    '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+    '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+    '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+    '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+    '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Valid GSTIN from a stored GST/PAN value, or null (PAN, blank or malformed)
+ * @param {String} value
+ * @returns {String|null}
+ */
+export const parseGstin = (value) => {
+    const clean = (value || '').toString().trim().toUpperCase();
+    return GSTIN_PATTERN.test(clean) ? clean : null;
+};
+
+export const stateCodeOf = (gstin) => (gstin ? gstin.substring(0, 2) : null);
+
+export const placeOfSupplyLabel = (code) => (code ? `${code}-${STATE_CODES[code] || 'Unknown'}` : '');
+
+/**
+ * Product tax configuration, defaults filled in for unset product types
+ * @returns {Promise<Object>} - { bird: { hsn, rate, description }, feed: { ... } }
+ */
+export const getGstConfig = async () => {
+    const stored = (await Setting.findOne({ key: GST_SETTING }).lean())?.value || {};
+    return GST_PRODUCT_TYPES.reduce((config, productType) => {
+        config[productType] = { ...DEFAULT_GST_CONFIG[productType], ...(stored[productType] || {}) };
+        return config;
+    }, {});
+};
+
+/**
+ * Validate a partial product tax update against the current configuration
+ * @param {Object} current - getGstConfig() result
+ * @param {Object} updates - { bird: { hsn, rate, description }, ... }
+ * @returns {Object} - Merged configuration
+ */
+export const mergeGstConfig = (current, updates) => {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        throw new AppError('Product tax settings must be an object keyed by product type', 400);
+    }
+    const unknown = Object.keys(updates).filter(productType => !GST_PRODUCT_TYPES.includes(productType));
+    if (unknown.length > 0) {
+        throw new AppError(`Unknown product types: ${unknown.join(', ')}. Allowed: ${GST_PRODUCT_TYPES.join(', ')}`, 400);
+    }
+
+    const merged = { ...current };
+    Object.entries(updates).forEach(([productType, { hsn, rate, description } = {}]) => {
+        const next = { ...current[productType] };
+        if (hsn !== undefined) {
+            if (!/^\d{4}(\d{2}){0,2}$/.test(String(hsn))) {
+                throw new AppError(`HSN code for ${productType} must have 4, 6 or 8 digits`, 400);
+            }
+            next.hsn = String(hsn);
+        }
+        if (rate !== undefined) {
+            if (!GST_RATES.includes(Number(rate))) {
+                throw new AppError(`GST rate for ${productType} must be one of: ${GST_RATES.join(', ')}`, 400);
+            }
+            next.rate = Number(rate);
+        }
+        if (description !== undefined) next.description = String(description).trim();
+        merged[productType] = next;
+    });
+    return merged;
+};
+
+/**
+ * Split a tax-inclusive invoice value into taxable value and tax
+ * Recorded sale and purchase amounts are what the party is billed, so tax is backed out of them.
+ * Intra-state supplies split the tax equally between CGST and SGST; inter-state supplies carry IGST.
+ * @param {Number} value - Invoice value
+ * @param {Number} rate - GST rate in percent
+ * @param {Boolean} interState
+ * @returns {Object} - { taxableValue, cgst, sgst, igst, totalTax, exemptValue }
+ */
+export const computeGst = (value, rate, interState = false) => {
+    const invoiceValue = round2(value);
+    if (!rate) {
+        return { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0, exemptValue: invoiceValue };
+    }
+    const taxableValue = round2(invoiceValue * 100 / (100 + rate));
+    const totalTax = round2(invoiceValue - taxableValue);
+    const cgst = interState ? 0 : round2(totalTax / 2);
+    return {
+        taxableValue,
+        cgst,
+        sgst: interState ? 0 : round2(totalTax - cgst),
+        igst: interState ? totalTax : 0,
+        totalTax,
+        exemptValue: 0
+    };
+};
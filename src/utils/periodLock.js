@@ -0,0 +1,84 @@
+import Setting from '../models/Setting.js';
+import AppError from './AppError.js';
+
+// Entries dated before this date (YYYY-MM-DD) can no longer be changed
+export const PERIOD_LOCK_SETTING = 'PERIOD_LOCK_DATE';
+// Per-module lock dates ({ trip: 'YYYY-MM-DD', ... }); a module without one uses the global date
+export const PERIOD_LOCK_MODULES_SETTING = 'PERIOD_LOCK_MODULES';
+
+export const PERIOD_LOCK_MODULES = ['trip', 'voucher', 'inventoryStock', 'indirectSale', 'payment'];
+
+const MODULE_LABELS = {
+    trip: 'trips',
+    voucher: 'vouchers',
+    inventoryStock: 'inventory entries',
+    indirectSale: 'indirect sales',
+    payment: 'payments'
+};
+
+// Local calendar day (YYYY-MM-DD), so entries and lock dates compare the way the business dates them
+export const dayKey = (value) => {
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Read a date, taking a plain YYYY-MM-DD as the start of that local day
+ * (new Date() reads it as UTC midnight, which is the previous day west of UTC)
+ * @returns {Date|null} - null when missing or invalid
+ */
+export const toLocalDate = (value) => {
+    if (!value) return null;
+    const day = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+    const date = day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read the global lock date and the per-module overrides
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Object>} - { lockDate, modules: { trip: Date|null, ... } }
+ */
+export const getPeriodLock = async (session = null) => {
+    const settings = await Setting.find({ key: { $in: [PERIOD_LOCK_SETTING, PERIOD_LOCK_MODULES_SETTING] } }).session(session).lean();
+    const valueByKey = new Map(settings.map(s => [s.key, s.value]));
+    const overrides = valueByKey.get(PERIOD_LOCK_MODULES_SETTING) || {};
+
+    return {
+        lockDate: toLocalDate(valueByKey.get(PERIOD_LOCK_SETTING)),
+        modules: PERIOD_LOCK_MODULES.reduce((result, module) => {
+            result[module] = toLocalDate(overrides[module]);
+            return result;
+        }, {})
+    };
+};
+
+/**
+ * Lock date that applies to a module, or null when its books are open
+ * @param {String} module - One of PERIOD_LOCK_MODULES (omit for the global date)
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Date|null>}
+ */
+export const getPeriodLockDate = async (module = null, session = null) => {
+    const { lockDate, modules } = await getPeriodLock(session);
+    return (module && modules[module]) || lockDate;
+};
+
+/**
+ * Reject a change touching an entry dated inside the locked period
+ * @param {Date|Array} dates - Entry date(s) affected by the change (old and new)
+ * @param {Object} options - { module, action, session }
+ */
+export const assertPeriodUnlocked = async (dates, { module = null, action = 'change this entry', session = null } = {}) => {
+    const lockDate = await getPeriodLockDate(module, session);
+    if (!lockDate) return;
+
+    const locked = [].concat(dates)
+        .map(toLocalDate)
+        .filter(Boolean)
+        .find(date => dayKey(date) < dayKey(lockDate));
+    if (locked) {
+        const scope = module ? `${MODULE_LABELS[module]} are` : 'the books are';
+        throw new AppError(`Cannot ${action}: ${scope} locked before ${dayKey(lockDate)} and the entry is dated ${dayKey(locked)}`, 403);
+    }
+};
@@ -0,0 +1,117 @@
+import Setting from '../models/Setting.js';
+import AppError from './AppError.js';
+
+// Rate and threshold per TDS section ({ '194Q': { rate, rateWithoutPan, threshold, thresholdMode, ... } })
+export const TDS_SETTING = 'TDS_SECTIONS';
+
+// Section used for vendors that do not name one
+export const DEFAULT_TDS_SECTION = '194Q';
+
+/**
+ * thresholdMode
+ * - excess: only the part of the year's purchases above the threshold is taxed (194Q)
+ * - aggregate: once the year's purchases cross the threshold, everything from the start of the year is taxed
+ */
+export const TDS_THRESHOLD_MODES = ['excess', 'aggregate'];
+
+const DEFAULT_TDS_SECTIONS = {
+    '194Q': {
+        description: 'Purchase of goods',
+        rate: 0.1,
+        // Section 206AA: higher rate when the vendor has not furnished a PAN
+        rateWithoutPan: 5,
+        threshold: 5000000,
+        thresholdMode: 'excess',
+        ledger: null,
+        enabled: true
+    }
+};
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+/**
+ * PAN of a vendor, taken from the PAN field or characters 3-12 of the GSTIN
+ * @param {Object} vendor - { panNumber, gstNumber }
+ * @returns {String|null}
+ */
+export const vendorPan = (vendor) => {
+    const pan = (vendor?.panNumber || '').trim().toUpperCase();
+    if (PAN_PATTERN.test(pan)) return pan;
+    const fromGst = (vendor?.gstNumber || '').trim().toUpperCase().substring(2, 12);
+    return PAN_PATTERN.test(fromGst) ? fromGst : null;
+};
+
+/**
+ * TDS sections with defaults filled in
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Object>}
+ */
+export const getTdsConfig = async (session = null) => {
+    const stored = (await Setting.findOne({ key: TDS_SETTING }).session(session).lean())?.value || {};
+    const sections = { ...DEFAULT_TDS_SECTIONS };
+    Object.entries(stored).forEach(([section, values]) => {
+        sections[section] = { ...(DEFAULT_TDS_SECTIONS[section] || DEFAULT_TDS_SECTIONS[DEFAULT_TDS_SECTION]), ...values };
+    });
+    return sections;
+};
+
+const assertPercent = (value, label) => {
+    const number = Number(value);
+    if (value === null || value === '' || isNaN(number) || number < 0 || number > 100) {
+        throw new AppError(`${label} must be a percentage between 0 and 100`, 400);
+    }
+    return number;
+};
+
+/**
+ * Validate a partial section update against the current configuration
+ * New sections start from the 194Q defaults.
+ * @param {Object} current - getTdsConfig() result
+ * @param {Object} updates - { '194Q': { rate, rateWithoutPan, threshold, thresholdMode, ledger, enabled, description } }
+ * @returns {Object} - Merged configuration
+ */
+export const mergeTdsConfig = (current, updates) => {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        throw new AppError('TDS settings must be an object keyed by section', 400);
+    }
+
+    const merged = { ...current };
+    Object.entries(updates).forEach(([section, values]) => {
+        if (!/^[0-9]{3}[A-Z]{0,2}$/.test(section)) {
+            throw new AppError(`Invalid TDS section: ${section}`, 400);
+        }
+        if (!values || typeof values !== 'object') {
+            throw new AppError(`Settings for section ${section} must be an object`, 400);
+        }
+        const next = { ...(current[section] || DEFAULT_TDS_SECTIONS[DEFAULT_TDS_SECTION]) };
+        const { rate, rateWithoutPan, threshold, thresholdMode, ledger, enabled, description } = values;
+
+        if (rate !== undefined) next.rate = assertPercent(rate, `Rate for ${section}`);
+        if (rateWithoutPan !== undefined) next.rateWithoutPan = assertPercent(rateWithoutPan, `Rate without PAN for ${section}`);
+        if (threshold !== undefined) {
+            const number = Number(threshold);
+            if (threshold === null || threshold === '' || isNaN(number) || number < 0) {
+                throw new AppError(`Threshold for ${section} must be zero or more`, 400);
+            }
+            next.threshold = number;
+        }
+        if (thresholdMode !== undefined) {
+            if (!TDS_THRESHOLD_MODES.includes(thresholdMode)) {
+                throw new AppError(`Threshold mode must be one of: ${TDS_THRESHOLD_MODES.join(', ')}`, 400);
+            }
+            next.thresholdMode = thresholdMode;
+        }
+        if (ledger !== undefined) next.ledger = ledger || null;
+        if (enabled !== undefined) next.enabled = Boolean(enabled);
+        if (description !== undefined) next.description = String(description).trim();
+
+        merged[section] = next;
+    });
+    return merged;
+};
+
+/**
+ * April-March quarter of a date
+ * @returns {String} - Q1 (Apr-Jun) to Q4 (Jan-Mar)
+ */
+export const quarterOf = (date) => `Q${Math.floor(((new Date(date).getMonth() + 9) % 12) / 3) + 1}`;
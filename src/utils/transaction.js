@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import AppError from './AppError.js';
+
+/**
+ * Run a unit of work inside a MongoDB transaction
+ * The callback receives the session and must pass it to every read and write
+ * so that all documents commit or roll back together.
+ * Transient transaction errors are retried by the driver.
+ * @param {Function} work - async (session) => result
+ * @param {String} action - Short description used in the error message (e.g. 'add sale')
+ * @returns {*} - Whatever `work` resolves to
+ */
+export const runInTransaction = async (work, action = 'complete the operation') => {
+    try {
+        return await mongoose.connection.transaction(work);
+    } catch (error) {
+        // Errors raised on purpose and validation errors keep their own status/message
+        if (error instanceof AppError || error.name === 'ValidationError' || error.name === 'VersionError' || error.code === 11000) {
+            throw error;
+        }
+        console.error(`Transaction failed (${action}):`, error);
+        throw new AppError(`Failed to ${action}. No changes were saved: ${error.message}`, 500);
+    }
+};
+
+/**
+ * Run independent reads, in parallel unless they share a transaction session
+ * A transaction cannot run operations concurrently, so with a session they run one at a time.
+ * @param {Array<Function>} queries - () => Promise, each given the session when it runs
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Array>} - Results in the same order as `queries`
+ */
+export const runQueries = async (queries, session = null) => {
+    if (!session) return Promise.all(queries.map(query => query()));
+    const results = [];
+    for (const query of queries) {
+        results.push(await query());
+    }
+    return results;
+};